@@ -11,6 +11,8 @@ import {
   corsHandler 
 } from './middleware/security.js';
 import { memorySystem } from './services/memorySystem.js';
+import { novelOrchestrator } from './services/orchestrator.js';
+import { generationRuns } from './services/generationRuns.js';
 
 const app = express();
 
@@ -37,6 +39,10 @@ async function startServer() {
     // Initialize memory system
     console.log('🔄 Initializing Memory System...');
     await memorySystem.initialize();
+
+    // Start chapter generation worker (+ resume unfinished generation runs)
+    await novelOrchestrator.initializeGenerationQueue();
+    await generationRuns.initialize();
     
     // Start server
     app.listen(port, () => {
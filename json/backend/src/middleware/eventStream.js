@@ -0,0 +1,46 @@
+/**
+ * Server-Sent Events helper untuk endpoint streaming
+ */
+
+const HEARTBEAT_INTERVAL = 15000; // keep proxies from closing idle streams
+
+/**
+ * Switch the response to text/event-stream and return a sender
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), end(), signal } - signal aborts when the client disconnects
+ */
+export const openEventStream = (res) => {
+  const controller = new AbortController();
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+};
@@ -1,5 +1,8 @@
 import { Router } from 'express';
 import { aiModelService } from '../services/aiModelService.js';
+import { usageLedger } from '../services/usageLedger.js';
+import { listRubrics, DEFAULT_RUBRIC_ID } from '../services/evaluationRubrics.js';
+import { openEventStream } from '../middleware/eventStream.js';
 
 const router = Router();
 
@@ -8,6 +11,47 @@ const router = Router();
  * Endpoints untuk generasi, evaluasi, dan embedding menggunakan berbagai model AI
  */
 
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Validasi prompt / messages / system, mengembalikan pesan error atau null
+ */
+const validateGenerationInput = ({ prompt, messages, system }) => {
+  if (prompt !== undefined && typeof prompt !== 'string') {
+    return 'Prompt must be a string';
+  }
+
+  if (messages !== undefined) {
+    if (!Array.isArray(messages)) {
+      return 'Messages must be an array';
+    }
+
+    const invalid = messages.find(message =>
+      !message || !MESSAGE_ROLES.includes(message.role) || typeof message.content !== 'string'
+    );
+    if (invalid) {
+      return `Each message needs a role (${MESSAGE_ROLES.join(', ')}) and string content`;
+    }
+  }
+
+  if (system !== undefined && typeof system !== 'string') {
+    return 'System must be a string';
+  }
+
+  const hasTurn = !!prompt || (messages || []).some(message => message.role !== 'system');
+  if (!hasTurn) {
+    return 'Prompt is required and must be a string (or provide a user message in messages)';
+  }
+
+  const totalLength = (prompt || '').length + (system || '').length +
+    (messages || []).reduce((sum, message) => sum + message.content.length, 0);
+  if (totalLength > 50000) {
+    return 'Prompt too long (max 50,000 characters)';
+  }
+
+  return null;
+};
+
 /**
  * @route POST /ai-models/generate
  * @desc Generate text using AI models
@@ -15,22 +59,23 @@ const router = Router();
  */
 router.post('/generate', async (req, res) => {
   try {
-    const { prompt, model, options, requestId } = req.body;
+    const { prompt, messages, system, responseSchema, model, options, requestId, novelId, chapterNumber } = req.body;
 
     // Validation
-    if (!prompt || typeof prompt !== 'string') {
+    const validationError = validateGenerationInput({ prompt, messages, system });
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Prompt is required and must be a string',
+        error: validationError,
         requestId: requestId || null,
         timestamp: new Date().toISOString()
       });
     }
 
-    if (prompt.length > 50000) {
+    if (responseSchema !== undefined && (typeof responseSchema !== 'object' || responseSchema === null)) {
       return res.status(400).json({
         success: false,
-        error: 'Prompt too long (max 50,000 characters)',
+        error: 'responseSchema must be a JSON Schema object',
         requestId: requestId || null,
         timestamp: new Date().toISOString()
       });
@@ -41,8 +86,11 @@ router.post('/generate', async (req, res) => {
     // Generate text
     const result = await aiModelService.generateText({
       prompt,
+      messages,
+      system,
       model: model || 'openai',
-      options: options || {}
+      options: { ...options, ...(responseSchema && { responseSchema }) },
+      usageTags: { novelId, chapterNumber, requestId }
     });
 
     const processingTime = Date.now() - startTime;
@@ -52,16 +100,24 @@ router.post('/generate', async (req, res) => {
       message: 'Text generated successfully',
       data: {
         generatedText: result.content,
+        structuredOutput: result.data,
         model: result.model,
         usage: result.usage,
         finishReason: result.finishReason,
+        continuations: result.continuations,
+        truncated: result.truncated,
         wordCount: result.content.split(' ').length,
         characterCount: result.content.length
       },
       metadata: {
         processingTime,
-        provider: model || 'openai',
-        promptLength: prompt.length
+        structuredAttempts: result.structuredAttempts,
+        provider: result.provider,
+        requestedProvider: model || 'openai',
+        fallbackUsed: result.fallbackUsed,
+        attempts: result.attempts,
+        costUsd: result.costUsd,
+        promptLength: (prompt || '').length
       },
       requestId: requestId || null,
       timestamp: new Date().toISOString()
@@ -74,15 +130,102 @@ router.post('/generate', async (req, res) => {
       name: error.name,
       requestBody: req.body
     });
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
+      attempts: error.attempts,
       requestId: req.body.requestId || null,
       timestamp: new Date().toISOString()
     });
   }
 });
 
+/**
+ * @route POST /ai-models/generate/stream
+ * @desc Generate text and stream token deltas over Server-Sent Events
+ * @access Public (with rate limiting)
+ */
+router.post('/generate/stream', async (req, res) => {
+  const { prompt, messages, system, model, options, requestId, novelId, chapterNumber } = req.body;
+
+  // Validation (before switching to event-stream so errors stay JSON)
+  const validationError = validateGenerationInput({ prompt, messages, system });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError,
+      requestId: requestId || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (req.body.responseSchema || options?.responseSchema) {
+    return res.status(400).json({
+      success: false,
+      error: 'responseSchema is not supported for streaming, use POST /ai-models/generate',
+      requestId: requestId || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const stream = openEventStream(res);
+  const startTime = Date.now();
+
+  try {
+    stream.send('start', {
+      provider: model || 'openai',
+      requestId: requestId || null,
+      timestamp: new Date().toISOString()
+    });
+
+    const result = await aiModelService.streamText({
+      prompt,
+      messages,
+      system,
+      model: model || 'openai',
+      options: options || {},
+      signal: stream.signal,
+      usageTags: { novelId, chapterNumber, requestId },
+      onToken: (delta) => stream.send('token', { delta })
+    });
+
+    stream.send('done', {
+      success: true,
+      data: {
+        generatedText: result.content,
+        model: result.model,
+        usage: result.usage,
+        finishReason: result.finishReason,
+        continuations: result.continuations,
+        truncated: result.truncated,
+        wordCount: result.content.split(' ').length,
+        characterCount: result.content.length
+      },
+      metadata: {
+        processingTime: Date.now() - startTime,
+        provider: result.provider,
+        requestedProvider: model || 'openai',
+        fallbackUsed: result.fallbackUsed,
+        attempts: result.attempts,
+        costUsd: result.costUsd,
+        promptLength: (prompt || '').length
+      },
+      requestId: requestId || null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Streaming generation error:', error.message);
+    stream.send('error', {
+      success: false,
+      error: error.message,
+      requestId: requestId || null,
+      timestamp: new Date().toISOString()
+    });
+  } finally {
+    stream.end();
+  }
+});
+
 /**
  * @route POST /ai-models/evaluate
  * @desc Evaluate text quality using AI models
@@ -90,7 +233,7 @@ router.post('/generate', async (req, res) => {
  */
 router.post('/evaluate', async (req, res) => {
   try {
-    const { text, criteria, model, requestId } = req.body;
+    const { text, criteria, rubric, judges, model, requestId, novelId, chapterNumber } = req.body;
 
     // Validation
     if (!text || typeof text !== 'string') {
@@ -111,13 +254,25 @@ router.post('/evaluate', async (req, res) => {
       });
     }
 
+    if (judges !== undefined && (!Array.isArray(judges) || judges.length > 5 || judges.some(judge => typeof judge !== 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'judges must be an array of up to 5 provider names',
+        requestId: requestId || null,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     const startTime = Date.now();
 
     // Evaluate text
     const result = await aiModelService.evaluateText({
       text,
       criteria: criteria || [],
-      model: model || 'openai'
+      rubric,
+      judges: judges || [],
+      model: model || aiModelService.defaultEvaluationModel,
+      usageTags: { novelId, chapterNumber, requestId }
     });
 
     const processingTime = Date.now() - startTime;
@@ -132,8 +287,12 @@ router.post('/evaluate', async (req, res) => {
       },
       metadata: {
         processingTime,
-        provider: model || 'openai',
+        provider: result.metadata.provider,
+        judges: result.metadata.judges,
+        failedJudges: result.metadata.failedJudges,
+        rubric: result.metadata.rubric,
         criteriaUsed: result.metadata.criteria,
+        promptTemplate: result.metadata.promptTemplate,
         evaluationTimestamp: result.metadata.timestamp
       },
       requestId: requestId || null,
@@ -147,7 +306,7 @@ router.post('/evaluate', async (req, res) => {
       name: error.name,
       requestBody: req.body
     });
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
       requestId: req.body.requestId || null,
@@ -249,9 +408,9 @@ router.post('/embed', async (req, res) => {
  * @desc Get available AI models and their capabilities
  * @access Public
  */
-router.get('/models', (req, res) => {
+router.get('/models', async (req, res) => {
   try {
-    const models = aiModelService.getAvailableModels();
+    const models = await aiModelService.getAvailableModels({ refresh: req.query.refresh === 'true' });
     
     res.json({
       success: true,
@@ -277,6 +436,63 @@ router.get('/models', (req, res) => {
   }
 });
 
+/**
+ * @route GET /ai-models/rubrics
+ * @desc Evaluation rubrics (criteria, weights, pass threshold)
+ * @access Public
+ */
+router.get('/rubrics', (req, res) => {
+  const rubrics = listRubrics();
+
+  res.json({
+    success: true,
+    data: {
+      rubrics,
+      defaultRubric: DEFAULT_RUBRIC_ID
+    },
+    count: rubrics.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * @route GET /ai-models/usage
+ * @desc Token usage and cost aggregates per month, provider and model
+ * @access Public
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const { month, limit } = req.query;
+
+    if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({
+        success: false,
+        error: 'month must be in YYYY-MM format',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const usage = await usageLedger.getUsage({
+      month: month || undefined,
+      limit: Math.min(parseInt(limit) || 20, 200)
+    });
+
+    res.json({
+      success: true,
+      data: usage,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Usage retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route GET /ai-models/health
  * @desc Health check for AI model services
@@ -291,13 +507,24 @@ router.get('/health', async (req, res) => {
         openai: !!process.env.OPENAI_API_KEY,
         gemini: !!process.env.GEMINI_API_KEY,
         anthropic: !!process.env.ANTHROPIC_API_KEY,
-        customEmbedding: !!process.env.EMBEDDING_SERVICE
+        customEmbedding: !!process.env.EMBEDDING_SERVICE,
+        mock: aiModelService.mockEnabled,
+        // Self-hosted providers registered through AI_CUSTOM_PROVIDERS
+        ...Object.fromEntries(
+          Object.entries(aiModelService.models.generation)
+            .filter(([, config]) => config.custom)
+            .map(([name]) => [name, true])
+        )
       },
+      providerHealth: aiModelService.getProviderHealth(),
       endpoints: [
         'POST /ai-models/generate',
+        'POST /ai-models/generate/stream',
         'POST /ai-models/evaluate', 
         'POST /ai-models/embed',
         'GET /ai-models/models',
+        'GET /ai-models/rubrics',
+        'GET /ai-models/usage',
         'GET /ai-models/health'
       ],
       timestamp: new Date().toISOString()
@@ -310,6 +537,14 @@ router.get('/health', async (req, res) => {
       healthStatus.warning = 'No AI providers configured';
     }
 
+    const openCircuits = Object.entries(healthStatus.providerHealth.providers)
+      .filter(([, provider]) => provider.configured && provider.circuit.state === 'open')
+      .map(([name]) => name);
+    if (openCircuits.length > 0) {
+      healthStatus.status = 'degraded';
+      healthStatus.openCircuits = openCircuits;
+    }
+
     res.json(healthStatus);
 
   } catch (error) {
@@ -330,7 +565,7 @@ router.get('/health', async (req, res) => {
  */
 router.post('/batch-generate', async (req, res) => {
   try {
-    const { prompts, model, options, requestId } = req.body;
+    const { prompts, model, options, requestId, novelId } = req.body;
 
     // Validation
     if (!Array.isArray(prompts) || prompts.length === 0) {
@@ -363,6 +598,9 @@ router.post('/batch-generate', async (req, res) => {
       }
     }
 
+    // Reject the whole batch up front instead of failing every prompt
+    await usageLedger.assertWithinBudget({ novelId });
+
     const startTime = Date.now();
     const results = [];
     const errors = [];
@@ -373,7 +611,8 @@ router.post('/batch-generate', async (req, res) => {
         const result = await aiModelService.generateText({
           prompt: prompts[i],
           model: model || 'openai',
-          options: options || {}
+          options: options || {},
+          usageTags: { novelId, requestId }
         });
 
         results.push({
@@ -381,6 +620,9 @@ router.post('/batch-generate', async (req, res) => {
           success: true,
           content: result.content,
           usage: result.usage,
+          provider: result.provider,
+          fallbackUsed: result.fallbackUsed,
+          costUsd: result.costUsd,
           wordCount: result.content.split(' ').length
         });
       } catch (error) {
@@ -391,7 +633,8 @@ router.post('/batch-generate', async (req, res) => {
         results.push({
           index: i,
           success: false,
-          error: error.message
+          error: error.message,
+          attempts: error.attempts
         });
       }
     }
@@ -413,6 +656,7 @@ router.post('/batch-generate', async (req, res) => {
       metadata: {
         processingTime,
         provider: model || 'openai',
+        providersUsed: [...new Set(results.filter(r => r.success).map(r => r.provider))],
         batchSize: prompts.length
       },
       requestId: requestId || null,
@@ -421,7 +665,7 @@ router.post('/batch-generate', async (req, res) => {
 
   } catch (error) {
     console.error('Batch generation error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
       requestId: req.body.requestId || null,
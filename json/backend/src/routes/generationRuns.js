@@ -0,0 +1,140 @@
+import express from 'express';
+import Joi from 'joi';
+import { generationRuns } from '../services/generationRuns.js';
+import { GENERATION_ENGINES } from '../services/orchestrator.js';
+
+const router = express.Router();
+
+/**
+ * Validation schemas
+ */
+const createRunSchema = Joi.object({
+  novelId: Joi.string().required().min(3).max(100),
+  fromChapter: Joi.number().integer().min(1).required(),
+  toChapter: Joi.number().integer().min(1).required(),
+  stylePreference: Joi.string().required().max(100),
+  mood: Joi.string().required().max(100),
+  callbackUrl: Joi.string().uri().required(),
+  focusElements: Joi.string().optional().allow('').max(2000),
+  chapterFocus: Joi.object().pattern(/^\d+$/, Joi.string().max(2000)).optional(),
+  engine: Joi.string().valid(...GENERATION_ENGINES).optional(),
+  model: Joi.string().optional().max(100),
+  sceneCount: Joi.number().integer().min(2).max(12).optional(),
+  requestId: Joi.string().optional().max(100)
+});
+
+const listQuerySchema = Joi.object({
+  novelId: Joi.string().required().min(3).max(100)
+});
+
+function validate(schema, payload, res) {
+  const { error, value } = schema.validate(payload);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Buat run untuk rentang chapter; chapter pertama langsung di-enqueue (202)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const value = validate(createRunSchema, req.body, res);
+    if (!value) return;
+
+    const run = await generationRuns.createRun(value);
+    res.status(202).json({
+      success: true,
+      message: `Generation run queued for chapters ${run.fromChapter}-${run.toChapter}`,
+      data: {
+        ...run,
+        statusUrl: `/generation-runs/${run.runId}`
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Generation run creation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Riwayat run per novel (terbaru dulu)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const query = validate(listQuerySchema, req.query, res);
+    if (!query) return;
+
+    const runs = await generationRuns.listRuns(query.novelId);
+    res.json({
+      success: true,
+      data: runs,
+      count: runs.length
+    });
+  } catch (error) {
+    console.error('Generation run list error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Progress run: status per chapter dan tahap job yang sedang berjalan
+ */
+router.get('/:runId', async (req, res) => {
+  try {
+    const run = await generationRuns.getRun(req.params.runId);
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Generation run retrieval error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+const actions = {
+  pause: run => generationRuns.pauseRun(run),
+  resume: run => generationRuns.resumeRun(run),
+  cancel: run => generationRuns.cancelRun(run)
+};
+
+for (const [action, handler] of Object.entries(actions)) {
+  router.post(`/:runId/${action}`, async (req, res) => {
+    try {
+      const run = await handler(req.params.runId);
+      res.json({
+        success: true,
+        data: run,
+        message: `Generation run ${run.runId} is ${run.status}`
+      });
+    } catch (error) {
+      console.error(`Generation run ${action} error:`, error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+}
+
+export default router;
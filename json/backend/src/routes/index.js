@@ -4,6 +4,9 @@ import callbackRoutes from './workflowCallback.js';
 import novelGenerationRoutes from './novelGeneration.js';
 import memoryRoutes from './memory.js';
 import aiModelRoutes from './aiModel.js';
+import promptRoutes from './prompts.js';
+import reviewRoutes from './reviews.js';
+import generationRunRoutes from './generationRuns.js';
 
 const router = Router();
 
@@ -16,6 +19,15 @@ router.use('/ai-models', aiModelRoutes);
 // Memory System Routes (Database & Storage)
 router.use('/memory', memoryRoutes);
 
+// Prompt Template Registry
+router.use('/prompts', promptRoutes);
+
+// Human Intervention Review Queue
+router.use('/reviews', reviewRoutes);
+
+// Multi-Chapter Generation Runs
+router.use('/generation-runs', generationRunRoutes);
+
 // Existing routes
 router.use('/upload', uploadRoutes);
 router.use('/callback', callbackRoutes);
@@ -26,6 +38,9 @@ router.get('/health', (_, res) => res.json({
     'Novel Generation API',
     'AI Model Service (Generation, Evaluation, Embedding)',
     'Memory System (Neo4j, Pinecone, Redis)',
+    'Prompt Template Registry',
+    'Review Queue',
+    'Generation Runs',
     'Upload Service', 
     'Callback Handler'
   ],
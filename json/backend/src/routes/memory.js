@@ -1,5 +1,16 @@
 import express from 'express';
 import { memorySystem } from '../services/memorySystem.js';
+import { usageLedger } from '../services/usageLedger.js';
+import { outlineService } from '../services/outlineService.js';
+import { chapterDrafts, MAX_VARIANTS } from '../services/chapterDrafts.js';
+import { storyDigest } from '../services/storyDigest.js';
+import { entityExtraction, EXTRACTION_MODES, EXTRACTION_STATUSES } from '../services/entityExtraction.js';
+import { continuityChecker } from '../services/continuityChecker.js';
+import { timelineService, EVENT_LINK_TYPES } from '../services/timelineService.js';
+import { worldStateService } from '../services/worldStateService.js';
+import { relationshipService, RELATIONSHIP_TYPES } from '../services/relationshipService.js';
+import { novelService } from '../services/novelService.js';
+import { novelOrchestrator } from '../services/orchestrator.js';
 import Joi from 'joi';
 
 const router = express.Router();
@@ -13,7 +24,9 @@ const novelSchema = Joi.object({
   description: Joi.string().optional().max(1000),
   genre: Joi.string().optional().max(50),
   author: Joi.string().optional().max(100),
-  status: Joi.string().valid('active', 'completed', 'paused').default('active')
+  status: Joi.string().valid('active', 'completed', 'paused').default('active'),
+  generationEngine: Joi.string().valid('native', 'n8n').optional(),
+  extractionMode: Joi.string().valid(...EXTRACTION_MODES).optional()
 });
 
 const characterSchema = Joi.object({
@@ -39,6 +52,41 @@ const locationSchema = Joi.object({
   type: Joi.string().valid('city', 'country', 'region', 'landmark', 'building').default('city')
 });
 
+// PUT mengganti seluruh entitas (id dari URL); PATCH hanya field yang dikirim, tanpa default
+const novelUpdateSchema = novelSchema.keys({ id: Joi.forbidden() });
+const novelPatchSchema = novelUpdateSchema.fork(['title'], field => field.optional()).prefs({ noDefaults: true }).min(1);
+const characterUpdateSchema = characterSchema.keys({ id: Joi.forbidden() });
+const characterPatchSchema = characterUpdateSchema.fork(['name'], field => field.optional()).prefs({ noDefaults: true }).min(1);
+const locationUpdateSchema = locationSchema.keys({ id: Joi.forbidden() });
+const locationPatchSchema = locationUpdateSchema.fork(['name'], field => field.optional()).prefs({ noDefaults: true }).min(1);
+
+const paginationSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const novelListSchema = paginationSchema.keys({
+  status: Joi.string().valid('active', 'completed', 'paused').optional(),
+  includeDeleted: Joi.boolean().default(false)
+});
+
+const novelDeleteSchema = Joi.object({
+  permanent: Joi.boolean().default(false)
+});
+
+const chapterListSchema = paginationSchema.keys({
+  limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
+const usageQuerySchema = Joi.object({
+  month: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).optional(),
+  limit: Joi.number().integer().min(1).max(200).default(20)
+});
+
+const usageBudgetSchema = Joi.object({
+  monthlyBudgetUsd: Joi.number().positive().allow(null).required()
+});
+
 const chapterSchema = Joi.object({
   number: Joi.number().integer().min(1).required(),
   title: Joi.string().optional().max(200),
@@ -47,7 +95,218 @@ const chapterSchema = Joi.object({
   status: Joi.string().valid('draft', 'published', 'archived').default('draft'),
   focusElements: Joi.string().optional().max(500),
   mood: Joi.string().optional().max(50),
-  stylePreference: Joi.string().optional().max(50)
+  stylePreference: Joi.string().optional().max(50),
+  author: Joi.string().optional().max(100),
+  requestId: Joi.string().optional().max(100)
+});
+
+const chapterUpdateSchema = chapterSchema.keys({ number: Joi.forbidden() });
+// author/requestId hanya metadata revisi, PATCH tetap butuh minimal satu field chapter
+const chapterPatchSchema = chapterUpdateSchema.fork(['content'], field => field.optional()).prefs({ noDefaults: true })
+  .or('title', 'content', 'summary', 'status', 'focusElements', 'mood', 'stylePreference');
+
+const beatSchema = Joi.object({
+  description: Joi.string().required().min(1).max(1000),
+  characters: Joi.array().items(Joi.string().max(100)).default([]),
+  locations: Joi.array().items(Joi.string().max(100)).default([])
+});
+
+const chapterPlanSchema = Joi.object({
+  title: Joi.string().optional().max(200),
+  summary: Joi.string().optional().allow('').max(2000),
+  act: Joi.number().integer().min(1).optional(),
+  beats: Joi.array().items(beatSchema).optional()
+});
+
+const outlineSchema = Joi.object({
+  premise: Joi.string().optional().allow('').max(5000),
+  acts: Joi.array().items(Joi.object({
+    title: Joi.string().required().min(1).max(200),
+    summary: Joi.string().optional().allow('').max(2000)
+  })).min(1).required(),
+  chapters: Joi.array().items(chapterPlanSchema.keys({
+    number: Joi.number().integer().min(1).required(),
+    act: Joi.number().integer().min(1).default(1)
+  })).required()
+});
+
+const variantSchema = Joi.object({
+  label: Joi.string().optional().max(50),
+  model: Joi.string().optional().max(100),
+  temperature: Joi.number().min(0).max(2).optional(),
+  stylePreference: Joi.string().optional().max(100),
+  mood: Joi.string().optional().max(100)
+});
+
+const variantGenerateSchema = Joi.object({
+  stylePreference: Joi.string().required().max(100),
+  mood: Joi.string().required().max(100),
+  focusElements: Joi.string().optional().allow('').max(2000),
+  model: Joi.string().optional().max(100),
+  temperature: Joi.number().min(0).max(2).optional(),
+  count: Joi.number().integer().min(2).max(MAX_VARIANTS).default(3),
+  variants: Joi.array().items(variantSchema).min(2).max(MAX_VARIANTS).optional(),
+  requestId: Joi.string().optional().max(100)
+});
+
+const draftCompareSchema = Joi.object({
+  versions: Joi.string().pattern(/^\d+(,\d+){1,9}$/).required()
+    .messages({ 'string.pattern.base': 'versions must list 2-10 comma separated version numbers' }),
+  base: Joi.number().integer().min(1).optional()
+});
+
+const revisionDiffSchema = Joi.object({
+  from: Joi.number().integer().min(1).required(),
+  to: Joi.number().integer().min(1).required(),
+  unit: Joi.string().valid('word', 'sentence').default('word')
+});
+
+const revisionRestoreSchema = Joi.object({
+  author: Joi.string().optional().max(100)
+});
+
+const contextDebugSchema = Joi.object({
+  focusElements: Joi.string().optional().allow('').max(2000),
+  model: Joi.string().optional().max(100),
+  stylePreference: Joi.string().optional().max(100),
+  mood: Joi.string().optional().max(100)
+});
+
+const storyDigestQuerySchema = Joi.object({
+  chapter: Joi.number().integer().min(1).optional()
+});
+
+const storyDigestRebuildSchema = Joi.object({
+  model: Joi.string().optional().max(100),
+  force: Joi.boolean().default(false)
+});
+
+const extractionQuerySchema = Joi.object({
+  status: Joi.string().valid(...EXTRACTION_STATUSES, 'all').default('all'),
+  chapter: Joi.number().integer().min(1).optional()
+});
+
+const extractionRunSchema = Joi.object({
+  model: Joi.string().optional().max(100),
+  mode: Joi.string().valid('auto', 'review').optional(),
+  force: Joi.boolean().default(false)
+});
+
+const extractionApplySchema = Joi.object({
+  accept: Joi.array().items(Joi.string().max(20)).optional(),
+  reject: Joi.array().items(Joi.string().max(20)).default([])
+});
+
+const continuityCheckSchema = Joi.object({
+  content: Joi.string().optional().max(200000),
+  model: Joi.string().optional().max(100)
+});
+
+const eventIds = Joi.array().items(Joi.string().max(100)).max(50).optional();
+
+const eventSchema = Joi.object({
+  title: Joi.string().required().min(1).max(200),
+  description: Joi.string().optional().allow('').max(2000),
+  type: Joi.string().optional().max(50),
+  chapterNumber: Joi.number().integer().min(1).required(),
+  storyTime: Joi.string().optional().max(100),
+  storyOrder: Joi.number().optional(),
+  participants: Joi.array().items(Joi.object({
+    characterId: Joi.string().required().max(100),
+    role: Joi.string().optional().max(50)
+  })).max(50).optional(),
+  locationId: Joi.string().optional().max(100),
+  before: eventIds,
+  after: eventIds,
+  causes: eventIds,
+  causedBy: eventIds
+});
+
+const eventLinkSchema = Joi.object({
+  type: Joi.string().valid(...EVENT_LINK_TYPES).required(),
+  targetId: Joi.string().required().max(100)
+});
+
+const timelineQuerySchema = Joi.object({
+  asOfChapter: Joi.number().integer().min(1).optional()
+});
+
+const relationshipSchema = Joi.object({
+  fromId: Joi.string().required().max(100),
+  toId: Joi.string().required().max(100),
+  type: Joi.string().valid(...RELATIONSHIP_TYPES).required(),
+  strength: Joi.number().min(0).max(1).optional(),
+  sentiment: Joi.number().min(-1).max(1).optional(),
+  description: Joi.string().optional().allow('').max(1000),
+  sinceChapter: Joi.number().integer().min(1).optional(),
+  untilChapter: Joi.number().integer().min(1).allow(null).optional()
+});
+
+const relationshipUpdateSchema = Joi.object({
+  type: Joi.string().valid(...RELATIONSHIP_TYPES).optional(),
+  strength: Joi.number().min(0).max(1).allow(null).optional(),
+  sentiment: Joi.number().min(-1).max(1).allow(null).optional(),
+  description: Joi.string().optional().allow('').max(1000),
+  sinceChapter: Joi.number().integer().min(1).optional(),
+  untilChapter: Joi.number().integer().min(1).allow(null).optional(),
+  fromChapter: Joi.number().integer().min(1).optional()
+}).min(1);
+
+const relationshipQuerySchema = Joi.object({
+  atChapter: Joi.number().integer().min(1).optional(),
+  type: Joi.string().valid(...RELATIONSHIP_TYPES).optional(),
+  characterId: Joi.string().max(100).optional()
+});
+
+const relationshipNetworkSchema = Joi.object({
+  atChapter: Joi.number().integer().min(1).optional()
+});
+
+const worldStateQuerySchema = Joi.object({
+  asOfChapter: Joi.number().integer().min(0).optional()
+});
+
+const worldStateUpdateQuerySchema = Joi.object({
+  chapterNumber: Joi.number().integer().min(0).optional()
+});
+
+const worldStateDiffSchema = Joi.object({
+  from: Joi.number().integer().min(0).required(),
+  to: Joi.number().integer().min(0).required()
+});
+
+const outlineGenerateSchema = Joi.object({
+  premise: Joi.string().optional().max(5000),
+  chapterCount: Joi.number().integer().min(1).max(100).default(12),
+  actCount: Joi.number().integer().min(1).max(7).default(3),
+  startChapter: Joi.number().integer().min(1).default(1),
+  model: Joi.string().optional().max(100),
+  notes: Joi.string().optional().max(2000)
+});
+
+// Hapus dan restore tetap bisa dipakai untuk novel yang ada di trash
+const TRASH_ROUTES = [
+  { method: 'DELETE', path: /^\/novels\/[^/]+\/?$/ },
+  { method: 'POST', path: /^\/novels\/[^/]+\/restore\/?$/ }
+];
+
+/**
+ * Semua route /novels/:novelId menolak novel yang di-soft-delete (404)
+ */
+router.param('novelId', async (req, res, next, novelId) => {
+  if (TRASH_ROUTES.some(route => route.method === req.method && route.path.test(req.path))) {
+    return next();
+  }
+
+  try {
+    await memorySystem.assertNovelNotDeleted(novelId);
+    next();
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
 /**
@@ -120,11 +379,37 @@ router.post('/novels', async (req, res) => {
   }
 });
 
+// List novels (paginated, newest first; soft-deleted novels only with includeDeleted=true)
+router.get('/novels', async (req, res) => {
+  try {
+    const { error, value } = novelListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { items, pagination } = await novelService.listNovels(value);
+    res.json({
+      success: true,
+      data: items,
+      pagination
+    });
+  } catch (error) {
+    console.error('Novel list error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Get novel
 router.get('/novels/:novelId', async (req, res) => {
   try {
     const { novelId } = req.params;
-    const result = await memorySystem.getNovel(novelId);
+    const result = await novelService.getNovel(novelId);
     
     if (result.success) {
       res.json(result);
@@ -133,7 +418,76 @@ router.get('/novels/:novelId', async (req, res) => {
     }
   } catch (error) {
     console.error('Novel retrieval error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Replace novel (PUT) or update some of its fields (PATCH)
+for (const [method, schema] of [['put', novelUpdateSchema], ['patch', novelPatchSchema]]) {
+  router[method]('/novels/:novelId', async (req, res) => {
+    try {
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+
+      const novel = await novelService.updateNovel(req.params.novelId, value, { partial: method === 'patch' });
+      res.json({
+        success: true,
+        data: novel
+      });
+    } catch (error) {
+      console.error('Novel update error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+}
+
+// Soft delete novel; permanent=true deletes it from Neo4j, Pinecone and Redis
+router.delete('/novels/:novelId', async (req, res) => {
+  try {
+    const { error, value } = novelDeleteSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = await novelService.deleteNovel(req.params.novelId, value);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Novel deletion error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Restore a soft-deleted novel
+router.post('/novels/:novelId/restore', async (req, res) => {
+  try {
+    const novel = await novelService.restoreNovel(req.params.novelId);
+    res.json({
+      success: true,
+      data: novel
+    });
+  } catch (error) {
+    console.error('Novel restore error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -188,6 +542,76 @@ router.get('/novels/:novelId/characters/:characterId', async (req, res) => {
   }
 });
 
+// List characters (paginated, by name)
+router.get('/novels/:novelId/characters', async (req, res) => {
+  try {
+    const { error, value } = paginationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { items, pagination } = await novelService.listEntities(req.params.novelId, 'Character', value);
+    res.json({
+      success: true,
+      data: items,
+      pagination
+    });
+  } catch (error) {
+    console.error('Character list error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Replace character (PUT) or update some of its fields (PATCH); embeddings are refreshed in the background
+for (const [method, schema] of [['put', characterUpdateSchema], ['patch', characterPatchSchema]]) {
+  router[method]('/novels/:novelId/characters/:characterId', async (req, res) => {
+    try {
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+
+      const character = await novelService.updateEntity(req.params.novelId, 'Character', req.params.characterId, value, { partial: method === 'patch' });
+      res.json({
+        success: true,
+        data: character
+      });
+    } catch (error) {
+      console.error('Character update error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+}
+
+// Delete character with its graph relationships, vector and cache
+router.delete('/novels/:novelId/characters/:characterId', async (req, res) => {
+  try {
+    const result = await novelService.deleteEntity(req.params.novelId, 'Character', req.params.characterId);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Character deletion error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Location Management Routes
  */
@@ -236,6 +660,76 @@ router.get('/novels/:novelId/locations/:locationId', async (req, res) => {
   }
 });
 
+// List locations (paginated, by name)
+router.get('/novels/:novelId/locations', async (req, res) => {
+  try {
+    const { error, value } = paginationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { items, pagination } = await novelService.listEntities(req.params.novelId, 'Location', value);
+    res.json({
+      success: true,
+      data: items,
+      pagination
+    });
+  } catch (error) {
+    console.error('Location list error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Replace location (PUT) or update some of its fields (PATCH); embeddings are refreshed in the background
+for (const [method, schema] of [['put', locationUpdateSchema], ['patch', locationPatchSchema]]) {
+  router[method]('/novels/:novelId/locations/:locationId', async (req, res) => {
+    try {
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+
+      const location = await novelService.updateEntity(req.params.novelId, 'Location', req.params.locationId, value, { partial: method === 'patch' });
+      res.json({
+        success: true,
+        data: location
+      });
+    } catch (error) {
+      console.error('Location update error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+}
+
+// Delete location with its graph relationships, vector and cache
+router.delete('/novels/:novelId/locations/:locationId', async (req, res) => {
+  try {
+    const result = await novelService.deleteEntity(req.params.novelId, 'Location', req.params.locationId);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Location deletion error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Chapter Management Routes
  */
@@ -253,7 +747,12 @@ router.post('/novels/:novelId/chapters', async (req, res) => {
       });
     }
 
-    const result = await memorySystem.addChapter(novelId, value);
+    // Dicatat di log revisi chapter sebagai editan manusia
+    const { author, requestId, ...chapter } = value;
+    const result = await memorySystem.addChapter(novelId, {
+      ...chapter,
+      revision: { authorType: 'human', author, requestId }
+    });
     res.status(201).json(result);
   } catch (error) {
     console.error('Chapter addition error:', error);
@@ -284,16 +783,60 @@ router.get('/novels/:novelId/chapters/:chapterNumber', async (req, res) => {
   }
 });
 
-// Get chapter sequence
-router.get('/novels/:novelId/chapters', async (req, res) => {
+// Replace chapter (PUT) or update some of its fields (PATCH); new content is reprocessed like a new chapter
+for (const [method, schema] of [['put', chapterUpdateSchema], ['patch', chapterPatchSchema]]) {
+  router[method]('/novels/:novelId/chapters/:chapterNumber', async (req, res) => {
+    try {
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+
+      // Dicatat di log revisi chapter sebagai editan manusia
+      const { author, requestId, ...chapter } = value;
+      const result = await novelService.updateChapter(req.params.novelId, parseInt(req.params.chapterNumber), chapter, {
+        partial: method === 'patch',
+        revision: { authorType: 'human', author, requestId }
+      });
+      res.json(result);
+    } catch (error) {
+      console.error('Chapter update error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+}
+
+// Delete chapter with its scenes, drafts, revisions, extractions, vectors and cache
+router.delete('/novels/:novelId/chapters/:chapterNumber', async (req, res) => {
   try {
-    const { novelId } = req.params;
-    const limit = parseInt(req.query.limit) || 10;
-    
-    const result = await memorySystem.getChapterSequence(novelId, limit);
+    const result = await novelService.deleteChapter(req.params.novelId, parseInt(req.params.chapterNumber));
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Chapter deletion error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get chapter scenes (POV, location, participants, goal, content, featured characters)
+router.get('/novels/:novelId/chapters/:chapterNumber/scenes', async (req, res) => {
+  try {
+    const { novelId, chapterNumber } = req.params;
+    const result = await memorySystem.getChapterScenes(novelId, parseInt(chapterNumber));
     res.json(result);
   } catch (error) {
-    console.error('Chapter sequence retrieval error:', error);
+    console.error('Chapter scene retrieval error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -302,52 +845,911 @@ router.get('/novels/:novelId/chapters', async (req, res) => {
 });
 
 /**
- * Search and Discovery Routes
+ * Chapter Draft & Version Routes
  */
 
-// Semantic search
-router.post('/novels/:novelId/search/semantic', async (req, res) => {
-  try {
-    const { novelId } = req.params;
-    const { query, options = {} } = req.body;
-    
-    if (!query || typeof query !== 'string') {
-      return res.status(400).json({
+function parseChapterParams(req, res) {
+  const params = { novelId: req.params.novelId };
+
+  for (const key of ['chapterNumber', 'version', 'revision']) {
+    if (req.params[key] === undefined) continue;
+
+    params[key] = parseInt(req.params[key]);
+    if (isNaN(params[key]) || params[key] < 1) {
+      res.status(400).json({
         success: false,
-        error: 'Query is required and must be a string'
+        error: `${key} must be a positive integer`
       });
+      return null;
     }
+  }
+  return params;
+}
 
-    const result = await memorySystem.semanticSearch(novelId, query, options);
-    res.json(result);
+// List chapter versions and candidate drafts (newest first, without content)
+router.get('/novels/:novelId/chapters/:chapterNumber/drafts', async (req, res) => {
+  try {
+    const params = parseChapterParams(req, res);
+    if (!params) return;
+
+    const result = await chapterDrafts.listDrafts(params.novelId, params.chapterNumber);
+    res.json({
+      success: true,
+      data: result,
+      count: result.drafts.length
+    });
   } catch (error) {
-    console.error('Semantic search error:', error);
-    res.status(500).json({
+    console.error('Draft list error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// Entity search
-router.get('/novels/:novelId/search/entities', async (req, res) => {
+// Generate N alternative drafts in parallel (different models, temperatures or styles)
+router.post('/novels/:novelId/chapters/:chapterNumber/drafts/variants', async (req, res) => {
   try {
-    const { novelId } = req.params;
-    const { q: searchText, types } = req.query;
-    
-    if (!searchText) {
+    const params = parseChapterParams(req, res);
+    if (!params) return;
+
+    const { error, value } = variantGenerateSchema.validate(req.body);
+    if (error) {
       return res.status(400).json({
         success: false,
-        error: 'Search text (q) is required'
+        error: error.details[0].message
       });
     }
 
-    const entityTypes = types ? types.split(',') : ['Character', 'Location'];
-    const result = await memorySystem.searchEntities(novelId, searchText, entityTypes);
-    res.json(result);
+    const result = await chapterDrafts.generateVariants(params.novelId, params.chapterNumber, value);
+    res.status(201).json({
+      success: true,
+      data: result
+    });
   } catch (error) {
-    console.error('Entity search error:', error);
-    res.status(500).json({
+    console.error('Draft variant generation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Compare versions side by side: scores and a sentence diff against the base version
+router.get('/novels/:novelId/chapters/:chapterNumber/drafts/compare', async (req, res) => {
+  try {
+    const params = parseChapterParams(req, res);
+    if (!params) return;
+
+    const { error, value } = draftCompareSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const versions = [...new Set(value.versions.split(',').map(Number))];
+    const result = await chapterDrafts.compareDrafts(params.novelId, params.chapterNumber, versions, value.base ?? null);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Draft comparison error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get one version with its full text and evaluation
+router.get('/novels/:novelId/chapters/:chapterNumber/drafts/:version', async (req, res) => {
+  try {
+    const params = parseChapterParams(req, res);
+    if (!params) return;
+
+    const draft = await chapterDrafts.getDraft(params.novelId, params.chapterNumber, params.version);
+    res.json({
+      success: true,
+      data: draft
+    });
+  } catch (error) {
+    console.error('Draft retrieval error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Promote a version to the canonical chapter text
+router.post('/novels/:novelId/chapters/:chapterNumber/drafts/:version/promote', async (req, res) => {
+  try {
+    const params = parseChapterParams(req, res);
+    if (!params) return;
+
+    const draft = await chapterDrafts.promoteDraft(params.novelId, params.chapterNumber, params.version);
+    res.json({
+      success: true,
+      data: draft,
+      message: `Version ${draft.version} is now the canonical text of chapter ${draft.chapterNumber}`
+    });
+  } catch (error) {
+    console.error('Draft promotion error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List chapter revisions (append-only, newest first)
+router.get('/novels/:novelId/chapters/:chapterNumber/revisions', async (req, res) => {
+  try {
+    const params = parseChapterParams(req, res);
+    if (!params) return;
+
+    const revisions = await chapterDrafts.listRevisions(params.novelId, params.chapterNumber);
+    res.json({
+      success: true,
+      data: revisions,
+      count: revisions.length
+    });
+  } catch (error) {
+    console.error('Revision list error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Diff between any two revisions
+router.get('/novels/:novelId/chapters/:chapterNumber/revisions/diff', async (req, res) => {
+  try {
+    const params = parseChapterParams(req, res);
+    if (!params) return;
+
+    const { error, value } = revisionDiffSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const diff = await chapterDrafts.diffRevisions(params.novelId, params.chapterNumber, value.from, value.to, value.unit);
+    res.json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    console.error('Revision diff error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get one revision with its text and the stored diff against the previous revision
+router.get('/novels/:novelId/chapters/:chapterNumber/revisions/:revision', async (req, res) => {
+  try {
+    const params = parseChapterParams(req, res);
+    if (!params) return;
+
+    const revision = await chapterDrafts.getRevision(params.novelId, params.chapterNumber, params.revision);
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Revision retrieval error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Restore a revision as the current chapter text (re-embeds the chapter)
+router.post('/novels/:novelId/chapters/:chapterNumber/revisions/:revision/restore', async (req, res) => {
+  try {
+    const params = parseChapterParams(req, res);
+    if (!params) return;
+
+    const { error, value } = revisionRestoreSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = await chapterDrafts.restoreRevision(params.novelId, params.chapterNumber, params.revision, value);
+    res.status(202).json({
+      success: true,
+      data: result,
+      message: `Restoring revision ${result.restoredFrom} of chapter ${result.chapterNumber}`
+    });
+  } catch (error) {
+    console.error('Revision restore error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get chapter sequence (paginated, by chapter number)
+router.get('/novels/:novelId/chapters', async (req, res) => {
+  try {
+    const { error, value } = chapterListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { items, pagination } = await novelService.listEntities(req.params.novelId, 'Chapter', value);
+    res.json({
+      success: true,
+      data: items,
+      pagination
+    });
+  } catch (error) {
+    console.error('Chapter sequence retrieval error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Story Digest Routes
+ */
+
+// Story so far before a chapter (or the whole story): rolling digest, arc summaries and recent chapter summaries
+router.get('/novels/:novelId/story-digest', async (req, res) => {
+  try {
+    const { error, value } = storyDigestQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const digest = await storyDigest.getStorySoFar(req.params.novelId, value.chapter ?? null);
+    res.json({
+      success: true,
+      data: digest
+    });
+  } catch (error) {
+    console.error('Story digest retrieval error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Re-queue summaries for every written chapter (arcs and the digest are rebuilt as they complete)
+router.post('/novels/:novelId/story-digest/rebuild', async (req, res) => {
+  try {
+    const { error, value } = storyDigestRebuildSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = await storyDigest.rebuild(req.params.novelId, value);
+    res.status(202).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Story digest rebuild error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Timeline & Event Routes
+ */
+
+router.post('/novels/:novelId/events', async (req, res) => {
+  try {
+    const { error, value } = eventSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const event = await timelineService.createEvent(req.params.novelId, value);
+    res.status(201).json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    console.error('Event creation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.get('/novels/:novelId/events/:eventId', async (req, res) => {
+  try {
+    const event = await timelineService.getEvent(req.params.novelId, req.params.eventId);
+    res.json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    console.error('Event retrieval error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Order two events: BEFORE (this event happens first) or CAUSES
+router.post('/novels/:novelId/events/:eventId/links', async (req, res) => {
+  try {
+    const { error, value } = eventLinkSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const event = await timelineService.linkEvents(req.params.novelId, req.params.eventId, value.type, value.targetId);
+    res.json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    console.error('Event link error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// What is known as of a chapter: events narrated up to asOfChapter, in story order
+router.get('/novels/:novelId/timeline', async (req, res) => {
+  try {
+    const { error, value } = timelineQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const timeline = await timelineService.getTimeline(req.params.novelId, value);
+    res.json({
+      success: true,
+      data: timeline
+    });
+  } catch (error) {
+    console.error('Timeline retrieval error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.get('/novels/:novelId/characters/:characterId/timeline', async (req, res) => {
+  try {
+    const { error, value } = timelineQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const timeline = await timelineService.getTimeline(req.params.novelId, { ...value, characterId: req.params.characterId });
+    res.json({
+      success: true,
+      data: timeline
+    });
+  } catch (error) {
+    console.error('Character timeline error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.get('/novels/:novelId/locations/:locationId/events', async (req, res) => {
+  try {
+    const { error, value } = timelineQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const timeline = await timelineService.getTimeline(req.params.novelId, { ...value, locationId: req.params.locationId });
+    res.json({
+      success: true,
+      data: timeline
+    });
+  } catch (error) {
+    console.error('Location events error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Relationship Routes
+ */
+
+router.get('/novels/:novelId/relationships', async (req, res) => {
+  try {
+    const { error, value } = relationshipQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const relationships = await relationshipService.list(req.params.novelId, value);
+    res.json({
+      success: true,
+      data: relationships
+    });
+  } catch (error) {
+    console.error('Relationship list error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.post('/novels/:novelId/relationships', async (req, res) => {
+  try {
+    const { error, value } = relationshipSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const relationship = await relationshipService.create(req.params.novelId, value);
+    res.status(201).json({
+      success: true,
+      data: relationship
+    });
+  } catch (error) {
+    console.error('Relationship creation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.get('/novels/:novelId/relationships/:relationshipId', async (req, res) => {
+  try {
+    const relationship = await relationshipService.get(req.params.novelId, req.params.relationshipId);
+    res.json({
+      success: true,
+      data: relationship
+    });
+  } catch (error) {
+    console.error('Relationship retrieval error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Ubah relasi; dengan fromChapter perubahan berlaku mulai chapter itu (periode lama ditutup)
+router.patch('/novels/:novelId/relationships/:relationshipId', async (req, res) => {
+  try {
+    const { error, value } = relationshipUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const relationship = await relationshipService.update(req.params.novelId, req.params.relationshipId, value);
+    res.json({
+      success: true,
+      data: relationship
+    });
+  } catch (error) {
+    console.error('Relationship update error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.delete('/novels/:novelId/relationships/:relationshipId', async (req, res) => {
+  try {
+    const result = await relationshipService.remove(req.params.novelId, req.params.relationshipId);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Relationship deletion error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Jaringan relasi karakter di chapter tertentu
+router.get('/novels/:novelId/characters/:characterId/relationships', async (req, res) => {
+  try {
+    const { error, value } = relationshipNetworkSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const network = await relationshipService.getNetwork(req.params.novelId, req.params.characterId, value.atChapter ?? null);
+    res.json({
+      success: true,
+      data: network
+    });
+  } catch (error) {
+    console.error('Relationship network error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Continuity Routes
+ */
+
+// Check a chapter (stored text, or `content` for an unsaved draft) against established facts
+router.post('/novels/:novelId/chapters/:chapterNumber/continuity', async (req, res) => {
+  try {
+    const { error, value } = continuityCheckSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const report = await continuityChecker.check(req.params.novelId, parseInt(req.params.chapterNumber), value);
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Continuity check error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Entity Extraction Routes
+ */
+
+// Extract entities from a chapter now (auto mode applies the operations immediately)
+router.post('/novels/:novelId/chapters/:chapterNumber/extract', async (req, res) => {
+  try {
+    const { error, value } = extractionRunSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const extraction = await entityExtraction.extractChapter(req.params.novelId, parseInt(req.params.chapterNumber), value);
+    res.status(201).json({
+      success: true,
+      data: extraction
+    });
+  } catch (error) {
+    console.error('Entity extraction error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.get('/novels/:novelId/extractions', async (req, res) => {
+  try {
+    const { error, value } = extractionQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const extractions = await entityExtraction.listExtractions(req.params.novelId, {
+      status: value.status,
+      chapterNumber: value.chapter ?? null
+    });
+    res.json({
+      success: true,
+      data: extractions
+    });
+  } catch (error) {
+    console.error('Extraction listing error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.get('/novels/:novelId/extractions/:extractionId', async (req, res) => {
+  try {
+    const extraction = await entityExtraction.getExtraction(req.params.novelId, req.params.extractionId);
+    res.json({
+      success: true,
+      data: extraction
+    });
+  } catch (error) {
+    console.error('Extraction retrieval error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Apply pending operations (all, or only `accept`); operations in `reject` are discarded
+router.post('/novels/:novelId/extractions/:extractionId/apply', async (req, res) => {
+  try {
+    const { error, value } = extractionApplySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const extraction = await entityExtraction.apply(req.params.novelId, req.params.extractionId, value);
+    res.json({
+      success: true,
+      data: extraction
+    });
+  } catch (error) {
+    console.error('Extraction apply error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.post('/novels/:novelId/extractions/:extractionId/reject', async (req, res) => {
+  try {
+    const extraction = await entityExtraction.reject(req.params.novelId, req.params.extractionId);
+    res.json({
+      success: true,
+      data: extraction
+    });
+  } catch (error) {
+    console.error('Extraction reject error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Outline & Chapter Plan Routes
+ */
+
+// Get outline (acts, chapter plans and beats)
+router.get('/novels/:novelId/outline', async (req, res) => {
+  try {
+    const outline = await outlineService.getOutline(req.params.novelId);
+    res.json({
+      success: true,
+      data: outline
+    });
+  } catch (error) {
+    console.error('Outline retrieval error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Generate outline from the premise, characters and locations (replaces the current outline)
+router.post('/novels/:novelId/outline/generate', async (req, res) => {
+  try {
+    const { error, value } = outlineGenerateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const outline = await outlineService.generateOutline(req.params.novelId, value);
+    res.status(201).json({
+      success: true,
+      data: outline
+    });
+  } catch (error) {
+    console.error('Outline generation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Replace outline with an edited version
+router.put('/novels/:novelId/outline', async (req, res) => {
+  try {
+    const { error, value } = outlineSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const outline = await outlineService.replaceOutline(req.params.novelId, value);
+    res.json({
+      success: true,
+      data: outline
+    });
+  } catch (error) {
+    console.error('Outline update error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Edit (or add) one chapter plan and its beats
+router.put('/novels/:novelId/outline/chapters/:chapterNumber', async (req, res) => {
+  try {
+    const { novelId } = req.params;
+    const chapterNumber = parseInt(req.params.chapterNumber);
+    if (isNaN(chapterNumber) || chapterNumber < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'chapterNumber must be a positive integer'
+      });
+    }
+
+    const { error, value } = chapterPlanSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const outline = await outlineService.updateChapterPlan(novelId, chapterNumber, value);
+    res.json({
+      success: true,
+      data: outline.chapters.find(chapter => chapter.number === chapterNumber)
+    });
+  } catch (error) {
+    console.error('Chapter plan update error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete outline and all beats
+router.delete('/novels/:novelId/outline', async (req, res) => {
+  try {
+    const result = await outlineService.deleteOutline(req.params.novelId);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Outline deletion error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Search and Discovery Routes
+ */
+
+// Semantic search
+router.post('/novels/:novelId/search/semantic', async (req, res) => {
+  try {
+    const { novelId } = req.params;
+    const { query, options = {} } = req.body;
+    
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Query is required and must be a string'
+      });
+    }
+
+    const result = await memorySystem.semanticSearch(novelId, query, options);
+    res.json(result);
+  } catch (error) {
+    console.error('Semantic search error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Entity search
+router.get('/novels/:novelId/search/entities', async (req, res) => {
+  try {
+    const { novelId } = req.params;
+    const { q: searchText, types } = req.query;
+    
+    if (!searchText) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search text (q) is required'
+      });
+    }
+
+    const entityTypes = types ? types.split(',') : ['Character', 'Location'];
+    const result = await memorySystem.searchEntities(novelId, searchText, entityTypes);
+    res.json(result);
+  } catch (error) {
+    console.error('Entity search error:', error);
+    res.status(500).json({
       success: false,
       error: error.message
     });
@@ -402,19 +1804,55 @@ router.post('/novels/:novelId/context/:chapterNumber', async (req, res) => {
   }
 });
 
+// Debug: exact generation prompt plus what the context assembler kept, condensed or dropped
+router.post('/novels/:novelId/context/:chapterNumber/debug', async (req, res) => {
+  try {
+    const params = parseChapterParams(req, res);
+    if (!params) return;
+
+    const { error, value } = contextDebugSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const preview = await novelOrchestrator.previewGenerationPrompt(params.novelId, params.chapterNumber, value);
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    console.error('Context debug error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * World State Management Routes
  */
 
-// Get world state
+// Get world state (terbaru, atau snapshot sampai asOfChapter)
 router.get('/novels/:novelId/worldstate', async (req, res) => {
   try {
     const { novelId } = req.params;
-    const result = await memorySystem.getWorldState(novelId);
+    const { error, value } = worldStateQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = await memorySystem.getWorldState(novelId, value.asOfChapter ?? null);
     res.json(result);
   } catch (error) {
     console.error('World state retrieval error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -434,7 +1872,15 @@ router.patch('/novels/:novelId/worldstate', async (req, res) => {
       });
     }
 
-    const result = await memorySystem.updateWorldState(novelId, updates);
+    const { error, value } = worldStateUpdateQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = await memorySystem.updateWorldState(novelId, updates, value.chapterNumber ?? null);
     res.json(result);
   } catch (error) {
     console.error('World state update error:', error);
@@ -445,6 +1891,89 @@ router.patch('/novels/:novelId/worldstate', async (req, res) => {
   }
 });
 
+// Compare world state between two chapters
+router.get('/novels/:novelId/worldstate/diff', async (req, res) => {
+  try {
+    const { error, value } = worldStateDiffSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const diff = await worldStateService.diff(req.params.novelId, value.from, value.to);
+    res.json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    console.error('World state diff error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Usage & Budget Routes
+ */
+
+// Get token usage and cost for a novel
+router.get('/novels/:novelId/usage', async (req, res) => {
+  try {
+    const { novelId } = req.params;
+    const { error, value } = usageQuerySchema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const usage = await usageLedger.getNovelUsage(novelId, value);
+    res.json({
+      success: true,
+      data: usage
+    });
+  } catch (error) {
+    console.error('Novel usage retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Set monthly budget cap for a novel (null resets to AI_NOVEL_MONTHLY_BUDGET_USD)
+router.put('/novels/:novelId/usage/budget', async (req, res) => {
+  try {
+    const { novelId } = req.params;
+    const { error, value } = usageBudgetSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const monthlyBudgetUsd = await usageLedger.setNovelBudget(novelId, value.monthlyBudgetUsd);
+    res.json({
+      success: true,
+      data: { novelId, monthlyBudgetUsd }
+    });
+  } catch (error) {
+    console.error('Novel budget update error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Maintenance Routes
  */
@@ -1,12 +1,13 @@
 import { Router } from 'express';
-import { NovelOrchestrator } from '../services/orchestrator.js';
+import { novelOrchestrator as orchestrator } from '../services/orchestrator.js';
+import { openEventStream } from '../middleware/eventStream.js';
 
 const router = Router();
-const orchestrator = new NovelOrchestrator();
 
 /**
  * Endpoint Publik: /novel-generation
- * Endpoint utama yang dipicu untuk membuat bab baru
+ * Endpoint utama yang dipicu untuk membuat bab baru.
+ * Request di-enqueue sebagai job Bull dan langsung mengembalikan jobId.
  */
 router.post('/novel-generation', async (req, res) => {
   try {
@@ -19,14 +20,17 @@ router.post('/novel-generation', async (req, res) => {
     // Validasi & Keamanan
     const validatedInput = orchestrator.validateNovelGenerationRequest(req.body);
     
-    // Orkestrator Alur Kerja
-    const result = await orchestrator.orchestrateNovelGeneration(validatedInput);
+    // Antrian Generasi (diproses oleh worker orkestrator)
+    const job = await orchestrator.enqueueNovelGeneration(validatedInput);
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Novel generation completed successfully',
-      data: result.data,
-      metadata: result.metadata,
+      message: 'Novel generation queued',
+      data: {
+        jobId: String(job.id),
+        status: 'queued',
+        statusUrl: `/novel-generation/${job.id}`
+      },
       requestId: validatedInput.requestId,
       timestamp: new Date().toISOString()
     });
@@ -34,13 +38,101 @@ router.post('/novel-generation', async (req, res) => {
   } catch (error) {
     console.error('Novel generation failed:', error);
     
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message,
+      requestId: req.body.requestId || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Endpoint Publik: /novel-generation/stream
+ * Varian streaming: pipeline dijalankan langsung dan tahapannya (context, generating,
+ * evaluating, retrying, revising) serta token delta dikirim lewat Server-Sent Events
+ */
+router.post('/novel-generation/stream', async (req, res) => {
+  let validatedInput;
+
+  try {
+    validatedInput = orchestrator.validateNovelGenerationRequest(req.body);
+  } catch (error) {
+    return res.status(400).json({
       success: false,
       error: error.message,
       requestId: req.body.requestId || null,
       timestamp: new Date().toISOString()
     });
   }
+
+  console.log('Streaming novel generation request received:', {
+    novelId: validatedInput.novelId,
+    chapterNumber: validatedInput.chapterNumber,
+    timestamp: new Date().toISOString()
+  });
+
+  const stream = openEventStream(res);
+
+  try {
+    const result = await orchestrator.orchestrateNovelGeneration(validatedInput, {
+      signal: stream.signal,
+      onProgress: (progress) => stream.send('stage', progress),
+      onToken: (token) => stream.send('token', token)
+    });
+
+    stream.send('done', {
+      success: true,
+      data: result.data,
+      metadata: result.metadata,
+      requestId: validatedInput.requestId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Streaming novel generation failed:', error);
+    stream.send('error', {
+      success: false,
+      error: error.message,
+      requestId: validatedInput.requestId,
+      timestamp: new Date().toISOString()
+    });
+  } finally {
+    stream.end();
+  }
+});
+
+/**
+ * Status job generasi: state, tahap pipeline, jumlah attempt, hasil atau error
+ */
+router.get('/novel-generation/:jobId', async (req, res) => {
+  try {
+    const status = await orchestrator.getGenerationJobStatus(req.params.jobId);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: 'Generation job not found',
+        jobId: req.params.jobId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: status,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Generation job status failed:', error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      jobId: req.params.jobId,
+      timestamp: new Date().toISOString()
+    });
+  }
 });
 
 /**
@@ -93,6 +185,8 @@ router.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: [
       'POST /novel-generation',
+      'POST /novel-generation/stream',
+      'GET /novel-generation/:jobId',
       'POST /novel-upload',
       'GET /health'
     ]
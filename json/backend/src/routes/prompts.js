@@ -0,0 +1,252 @@
+import express from 'express';
+import Joi from 'joi';
+import { promptTemplateService } from '../services/promptTemplateService.js';
+import { memorySystem } from '../services/memorySystem.js';
+
+const router = express.Router();
+
+/**
+ * Validation schemas
+ */
+const templateNameSchema = Joi.string().pattern(/^[a-z0-9][a-z0-9._-]{0,63}$/i).required();
+
+const scopeQuerySchema = Joi.object({
+  novelId: Joi.string().min(3).optional()
+});
+
+const deleteQuerySchema = Joi.object({
+  novelId: Joi.string().min(3).optional(),
+  version: Joi.number().integer().min(1).optional()
+});
+
+const templateSchema = Joi.object({
+  content: Joi.string().required().min(1).max(50000),
+  description: Joi.string().optional().allow('').max(500),
+  author: Joi.string().optional().max(100),
+  novelId: Joi.string().min(3).optional()
+});
+
+const renderSchema = Joi.object({
+  variables: Joi.object().default({}),
+  novelId: Joi.string().min(3).optional(),
+  version: Joi.number().integer().min(1).optional()
+});
+
+const previewSchema = Joi.object({
+  content: Joi.string().required().min(1).max(50000),
+  variables: Joi.object().default({}),
+  novelId: Joi.string().min(3).optional()
+});
+
+function validate(schema, payload, res) {
+  const { error, value } = schema.validate(payload);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return null;
+  }
+  return value;
+}
+
+function validateName(req, res) {
+  const { error, value } = templateNameSchema.validate(req.params.name);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Template name must be 1-64 characters of letters, numbers, ".", "_" or "-"'
+    });
+    return null;
+  }
+  return value;
+}
+
+/**
+ * List templates (bawaan, global, dan override novel jika ?novelId=)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const query = validate(scopeQuerySchema, req.query, res);
+    if (!query) return;
+
+    const templates = await promptTemplateService.listTemplates(query);
+    res.json({
+      success: true,
+      data: templates,
+      count: templates.length
+    });
+  } catch (error) {
+    console.error('Prompt template list error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Preview content yang belum disimpan
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const value = validate(previewSchema, req.body, res);
+    if (!value) return;
+
+    const result = await promptTemplateService.preview(value.content, value.variables, { novelId: value.novelId });
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Prompt template preview error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Template efektif + riwayat versi pada scope-nya
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const name = validateName(req, res);
+    if (!name) return;
+    const query = validate(scopeQuerySchema, req.query, res);
+    if (!query) return;
+
+    const template = await promptTemplateService.getTemplate(name, query);
+    const versions = template.scope === 'builtin'
+      ? []
+      : await promptTemplateService.getVersions(name, { novelId: template.novelId });
+
+    res.json({
+      success: true,
+      data: {
+        ...template,
+        versions: versions.map(({ content, ...meta }) => meta)
+      }
+    });
+  } catch (error) {
+    console.error('Prompt template retrieval error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Versi tertentu
+ */
+router.get('/:name/versions/:version', async (req, res) => {
+  try {
+    const name = validateName(req, res);
+    if (!name) return;
+    const query = validate(scopeQuerySchema, req.query, res);
+    if (!query) return;
+
+    const version = parseInt(req.params.version);
+    if (isNaN(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be a positive integer'
+      });
+    }
+
+    const template = await promptTemplateService.getTemplate(name, { ...query, version });
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Prompt template version retrieval error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Simpan versi baru (global, atau override per novel jika body.novelId)
+ */
+router.post('/:name', async (req, res) => {
+  try {
+    const name = validateName(req, res);
+    if (!name) return;
+    const value = validate(templateSchema, req.body, res);
+    if (!value) return;
+    if (value.novelId) {
+      await memorySystem.assertNovelNotDeleted(value.novelId);
+    }
+
+    const template = await promptTemplateService.saveTemplate(name, value);
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: `Prompt template ${name} v${template.version} saved`
+    });
+  } catch (error) {
+    console.error('Prompt template save error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Hapus versi (?version=) atau seluruh template pada scope (?novelId= untuk override)
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    const name = validateName(req, res);
+    if (!name) return;
+    const query = validate(deleteQuerySchema, req.query, res);
+    if (!query) return;
+
+    const result = await promptTemplateService.deleteTemplate(name, query);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Prompt template delete error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Render template tersimpan dengan variabel
+ */
+router.post('/:name/render', async (req, res) => {
+  try {
+    const name = validateName(req, res);
+    if (!name) return;
+    const value = validate(renderSchema, req.body, res);
+    if (!value) return;
+
+    const result = await promptTemplateService.render(name, value.variables, {
+      novelId: value.novelId,
+      version: value.version
+    });
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Prompt template render error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
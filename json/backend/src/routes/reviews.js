@@ -0,0 +1,237 @@
+import express from 'express';
+import Joi from 'joi';
+import { reviewQueue, REVIEW_STATUSES } from '../services/reviewQueue.js';
+import { memorySystem } from '../services/memorySystem.js';
+import { GENERATION_ENGINES } from '../services/orchestrator.js';
+
+const router = express.Router();
+
+/**
+ * Validation schemas
+ */
+const listQuerySchema = Joi.object({
+  status: Joi.string().valid(...REVIEW_STATUSES, 'all').default('pending')
+});
+
+const editSchema = Joi.object({
+  content: Joi.string().required().min(1).max(200000),
+  reviewer: Joi.string().optional().max(100),
+  notes: Joi.string().optional().allow('').max(2000)
+});
+
+const approveSchema = Joi.object({
+  content: Joi.string().optional().min(1).max(200000),
+  reviewer: Joi.string().optional().max(100),
+  notes: Joi.string().optional().allow('').max(2000)
+});
+
+const rejectSchema = Joi.object({
+  reason: Joi.string().required().min(1).max(2000),
+  reviewer: Joi.string().optional().max(100)
+});
+
+const regenerateSchema = Joi.object({
+  notes: Joi.string().required().min(1).max(2000),
+  reviewer: Joi.string().optional().max(100),
+  focusElements: Joi.string().optional().max(2000),
+  stylePreference: Joi.string().optional().max(100),
+  mood: Joi.string().optional().max(100),
+  callbackUrl: Joi.string().uri().optional(),
+  engine: Joi.string().valid(...GENERATION_ENGINES).optional(),
+  model: Joi.string().optional().max(100)
+});
+
+function validate(schema, payload, res) {
+  const { error, value } = schema.validate(payload);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+    return null;
+  }
+  return value;
+}
+
+function validateChapterNumber(req, res) {
+  const chapterNumber = parseInt(req.params.chapterNumber);
+  if (isNaN(chapterNumber) || chapterNumber < 1) {
+    res.status(400).json({
+      success: false,
+      error: 'chapterNumber must be a positive integer'
+    });
+    return null;
+  }
+  return chapterNumber;
+}
+
+/**
+ * Novel yang di-soft-delete tidak bisa di-review (404)
+ */
+router.param('novelId', async (req, res, next, novelId) => {
+  try {
+    await memorySystem.assertNovelNotDeleted(novelId);
+    next();
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Daftar intervensi per novel (default: pending)
+ */
+router.get('/:novelId', async (req, res) => {
+  try {
+    const query = validate(listQuerySchema, req.query, res);
+    if (!query) return;
+
+    const reviews = await reviewQueue.listReviews(req.params.novelId, query);
+    res.json({
+      success: true,
+      data: reviews,
+      count: reviews.length
+    });
+  } catch (error) {
+    console.error('Review list error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Draft, skor, critical issues dan riwayat review
+ */
+router.get('/:novelId/:chapterNumber', async (req, res) => {
+  try {
+    const chapterNumber = validateChapterNumber(req, res);
+    if (!chapterNumber) return;
+
+    const review = await reviewQueue.getReview(req.params.novelId, chapterNumber);
+    res.json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    console.error('Review retrieval error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Simpan versi editan (belum di-approve)
+ */
+router.put('/:novelId/:chapterNumber', async (req, res) => {
+  try {
+    const chapterNumber = validateChapterNumber(req, res);
+    if (!chapterNumber) return;
+    const value = validate(editSchema, req.body, res);
+    if (!value) return;
+
+    const review = await reviewQueue.saveEdit(req.params.novelId, chapterNumber, value);
+    res.json({
+      success: true,
+      data: review,
+      message: `Edited draft saved for chapter ${chapterNumber}`
+    });
+  } catch (error) {
+    console.error('Review edit error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Approve draft (atau content editan) → memorySystem.addChapter + callback
+ */
+router.post('/:novelId/:chapterNumber/approve', async (req, res) => {
+  try {
+    const chapterNumber = validateChapterNumber(req, res);
+    if (!chapterNumber) return;
+    const value = validate(approveSchema, req.body, res);
+    if (!value) return;
+
+    const review = await reviewQueue.approve(req.params.novelId, chapterNumber, value);
+    res.json({
+      success: true,
+      data: review,
+      message: `Chapter ${chapterNumber} approved`
+    });
+  } catch (error) {
+    console.error('Review approve error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.post('/:novelId/:chapterNumber/reject', async (req, res) => {
+  try {
+    const chapterNumber = validateChapterNumber(req, res);
+    if (!chapterNumber) return;
+    const value = validate(rejectSchema, req.body, res);
+    if (!value) return;
+
+    const review = await reviewQueue.reject(req.params.novelId, chapterNumber, value);
+    res.json({
+      success: true,
+      data: review,
+      message: `Chapter ${chapterNumber} rejected`
+    });
+  } catch (error) {
+    console.error('Review reject error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Generate ulang dengan catatan reviewer (job baru, 202)
+ */
+router.post('/:novelId/:chapterNumber/regenerate', async (req, res) => {
+  try {
+    const chapterNumber = validateChapterNumber(req, res);
+    if (!chapterNumber) return;
+    const value = validate(regenerateSchema, req.body, res);
+    if (!value) return;
+
+    const { review, jobId } = await reviewQueue.regenerate(req.params.novelId, chapterNumber, value);
+    res.status(202).json({
+      success: true,
+      message: 'Chapter regeneration queued',
+      data: {
+        review,
+        jobId,
+        status: 'queued',
+        statusUrl: `/novel-generation/${jobId}`
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Review regenerate error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+export default router;
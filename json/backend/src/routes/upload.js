@@ -4,6 +4,7 @@ import path from 'path';
 import fetch from 'node-fetch';
 import { extractTextFromFile } from '../services/loader.js';
 import { chunkByTiktoken } from '../services/chunker.js';
+import { memorySystem } from '../services/memorySystem.js';
 
 const router = Router();
 
@@ -38,6 +39,7 @@ router.post('/', upload.single('file'), async (req, res) => {
 
     const { novelId = 'novel-1', namespace, chunkSize = '800', chunkOverlap = '200', metadataJson } = req.body;
     const ns = namespace || `novel-${novelId}`;
+    await memorySystem.assertNovelNotDeleted(novelId);
 
     const rawText = await extractTextFromFile(req.file.path);
     const chunks = chunkByTiktoken(rawText, {
@@ -90,7 +92,7 @@ router.post('/', upload.single('file'), async (req, res) => {
     return res.json({ status: 'forwarded', n8n: json, chunks: chunks.length, namespace: ns });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: 'upload_failed', message: err.message });
+    res.status(err.statusCode || 500).json({ error: 'upload_failed', message: err.message });
   }
 });
 
@@ -1,4 +1,45 @@
 import axios from 'axios';
+import { mockGenerate, mockEvaluate, mockEmbed, mockStructured } from './mockProvider.js';
+import { CircuitBreaker } from './circuitBreaker.js';
+import { usageLedger } from './usageLedger.js';
+import { buildSchemaInstruction, parseStructuredOutput } from './structuredOutput.js';
+import { promptTemplateService } from './promptTemplateService.js';
+import { getRubric, listRubrics, rubricFromCriteria, weightedScore } from './evaluationRubrics.js';
+
+const EVALUATION_SYSTEM_PROMPT = 'You are a strict literary editor who evaluates fiction and reports scores as JSON.';
+
+// API key env var per generation provider (fallback chain skips unconfigured ones)
+const PROVIDER_API_KEYS = {
+  openai: 'OPENAI_API_KEY',
+  gemini: 'GEMINI_API_KEY',
+  anthropic: 'ANTHROPIC_API_KEY',
+  deepseek: 'DEEPSEEK_API_KEY',
+  openrouter: 'OPENROUTER_API_KEY'
+};
+
+// Context window (token) per provider untuk model default-nya; override lewat AI_CONTEXT_WINDOWS
+const DEFAULT_CONTEXT_WINDOWS = {
+  openai: 8192,
+  gemini: 1000000,
+  anthropic: 200000,
+  deepseek: 64000,
+  openrouter: 128000,
+  mock: 8192
+};
+
+// Provider types that can be registered through AI_CUSTOM_PROVIDERS
+const CUSTOM_PROVIDER_TYPES = ['openai-compatible', 'ollama'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Jumlahkan usage mentah provider (field numerik) untuk output yang dilanjutkan
+function sumUsage(a = {}, b = {}) {
+  const total = { ...a };
+  for (const [key, value] of Object.entries(b || {})) {
+    if (typeof value === 'number') total[key] = (typeof total[key] === 'number' ? total[key] : 0) + value;
+  }
+  return total;
+}
 
 /**
  * AI Model Service - Layanan Model AI (Para Pekerja Kreatif)
@@ -6,6 +47,36 @@ import axios from 'axios';
  */
 class AIModelService {
   constructor() {
+    // AI_MOCK_PROVIDER=true routes every call to the deterministic mock provider
+    this.mockEnabled = process.env.AI_MOCK_PROVIDER === 'true';
+
+    // Ordered fallback chain, e.g. AI_FALLBACK_CHAIN=anthropic,openrouter,deepseek
+    this.fallbackChain = (process.env.AI_FALLBACK_CHAIN || '')
+      .split(',')
+      .map(provider => provider.trim().toLowerCase())
+      .filter(Boolean);
+
+    this.retryOptions = {
+      maxRetries: process.env.AI_RETRY_MAX !== undefined ? parseInt(process.env.AI_RETRY_MAX) || 0 : 2,
+      baseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS) || 1000,
+      maxDelayMs: parseInt(process.env.AI_RETRY_MAX_DELAY_MS) || 30000
+    };
+
+    // Output terpotong (finishReason length / MAX_TOKENS / max_tokens) dilanjutkan otomatis, maksimal N kali
+    this.maxContinuations = process.env.AI_MAX_CONTINUATIONS !== undefined
+      ? parseInt(process.env.AI_MAX_CONTINUATIONS) || 0
+      : 2;
+
+    this.circuitOptions = {
+      failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 3,
+      cooldownMs: parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS) || 60000
+    };
+    this.circuitBreakers = {};
+
+    // Evaluation judge default and multi-judge disagreement threshold (score points, 0-100)
+    this.defaultEvaluationModel = process.env.AI_DEFAULT_EVALUATION_MODEL || 'openai';
+    this.disagreementThreshold = parseFloat(process.env.AI_EVALUATION_DISAGREEMENT_THRESHOLD) || 20;
+
     this.models = {
       generation: {
         openai: {
@@ -17,6 +88,7 @@ class AIModelService {
         },
         gemini: {
           endpoint: `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:generateContent?key=${process.env.GEMINI_API_KEY}`,
+          streamEndpoint: `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:streamGenerateContent?alt=sse&key=${process.env.GEMINI_API_KEY}`,
           headers: {
             'Content-Type': 'application/json'
           }
@@ -69,93 +141,506 @@ class AIModelService {
         }
       }
     };
+
+    // Self-hosted / OpenAI-compatible providers registered by config
+    this.modelDiscoveryTtlMs = parseInt(process.env.AI_MODEL_DISCOVERY_TTL_MS) || 300000;
+    this.discoveredModels = {};
+    this._registerCustomProviders();
+    this.contextWindows = this._parseContextWindows();
+  }
+
+  _parseContextWindows() {
+    if (!process.env.AI_CONTEXT_WINDOWS) return {};
+
+    try {
+      return JSON.parse(process.env.AI_CONTEXT_WINDOWS);
+    } catch (error) {
+      console.warn('⚠️ Invalid AI_CONTEXT_WINDOWS, using default context windows:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Context window (token) provider: AI_CONTEXT_WINDOWS, contextWindow provider custom, lalu default
+   * @param {string} model - Model provider (openai, gemini, ..., mock atau provider custom)
+   * @returns {number}
+   */
+  getContextWindow(model = 'openai') {
+    const name = String(model).toLowerCase();
+    return parseInt(this.contextWindows[name])
+      || this.models.generation[name]?.contextWindow
+      || DEFAULT_CONTEXT_WINDOWS[name]
+      || DEFAULT_CONTEXT_WINDOWS.openai;
   }
 
   /**
    * Generate text using specified AI model
    * @param {Object} params - Generation parameters
-   * @param {string} params.prompt - The prompt for generation
-   * @param {string} params.model - Model provider (openai, gemini, anthropic, deepseek, openrouter)
+   * @param {string} params.prompt - The prompt for generation (optional when messages are given)
+   * @param {Array} params.messages - Chat turns [{ role: 'user'|'assistant'|'system', content }], prompt is appended as the last user turn
+   * @param {string} params.system - System prompt / persona
+   * @param {string} params.model - Model provider (openai, gemini, anthropic, deepseek, openrouter, mock)
    * @param {Object} params.options - Model-specific options
-   * @returns {Promise<Object>} Generated text and metadata
+   * @param {Object} params.options.responseSchema - JSON Schema or Joi schema; output is parsed, validated and returned as `data`
+   * @param {number} params.options.maxContinuations - Continuation calls for truncated output (default AI_MAX_CONTINUATIONS, 0 = off)
+   * @param {Object} params.usageTags - Usage ledger tags { novelId, chapterNumber, requestId, operation }
+   * @returns {Promise<Object>} Generated text and metadata (`continuations`, `truncated` for plain text)
    */
   async generateText(params) {
-    const { prompt, model = 'openai', options = {} } = params;
-    
-    try {
-      switch (model.toLowerCase()) {
-        case 'openai':
-          return await this._generateOpenAI(prompt, options);
-        case 'gemini':
-          return await this._generateGemini(prompt, options);
-        case 'anthropic':
-          return await this._generateAnthropic(prompt, options);
-        case 'deepseek':
-          return await this._generateDeepSeek(prompt, options);
-        case 'openrouter':
-          return await this._generateOpenRouter(prompt, options);
-        default:
-          throw new Error(`Unsupported generation model: ${model}`);
-      }
-    } catch (error) {
-      console.error(`Generation error with ${model}:`, error.message);
+    const { model = 'openai', options = {}, usageTags = {} } = params;
+    const conversation = this._buildConversation(params);
+
+    if (options.responseSchema) {
+      return await this._generateStructured(model, conversation, options, usageTags);
+    }
+
+    return await this._generateWithContinuation(model, conversation, options, usageTags);
+  }
+
+  _isTruncated(finishReason) {
+    return ['length', 'max_tokens'].includes(String(finishReason || '').toLowerCase());
+  }
+
+  /**
+   * Output terpotong karena maxTokens: kirim ulang percakapan + teks sejauh ini sebagai giliran assistant
+   * dan minta model melanjutkan; hasilnya disambung. Structured output tidak dilanjutkan (JSON di-retry).
+   */
+  async _generateWithContinuation(model, conversation, options, usageTags) {
+    const maxContinuations = options.maxContinuations ?? this.maxContinuations;
+    let result = await this._generateWithFallback(model, conversation, options, usageTags);
+    let content = result.content;
+    let usage = result.usage;
+    let costUsd = result.costUsd || 0;
+    let continuations = 0;
+
+    // Spasi di sambungan jika teks sebelumnya dan lanjutannya sama-sama tidak diawali/diakhiri whitespace
+    const seam = (next) => (/\s$/.test(content) || /^\s/.test(next) ? '' : ' ');
+
+    while (this._isTruncated(result.finishReason) && continuations < maxContinuations) {
+      continuations++;
+      console.log(`✂️ Output truncated (${result.finishReason}), continuing ${continuations}/${maxContinuations}`);
+
+      // Streaming: sambungan dikirim sebelum delta pertama lanjutan
+      let seamSent = false;
+      const continuationOptions = options.onToken
+        ? {
+            ...options,
+            onToken: (delta) => {
+              if (!seamSent && delta) {
+                seamSent = true;
+                if (seam(delta)) options.onToken(seam(delta));
+              }
+              options.onToken(delta);
+            }
+          }
+        : options;
+
+      result = await this._generateWithFallback(model, {
+        system: conversation.system,
+        messages: [
+          ...conversation.messages,
+          { role: 'assistant', content },
+          {
+            role: 'user',
+            content: 'Your previous response was cut off. Continue exactly where it stopped, without repeating any text and without commentary.'
+          }
+        ]
+      }, continuationOptions, usageTags);
+
+      content = `${content}${seam(result.content)}${result.content}`;
+      usage = sumUsage(usage, result.usage);
+      costUsd += result.costUsd || 0;
+    }
+
+    return {
+      ...result,
+      content,
+      usage,
+      costUsd,
+      continuations,
+      truncated: this._isTruncated(result.finishReason)
+    };
+  }
+
+  /**
+   * Minta output JSON, validasi dengan Joi, retry sekali dengan pesan error jika tidak valid
+   */
+  async _generateStructured(model, conversation, options, usageTags) {
+    const { responseSchema } = options;
+
+    if (options.onToken) {
+      const error = new Error('responseSchema cannot be combined with streaming');
+      error.statusCode = 400;
       throw error;
     }
+
+    const structuredConversation = {
+      system: [conversation.system, buildSchemaInstruction(responseSchema)].filter(Boolean).join('\n\n'),
+      messages: conversation.messages
+    };
+
+    let result = await this._generateWithFallback(model, structuredConversation, options, usageTags);
+    let parsed = parseStructuredOutput(result.content, responseSchema);
+    let structuredAttempts = 1;
+
+    if (parsed.error) {
+      console.warn(`⚠️ Structured output rejected (${parsed.error}), retrying once`);
+      structuredAttempts++;
+
+      result = await this._generateWithFallback(model, {
+        system: structuredConversation.system,
+        messages: [
+          ...structuredConversation.messages,
+          { role: 'assistant', content: result.content },
+          {
+            role: 'user',
+            content: `Your previous response did not match the required schema: ${parsed.error}. Respond again with only the corrected JSON.`
+          }
+        ]
+      }, options, usageTags);
+      parsed = parseStructuredOutput(result.content, responseSchema);
+    }
+
+    if (parsed.error) {
+      const error = new Error(`Model output did not match responseSchema after retry: ${parsed.error}`);
+      error.statusCode = 502;
+      error.code = 'INVALID_STRUCTURED_OUTPUT';
+      error.rawContent = result.content;
+      throw error;
+    }
+
+    return { ...result, data: parsed.value, structuredAttempts };
+  }
+
+  async _generateWithFallback(model, conversation, options = {}, usageTags = {}) {
+    const primary = this._resolveProvider(model);
+
+    if (!this._isSupportedProvider(primary)) {
+      throw new Error(`Unsupported generation model: ${model}`);
+    }
+
+    await usageLedger.assertWithinBudget(usageTags);
+
+    const chain = this._buildProviderChain(primary, options);
+    const attempts = [];
+    let lastError = null;
+
+    for (const provider of chain) {
+      const breaker = this._getCircuitBreaker(provider);
+
+      if (!breaker.canRequest()) {
+        const reason = breaker.state === 'half-open' ? 'circuit half-open, trial request in progress' : 'circuit open';
+        attempts.push({ provider, skipped: true, reason });
+        continue;
+      }
+
+      // options.model names a model of the requested provider, fallbacks use their own default
+      const providerOptions = provider === primary ? { ...options } : { ...options, model: undefined };
+
+      // Once tokens reached the client a stream can't be restarted on another provider
+      let streamed = false;
+      if (options.onToken) {
+        providerOptions.onToken = (delta) => {
+          streamed = true;
+          options.onToken(delta);
+        };
+      }
+
+      try {
+        const result = await this._withRetry(
+          () => this._generateWithProvider(provider, conversation, providerOptions),
+          { provider, signal: options.signal, canRetry: () => !streamed }
+        );
+
+        breaker.recordSuccess();
+        attempts.push({ provider, success: true });
+
+        if (provider !== primary) {
+          console.log(`↪️ Generation served by fallback provider ${provider} (requested ${primary})`);
+        }
+
+        const usageEntry = await usageLedger.record({
+          provider,
+          model: result.model,
+          usage: result.usage,
+          prompt: this._conversationText(conversation),
+          content: result.content,
+          tags: usageTags
+        });
+
+        return {
+          ...result,
+          provider,
+          fallbackUsed: provider !== primary,
+          attempts,
+          costUsd: usageEntry.costUsd
+        };
+      } catch (error) {
+        console.error(`Generation error with ${provider}:`, error.message);
+        lastError = error;
+
+        if (options.signal?.aborted) {
+          breaker.releaseTrial();
+          throw error;
+        }
+
+        attempts.push({ provider, success: false, status: error.response?.status || null, error: error.message });
+
+        // 4xx selain 429 (bad request, content policy): kesalahan request, bukan provider.
+        // Circuit tidak disentuh dan request tidak dikirim ulang ke provider lain
+        if (error.response?.status && !this._isRetryableError(error)) {
+          breaker.releaseTrial();
+          error.statusCode = error.statusCode || error.response.status;
+          error.attempts = attempts;
+          throw error;
+        }
+
+        if (this._isRetryableError(error)) {
+          breaker.recordFailure(error);
+        } else {
+          breaker.releaseTrial();
+        }
+
+        if (streamed) throw error;
+      }
+    }
+
+    const summary = attempts
+      .map(attempt => `${attempt.provider} (${attempt.reason || attempt.error})`)
+      .join(', ');
+    const error = new Error(`All generation providers failed: ${summary}`);
+    error.attempts = attempts;
+    error.cause = lastError;
+    throw error;
   }
 
   /**
-   * Evaluate generated text quality
+   * Health status per provider: configured flag and circuit breaker state
+   */
+  getProviderHealth() {
+    const providers = {};
+
+    for (const provider of Object.keys(this.models.generation)) {
+      providers[provider] = {
+        configured: this._isProviderConfigured(provider),
+        inFallbackChain: this.fallbackChain.includes(provider),
+        circuit: this._getCircuitBreaker(provider).getStatus()
+      };
+    }
+
+    return {
+      fallbackChain: this.fallbackChain,
+      retry: this.retryOptions,
+      providers
+    };
+  }
+
+  /**
+   * Generate text and stream token deltas as they arrive
+   * @param {Object} params - Same as generateText
+   * @param {Function} params.onToken - Called with each text delta
+   * @param {AbortSignal} params.signal - Optional signal to cancel the upstream request
+   * @returns {Promise<Object>} Full generated text and metadata once the stream ends
+   */
+  async streamText(params) {
+    const { onToken, signal, options = {}, ...rest } = params;
+
+    if (typeof onToken !== 'function') {
+      throw new Error('onToken callback is required for streaming');
+    }
+
+    return await this.generateText({
+      ...rest,
+      options: { ...options, onToken, signal }
+    });
+  }
+
+  /**
+   * Evaluate generated text quality against a rubric
    * @param {Object} params - Evaluation parameters
    * @param {string} params.text - Text to evaluate
-   * @param {Array} params.criteria - Evaluation criteria
-   * @param {string} params.model - Model provider for evaluation
-   * @returns {Promise<Object>} Evaluation scores and feedback
+   * @param {string} params.rubric - Rubric id (default: general)
+   * @param {Array} params.criteria - Ad-hoc criteria with equal weights, used when no rubric is given
+   * @param {string} params.model - Judge provider (any configured generation provider)
+   * @param {Array} params.judges - Optional multi-judge mode: providers whose scores are averaged
+   * @param {Object} params.usageTags - Usage ledger tags { novelId, chapterNumber, requestId }
+   * @returns {Promise<Object>} Evaluation scores, rationales and feedback
    */
   async evaluateText(params) {
-    const { text, criteria = [], model = 'openai' } = params;
-    
-    const evaluationPrompt = this._buildEvaluationPrompt(text, criteria);
-    
-    try {
-      const response = await this._generateOpenAI(evaluationPrompt, {
-        temperature: 0.2,
-        maxTokens: 1000
+    const {
+      text,
+      criteria = [],
+      rubric: rubricId,
+      model = this.defaultEvaluationModel,
+      judges = [],
+      usageTags = {}
+    } = params;
+
+    const rubric = !rubricId && criteria.length > 0 ? rubricFromCriteria(criteria) : getRubric(rubricId);
+    const { text: evaluationPrompt, template } = await promptTemplateService.render(
+      'text-evaluation',
+      {
+        text,
+        rubric: { id: rubric.id, name: rubric.name, passThreshold: rubric.passThreshold },
+        criteria: rubric.criteria,
+        criteriaNames: rubric.criteria.map(criterion => criterion.id).join(', ')
+      },
+      { novelId: usageTags.novelId }
+    );
+    const responseSchema = this._buildEvaluationSchema(rubric);
+    const judgeModels = judges.length > 0 ? [...new Set(judges)] : [model];
+
+    const settled = await Promise.allSettled(judgeModels.map(judge => this._runJudge(judge, {
+      text,
+      rubric,
+      evaluationPrompt,
+      responseSchema,
+      usageTags
+    })));
+
+    const verdicts = settled.filter(result => result.status === 'fulfilled').map(result => result.value);
+    const failedJudges = settled
+      .map((result, index) => result.status === 'rejected'
+        ? { model: judgeModels[index], error: result.reason.message }
+        : null)
+      .filter(Boolean);
+
+    if (verdicts.length === 0) {
+      console.error('Evaluation error:', failedJudges.map(judge => `${judge.model}: ${judge.error}`).join('; '));
+      throw settled[0].reason;
+    }
+
+    if (failedJudges.length > 0) {
+      console.warn(`⚠️ ${failedJudges.length} evaluation judge(s) failed, using ${verdicts.length} verdict(s)`);
+    }
+
+    return {
+      success: true,
+      evaluation: this._combineVerdicts(rubric, verdicts, text),
+      metadata: {
+        model,
+        provider: verdicts[0].provider,
+        judges: verdicts.map(verdict => verdict.provider),
+        failedJudges,
+        rubric: rubric.id,
+        criteria: rubric.criteria.map(criterion => criterion.id),
+        promptTemplate: template,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Satu judge: evaluasi terstruktur lewat provider apa pun (fallback chain ikut berlaku)
+   */
+  async _runJudge(model, { text, rubric, evaluationPrompt, responseSchema, usageTags }) {
+    const evaluationTags = { ...usageTags, operation: 'evaluation' };
+
+    if (this._resolveProvider(model) === 'mock') {
+      const content = mockEvaluate(text, rubric.criteria.map(criterion => criterion.id));
+      await usageLedger.record({
+        provider: 'mock',
+        model: 'mock-1',
+        prompt: evaluationPrompt,
+        content,
+        tags: evaluationTags
       });
+      return { provider: 'mock', model: 'mock-1', ...parseStructuredOutput(content, responseSchema).value };
+    }
 
-      // Parse evaluation response
-      const evaluation = this._parseEvaluationResponse(response.content);
-      
-      return {
-        success: true,
-        evaluation,
-        metadata: {
-          model: model,
-          criteria: criteria,
-          timestamp: new Date().toISOString()
-        }
+    const response = await this.generateText({
+      system: EVALUATION_SYSTEM_PROMPT,
+      prompt: evaluationPrompt,
+      model,
+      options: { temperature: 0.2, maxTokens: 1500, responseSchema },
+      usageTags: evaluationTags
+    });
+
+    // Structured output is already parsed and schema-validated
+    return { provider: response.provider, model: response.model, ...response.data };
+  }
+
+  /**
+   * Gabungkan verdict judge: rata-rata skor per kriteria, skor total berbobot,
+   * dan (multi-judge) selisih skor antar judge sebagai ukuran disagreement
+   */
+  _combineVerdicts(rubric, verdicts, text = '') {
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+    const unique = (lists) => [...new Set(lists.flat().filter(Boolean))];
+    const multiJudge = verdicts.length > 1;
+
+    const scores = {};
+    const rationales = {};
+    const spreads = {};
+
+    for (const { id } of rubric.criteria) {
+      const values = verdicts.map(verdict => Number(verdict.scores?.[id]) || 0);
+      scores[id] = Math.round(average(values));
+      spreads[id] = Math.max(...values) - Math.min(...values);
+      rationales[id] = multiJudge
+        ? verdicts.map(verdict => `[${verdict.provider}] ${verdict.rationales?.[id] || ''}`).join('\n')
+        : verdicts[0].rationales?.[id] || '';
+    }
+
+    const totalScore = weightedScore(rubric, scores);
+    const evaluation = {
+      rubric: { id: rubric.id, name: rubric.name, passThreshold: rubric.passThreshold },
+      scores,
+      rationales,
+      totalScore,
+      passed: totalScore >= rubric.passThreshold,
+      overallScore: Math.round(average(verdicts.map(verdict => Number(verdict.overallScore) || 0))),
+      feedback: {
+        strengths: unique(verdicts.map(verdict => verdict.feedback?.strengths || [])),
+        improvements: unique(verdicts.map(verdict => verdict.feedback?.improvements || [])),
+        summary: verdicts.map(verdict => verdict.feedback?.summary).filter(Boolean).join('\n')
+      },
+      criticalIssues: unique(verdicts.map(verdict => verdict.criticalIssues || [])),
+      wordCount: verdicts[0].wordCount ?? text.split(/\s+/).filter(Boolean).length,
+      readabilityLevel: verdicts[0].readabilityLevel || 'intermediate'
+    };
+
+    if (multiJudge) {
+      const judgeTotals = verdicts.map(verdict => weightedScore(rubric, verdict.scores || {}));
+      const maxSpread = Math.max(...Object.values(spreads), Math.max(...judgeTotals) - Math.min(...judgeTotals));
+
+      evaluation.judges = verdicts.map((verdict, index) => ({
+        provider: verdict.provider,
+        model: verdict.model,
+        scores: verdict.scores,
+        totalScore: judgeTotals[index],
+        passed: judgeTotals[index] >= rubric.passThreshold
+      }));
+      evaluation.disagreement = {
+        criteria: spreads,
+        totalScoreSpread: Math.max(...judgeTotals) - Math.min(...judgeTotals),
+        maxSpread,
+        threshold: this.disagreementThreshold,
+        flagged: maxSpread > this.disagreementThreshold
       };
-    } catch (error) {
-      console.error('Evaluation error:', error.message);
-      throw error;
     }
+
+    return evaluation;
   }
 
   /**
    * Generate embeddings for text
    * @param {Object} params - Embedding parameters
    * @param {string|Array} params.text - Text or array of texts to embed
-   * @param {string} params.model - Embedding model (openai, custom)
+   * @param {string} params.model - Embedding model (openai, custom, mock)
    * @returns {Promise<Object>} Embeddings and metadata
    */
   async generateEmbeddings(params) {
     const { text, model = 'custom' } = params;
     
     try {
-      switch (model.toLowerCase()) {
+      switch (this._resolveProvider(model)) {
         case 'openai':
           return await this._embedOpenAI(text);
         case 'custom':
           return await this._embedCustom(text);
+        case 'mock':
+          return mockEmbed(Array.isArray(text) ? text : [text]);
         default:
           throw new Error(`Unsupported embedding model: ${model}`);
       }
@@ -167,10 +652,12 @@ class AIModelService {
 
   /**
    * Get available models and their capabilities
-   * @returns {Object} Available models information
+   * @param {Object} params
+   * @param {boolean} params.refresh - Re-query /models on custom providers instead of using the cache
+   * @returns {Promise<Object>} Available models information
    */
-  getAvailableModels() {
-    return {
+  async getAvailableModels({ refresh = false } = {}) {
+    const available = {
       generation: {
         openai: {
           models: ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo'],
@@ -201,13 +688,12 @@ class AIModelService {
           capabilities: ['text-generation', 'conversation', 'coding', 'multilingual'],
           maxTokens: 128000,
           supportedLanguages: ['en', 'id', 'multiple']
-        }
-      },
-      evaluation: {
-        openai: {
-          models: ['gpt-4', 'gpt-3.5-turbo'],
-          capabilities: ['quality-assessment', 'content-analysis'],
-          criteria: ['coherence', 'creativity', 'grammar', 'style', 'engagement']
+        },
+        mock: {
+          models: ['mock-1'],
+          capabilities: ['text-generation', 'deterministic', 'offline'],
+          maxTokens: 800,
+          supportedLanguages: ['id']
         }
       },
       embedding: {
@@ -220,18 +706,308 @@ class AIModelService {
           models: ['multilingual-e5-large'],
           dimensions: [1024],
           capabilities: ['multilingual', 'semantic-search']
+        },
+        mock: {
+          models: ['mock-embedding'],
+          dimensions: [parseInt(process.env.EMBEDDING_DIM) || 1024],
+          capabilities: ['deterministic', 'offline']
         }
       }
     };
+
+    const customProviders = Object.entries(this.models.generation).filter(([, config]) => config.custom);
+    const discovered = await Promise.all(
+      customProviders.map(([name]) => this.discoverModels(name, { refresh }))
+    );
+
+    customProviders.forEach(([name, config], index) => {
+      available.generation[name] = {
+        type: config.type,
+        baseUrl: config.baseUrl,
+        defaultModel: config.defaultModel,
+        ...discovered[index],
+        capabilities: config.capabilities,
+        maxTokens: config.maxTokens,
+        supportedLanguages: config.supportedLanguages
+      };
+    });
+
+    for (const [name, info] of Object.entries(available.generation)) {
+      info.contextWindow = this.getContextWindow(name);
+    }
+
+    // Setiap provider generasi bisa menjadi judge evaluasi
+    const rubrics = listRubrics().map(rubric => rubric.id);
+    available.evaluation = Object.fromEntries(
+      Object.entries(available.generation).map(([name, info]) => [name, {
+        models: info.models,
+        capabilities: ['quality-assessment', 'content-analysis', 'rationales'],
+        rubrics
+      }])
+    );
+
+    return available;
+  }
+
+  /**
+   * Model list dari server provider custom: GET {baseUrl}/models (OpenAI-compatible)
+   * atau GET {baseUrl}/api/tags (Ollama). Di-cache selama AI_MODEL_DISCOVERY_TTL_MS;
+   * jika server tidak bisa dihubungi, pakai daftar models dari config.
+   */
+  async discoverModels(name, { refresh = false } = {}) {
+    const config = this.models.generation[name];
+    const cached = this.discoveredModels[name];
+
+    if (!refresh && cached && Date.now() - cached.fetchedAt < this.modelDiscoveryTtlMs) {
+      return cached.result;
+    }
+
+    let result;
+    try {
+      const response = config.type === 'ollama'
+        ? await axios.get(`${config.baseUrl}/api/tags`, { headers: config.headers, timeout: 5000 })
+        : await axios.get(`${config.baseUrl}/models`, { headers: config.headers, timeout: 5000 });
+
+      const models = config.type === 'ollama'
+        ? (response.data.models || []).map(model => model.name)
+        : (response.data.data || []).map(model => model.id);
+
+      result = { models, modelSource: 'discovered' };
+    } catch (error) {
+      console.warn(`⚠️ Model discovery failed for ${name}:`, error.message);
+      result = { models: config.models, modelSource: 'config', discoveryError: error.message };
+    }
+
+    this.discoveredModels[name] = { result, fetchedAt: Date.now() };
+    return result;
   }
 
   // Private methods for different providers
 
-  async _generateOpenAI(prompt, options = {}) {
+  _resolveProvider(model) {
+    return this.mockEnabled ? 'mock' : String(model).toLowerCase();
+  }
+
+  /**
+   * Normalisasi input menjadi { system, messages }: pesan role system digabung ke system prompt,
+   * prompt ditambahkan sebagai giliran user terakhir
+   */
+  _buildConversation({ prompt, messages = [], system = null }) {
+    const systemParts = system ? [system] : [];
+    const turns = [];
+
+    for (const message of messages) {
+      if (message.role === 'system') {
+        systemParts.push(message.content);
+      } else {
+        turns.push({ role: message.role === 'assistant' ? 'assistant' : 'user', content: message.content });
+      }
+    }
+
+    if (prompt) {
+      turns.push({ role: 'user', content: prompt });
+    }
+
+    if (turns.length === 0) {
+      throw new Error('Either prompt or messages is required');
+    }
+
+    return { system: systemParts.join('\n\n') || null, messages: turns };
+  }
+
+  /**
+   * Format OpenAI-compatible (OpenAI, DeepSeek, OpenRouter): system sebagai pesan pertama
+   */
+  _toChatMessages(conversation) {
+    return conversation.system
+      ? [{ role: 'system', content: conversation.system }, ...conversation.messages]
+      : conversation.messages;
+  }
+
+  _conversationText(conversation) {
+    return [conversation.system, ...conversation.messages.map(message => message.content)]
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  async _generateWithProvider(provider, conversation, options = {}) {
+    switch (provider) {
+      case 'openai':
+        return await this._generateOpenAI(conversation, options);
+      case 'gemini':
+        return await this._generateGemini(conversation, options);
+      case 'anthropic':
+        return await this._generateAnthropic(conversation, options);
+      case 'deepseek':
+        return await this._generateDeepSeek(conversation, options);
+      case 'openrouter':
+        return await this._generateOpenRouter(conversation, options);
+      case 'mock':
+        return await this._generateMock(conversation, options);
+      default:
+        break;
+    }
+
+    const config = this.models.generation[provider];
+    switch (config?.type) {
+      case 'openai-compatible':
+        return await this._generateOpenAICompatible(config, conversation, options);
+      case 'ollama':
+        return await this._generateOllama(config, conversation, options);
+      default:
+        throw new Error(`Unsupported generation model: ${provider}`);
+    }
+  }
+
+  /**
+   * Daftarkan provider dari AI_CUSTOM_PROVIDERS (JSON array), contoh:
+   * [{ "name": "local-vllm", "type": "openai-compatible", "baseUrl": "http://localhost:8000/v1", "defaultModel": "qwen2.5-7b" },
+   *  { "name": "ollama", "type": "ollama", "baseUrl": "http://localhost:11434", "defaultModel": "llama3.1" }]
+   */
+  _registerCustomProviders() {
+    if (!process.env.AI_CUSTOM_PROVIDERS) return;
+
+    let definitions;
+    try {
+      definitions = JSON.parse(process.env.AI_CUSTOM_PROVIDERS);
+    } catch (error) {
+      console.error('❌ Invalid AI_CUSTOM_PROVIDERS JSON:', error.message);
+      return;
+    }
+
+    for (const definition of Array.isArray(definitions) ? definitions : [definitions]) {
+      const name = String(definition.name || '').trim().toLowerCase();
+
+      if (!name || !definition.baseUrl || !CUSTOM_PROVIDER_TYPES.includes(definition.type)) {
+        console.warn(`⚠️ Skipping custom provider ${name || '(unnamed)'}: name, baseUrl and type (${CUSTOM_PROVIDER_TYPES.join(', ')}) are required`);
+        continue;
+      }
+
+      if (name === 'mock' || (this.models.generation[name] && !this.models.generation[name].custom)) {
+        console.warn(`⚠️ Skipping custom provider ${name}: name is reserved by a built-in provider`);
+        continue;
+      }
+
+      const baseUrl = definition.baseUrl.replace(/\/+$/, '');
+      const models = definition.models || (definition.defaultModel ? [definition.defaultModel] : []);
+
+      this.models.generation[name] = {
+        custom: true,
+        type: definition.type,
+        baseUrl,
+        endpoint: definition.type === 'ollama' ? `${baseUrl}/api/chat` : `${baseUrl}/chat/completions`,
+        headers: {
+          ...(definition.apiKey && { 'Authorization': `Bearer ${definition.apiKey}` }),
+          ...definition.headers,
+          'Content-Type': 'application/json'
+        },
+        defaultModel: definition.defaultModel || models[0],
+        models,
+        capabilities: definition.capabilities || ['text-generation', 'self-hosted'],
+        maxTokens: definition.maxTokens || 4096,
+        contextWindow: definition.contextWindow || 8192,
+        supportedLanguages: definition.supportedLanguages || ['multiple']
+      };
+
+      console.log(`🔌 Registered ${definition.type} provider ${name} at ${baseUrl}`);
+    }
+  }
+
+  _isSupportedProvider(provider) {
+    return provider === 'mock' || provider in this.models.generation;
+  }
+
+  _isProviderConfigured(provider) {
+    const envKey = PROVIDER_API_KEYS[provider];
+    return envKey ? !!process.env[envKey] : this._isSupportedProvider(provider);
+  }
+
+  /**
+   * Requested provider first, then configured fallbacks (options.fallback=false disables them)
+   */
+  _buildProviderChain(primary, options = {}) {
+    if (primary === 'mock' || options.fallback === false) {
+      return [primary];
+    }
+
+    const fallbacks = this.fallbackChain.filter(provider =>
+      provider !== primary &&
+      this._isSupportedProvider(provider) &&
+      this._isProviderConfigured(provider)
+    );
+
+    return [primary, ...fallbacks];
+  }
+
+  _getCircuitBreaker(provider) {
+    if (!this.circuitBreakers[provider]) {
+      this.circuitBreakers[provider] = new CircuitBreaker(provider, this.circuitOptions);
+    }
+    return this.circuitBreakers[provider];
+  }
+
+  /**
+   * Retry with exponential backoff for rate limits (429), 5xx and network errors
+   */
+  async _withRetry(fn, { provider, signal, canRetry = () => true } = {}) {
+    const { maxRetries, baseDelayMs, maxDelayMs } = this.retryOptions;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (attempt >= maxRetries || signal?.aborted || !canRetry() || !this._isRetryableError(error)) {
+          throw error;
+        }
+
+        const delay = this._getRetryDelay(error, attempt, baseDelayMs, maxDelayMs);
+        console.warn(`⏳ ${provider} returned ${error.response?.status || error.code || 'error'}, retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  _isRetryableError(error) {
+    const status = error.response?.status;
+    if (status) {
+      return status === 429 || status >= 500;
+    }
+    // No response at all: connection reset, timeout, DNS
+    return !!error.code && error.code !== 'ERR_CANCELED';
+  }
+
+  _getRetryDelay(error, attempt, baseDelayMs, maxDelayMs) {
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+    if (Number.isFinite(retryAfter) && retryAfter > 0) {
+      return Math.min(retryAfter * 1000, maxDelayMs);
+    }
+
+    const jitter = Math.random() * baseDelayMs * 0.25;
+    return Math.min(Math.round(baseDelayMs * 2 ** attempt + jitter), maxDelayMs);
+  }
+
+  async _generateMock(conversation, options = {}) {
+    const input = this._conversationText(conversation);
+    const result = mockGenerate(input, options);
+
+    if (options.responseSchema) {
+      // Joi schemas can't be sampled; callers offline should pass JSON Schema
+      result.content = JSON.stringify(mockStructured(options.responseSchema, input, options));
+    }
+
+    if (options.onToken) {
+      // Emit word by word so streaming clients see incremental deltas
+      result.content.split(/(?<=\s)/).forEach(delta => options.onToken(delta));
+    }
+
+    return result;
+  }
+
+  async _generateOpenAI(conversation, options = {}) {
     const config = this.models.generation.openai;
     const payload = {
       model: options.model || 'gpt-4',
-      messages: [{ role: 'user', content: prompt }],
+      messages: this._toChatMessages(conversation),
       max_tokens: options.maxTokens || 4000,
       temperature: options.temperature || 0.8,
       top_p: options.topP || 1,
@@ -239,6 +1015,14 @@ class AIModelService {
       presence_penalty: options.presencePenalty || 0
     };
 
+    if (options.responseSchema) {
+      payload.response_format = { type: 'json_object' };
+    }
+
+    if (options.onToken) {
+      return await this._streamChatCompletion(config, payload, options);
+    }
+
     const response = await axios.post(config.endpoint, payload, { headers: config.headers });
     
     return {
@@ -249,12 +1033,13 @@ class AIModelService {
     };
   }
 
-  async _generateGemini(prompt, options = {}) {
+  async _generateGemini(conversation, options = {}) {
     const config = this.models.generation.gemini;
     const payload = {
-      contents: [{
-        parts: [{ text: prompt }]
-      }],
+      contents: conversation.messages.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      })),
       generationConfig: {
         temperature: options.temperature || 0.8,
         topK: options.topK || 40,
@@ -263,6 +1048,18 @@ class AIModelService {
       }
     };
 
+    if (conversation.system) {
+      payload.systemInstruction = { parts: [{ text: conversation.system }] };
+    }
+
+    if (options.responseSchema) {
+      payload.generationConfig.responseMimeType = 'application/json';
+    }
+
+    if (options.onToken) {
+      return await this._streamGemini(config, payload, options);
+    }
+
     const response = await axios.post(config.endpoint, payload, { headers: config.headers });
     
     return {
@@ -273,15 +1070,23 @@ class AIModelService {
     };
   }
 
-  async _generateAnthropic(prompt, options = {}) {
+  async _generateAnthropic(conversation, options = {}) {
     const config = this.models.generation.anthropic;
     const payload = {
       model: options.model || 'claude-3-sonnet-20240229',
       max_tokens: options.maxTokens || 4000,
       temperature: options.temperature || 0.8,
-      messages: [{ role: 'user', content: prompt }]
+      messages: conversation.messages
     };
 
+    if (conversation.system) {
+      payload.system = conversation.system;
+    }
+
+    if (options.onToken) {
+      return await this._streamAnthropic(config, payload, options);
+    }
+
     const response = await axios.post(config.endpoint, payload, { headers: config.headers });
     
     return {
@@ -292,11 +1097,11 @@ class AIModelService {
     };
   }
 
-  async _generateDeepSeek(prompt, options = {}) {
+  async _generateDeepSeek(conversation, options = {}) {
     const config = this.models.generation.deepseek;
     const payload = {
       model: options.model || 'deepseek-chat',
-      messages: [{ role: 'user', content: prompt }],
+      messages: this._toChatMessages(conversation),
       max_tokens: options.maxTokens || 4000,
       temperature: options.temperature || 0.8,
       top_p: options.topP || 1,
@@ -304,6 +1109,14 @@ class AIModelService {
       presence_penalty: options.presencePenalty || 0
     };
 
+    if (options.responseSchema) {
+      payload.response_format = { type: 'json_object' };
+    }
+
+    if (options.onToken) {
+      return await this._streamChatCompletion(config, payload, options);
+    }
+
     const response = await axios.post(config.endpoint, payload, { headers: config.headers });
     
     return {
@@ -314,11 +1127,11 @@ class AIModelService {
     };
   }
 
-  async _generateOpenRouter(prompt, options = {}) {
+  async _generateOpenRouter(conversation, options = {}) {
     const config = this.models.generation.openrouter;
     const payload = {
       model: options.model || 'google/gemini-pro-1.5',
-      messages: [{ role: 'user', content: prompt }],
+      messages: this._toChatMessages(conversation),
       max_tokens: options.maxTokens || 4000,
       temperature: options.temperature || 0.8,
       top_p: options.topP || 1,
@@ -326,6 +1139,14 @@ class AIModelService {
       presence_penalty: options.presencePenalty || 0
     };
 
+    if (options.responseSchema) {
+      payload.response_format = { type: 'json_object' };
+    }
+
+    if (options.onToken) {
+      return await this._streamChatCompletion(config, payload, options);
+    }
+
     const response = await axios.post(config.endpoint, payload, { headers: config.headers });
 
     return {
@@ -336,6 +1157,255 @@ class AIModelService {
     };
   }
 
+  async _generateOpenAICompatible(config, conversation, options = {}) {
+    const payload = {
+      model: options.model || config.defaultModel,
+      messages: this._toChatMessages(conversation),
+      max_tokens: options.maxTokens || 4000,
+      temperature: options.temperature || 0.8,
+      top_p: options.topP || 1
+    };
+
+    if (options.responseSchema) {
+      payload.response_format = { type: 'json_object' };
+    }
+
+    if (options.onToken) {
+      return await this._streamChatCompletion(config, payload, options);
+    }
+
+    const response = await axios.post(config.endpoint, payload, { headers: config.headers });
+
+    return {
+      content: response.data.choices[0].message.content,
+      usage: response.data.usage,
+      model: response.data.model || payload.model,
+      finishReason: response.data.choices[0].finish_reason
+    };
+  }
+
+  /**
+   * Ollama native API (/api/chat), bukan endpoint OpenAI-compatible-nya
+   */
+  async _generateOllama(config, conversation, options = {}) {
+    const payload = {
+      model: options.model || config.defaultModel,
+      messages: this._toChatMessages(conversation),
+      stream: !!options.onToken,
+      options: {
+        temperature: options.temperature || 0.8,
+        top_p: options.topP || 1,
+        num_predict: options.maxTokens || 4000
+      }
+    };
+
+    if (options.responseSchema) {
+      payload.format = 'json';
+    }
+
+    if (options.onToken) {
+      return await this._streamOllama(config, payload, options);
+    }
+
+    const response = await axios.post(config.endpoint, payload, { headers: config.headers });
+
+    return {
+      content: response.data.message.content,
+      usage: this._ollamaUsage(response.data),
+      model: response.data.model,
+      finishReason: response.data.done_reason || 'stop'
+    };
+  }
+
+  _ollamaUsage(data) {
+    return {
+      prompt_tokens: data.prompt_eval_count || 0,
+      completion_tokens: data.eval_count || 0,
+      total_tokens: (data.prompt_eval_count || 0) + (data.eval_count || 0)
+    };
+  }
+
+  /**
+   * Streaming helpers. Each returns the same shape as the non-streaming
+   * provider methods once the upstream stream ends.
+   */
+  async _streamChatCompletion(config, payload, options) {
+    const response = await axios.post(config.endpoint, {
+      ...payload,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { headers: config.headers, responseType: 'stream', signal: options.signal });
+
+    let content = '';
+    let usage = null;
+    let model = payload.model;
+    let finishReason = null;
+
+    await this._readEventStream(response.data, (chunk) => {
+      model = chunk.model || model;
+      if (chunk.usage) usage = chunk.usage;
+
+      const choice = chunk.choices?.[0];
+      if (!choice) return;
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+
+      const delta = choice.delta?.content;
+      if (delta) {
+        content += delta;
+        options.onToken(delta);
+      }
+    });
+
+    return { content, usage, model, finishReason };
+  }
+
+  async _streamGemini(config, payload, options) {
+    const response = await axios.post(config.streamEndpoint, payload, {
+      headers: config.headers,
+      responseType: 'stream',
+      signal: options.signal
+    });
+
+    let content = '';
+    let usage = null;
+    let finishReason = null;
+
+    await this._readEventStream(response.data, (chunk) => {
+      if (chunk.usageMetadata) usage = chunk.usageMetadata;
+
+      const candidate = chunk.candidates?.[0];
+      if (!candidate) return;
+      if (candidate.finishReason) finishReason = candidate.finishReason;
+
+      const delta = (candidate.content?.parts || []).map(part => part.text || '').join('');
+      if (delta) {
+        content += delta;
+        options.onToken(delta);
+      }
+    });
+
+    return { content, usage, model: 'gemini-1.5-pro', finishReason };
+  }
+
+  async _streamAnthropic(config, payload, options) {
+    const response = await axios.post(config.endpoint, { ...payload, stream: true }, {
+      headers: config.headers,
+      responseType: 'stream',
+      signal: options.signal
+    });
+
+    let content = '';
+    let usage = {};
+    let model = payload.model;
+    let finishReason = null;
+
+    await this._readEventStream(response.data, (event) => {
+      switch (event.type) {
+        case 'message_start':
+          model = event.message?.model || model;
+          usage = { ...usage, ...event.message?.usage };
+          break;
+        case 'content_block_delta':
+          if (event.delta?.text) {
+            content += event.delta.text;
+            options.onToken(event.delta.text);
+          }
+          break;
+        case 'message_delta':
+          finishReason = event.delta?.stop_reason || finishReason;
+          usage = { ...usage, ...event.usage };
+          break;
+        case 'error':
+          throw new Error(`Anthropic stream error: ${event.error?.message || 'unknown error'}`);
+      }
+    });
+
+    return { content, usage, model, finishReason };
+  }
+
+  async _streamOllama(config, payload, options) {
+    const response = await axios.post(config.endpoint, payload, {
+      headers: config.headers,
+      responseType: 'stream',
+      signal: options.signal
+    });
+
+    let content = '';
+    let usage = null;
+    let model = payload.model;
+    let finishReason = null;
+
+    // Ollama streams newline-delimited JSON objects, not SSE
+    response.data.setEncoding('utf8');
+    let buffer = '';
+
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+
+      const chunk = JSON.parse(line);
+      if (chunk.error) {
+        throw new Error(`Ollama stream error: ${chunk.error}`);
+      }
+
+      model = chunk.model || model;
+      const delta = chunk.message?.content;
+      if (delta) {
+        content += delta;
+        options.onToken(delta);
+      }
+
+      if (chunk.done) {
+        usage = this._ollamaUsage(chunk);
+        finishReason = chunk.done_reason || 'stop';
+      }
+    };
+
+    for await (const data of response.data) {
+      buffer += data;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+
+    handleLine(buffer);
+
+    return { content, usage, model, finishReason };
+  }
+
+  /**
+   * Parse a Server-Sent Events response body, calling onData with each JSON `data:` payload
+   */
+  async _readEventStream(stream, onData) {
+    stream.setEncoding('utf8');
+    let buffer = '';
+
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) return; // event names, comments and keep-alives
+
+      const data = trimmed.slice(5).trim();
+      if (!data || data === '[DONE]') return;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch {
+        console.warn('Skipping unparseable stream chunk:', data.slice(0, 100));
+        return;
+      }
+      onData(parsed);
+    };
+
+    for await (const chunk of stream) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+
+    if (buffer) handleLine(buffer);
+  }
+
   async _embedOpenAI(text) {
     const config = this.models.embedding.openai;
     const payload = {
@@ -370,64 +1440,40 @@ class AIModelService {
     };
   }
 
-  _buildEvaluationPrompt(text, criteria) {
-    const criteriaList = criteria.length > 0 ? criteria : [
-      'coherence', 'creativity', 'grammar', 'style', 'engagement'
-    ];
-
-    return `Please evaluate the following text based on these criteria: ${criteriaList.join(', ')}.
-
-Text to evaluate:
-"""
-${text}
-"""
+  _buildEvaluationSchema(rubric) {
+    const criterionIds = rubric.criteria.map(criterion => criterion.id);
+    const score = { type: 'number', minimum: 0, maximum: 100 };
+    const stringList = { type: 'array', items: { type: 'string' } };
 
-Please provide your evaluation in the following JSON format:
-{
-  "overallScore": <number between 1-10>,
-  "scores": {
-    ${criteriaList.map(c => `"${c}": <number between 1-10>`).join(',\n    ')}
-  },
-  "feedback": {
-    "strengths": ["<strength 1>", "<strength 2>"],
-    "improvements": ["<improvement 1>", "<improvement 2>"],
-    "summary": "<overall assessment>"
-  },
-  "wordCount": <number>,
-  "readabilityLevel": "<beginner|intermediate|advanced>"
-}`;
-  }
-
-  _parseEvaluationResponse(response) {
-    try {
-      // Try to extract JSON from response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      // Fallback: create basic evaluation
-      return {
-        overallScore: 7,
+    return {
+      type: 'object',
+      required: ['overallScore', 'scores', 'rationales', 'feedback'],
+      properties: {
+        overallScore: score,
         scores: {
-          coherence: 7,
-          creativity: 7,
-          grammar: 7,
-          style: 7,
-          engagement: 7
+          type: 'object',
+          required: criterionIds,
+          properties: Object.fromEntries(criterionIds.map(id => [id, score]))
+        },
+        rationales: {
+          type: 'object',
+          required: criterionIds,
+          properties: Object.fromEntries(criterionIds.map(id => [id, { type: 'string' }]))
         },
         feedback: {
-          strengths: ["Content generated successfully"],
-          improvements: ["Could not parse detailed evaluation"],
-          summary: "Basic evaluation completed"
+          type: 'object',
+          required: ['strengths', 'improvements', 'summary'],
+          properties: {
+            strengths: stringList,
+            improvements: stringList,
+            summary: { type: 'string' }
+          }
         },
-        wordCount: response.split(' ').length,
-        readabilityLevel: "intermediate"
-      };
-    } catch (error) {
-      console.error('Error parsing evaluation response:', error);
-      throw new Error('Failed to parse evaluation response');
-    }
+        criticalIssues: stringList,
+        wordCount: { type: 'integer', minimum: 0 },
+        readabilityLevel: { type: 'string', enum: ['beginner', 'intermediate', 'advanced'] }
+      }
+    };
   }
 }
 
@@ -0,0 +1,350 @@
+import { v4 as uuidv4 } from 'uuid';
+import { neo4jService } from './neo4jService.js';
+import { memorySystem } from './memorySystem.js';
+import { aiModelService } from './aiModelService.js';
+import { usageLedger } from './usageLedger.js';
+import { novelOrchestrator } from './orchestrator.js';
+import { diffText, DIFF_UNITS } from './textDiff.js';
+
+export const MAX_VARIANTS = 5;
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Chapter Drafts - versi, draft alternatif dan riwayat revisi per chapter
+ *
+ * Neo4j: (Novel)-[:HAS_DRAFT]->(Draft)-[:DRAFT_OF]->(Chapter)-[:HAS_REVISION]->(Revision)-[:REVISION_OF]->(Draft)
+ * Setiap teks yang disimpan ke Chapter menjadi versi canonical (neo4jService.saveChapterVersion);
+ * varian hasil generasi paralel disimpan sebagai kandidat sampai dipromosikan.
+ * Revision adalah log append-only setiap kali teks canonical berubah (termasuk promosi dan restore).
+ */
+export class ChapterDraftService {
+  constructor() {
+    this.neo4j = neo4jService;
+  }
+
+  assertConnected() {
+    if (!this.neo4j.isConnected) {
+      throw httpError('Draft storage unavailable: Neo4j is not connected', 503);
+    }
+  }
+
+  /**
+   * Properti node Draft → response (evaluation di-parse, content opsional)
+   */
+  format(draft, { withContent = false } = {}) {
+    const { content, contentHash, evaluation, ...fields } = draft;
+    const parsed = evaluation ? JSON.parse(evaluation) : null;
+
+    return {
+      ...fields,
+      chapterNumber: Number(draft.chapterNumber),
+      version: Number(draft.version),
+      wordCount: Number(draft.wordCount) || 0,
+      totalScore: draft.totalScore ?? null,
+      scores: parsed?.scores || null,
+      canonical: Boolean(draft.canonical),
+      createdAt: draft.createdAt?.toString() || null,
+      promotedAt: draft.promotedAt?.toString() || null,
+      ...(withContent ? { content, evaluation: parsed } : {})
+    };
+  }
+
+  async listDrafts(novelId, chapterNumber) {
+    this.assertConnected();
+
+    const drafts = (await this.neo4j.getChapterDrafts(novelId, chapterNumber)).map(draft => this.format(draft));
+    return {
+      novelId,
+      chapterNumber,
+      canonicalVersion: drafts.find(draft => draft.canonical)?.version ?? null,
+      drafts
+    };
+  }
+
+  /**
+   * @throws {Error} statusCode 404 jika versi tidak ada
+   */
+  async getDraft(novelId, chapterNumber, version) {
+    this.assertConnected();
+
+    const draft = await this.neo4j.getDraft(novelId, chapterNumber, version);
+    if (!draft) {
+      throw httpError(`Chapter ${chapterNumber} of ${novelId} has no draft version ${version}`, 404);
+    }
+    return this.format(draft, { withContent: true });
+  }
+
+  /**
+   * Varian dari request: daftar eksplisit, atau `count` varian dengan temperature menyebar
+   */
+  buildVariants({ variants, count, model, temperature }) {
+    if (variants?.length > 0) {
+      return variants.map((variant, index) => ({ ...variant, label: variant.label || `variant-${index + 1}` }));
+    }
+
+    const base = temperature ?? novelOrchestrator.generationOptions.temperature;
+    return Array.from({ length: count }, (_, index) => ({
+      label: `variant-${index + 1}`,
+      model,
+      // Sebaran ±0.2 di sekitar temperature dasar
+      temperature: Math.round(Math.min(2, Math.max(0, base - 0.2 + (0.4 * index) / Math.max(count - 1, 1))) * 100) / 100
+    }));
+  }
+
+  /**
+   * Generate beberapa varian chapter secara paralel (satu generasi + evaluasi per varian, tanpa revisi),
+   * lalu simpan sebagai Draft kandidat. Chapter canonical tidak berubah sampai varian dipromosikan.
+   */
+  async generateVariants(novelId, chapterNumber, options) {
+    this.assertConnected();
+    await usageLedger.assertWithinBudget({ novelId });
+
+    const input = await novelOrchestrator.applyChapterPlan({
+      novelId,
+      chapterNumber,
+      focusElements: options.focusElements || '',
+      stylePreference: options.stylePreference,
+      mood: options.mood,
+      requestId: options.requestId || ''
+    });
+    const variants = this.buildVariants(options);
+    const variantSetId = `variants_${uuidv4()}`;
+
+    console.log(`🔀 Generating ${variants.length} variants of chapter ${chapterNumber} for ${novelId}`);
+    const { data: context } = await memorySystem.buildGenerationContext(novelId, chapterNumber, input.focusElements);
+
+    const results = await Promise.allSettled(variants.map(variant => this.generateVariant(input, context, variant)));
+
+    // Disimpan berurutan agar nomor versi tidak bentrok
+    const drafts = [];
+    const failed = [];
+    for (const [index, result] of results.entries()) {
+      if (result.status === 'rejected') {
+        console.error(`❌ Variant ${variants[index].label} failed:`, result.reason.message);
+        failed.push({ label: variants[index].label, error: result.reason.message });
+        continue;
+      }
+      const saved = await this.neo4j.saveDraft(novelId, chapterNumber, { ...result.value, variantSetId });
+      drafts.push(this.format(saved));
+    }
+
+    if (drafts.length === 0) {
+      const error = results[0].reason;
+      error.statusCode = error.statusCode || 502;
+      throw error;
+    }
+
+    return { novelId, chapterNumber, variantSetId, drafts, failed };
+  }
+
+  async generateVariant(input, context, variant) {
+    const variantInput = {
+      ...input,
+      stylePreference: variant.stylePreference || input.stylePreference,
+      mood: variant.mood || input.mood
+    };
+    const model = variant.model || novelOrchestrator.generationModel;
+    const usageTags = { novelId: input.novelId, chapterNumber: input.chapterNumber, requestId: input.requestId, operation: 'variant' };
+
+    const rendered = await novelOrchestrator.buildGenerationPrompt(variantInput, context);
+    const generation = await aiModelService.generateText({
+      prompt: rendered.text,
+      model,
+      options: {
+        ...novelOrchestrator.generationOptions,
+        ...(variant.temperature !== undefined ? { temperature: variant.temperature } : {})
+      },
+      usageTags
+    });
+
+    const evaluation = await novelOrchestrator.evaluateChapter(
+      generation.content,
+      model === 'mock' ? 'mock' : novelOrchestrator.evaluationModel,
+      usageTags
+    );
+
+    return {
+      source: 'variant',
+      label: variant.label,
+      content: generation.content,
+      model: generation.model,
+      provider: generation.provider,
+      temperature: variant.temperature ?? novelOrchestrator.generationOptions.temperature,
+      stylePreference: variantInput.stylePreference,
+      mood: variantInput.mood,
+      totalScore: evaluation.totalScore,
+      passed: evaluation.passed,
+      evaluation
+    };
+  }
+
+  /**
+   * Bandingkan beberapa versi: skor berdampingan + diff per kalimat terhadap versi dasar
+   * (default: versi canonical, atau versi pertama yang diminta)
+   */
+  async compareDrafts(novelId, chapterNumber, versions, baseVersion = null) {
+    const drafts = await Promise.all(versions.map(version => this.getDraft(novelId, chapterNumber, version)));
+    const base = baseVersion !== null
+      ? drafts.find(draft => draft.version === baseVersion) || await this.getDraft(novelId, chapterNumber, baseVersion)
+      : drafts.find(draft => draft.canonical) || drafts[0];
+
+    const scored = drafts.filter(draft => draft.totalScore !== null);
+    const best = scored.reduce((top, draft) => (!top || draft.totalScore > top.totalScore ? draft : top), null);
+
+    return {
+      novelId,
+      chapterNumber,
+      baseVersion: base.version,
+      bestVersion: best?.version ?? null,
+      drafts: drafts.map(({ content, evaluation, ...draft }) => ({
+        ...draft,
+        feedback: evaluation?.feedback || null
+      })),
+      diffs: drafts
+        .filter(draft => draft.version !== base.version)
+        .map(draft => ({
+          from: base.version,
+          to: draft.version,
+          ...diffText(base.content, draft.content)
+        }))
+    };
+  }
+
+  /**
+   * Promosikan versi menjadi teks canonical chapter (versi lama tetap tersimpan)
+   * @throws {Error} statusCode 409 jika versi sudah canonical
+   */
+  async promoteDraft(novelId, chapterNumber, version) {
+    const draft = await this.getDraft(novelId, chapterNumber, version);
+    if (draft.canonical) {
+      throw httpError(`Version ${version} is already the canonical text of chapter ${chapterNumber}`, 409);
+    }
+
+    const current = (await memorySystem.getChapter(novelId, chapterNumber)).data || {};
+
+    await this.neo4j.setCanonicalDraft(novelId, chapterNumber, draft.id);
+    await memorySystem.addChapter(novelId, {
+      number: chapterNumber,
+      title: current.title || `Chapter ${chapterNumber}`,
+      content: draft.content,
+      status: current.status || 'draft',
+      focusElements: current.focusElements,
+      mood: draft.mood || current.mood,
+      stylePreference: draft.stylePreference || current.stylePreference,
+      qualityScore: draft.totalScore ?? undefined,
+      model: draft.model,
+      provider: draft.provider,
+      draftSource: draft.source,
+      revision: draft.model
+        ? { source: 'promote', authorType: 'model', author: `${draft.provider}/${draft.model}` }
+        : { source: 'promote', authorType: 'human' }
+    });
+
+    console.log(`⭐ Promoted version ${version} to canonical for ${novelId} chapter ${chapterNumber}`);
+    const { content, evaluation, ...promoted } = draft;
+    return { ...promoted, canonical: true };
+  }
+
+  formatRevision(revision, { withContent = false } = {}) {
+    const { content, diff, ...fields } = revision;
+
+    return {
+      ...fields,
+      chapterNumber: Number(revision.chapterNumber),
+      number: Number(revision.number),
+      draftVersion: Number(revision.draftVersion),
+      wordCount: Number(revision.wordCount) || 0,
+      createdAt: revision.createdAt?.toString() || null,
+      ...(withContent ? { content, diff: diff ? JSON.parse(diff) : null } : {})
+    };
+  }
+
+  async listRevisions(novelId, chapterNumber) {
+    this.assertConnected();
+
+    const revisions = await this.neo4j.getChapterRevisions(novelId, chapterNumber);
+    return revisions.map(revision => this.formatRevision(revision));
+  }
+
+  /**
+   * Revisi dengan teks dan diff per kata terhadap revisi sebelumnya (equal diringkas jadi jumlah kata)
+   * @throws {Error} statusCode 404 jika revisi tidak ada
+   */
+  async getRevision(novelId, chapterNumber, number) {
+    this.assertConnected();
+
+    const revision = await this.neo4j.getRevision(novelId, chapterNumber, number);
+    if (!revision) {
+      throw httpError(`Chapter ${chapterNumber} of ${novelId} has no revision ${number}`, 404);
+    }
+    return this.formatRevision(revision, { withContent: true });
+  }
+
+  /**
+   * Diff antara dua revisi mana pun (default per kata)
+   */
+  async diffRevisions(novelId, chapterNumber, from, to, unit = 'word') {
+    if (!DIFF_UNITS.includes(unit)) {
+      throw httpError(`unit must be one of: ${DIFF_UNITS.join(', ')}`, 400);
+    }
+
+    const [before, after] = await Promise.all([
+      this.getRevision(novelId, chapterNumber, from),
+      this.getRevision(novelId, chapterNumber, to)
+    ]);
+
+    return {
+      novelId,
+      chapterNumber,
+      from: { number: before.number, draftVersion: before.draftVersion, author: before.author, createdAt: before.createdAt },
+      to: { number: after.number, draftVersion: after.draftVersion, author: after.author, createdAt: after.createdAt },
+      ...diffText(before.content, after.content, { unit })
+    };
+  }
+
+  /**
+   * Kembalikan teks revisi lama sebagai teks canonical; dicatat sebagai revisi baru (source "restore")
+   * dan embedding Pinecone chapter diganti lewat antrean chapter
+   * @throws {Error} statusCode 409 jika revisi itu sudah teks saat ini
+   */
+  async restoreRevision(novelId, chapterNumber, number, { author = null } = {}) {
+    const revision = await this.getRevision(novelId, chapterNumber, number);
+    const latest = await this.neo4j.getLatestRevision(novelId, chapterNumber);
+    if (latest?.draftId === revision.draftId) {
+      throw httpError(`Revision ${number} is already the current text of chapter ${chapterNumber}`, 409);
+    }
+
+    const current = (await memorySystem.getChapter(novelId, chapterNumber)).data || {};
+
+    await this.neo4j.setCanonicalDraft(novelId, chapterNumber, revision.draftId);
+    await memorySystem.addChapter(novelId, {
+      number: chapterNumber,
+      title: current.title || `Chapter ${chapterNumber}`,
+      content: revision.content,
+      status: current.status || 'draft',
+      focusElements: current.focusElements,
+      mood: current.mood,
+      stylePreference: current.stylePreference,
+      revision: { source: 'restore', authorType: 'human', author, restoredFrom: number }
+    });
+
+    console.log(`⏪ Restoring revision ${number} of ${novelId} chapter ${chapterNumber}`);
+    return {
+      novelId,
+      chapterNumber,
+      restoredFrom: number,
+      draftVersion: revision.draftVersion,
+      status: 'processing'
+    };
+  }
+}
+
+// Singleton instance
+export const chapterDrafts = new ChapterDraftService();
+
+export default ChapterDraftService;
@@ -0,0 +1,101 @@
+/**
+ * Circuit Breaker - per-provider guard for AI Model Service
+ * closed → open setelah failureThreshold kegagalan berturut-turut,
+ * open → half-open setelah cooldown, half-open → closed jika satu request berhasil.
+ * Selama half-open hanya satu request percobaan yang dilepas; pemanggil lain ditolak sampai hasilnya diketahui
+ */
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 60000;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+    this.totalFailures = 0;
+    this.totalSuccesses = 0;
+  }
+
+  /**
+   * open → half-open setelah cooldown
+   */
+  refreshState() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+      this.trialInFlight = false;
+      console.log(`🟡 Circuit for ${this.name} is half-open, allowing a trial request`);
+    }
+  }
+
+  /**
+   * Apakah provider boleh dipanggil sekarang. Di half-open, true hanya untuk pemanggil pertama (request percobaan);
+   * hasilnya wajib dilaporkan lewat recordSuccess, recordFailure atau releaseTrial
+   */
+  canRequest() {
+    this.refreshState();
+
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+    }
+    return this.state !== 'open';
+  }
+
+  /**
+   * Request percobaan selesai tanpa menentukan kesehatan provider (dibatalkan, client error):
+   * pemanggil berikutnya boleh mencoba lagi
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`🟢 Circuit for ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastSuccessAt = new Date().toISOString();
+    this.totalSuccesses++;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.totalFailures++;
+    this.lastError = error?.message || String(error);
+    this.lastFailureAt = new Date().toISOString();
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      console.warn(`🔴 Circuit for ${this.name} opened after ${this.failures} failure(s): ${this.lastError}`);
+    }
+  }
+
+  getStatus() {
+    // Refresh open → half-open so health output reflects the cooldown
+    this.refreshState();
+
+    return {
+      state: this.state,
+      trialInFlight: this.trialInFlight,
+      consecutiveFailures: this.failures,
+      totalFailures: this.totalFailures,
+      totalSuccesses: this.totalSuccesses,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,386 @@
+import { aiModelService } from './aiModelService.js';
+import { countTokens, isExactTokenCount } from './tokenCounter.js';
+import { splitSentences } from './textDiff.js';
+
+// Prioritas kandidat context (angka kecil = lebih penting)
+export const CONTEXT_PRIORITIES = {
+  beats: 1,
+  'previous-chapter': 2,
+  'story-so-far': 3,
+  timeline: 3,
+  'character-present': 4,
+  relationship: 4,
+  'semantic-hit': 5,
+  character: 6,
+  'world-state': 7
+};
+
+// Token untuk teks instruksi template di luar context
+const PROMPT_RESERVE_TOKENS = 1000;
+const PREVIOUS_TAIL_WORDS = 400;
+
+function wordsOf(text) {
+  return String(text || '').split(/\s+/).filter(Boolean);
+}
+
+function stringList(value) {
+  return [].concat(value || []).map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Strength (0-1) dan sentiment (-1 sampai 1) relasi sebagai teks pendek untuk prompt
+ */
+function relationshipTone({ strength, sentiment }) {
+  const tone = [];
+  if (strength !== null && strength !== undefined) {
+    tone.push(strength >= 0.7 ? 'kuat' : strength <= 0.3 ? 'lemah' : 'sedang');
+  }
+  if (sentiment !== null && sentiment !== undefined) {
+    tone.push(sentiment >= 0.3 ? 'positif' : sentiment <= -0.3 ? 'negatif' : 'netral');
+  }
+  return tone.join(', ');
+}
+
+/**
+ * Ringkasan ekstraktif: kalimat-kalimat awal sampai sekitar maxWords kata
+ */
+export function condense(text, maxWords) {
+  const kept = [];
+  let words = 0;
+
+  for (const sentence of splitSentences(text)) {
+    const count = wordsOf(sentence).length;
+    if (words + count > maxWords) break;
+    kept.push(sentence);
+    words += count;
+  }
+
+  if (kept.length > 0) return kept.join(' ');
+
+  const all = wordsOf(text);
+  return all.length > maxWords ? `${all.slice(0, maxWords).join(' ')}…` : all.join(' ');
+}
+
+/**
+ * Bagian akhir teks (sekitar maxWords kata), dimulai dari awal paragraf atau kalimat
+ */
+export function tail(text, maxWords) {
+  const paragraphs = String(text || '').split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+  const kept = [];
+  let words = 0;
+
+  for (let i = paragraphs.length - 1; i >= 0; i--) {
+    const count = wordsOf(paragraphs[i]).length;
+    if (words + count <= maxWords) {
+      kept.unshift(paragraphs[i]);
+      words += count;
+      continue;
+    }
+
+    // Paragraf yang tidak muat diambil per kalimat dari belakang
+    const sentences = splitSentences(paragraphs[i]);
+    const part = [];
+    for (let j = sentences.length - 1; j >= 0; j--) {
+      const sentenceWords = wordsOf(sentences[j]).length;
+      if (words + sentenceWords > maxWords) break;
+      part.unshift(sentences[j]);
+      words += sentenceWords;
+    }
+    if (part.length > 0) kept.unshift(part.join(' '));
+    break;
+  }
+
+  return kept.length > 0 ? kept.join('\n\n') : wordsOf(text).slice(-maxWords).join(' ');
+}
+
+/**
+ * Context Assembler - mengisi context prompt generasi sesuai budget token model
+ *
+ * Kandidat diurutkan menurut prioritas (beat, akhir chapter sebelumnya, story so far dan timeline,
+ * karakter yang muncul beserta relasi di antara mereka, hasil semantic search, karakter lain, world state).
+ * Pass 1 memasukkan versi ringkas setiap kandidat (yang tidak muat dibuang, mulai dari prioritas terendah);
+ * pass 2 menaikkan kandidat ke versi penuh selama budget masih cukup. Beat/fokus chapter selalu masuk.
+ */
+export class ContextAssembler {
+  constructor() {
+    this.maxContextTokens = parseInt(process.env.GENERATION_CONTEXT_MAX_TOKENS) || 6000;
+  }
+
+  /**
+   * Budget context = min(GENERATION_CONTEXT_MAX_TOKENS, context window - token output - instruksi template)
+   */
+  getBudget(model, reservedTokens = 0) {
+    const contextWindow = aiModelService.getContextWindow(model);
+    const available = contextWindow - reservedTokens - PROMPT_RESERVE_TOKENS;
+
+    return { contextWindow, budget: Math.max(0, Math.min(this.maxContextTokens, available)) };
+  }
+
+  /**
+   * @param {string} slot - Variabel template tujuan (characters, locations, contextSnippets, ...)
+   */
+  candidate(type, slot, id, full, condensed = null, extra = {}) {
+    const fullTokens = countTokens(full.text);
+    const condensedTokens = condensed && condensed.text !== full.text ? countTokens(condensed.text) : null;
+
+    return {
+      id,
+      type,
+      slot,
+      priority: CONTEXT_PRIORITIES[type],
+      full,
+      condensed: condensedTokens !== null && condensedTokens < fullTokens ? condensed : null,
+      fullTokens,
+      condensedTokens,
+      ...extra
+    };
+  }
+
+  /**
+   * Kandidat context dari hasil memorySystem.buildGenerationContext
+   */
+  collectCandidates(context, { chapterNumber, focusElements = '', chapterPlan = null }) {
+    const candidates = [];
+
+    if (focusElements) {
+      candidates.push(this.candidate('beats', 'focusElements', chapterPlan ? 'beats' : 'focus', { text: focusElements }, null, { required: true }));
+    }
+
+    const previous = context.previousChapter;
+    const previousTail = previous?.content ? tail(previous.content, PREVIOUS_TAIL_WORDS) : '';
+    if (previous?.summary || previous?.content) {
+      const summary = previous.summary || condense(previous.content, 80);
+      const value = { number: chapterNumber - 1, summary, tail: previousTail || null };
+      candidates.push(this.candidate(
+        'previous-chapter',
+        'previousChapter',
+        `previous-chapter:${chapterNumber - 1}`,
+        { value, text: [summary, previousTail].join('\n') },
+        { value: { ...value, tail: null }, text: summary }
+      ));
+    }
+
+    const storySoFar = context.storySoFar;
+    if (storySoFar?.digest) {
+      const value = { throughChapter: storySoFar.throughChapter, digest: storySoFar.digest };
+      const digest = condense(storySoFar.digest, 120);
+      candidates.push(this.candidate(
+        'story-so-far',
+        'storySoFar',
+        'story-so-far',
+        { value, text: storySoFar.digest },
+        { value: { ...value, digest }, text: digest }
+      ));
+    }
+
+    // Chapter sebelumnya langsung sudah masuk sebagai previous-chapter
+    for (const chapter of (storySoFar?.chapters || []).filter(item => item.number < chapterNumber - 1)) {
+      const summary = condense(chapter.summary, 30);
+      candidates.push(this.candidate(
+        'story-so-far',
+        'recentChapters',
+        `recent-chapter:${chapter.number}`,
+        { value: { number: chapter.number, summary: chapter.summary }, text: chapter.summary },
+        { value: { number: chapter.number, summary }, text: summary }
+      ));
+    }
+
+    // Event yang sudah diceritakan, urut waktu cerita; yang paling akhir lebih dulu masuk budget
+    for (const event of [...(context.timeline || [])].reverse()) {
+      const description = event.description || '';
+      const short = condense(description, 20);
+      const value = { title: event.title, storyTime: event.storyTime, flashback: event.flashback, description };
+      candidates.push(this.candidate(
+        'timeline',
+        'timeline',
+        `event:${event.id}`,
+        { value, text: `${event.title}: ${description}` },
+        { value: { ...value, description: short }, text: `${event.title}: ${short}` },
+        { order: event.order }
+      ));
+    }
+
+    // Karakter/lokasi "muncul" jika disebut di fokus, beat atau akhir chapter sebelumnya
+    const beats = chapterPlan?.beats || [];
+    const mentioned = [
+      focusElements,
+      previousTail,
+      ...beats.flatMap(beat => [...stringList(beat.characters), ...stringList(beat.locations)])
+    ].join('\n').toLowerCase();
+    const isPresent = name => Boolean(name) && mentioned.includes(String(name).toLowerCase());
+
+    for (const character of context.characters || []) {
+      if (!character.name) continue;
+      const traits = stringList(character.traits);
+      const details = [
+        character.description,
+        traits.join(', '),
+        stringList(character.motivations).join(', '),
+        stringList(character.powers).join(', ')
+      ].filter(Boolean).join('; ') || 'No details';
+      const short = traits.slice(0, 3).join(', ') || condense(character.description, 15) || 'No details';
+
+      candidates.push(this.candidate(
+        isPresent(character.name) ? 'character-present' : 'character',
+        'characters',
+        `character:${character.name}`,
+        { value: { name: character.name, details }, text: `**${character.name}**: ${details}` },
+        { value: { name: character.name, details: short }, text: `**${character.name}**: ${short}` }
+      ));
+    }
+
+    // Relasi yang berlaku di chapter ini antara karakter yang sama-sama muncul
+    for (const relationship of context.relationships || []) {
+      if (!isPresent(relationship.from?.name) || !isPresent(relationship.to?.name)) continue;
+
+      const value = {
+        from: relationship.from.name,
+        to: relationship.to.name,
+        type: relationship.type,
+        tone: relationshipTone(relationship),
+        description: relationship.description || ''
+      };
+      const label = `${value.from} → ${value.to}: ${value.type}${value.tone ? ` (${value.tone})` : ''}`;
+      candidates.push(this.candidate(
+        'relationship',
+        'relationships',
+        `relationship:${relationship.id}`,
+        { value, text: value.description ? `${label}: ${value.description}` : label },
+        { value: { ...value, description: '' }, text: label }
+      ));
+    }
+
+    (context.similarContent || []).forEach((hit, index) => {
+      const content = String(hit.content || '').trim();
+      if (!content) return;
+
+      const id = `semantic:${hit.id || index}`;
+      if (hit.contentType === 'chapter' && Number(hit.chapterNumber) === chapterNumber - 1 && previousTail) {
+        candidates.push({ ...this.candidate('semantic-hit', 'contextSnippets', id, { value: content, text: content }), skip: 'duplicate-of-previous-chapter' });
+        return;
+      }
+
+      const short = condense(content, 40);
+      candidates.push(this.candidate('semantic-hit', 'contextSnippets', id, { value: content, text: content }, { value: short, text: short }));
+    });
+
+    const powerSystem = context.worldState?.powerSystem || context.novel?.powerSystem;
+    if (powerSystem) {
+      const short = condense(powerSystem, 25);
+      candidates.push(this.candidate('world-state', 'powerSystem', 'power-system', { value: powerSystem, text: powerSystem }, { value: short, text: short }));
+    }
+
+    const locations = (context.locations || []).filter(location => location.name);
+    for (const location of [...locations.filter(l => isPresent(l.name)), ...locations.filter(l => !isPresent(l.name))]) {
+      const description = location.description || location.geography || 'No details';
+      const short = condense(description, 12);
+      candidates.push(this.candidate(
+        'world-state',
+        'locations',
+        `location:${location.name}`,
+        { value: { name: location.name, description }, text: `- ${location.name}: ${description}` },
+        { value: { name: location.name, description: short }, text: `- ${location.name}: ${short}` }
+      ));
+    }
+
+    // sort stabil: urutan asli dipertahankan dalam satu prioritas
+    return candidates.sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * @param {Object} context - Hasil memorySystem.buildGenerationContext
+   * @param {Object} options - model, reservedTokens (token output), chapterNumber, focusElements, chapterPlan
+   * @returns {Object} { variables (previousChapter, storySoFar, recentChapters, timeline, characters, relationships, locations, contextSnippets, powerSystem), report }
+   */
+  assemble(context, options = {}) {
+    const { model = 'openai', reservedTokens = 0 } = options;
+    const { contextWindow, budget } = this.getBudget(model, reservedTokens);
+    const candidates = this.collectCandidates(context, options);
+    let used = 0;
+
+    for (const item of candidates.filter(candidate => candidate.required)) {
+      item.form = 'full';
+      used += item.fullTokens;
+    }
+
+    // Pass 1: versi ringkas semua kandidat menurut prioritas
+    for (const item of candidates.filter(candidate => !candidate.required)) {
+      if (item.skip) {
+        item.form = 'dropped';
+        continue;
+      }
+
+      const cost = item.condensed ? item.condensedTokens : item.fullTokens;
+      if (used + cost <= budget) {
+        item.form = item.condensed ? 'condensed' : 'full';
+        used += cost;
+      } else {
+        item.form = 'dropped';
+        item.skip = 'budget';
+      }
+    }
+
+    // Pass 2: naikkan ke versi penuh selama budget cukup
+    for (const item of candidates.filter(candidate => candidate.form === 'condensed')) {
+      const extra = item.fullTokens - item.condensedTokens;
+      if (used + extra <= budget) {
+        item.form = 'full';
+        used += extra;
+      }
+    }
+
+    const chosen = slot => candidates
+      .filter(item => item.slot === slot && item.form !== 'dropped')
+      .map(item => (item.form === 'full' ? item.full : item.condensed).value);
+
+    // Event yang terpilih dikembalikan ke urutan waktu cerita
+    const timeline = candidates
+      .filter(item => item.slot === 'timeline' && item.form !== 'dropped')
+      .sort((a, b) => a.order - b.order)
+      .map(item => (item.form === 'full' ? item.full : item.condensed).value);
+
+    const variables = {
+      previousChapter: chosen('previousChapter')[0] || null,
+      storySoFar: chosen('storySoFar')[0] || null,
+      recentChapters: chosen('recentChapters'),
+      timeline,
+      characters: chosen('characters'),
+      relationships: chosen('relationships'),
+      locations: chosen('locations'),
+      contextSnippets: chosen('contextSnippets'),
+      powerSystem: chosen('powerSystem')[0] || null
+    };
+
+    const report = {
+      model,
+      contextWindow,
+      reservedTokens,
+      budget,
+      usedTokens: used,
+      overBudget: used > budget,
+      exactTokenCount: isExactTokenCount(),
+      counts: {
+        full: candidates.filter(item => item.form === 'full').length,
+        condensed: candidates.filter(item => item.form === 'condensed').length,
+        dropped: candidates.filter(item => item.form === 'dropped').length
+      },
+      items: candidates.map(item => ({
+        id: item.id,
+        type: item.type,
+        priority: item.priority,
+        form: item.form,
+        tokens: item.form === 'full' ? item.fullTokens : item.form === 'condensed' ? item.condensedTokens : 0,
+        fullTokens: item.fullTokens,
+        condensedTokens: item.condensedTokens,
+        ...(item.form === 'dropped' && { reason: item.skip })
+      }))
+    };
+
+    return { variables, report };
+  }
+}
+
+// Singleton instance
+export const contextAssembler = new ContextAssembler();
+
+export default ContextAssembler;
@@ -0,0 +1,311 @@
+import { neo4jService } from './neo4jService.js';
+import { pineconeService } from './pineconeService.js';
+import { worldStateService } from './worldStateService.js';
+import { aiModelService } from './aiModelService.js';
+import { promptTemplateService } from './promptTemplateService.js';
+import { condense } from './contextAssembler.js';
+import { timelineService } from './timelineService.js';
+
+export const CONTINUITY_ISSUE_TYPES = ['character', 'state', 'location', 'timeline', 'world', 'other'];
+export const CONTINUITY_SEVERITIES = ['critical', 'major', 'minor'];
+
+// Pengurang skor evaluasi per issue
+const SEVERITY_PENALTY = { critical: 25, major: 10, minor: 3 };
+
+const TIMELINE_CHAPTERS = 5;
+const TIMELINE_EVENTS = 10;
+const SEARCH_PASSAGES = 4;
+const SEARCH_TOP_K = 3;
+
+// Field world state yang hanya pembukuan, bukan fakta cerita
+const WORLD_STATE_BOOKKEEPING = ['title', 'status', 'createdAt', 'updatedAt', 'lastUpdated', 'lastChapter', 'totalChapters'];
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function stringList(value) {
+  return [].concat(value || []).map(item => String(item).trim()).filter(Boolean);
+}
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Posisi kutipan di teks chapter: paragraf (mulai 1) dan offset karakter jika kutipan persis ditemukan
+ */
+export function locateQuote(content, quote) {
+  const needle = String(quote || '').trim();
+  if (!needle) return null;
+
+  const paragraphs = String(content || '').split(/\n\s*\n/);
+  let offset = 0;
+  for (let i = 0; i < paragraphs.length; i++) {
+    const start = String(content).indexOf(paragraphs[i], offset);
+    offset = start + paragraphs[i].length;
+
+    const exact = paragraphs[i].indexOf(needle);
+    if (exact !== -1) {
+      return { paragraph: i + 1, offset: start + exact, length: needle.length };
+    }
+    if (normalizeText(paragraphs[i]).includes(normalizeText(needle))) {
+      return { paragraph: i + 1, offset: null, length: null };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Continuity Checker - mencari kontradiksi teks chapter dengan fakta yang sudah ditetapkan
+ *
+ * Sumber fakta (masing-masing diberi id S1, S2, ... untuk sitasi):
+ *   character   - properti karakter yang disebut di chapter (status, lokasi terakhir, deskripsi, traits)
+ *   location    - lokasi yang disebut di chapter
+ *   world-state - snapshot world state sampai chapter ini (worldStateService)
+ *   timeline    - ringkasan dan key events chapter-chapter sebelumnya (Neo4j)
+ *   event       - event yang sudah diceritakan dengan karakter yang disebut di chapter (timelineService)
+ *   chapter     - potongan chapter sebelumnya dari pineconeService.semanticSearch
+ * LLM hanya boleh melaporkan issue yang mengutip teks chapter dan mensitasi sumber yang ada;
+ * issue tanpa sitasi valid dibuang.
+ */
+export class ContinuityCheckerService {
+  constructor() {
+    this.neo4j = neo4jService;
+    this.pinecone = pineconeService;
+    this.worldState = worldStateService;
+    this.model = process.env.CONTINUITY_MODEL || process.env.AI_DEFAULT_EVALUATION_MODEL || 'openai';
+  }
+
+  assertConnected() {
+    if (!this.neo4j.isConnected) {
+      throw httpError('Continuity check unavailable: Neo4j is not connected', 503);
+    }
+  }
+
+  buildSchema(sourceIds) {
+    return {
+      type: 'object',
+      required: ['issues'],
+      properties: {
+        issues: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['type', 'severity', 'quote', 'explanation', 'sources'],
+            properties: {
+              type: { type: 'string', enum: CONTINUITY_ISSUE_TYPES },
+              severity: { type: 'string', enum: CONTINUITY_SEVERITIES },
+              quote: { type: 'string' },
+              explanation: { type: 'string' },
+              sources: { type: 'array', minItems: 1, items: { type: 'string', enum: sourceIds } }
+            }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Passage chapter untuk semantic search: paragraf dibagi rata menjadi maksimal SEARCH_PASSAGES kelompok
+   */
+  passages(content) {
+    const paragraphs = String(content || '').split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+    const size = Math.max(1, Math.ceil(paragraphs.length / SEARCH_PASSAGES));
+    const groups = [];
+    for (let i = 0; i < paragraphs.length; i += size) {
+      groups.push(condense(paragraphs.slice(i, i + size).join('\n\n'), 120));
+    }
+    return groups;
+  }
+
+  async searchPriorChapters(novelId, chapterNumber, content) {
+    const hits = new Map();
+
+    for (const passage of this.passages(content)) {
+      try {
+        const results = await this.pinecone.semanticSearch(passage, novelId, { topK: SEARCH_TOP_K, contentType: 'chapter' });
+        for (const hit of results || []) {
+          const number = Number(hit.chapterNumber);
+          if (!number || number >= chapterNumber || !hit.content || hits.has(hit.id)) continue;
+          hits.set(hit.id, { ...hit, chapterNumber: number });
+        }
+      } catch (error) {
+        console.warn(`⚠️ Continuity semantic search failed for ${novelId}:`, error.message);
+        break;
+      }
+    }
+
+    return [...hits.values()].sort((a, b) => b.score - a.score).slice(0, SEARCH_PASSAGES * 2);
+  }
+
+  /**
+   * Kumpulkan fakta dari graph, world state, timeline dan chapter sebelumnya
+   * @returns {Object[]} sumber { id, type, label, text, entityId?, eventId?, chapterNumber? }
+   */
+  async collectSources(novelId, chapterNumber, content) {
+    const sources = [];
+    const add = (source) => sources.push({ id: `S${sources.length + 1}`, ...source });
+    const mentioned = name => Boolean(name) && normalizeText(content).includes(normalizeText(name));
+
+    const index = await this.neo4j.getEntityIndex(novelId) || { characters: [], locations: [] };
+
+    for (const character of index.characters.filter(candidate => mentioned(candidate.name))) {
+      const facts = [
+        character.status && `status: ${character.status}${character.statusChapter ? ` sejak chapter ${character.statusChapter}` : ''}${character.statusNote ? ` (${character.statusNote})` : ''}`,
+        character.location && `lokasi terakhir: ${character.location}`,
+        character.description,
+        stringList(character.traits).length > 0 && `traits: ${stringList(character.traits).join(', ')}`,
+        stringList(character.powers).length > 0 && `kekuatan: ${stringList(character.powers).join(', ')}`
+      ].filter(Boolean);
+      if (facts.length === 0) continue;
+
+      add({ type: 'character', label: `Karakter ${character.name}`, entityId: character.id, text: facts.join('; ') });
+    }
+
+    for (const location of index.locations.filter(candidate => mentioned(candidate.name) && candidate.description)) {
+      add({ type: 'location', label: `Lokasi ${location.name}`, entityId: location.id, text: location.description });
+    }
+
+    // Sebelum chapter ini: perubahan yang dicatat dari chapter ini sendiri bukan fakta yang sudah mapan
+    const worldState = await this.worldState.getWorldState(novelId, chapterNumber - 1) || {};
+    const worldFacts = Object.entries(worldState)
+      .filter(([key, value]) => !WORLD_STATE_BOOKKEEPING.includes(key) && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+      .map(([key, value]) => `${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    if (worldFacts.length > 0) {
+      add({ type: 'world-state', label: 'World state', text: condense(worldFacts.join('\n'), 300) });
+    }
+
+    const timeline = await this.neo4j.getChapterSummaries(novelId, Math.max(1, chapterNumber - TIMELINE_CHAPTERS), chapterNumber - 1);
+    for (const chapter of timeline) {
+      const events = chapter.keyEvents.length > 0 ? ` Kejadian: ${chapter.keyEvents.join('; ')}` : '';
+      add({ type: 'timeline', label: `Timeline chapter ${chapter.number}`, chapterNumber: chapter.number, text: `${chapter.summary}${events}` });
+    }
+
+    const { events } = await timelineService.getTimeline(novelId, { asOfChapter: chapterNumber - 1 });
+    for (const event of events.filter(candidate => candidate.participants.some(participant => mentioned(participant.name))).slice(-TIMELINE_EVENTS)) {
+      const facts = [
+        event.storyTime && `waktu: ${event.storyTime}`,
+        event.location && `lokasi: ${event.location.name}`,
+        `partisipan: ${event.participants.map(participant => participant.name).join(', ')}`,
+        event.description
+      ].filter(Boolean);
+      add({ type: 'event', label: `Event ${event.title}`, eventId: event.id, chapterNumber: event.chapterNumber, text: facts.join('; ') });
+    }
+
+    for (const hit of await this.searchPriorChapters(novelId, chapterNumber, content)) {
+      add({ type: 'chapter', label: `Chapter ${hit.chapterNumber}`, chapterNumber: hit.chapterNumber, vectorId: hit.id, text: condense(hit.content, 150) });
+    }
+
+    return sources;
+  }
+
+  /**
+   * Cek kontinuitas teks chapter
+   * @param {Object} options - content (default teks chapter tersimpan), model, usageTags
+   * @returns {Object} { novelId, chapterNumber, model, score, penalty, passed, issues, sources, discarded, checkedAt }
+   */
+  async check(novelId, chapterNumber, options = {}) {
+    this.assertConnected();
+
+    let content = options.content;
+    if (!content) {
+      const chapter = await this.neo4j.getChapterDigestState(novelId, chapterNumber);
+      content = chapter?.content;
+    }
+    if (!content) {
+      throw httpError(`Chapter ${chapterNumber} of novel ${novelId} has no content to check`, 404);
+    }
+
+    const sources = await this.collectSources(novelId, chapterNumber, content);
+    const report = {
+      novelId,
+      chapterNumber,
+      model: null,
+      score: 100,
+      penalty: 0,
+      passed: true,
+      issues: [],
+      discarded: 0,
+      sources: sources.map(({ text, ...source }) => source),
+      checkedAt: new Date().toISOString()
+    };
+    if (sources.length === 0) {
+      return { ...report, skipped: 'no-established-facts' };
+    }
+
+    const rendered = await promptTemplateService.render('continuity-check', {
+      chapterNumber,
+      sources,
+      content
+    }, { novelId });
+
+    const generation = await aiModelService.generateText({
+      prompt: rendered.text,
+      model: options.model || this.model,
+      options: { responseSchema: this.buildSchema(sources.map(source => source.id)), maxTokens: 2000, temperature: 0.1 },
+      usageTags: { ...options.usageTags, novelId, chapterNumber, operation: 'continuity-check' }
+    });
+
+    const byId = new Map(sources.map(source => [source.id, source]));
+    for (const issue of generation.data?.issues || []) {
+      const citations = stringList(issue.sources).filter(id => byId.has(id)).map(id => byId.get(id));
+      const severity = CONTINUITY_SEVERITIES.includes(issue.severity) ? issue.severity : 'minor';
+      if (citations.length === 0 || !String(issue.explanation || '').trim()) {
+        report.discarded++;
+        continue;
+      }
+
+      report.issues.push({
+        id: `issue${report.issues.length + 1}`,
+        type: CONTINUITY_ISSUE_TYPES.includes(issue.type) ? issue.type : 'other',
+        severity,
+        quote: String(issue.quote || '').trim(),
+        explanation: String(issue.explanation).trim(),
+        location: locateQuote(content, issue.quote),
+        citations: [...new Set(citations)]
+      });
+    }
+
+    report.model = generation.model;
+    report.penalty = report.issues.reduce((total, issue) => total + SEVERITY_PENALTY[issue.severity], 0);
+    report.score = Math.max(0, 100 - report.penalty);
+    report.passed = !report.issues.some(issue => issue.severity === 'critical');
+
+    console.log(`🧭 Continuity check ${novelId} chapter ${chapterNumber}: ${report.issues.length} issues (${sources.length} sources)`);
+    return report;
+  }
+
+  /**
+   * Gabungkan laporan kontinuitas ke hasil evaluasi: totalScore dikurangi penalty, issue critical/major
+   * menjadi criticalIssues (ikut masuk instruksi revisi), dan issue critical membuat evaluasi gagal
+   */
+  applyToEvaluation(evaluation, report) {
+    const totalScore = Math.max(0, evaluation.totalScore - report.penalty);
+    const blocking = report.issues
+      .filter(issue => issue.severity !== 'minor')
+      .map(issue => `Continuity (${issue.severity}): ${issue.explanation}${issue.quote ? ` — "${issue.quote}"` : ''} [${issue.citations.map(citation => citation.label).join(', ')}]`);
+
+    return {
+      ...evaluation,
+      totalScore,
+      passed: evaluation.passed && totalScore >= (evaluation.rubric?.passThreshold ?? 0) && report.passed,
+      criticalIssues: [...(evaluation.criticalIssues || []), ...blocking],
+      continuity: {
+        score: report.score,
+        penalty: report.penalty,
+        scoreBeforeContinuity: evaluation.totalScore,
+        issues: report.issues,
+        model: report.model
+      }
+    };
+  }
+}
+
+// Singleton instance
+export const continuityChecker = new ContinuityCheckerService();
+
+export default ContinuityCheckerService;
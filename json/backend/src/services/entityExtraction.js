@@ -0,0 +1,503 @@
+import { v4 as uuidv4 } from 'uuid';
+import { neo4jService } from './neo4jService.js';
+import { redisService } from './redisService.js';
+import { aiModelService } from './aiModelService.js';
+import { promptTemplateService } from './promptTemplateService.js';
+import { relationshipService, RELATIONSHIP_TYPES } from './relationshipService.js';
+
+export const EXTRACTION_MODES = ['auto', 'review', 'off'];
+export const EXTRACTION_STATUSES = ['pending', 'partial', 'applied', 'rejected', 'superseded'];
+
+const LOCATION_TYPES = ['city', 'country', 'region', 'landmark', 'building'];
+const STATE_CHANGES = ['injured', 'dead', 'recovered', 'moved'];
+
+// Status karakter setelah perubahan state (moved tidak mengubah status)
+const STATUS_AFTER = { injured: 'injured', dead: 'dead', recovered: 'active' };
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function stringList(value) {
+  return [].concat(value || []).map(item => String(item).trim()).filter(Boolean);
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Entity Extraction - usulan upsert graph dari teks chapter yang baru tersimpan (antrean "extraction-processing")
+ *
+ * LLM mengekstrak karakter, lokasi, item, relasi dan perubahan state (luka, mati, pindah lokasi) sebagai JSON.
+ * Hasilnya dicocokkan dengan entitas yang ada (nama, tanpa beda huruf besar) lalu disimpan sebagai Extraction
+ * berisi daftar operasi. Mode per novel (Novel.extractionMode, default EXTRACTION_MODE):
+ *   auto   - semua operasi langsung diterapkan lewat neo4jService
+ *   review - operasi menunggu apply/reject per operasi
+ *   off    - tidak ada ekstraksi
+ */
+export class EntityExtractionService {
+  constructor() {
+    this.neo4j = neo4jService;
+    this.redis = redisService;
+    this.defaultMode = EXTRACTION_MODES.includes(process.env.EXTRACTION_MODE) ? process.env.EXTRACTION_MODE : 'review';
+    this.model = process.env.EXTRACTION_MODEL || process.env.AI_DEFAULT_GENERATION_MODEL || 'openai';
+  }
+
+  assertConnected() {
+    if (!this.neo4j.isConnected) {
+      throw httpError('Entity extraction unavailable: Neo4j is not connected', 503);
+    }
+  }
+
+  buildSchema() {
+    const named = (properties, required = ['name']) => ({
+      type: 'array',
+      items: { type: 'object', required, properties: { name: { type: 'string' }, ...properties } }
+    });
+
+    return {
+      type: 'object',
+      required: ['characters', 'locations', 'items', 'relationships', 'stateChanges'],
+      properties: {
+        characters: named({
+          description: { type: 'string' },
+          traits: { type: 'array', items: { type: 'string' } }
+        }),
+        locations: named({
+          description: { type: 'string' },
+          type: { type: 'string', enum: LOCATION_TYPES }
+        }),
+        items: named({
+          description: { type: 'string' },
+          owner: { type: 'string' }
+        }),
+        relationships: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['from', 'to', 'type'],
+            properties: {
+              from: { type: 'string' },
+              to: { type: 'string' },
+              type: { type: 'string', enum: RELATIONSHIP_TYPES },
+              description: { type: 'string' }
+            }
+          }
+        },
+        stateChanges: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['character', 'change'],
+            properties: {
+              character: { type: 'string' },
+              change: { type: 'string', enum: STATE_CHANGES },
+              description: { type: 'string' },
+              location: { type: 'string' }
+            }
+          }
+        }
+      }
+    };
+  }
+
+  async getNovel(novelId) {
+    const context = await this.neo4j.getNovelContext(novelId);
+    return context?.novel?.properties || null;
+  }
+
+  async extract(novelId, chapter, { novel, index, model }) {
+    const rendered = await promptTemplateService.render('entity-extraction', {
+      novel: { title: novel.title || 'Untitled Novel' },
+      chapterNumber: chapter.number,
+      title: chapter.title,
+      knownCharacters: index.characters.map(character => character.name).join(', '),
+      knownLocations: index.locations.map(location => location.name).join(', '),
+      knownItems: index.items.map(item => item.name).join(', '),
+      content: chapter.content
+    }, { novelId });
+
+    const generation = await aiModelService.generateText({
+      prompt: rendered.text,
+      model,
+      options: { responseSchema: this.buildSchema(), maxTokens: 2000, temperature: 0.2 },
+      usageTags: { novelId, operation: 'entity-extraction' }
+    });
+
+    return { ...generation.data, model: generation.model };
+  }
+
+  /**
+   * Ubah hasil ekstraksi menjadi operasi graph. Entitas baru langsung diberi id; operasi yang bergantung
+   * pada entitas baru mencatat operasi tersebut di `requires`.
+   * @returns {Object} { operations, unresolved }
+   */
+  plan(index, extracted) {
+    const operations = [];
+    const unresolved = [];
+    const refs = { character: new Map(), location: new Map(), item: new Map() };
+
+    for (const [kind, list] of [['character', index.characters], ['location', index.locations], ['item', index.items]]) {
+      for (const entity of list) refs[kind].set(normalizeName(entity.name), { id: entity.id, existing: entity, opId: null });
+    }
+
+    const add = (type, action, data, requires = []) => {
+      const op = { id: `op${operations.length + 1}`, type, action, data, status: 'pending' };
+      if (requires.length > 0) op.requires = requires;
+      operations.push(op);
+      return op;
+    };
+
+    const upsert = (kind, entity, data) => {
+      const key = normalizeName(entity.name);
+      if (!key) return null;
+
+      const ref = refs[kind].get(key);
+      if (ref?.opId) return ref;
+
+      if (!ref) {
+        const created = { id: uuidv4(), existing: null };
+        created.opId = add(kind, 'create', { id: created.id, name: String(entity.name).trim(), ...data }).id;
+        refs[kind].set(key, created);
+        return created;
+      }
+
+      // Entitas lama: hanya data yang belum ada yang diusulkan, sisanya cukup ditandai muncul di chapter
+      const traits = stringList(data.traits).filter(trait => !stringList(ref.existing.traits).includes(trait));
+      const description = ref.existing.description ? '' : data.description || '';
+      const changed = Boolean(description) || traits.length > 0 || (kind === 'item' && data.ownerId !== undefined && data.ownerId !== ref.existing.ownerId);
+      ref.opId = add(kind, changed ? 'update' : 'mention', {
+        id: ref.id,
+        name: ref.existing.name,
+        ...data,
+        ...(data.description !== undefined && { description }),
+        ...(data.traits !== undefined && { traits })
+      }).id;
+      return ref;
+    };
+
+    const requiresOf = (...resolved) => resolved
+      .filter(ref => ref && !ref.existing && ref.opId)
+      .map(ref => ref.opId);
+
+    for (const character of extracted.characters || []) {
+      upsert('character', character, {
+        description: String(character.description || '').trim(),
+        traits: stringList(character.traits)
+      });
+    }
+
+    for (const location of extracted.locations || []) {
+      upsert('location', location, {
+        description: String(location.description || '').trim(),
+        type: LOCATION_TYPES.includes(location.type) ? location.type : 'landmark'
+      });
+    }
+
+    for (const item of extracted.items || []) {
+      const owner = item.owner ? refs.character.get(normalizeName(item.owner)) : null;
+      if (item.owner && !owner) {
+        unresolved.push({ kind: 'item-owner', item: item.name, owner: item.owner, reason: 'unknown character' });
+      }
+
+      const ref = upsert('item', item, {
+        description: String(item.description || '').trim(),
+        ...(owner && { ownerId: owner.id, ownerName: item.owner })
+      });
+      const op = ref && operations.find(candidate => candidate.id === ref.opId);
+      if (op && owner) {
+        const requires = requiresOf(owner);
+        if (requires.length > 0) op.requires = requires;
+      }
+    }
+
+    for (const relationship of extracted.relationships || []) {
+      const from = refs.character.get(normalizeName(relationship.from));
+      const to = refs.character.get(normalizeName(relationship.to));
+      if (!from || !to || from.id === to.id) {
+        unresolved.push({ kind: 'relationship', ...relationship, reason: from && to ? 'self relationship' : 'unknown character' });
+        continue;
+      }
+
+      add('relationship', 'relate', {
+        fromId: from.id,
+        fromName: relationship.from,
+        toId: to.id,
+        toName: relationship.to,
+        type: RELATIONSHIP_TYPES.includes(normalizeName(relationship.type)) ? normalizeName(relationship.type) : 'other',
+        description: String(relationship.description || '').trim()
+      }, requiresOf(from, to));
+    }
+
+    for (const change of extracted.stateChanges || []) {
+      const character = refs.character.get(normalizeName(change.character));
+      const location = change.location ? refs.location.get(normalizeName(change.location)) : null;
+      if (!character || !STATE_CHANGES.includes(change.change) || (change.change === 'moved' && !location)) {
+        unresolved.push({ kind: 'state-change', ...change, reason: character ? 'unknown location or change' : 'unknown character' });
+        continue;
+      }
+
+      add('state-change', change.change, {
+        characterId: character.id,
+        characterName: change.character,
+        status: STATUS_AFTER[change.change] || null,
+        note: String(change.description || '').trim(),
+        ...(location && { locationId: location.id, locationName: change.location })
+      }, requiresOf(character, location));
+    }
+
+    return { operations, unresolved };
+  }
+
+  /**
+   * Job "extract-entities": ekstrak entitas dari chapter (dilewati jika teks ini sudah diekstrak)
+   * @param {Object} options - model, mode (override setting novel), force
+   */
+  async processChapter(novelId, chapterNumber, options = {}) {
+    if (!this.neo4j.isConnected) {
+      console.warn(`⚠️ Entity extraction skipped for ${novelId} chapter ${chapterNumber}: Neo4j is not connected`);
+      return { success: false, skipped: 'neo4j-unavailable' };
+    }
+
+    const novel = await this.getNovel(novelId);
+    const mode = options.mode || novel?.extractionMode || this.defaultMode;
+    if (mode === 'off') {
+      return { success: true, chapterNumber, skipped: 'disabled' };
+    }
+
+    const chapter = await this.neo4j.getChapterDigestState(novelId, chapterNumber);
+    if (!chapter?.content) {
+      return { success: true, chapterNumber, skipped: 'no-content' };
+    }
+
+    const previous = (await this.neo4j.getExtractions(novelId, { chapterNumber })).map(record => this.normalize(record));
+    const done = previous.find(extraction => extraction.contentHash === chapter.contentHash && extraction.status !== 'superseded');
+    if (done && !options.force) {
+      return { success: true, chapterNumber, skipped: 'unchanged', extractionId: done.id };
+    }
+
+    // Usulan yang belum diputuskan untuk teks lama tidak berlaku lagi
+    for (const stale of previous.filter(extraction => ['pending', 'partial'].includes(extraction.status))) {
+      await this.save(novelId, { ...stale, status: 'superseded' });
+    }
+
+    const index = await this.neo4j.getEntityIndex(novelId) || { characters: [], locations: [], items: [] };
+    const extracted = await this.extract(novelId, { ...chapter, number: chapterNumber }, {
+      novel: novel || {},
+      index,
+      model: options.model || this.model
+    });
+
+    const { operations, unresolved } = this.plan(index, extracted);
+    let extraction = {
+      id: `extraction_${uuidv4()}`,
+      novelId,
+      chapterNumber,
+      contentHash: chapter.contentHash,
+      mode,
+      status: 'pending',
+      model: extracted.model,
+      operations,
+      unresolved
+    };
+    await this.save(novelId, extraction);
+    console.log(`🔎 Chapter ${chapterNumber} extraction for ${novelId}: ${operations.length} operations (${mode})`);
+
+    if (mode === 'auto') {
+      extraction = await this.apply(novelId, extraction.id);
+    }
+
+    return { success: true, chapterNumber, extractionId: extraction.id, status: extraction.status, operations: operations.length };
+  }
+
+  /**
+   * Ekstraksi manual satu chapter (route); mode 'off' novel dilewati hanya jika tidak ada override
+   */
+  async extractChapter(novelId, chapterNumber, options = {}) {
+    this.assertConnected();
+
+    const result = await this.processChapter(novelId, chapterNumber, options);
+    if (result.skipped === 'no-content') {
+      throw httpError(`Chapter ${chapterNumber} of novel ${novelId} has no content`, 404);
+    }
+    if (result.skipped === 'disabled') {
+      throw httpError(`Entity extraction is off for novel ${novelId}; pass mode to override`, 409);
+    }
+
+    return this.getExtraction(novelId, result.extractionId);
+  }
+
+  async save(novelId, extraction) {
+    return await this.neo4j.saveExtraction(novelId, extraction);
+  }
+
+  normalize(record) {
+    const parse = value => {
+      try {
+        return JSON.parse(value || '[]');
+      } catch {
+        return [];
+      }
+    };
+
+    return {
+      ...record,
+      chapterNumber: Number(record.chapterNumber),
+      operations: parse(record.operations),
+      unresolved: parse(record.unresolved),
+      createdAt: record.createdAt?.toString() || null,
+      updatedAt: record.updatedAt?.toString() || null
+    };
+  }
+
+  summarize(extraction) {
+    const counts = {};
+    for (const op of extraction.operations) counts[op.status] = (counts[op.status] || 0) + 1;
+
+    return {
+      id: extraction.id,
+      chapterNumber: extraction.chapterNumber,
+      status: extraction.status,
+      mode: extraction.mode,
+      model: extraction.model,
+      operations: extraction.operations.length,
+      counts,
+      unresolved: extraction.unresolved.length,
+      createdAt: extraction.createdAt,
+      updatedAt: extraction.updatedAt
+    };
+  }
+
+  /**
+   * @param {Object} filter - status (termasuk 'all'), chapterNumber
+   */
+  async listExtractions(novelId, { status = 'all', chapterNumber = null } = {}) {
+    this.assertConnected();
+
+    const records = await this.neo4j.getExtractions(novelId, {
+      status: status === 'all' ? null : status,
+      chapterNumber
+    });
+    return records.map(record => this.summarize(this.normalize(record)));
+  }
+
+  async getExtraction(novelId, extractionId) {
+    this.assertConnected();
+
+    const record = await this.neo4j.getExtraction(novelId, extractionId);
+    if (!record) {
+      throw httpError(`Extraction ${extractionId} not found for novel ${novelId}`, 404);
+    }
+    return this.normalize(record);
+  }
+
+  async getOpenExtraction(novelId, extractionId) {
+    const extraction = await this.getExtraction(novelId, extractionId);
+    if (!['pending', 'partial'].includes(extraction.status)) {
+      throw httpError(`Extraction ${extractionId} is already ${extraction.status}`, 409);
+    }
+    return extraction;
+  }
+
+  async applyOperation(novelId, chapterNumber, op) {
+    const { data } = op;
+
+    switch (op.type) {
+      case 'character':
+        return await this.neo4j.mergeExtractedCharacter(novelId, data, chapterNumber);
+      case 'location':
+        return await this.neo4j.mergeExtractedLocation(novelId, data, chapterNumber);
+      case 'item':
+        return await this.neo4j.mergeItem(novelId, data, chapterNumber);
+      case 'relationship':
+        return await relationshipService.observe(novelId, data, chapterNumber);
+      case 'state-change':
+        return await this.neo4j.applyCharacterState(novelId, data.characterId, data, chapterNumber);
+      default:
+        throw new Error(`Unknown extraction operation type: ${op.type}`);
+    }
+  }
+
+  /**
+   * Terapkan operasi yang masih pending
+   * @param {Object} decision - accept (id operasi; kosong = semua yang pending), reject (id operasi)
+   */
+  async apply(novelId, extractionId, { accept = null, reject = [] } = {}) {
+    this.assertConnected();
+    const extraction = await this.getOpenExtraction(novelId, extractionId);
+    const { operations, chapterNumber } = extraction;
+
+    const unknown = [...(accept || []), ...reject].filter(id => !operations.some(op => op.id === id));
+    if (unknown.length > 0) {
+      throw httpError(`Unknown operations for extraction ${extractionId}: ${unknown.join(', ')}`, 400);
+    }
+
+    const statusOf = id => operations.find(op => op.id === id)?.status;
+    const featured = [];
+
+    for (const op of operations.filter(candidate => candidate.status === 'pending')) {
+      if (reject.includes(op.id)) {
+        op.status = 'rejected';
+        continue;
+      }
+      if (accept && !accept.includes(op.id)) continue;
+
+      const required = (op.requires || []).map(statusOf);
+      if (required.some(status => status === 'rejected' || status === 'skipped')) {
+        op.status = 'skipped';
+        op.reason = 'required operation was not applied';
+        continue;
+      }
+      // Entitas baru yang dibutuhkan belum disetujui: tetap pending
+      if (required.some(status => status !== 'applied')) continue;
+
+      // Entitas yang hanya disebut cukup ditautkan ke chapter
+      const result = op.action === 'mention' ? null : await this.applyOperation(novelId, chapterNumber, op);
+      op.status = 'applied';
+
+      if (['character', 'location', 'item'].includes(op.type)) {
+        featured.push(op.data.id);
+      }
+      if (['character', 'location'].includes(op.type) && result) {
+        await this.redis.queueEmbeddingUpdate(novelId, op.type, op.data.id, { ...result, id: op.data.id });
+      }
+    }
+
+    if (featured.length > 0) {
+      await this.neo4j.linkChapterEntities(novelId, chapterNumber, featured);
+    }
+
+    const applied = operations.filter(op => op.status === 'applied').length;
+    extraction.status = operations.some(op => op.status === 'pending')
+      ? 'partial'
+      : applied > 0 || operations.length === 0 ? 'applied' : 'rejected';
+    await this.save(novelId, extraction);
+
+    console.log(`✅ Extraction ${extractionId} for ${novelId}: ${applied}/${operations.length} operations applied`);
+    return this.getExtraction(novelId, extractionId);
+  }
+
+  /**
+   * Tolak semua operasi yang masih pending
+   */
+  async reject(novelId, extractionId) {
+    this.assertConnected();
+    const extraction = await this.getOpenExtraction(novelId, extractionId);
+
+    for (const op of extraction.operations.filter(candidate => candidate.status === 'pending')) {
+      op.status = 'rejected';
+    }
+    extraction.status = extraction.operations.some(op => op.status === 'applied') ? 'applied' : 'rejected';
+    await this.save(novelId, extraction);
+
+    return this.getExtraction(novelId, extractionId);
+  }
+}
+
+// Singleton instance
+export const entityExtraction = new EntityExtractionService();
+
+export default EntityExtractionService;
@@ -0,0 +1,147 @@
+/**
+ * Evaluation Rubrics - rubrik evaluasi bernama dengan bobot dan pass threshold
+ * Semua kriteria dinilai 0-100; totalScore = rata-rata berbobot, passed = totalScore >= passThreshold.
+ * Tambah/override lewat AI_EVALUATION_RUBRICS='[{"id": "...", "criteria": [...], "passThreshold": 80}]'
+ */
+
+export const BUILTIN_RUBRICS = {
+  general: {
+    id: 'general',
+    name: 'General prose quality',
+    passThreshold: 70,
+    criteria: [
+      { id: 'coherence', weight: 0.2, description: 'Logical flow, clear sequence of events and ideas' },
+      { id: 'creativity', weight: 0.2, description: 'Originality of ideas, imagery and situations' },
+      { id: 'grammar', weight: 0.2, description: 'Grammar, spelling and punctuation' },
+      { id: 'style', weight: 0.2, description: 'Voice, word choice and sentence variety' },
+      { id: 'engagement', weight: 0.2, description: 'How strongly the text holds the reader\'s attention' }
+    ]
+  },
+  // Sama dengan rubrik node "Parse Evaluation Result" di Naa.json
+  'chapter-qa': {
+    id: 'chapter-qa',
+    name: 'Chapter QA',
+    passThreshold: parseInt(process.env.GENERATION_PASS_THRESHOLD) || 75,
+    criteria: [
+      { id: 'characterConsistency', weight: 0.3, description: 'Characters act, speak and know things consistently with their established traits and history' },
+      { id: 'worldBuilding', weight: 0.25, description: 'Setting, power system and locations are vivid and consistent with the established world' },
+      { id: 'plotDevelopment', weight: 0.25, description: 'The chapter advances the plot around its focus with meaningful conflict and a hook' },
+      { id: 'writingQuality', weight: 0.2, description: 'Prose, dialogue, pacing and Indonesian language quality' }
+    ]
+  }
+};
+
+export const DEFAULT_RUBRIC_ID = 'general';
+
+export function criterionLabel(criterionId) {
+  return criterionId.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+}
+
+/**
+ * Validasi dan normalisasi rubrik (bobot dijumlahkan menjadi 1)
+ * @throws {Error} statusCode 400 jika rubrik tidak valid
+ */
+export function normalizeRubric(rubric) {
+  const criteria = Array.isArray(rubric?.criteria) ? rubric.criteria : [];
+  const passThreshold = Number(rubric?.passThreshold ?? 70);
+
+  if (!rubric?.id || criteria.length === 0 || criteria.some(criterion => !criterion?.id)) {
+    const error = new Error('Rubric requires an id and at least one criterion with an id');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!Number.isFinite(passThreshold) || passThreshold < 0 || passThreshold > 100) {
+    const error = new Error(`Rubric ${rubric.id}: passThreshold must be between 0 and 100`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const weights = criteria.map(criterion => Number(criterion.weight ?? 1));
+  if (weights.some(weight => !Number.isFinite(weight) || weight < 0)) {
+    const error = new Error(`Rubric ${rubric.id}: criterion weights must be non-negative numbers`);
+    error.statusCode = 400;
+    throw error;
+  }
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+
+  return {
+    id: rubric.id,
+    name: rubric.name || rubric.id,
+    passThreshold,
+    criteria: criteria.map((criterion, index) => ({
+      id: criterion.id,
+      label: criterion.label || criterionLabel(criterion.id),
+      description: criterion.description || '',
+      weight: Math.round((weights[index] / totalWeight) * 10000) / 10000
+    }))
+  };
+}
+
+function parseCustomRubrics() {
+  if (!process.env.AI_EVALUATION_RUBRICS) return {};
+
+  let entries;
+  try {
+    entries = JSON.parse(process.env.AI_EVALUATION_RUBRICS);
+  } catch (error) {
+    console.warn('⚠️ Invalid AI_EVALUATION_RUBRICS, ignoring custom rubrics:', error.message);
+    return {};
+  }
+
+  const rubrics = {};
+  for (const entry of [].concat(entries)) {
+    try {
+      const rubric = normalizeRubric(entry);
+      rubrics[rubric.id] = rubric;
+    } catch (error) {
+      console.warn(`⚠️ Skipping evaluation rubric: ${error.message}`);
+    }
+  }
+  return rubrics;
+}
+
+const RUBRICS = {
+  ...Object.fromEntries(Object.entries(BUILTIN_RUBRICS).map(([id, rubric]) => [id, normalizeRubric(rubric)])),
+  ...parseCustomRubrics()
+};
+
+export function listRubrics() {
+  return Object.values(RUBRICS);
+}
+
+/**
+ * @throws {Error} statusCode 400 jika rubrik tidak dikenal
+ */
+export function getRubric(id = DEFAULT_RUBRIC_ID) {
+  const rubric = RUBRICS[id];
+  if (!rubric) {
+    const error = new Error(`Unknown evaluation rubric: ${id}. Available: ${Object.keys(RUBRICS).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return rubric;
+}
+
+/**
+ * Rubrik ad-hoc dari daftar kriteria (bobot sama), untuk request lama yang hanya mengirim criteria
+ */
+export function rubricFromCriteria(criteria, passThreshold = RUBRICS[DEFAULT_RUBRIC_ID].passThreshold) {
+  const known = new Map(listRubrics().flatMap(rubric => rubric.criteria).map(criterion => [criterion.id, criterion]));
+
+  return normalizeRubric({
+    id: 'custom',
+    name: 'Custom criteria',
+    passThreshold,
+    criteria: criteria.map(id => ({ id, description: known.get(id)?.description, weight: 1 }))
+  });
+}
+
+/**
+ * Skor total berbobot (0-100)
+ */
+export function weightedScore(rubric, scores) {
+  return Math.round(
+    rubric.criteria.reduce((sum, criterion) => sum + (Number(scores[criterion.id]) || 0) * criterion.weight, 0)
+  );
+}
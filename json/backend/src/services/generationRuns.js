@@ -0,0 +1,543 @@
+import { v4 as uuidv4 } from 'uuid';
+import { memorySystem } from './memorySystem.js';
+import { novelOrchestrator } from './orchestrator.js';
+
+export const RUN_STATUSES = ['running', 'waiting_review', 'paused', 'completed', 'cancelled', 'failed'];
+const ACTIVE_STATUSES = ['running', 'waiting_review', 'paused', 'failed'];
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Hasil job generasi → status chapter di run.
+ * Engine native: data.status; workflow n8n membungkus intervensi di errorResponse ({ status, data, message })
+ */
+function chapterOutcome(returnValue) {
+  const result = returnValue?.data || {};
+  if (result.status === 'completed') return 'approved';
+  if (result.status === 'intervention_required' || result.data?.status === 'intervention_required') {
+    return 'intervention_required';
+  }
+  return 'failed';
+}
+
+/**
+ * Generation Runs - generasi rentang chapter secara berurutan
+ *
+ * Setiap chapter adalah job Bull biasa di antrean "chapter-generation"; job chapter berikutnya
+ * baru di-enqueue setelah chapter sebelumnya approved (lolos QA atau di-approve di review queue),
+ * sehingga context selalu berisi chapter sebelumnya.
+ *
+ * Redis:
+ *   generation-run:{runId}                   state run + status per chapter
+ *   novel:{novelId}:generation-runs          riwayat runId (terbaru dulu)
+ *   novel:{novelId}:generation-run:active    run yang belum selesai (maksimal satu per novel, diklaim dengan SET NX)
+ */
+export class GenerationRunService {
+  constructor() {
+    this.redis = memorySystem.redis;
+    this.maxChapters = parseInt(process.env.GENERATION_RUN_MAX_CHAPTERS) || 50;
+    // Serialisasi update per run (event job, review queue dan request API bisa bersamaan)
+    this.locks = new Map();
+  }
+
+  runKey(runId) {
+    return `generation-run:${runId}`;
+  }
+
+  activeRunKey(novelId) {
+    return `novel:${novelId}:generation-run:active`;
+  }
+
+  assertConnected() {
+    if (!this.redis.isConnected) {
+      throw httpError('Generation runs unavailable: Redis is not connected', 503);
+    }
+  }
+
+  async withRunLock(runId, fn) {
+    const previous = this.locks.get(runId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    this.locks.set(runId, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(runId) === current) this.locks.delete(runId);
+    }
+  }
+
+  /**
+   * Pasang listener job selesai/gagal dan lanjutkan run yang terputus (crash / restart)
+   */
+  async initialize() {
+    if (!this.redis.isConnected) {
+      console.warn('⚠️ Generation runs disabled: Redis is not connected');
+      return;
+    }
+
+    const queue = await this.redis.createQueue('chapter-generation');
+    queue.on('completed', (job, result) => {
+      this.handleJobFinished(job, result).catch(error =>
+        console.error(`Generation run update failed for job ${job.id}:`, error.message));
+    });
+    queue.on('failed', (job, error) => {
+      if (job.attemptsMade < (job.opts.attempts || 1)) return;
+      this.handleJobFinished(job, null, error).catch(updateError =>
+        console.error(`Generation run update failed for job ${job.id}:`, updateError.message));
+    });
+
+    const keys = await this.redis.scanKeys(this.runKey('*'));
+    let resumed = 0;
+    for (const key of keys) {
+      const run = await this.redis.get(key);
+      if (run?.status !== 'running') continue;
+
+      await this.withRunLock(run.runId, async () => {
+        await this.advance(await this.redis.get(key));
+      });
+      resumed++;
+    }
+
+    console.log(`✅ Generation runs initialized (${resumed} running run(s) resumed)`);
+  }
+
+  /**
+   * Buat run untuk chapter fromChapter..toChapter dan enqueue chapter pertama
+   * @param {Object} params - novelId, fromChapter, toChapter, stylePreference, mood, callbackUrl,
+   *   focusElements (semua chapter), chapterFocus ({ [chapterNumber]: focus }), engine, model, sceneCount, requestId
+   */
+  async createRun(params) {
+    this.assertConnected();
+    const { novelId, fromChapter, toChapter, chapterFocus = {} } = params;
+
+    if (toChapter < fromChapter) {
+      throw httpError('toChapter must be greater than or equal to fromChapter', 400);
+    }
+    if (toChapter - fromChapter + 1 > this.maxChapters) {
+      throw httpError(`A generation run can cover at most ${this.maxChapters} chapters`, 400);
+    }
+
+    await memorySystem.assertNovelNotDeleted(novelId);
+
+    const chapters = {};
+    for (let chapterNumber = fromChapter; chapterNumber <= toChapter; chapterNumber++) {
+      // Validasi field + focus per chapter sekarang (400), bukan saat run sudah berjalan
+      try {
+        const input = this.buildChapterInput(params, chapterNumber);
+        if (!input.focusElements) {
+          await novelOrchestrator.applyChapterPlan(input);
+        }
+      } catch (error) {
+        throw httpError(`Chapter ${chapterNumber}: ${error.message}`, error.statusCode || 400);
+      }
+      chapters[chapterNumber] = { chapterNumber, status: 'pending', jobId: null, attempts: 0 };
+    }
+
+    // Klaim slot run aktif secara atomik sebelum run disimpan atau chapter di-enqueue
+    const runId = `run_${uuidv4()}`;
+    if (!await this.claimActiveRun(novelId, runId)) {
+      const activeRunId = await this.redis.get(this.activeRunKey(novelId));
+      throw httpError(`Novel ${novelId} already has an unfinished generation run (${activeRunId})`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const run = {
+      runId,
+      novelId,
+      fromChapter,
+      toChapter,
+      status: 'running',
+      request: {
+        stylePreference: params.stylePreference,
+        mood: params.mood,
+        callbackUrl: params.callbackUrl,
+        focusElements: params.focusElements || null,
+        chapterFocus,
+        engine: params.engine || null,
+        model: params.model || null,
+        sceneCount: params.sceneCount || null,
+        requestId: params.requestId || null
+      },
+      chapters,
+      pausedReason: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.saveRun(run);
+    await this.redis.pushCapped(`novel:${novelId}:generation-runs`, run.runId, 100);
+
+    console.log(`🏃 Generation run ${run.runId} created for ${novelId} (chapters ${fromChapter}-${toChapter})`);
+
+    return await this.withRunLock(run.runId, async () => {
+      await this.advance(run);
+      return await this.getRun(run.runId);
+    });
+  }
+
+  buildChapterInput(run, chapterNumber) {
+    const request = run.request || run;
+    return novelOrchestrator.validateNovelGenerationRequest({
+      novelId: run.novelId,
+      chapterNumber,
+      focusElements: request.chapterFocus?.[chapterNumber] || request.focusElements,
+      stylePreference: request.stylePreference,
+      mood: request.mood,
+      callbackUrl: request.callbackUrl,
+      engine: request.engine,
+      model: request.model,
+      sceneCount: request.sceneCount,
+      requestId: request.requestId ? `${request.requestId}:ch${chapterNumber}` : ''
+    });
+  }
+
+  /**
+   * SET NX pada key run aktif. Key yang menunjuk run yang sudah selesai (mis. proses mati sebelum key dihapus)
+   * dilepas lalu diklaim ulang sekali
+   */
+  async claimActiveRun(novelId, runId) {
+    const key = this.activeRunKey(novelId);
+    if (await this.redis.setIfAbsent(key, runId)) return true;
+
+    const staleRunId = await this.redis.get(key);
+    if (!staleRunId || await this.getActiveRunId(novelId)) return false;
+
+    await this.redis.deleteIfEquals(key, staleRunId);
+    return await this.redis.setIfAbsent(key, runId);
+  }
+
+  /**
+   * runId yang belum selesai untuk novel, atau null
+   */
+  async getActiveRunId(novelId) {
+    const activeRunId = await this.redis.get(this.activeRunKey(novelId));
+    if (!activeRunId) return null;
+
+    const activeRun = await this.redis.get(this.runKey(activeRunId));
+    return activeRun && ACTIVE_STATUSES.includes(activeRun.status) ? activeRunId : null;
+  }
+
+  /**
+   * Hapus semua run milik novel (state run + riwayat)
+   */
+  async deleteRuns(novelId) {
+    const runIds = await this.redis.lrange(`novel:${novelId}:generation-runs`, 0, -1);
+    await Promise.all(runIds.map(runId => this.redis.del(this.runKey(runId))));
+    await this.redis.del(`novel:${novelId}:generation-runs`);
+    await this.redis.del(this.activeRunKey(novelId));
+    return runIds.length;
+  }
+
+  async saveRun(run) {
+    run.updatedAt = new Date().toISOString();
+    await this.redis.set(this.runKey(run.runId), run);
+    return run;
+  }
+
+  async loadRun(runId) {
+    this.assertConnected();
+
+    const run = await this.redis.get(this.runKey(runId));
+    if (!run) {
+      throw httpError(`Generation run ${runId} not found`, 404);
+    }
+    return run;
+  }
+
+  nextChapter(run) {
+    for (let chapterNumber = run.fromChapter; chapterNumber <= run.toChapter; chapterNumber++) {
+      if (run.chapters[chapterNumber].status !== 'approved') return chapterNumber;
+    }
+    return null;
+  }
+
+  /**
+   * Lanjutkan run dari chapter pertama yang belum approved.
+   * Idempotent: dipakai setelah chapter approved, saat resume dan saat startup setelah crash.
+   */
+  async advance(run) {
+    if (run.status !== 'running' && run.status !== 'waiting_review') return run;
+
+    const chapterNumber = this.nextChapter(run);
+    if (chapterNumber === null) {
+      return await this.finishRun(run, 'completed');
+    }
+
+    const chapter = run.chapters[chapterNumber];
+
+    if (chapter.status === 'intervention_required') {
+      run.status = 'waiting_review';
+      return await this.saveRun(run);
+    }
+
+    if (chapter.status === 'queued' && chapter.jobId) {
+      const job = await this.redis.getJob('chapter-generation', chapter.jobId);
+      const state = job ? await job.getState() : null;
+
+      if (['waiting', 'active', 'delayed', 'paused'].includes(state)) {
+        run.status = 'running';
+        return await this.saveRun(run);
+      }
+      if (state === 'completed') {
+        // Job selesai sebelum crash tapi hasilnya belum tercatat
+        return await this.applyChapterResult(run, chapterNumber, job.returnvalue);
+      }
+    }
+
+    return await this.enqueueChapter(run, chapterNumber);
+  }
+
+  async enqueueChapter(run, chapterNumber) {
+    const chapter = run.chapters[chapterNumber];
+
+    try {
+      const job = await novelOrchestrator.enqueueNovelGeneration(this.buildChapterInput(run, chapterNumber));
+      Object.assign(chapter, {
+        status: 'queued',
+        jobId: String(job.id),
+        attempts: chapter.attempts + 1,
+        error: null,
+        queuedAt: new Date().toISOString()
+      });
+      run.status = 'running';
+      console.log(`🏃 Run ${run.runId}: chapter ${chapterNumber} queued (job ${job.id})`);
+    } catch (error) {
+      // Budget habis (402), focus hilang (400), Redis down (503): run berhenti sampai di-resume
+      console.warn(`⏸️ Run ${run.runId} paused at chapter ${chapterNumber}: ${error.message}`);
+      run.status = 'paused';
+      run.pausedReason = error.message;
+    }
+
+    return await this.saveRun(run);
+  }
+
+  async applyChapterResult(run, chapterNumber, returnValue, failure = null) {
+    const chapter = run.chapters[chapterNumber];
+    const result = returnValue?.data || {};
+    const outcome = failure ? 'failed' : chapterOutcome(returnValue);
+
+    Object.assign(chapter, {
+      status: outcome,
+      qualityScore: result.qualityScore ?? result.data?.qualityScore ?? null,
+      iterations: result.iterations ?? result.iterationCount ?? null,
+      error: failure ? failure.message : (outcome === 'failed' ? (result.message || 'Unexpected generation result') : null),
+      finishedAt: new Date().toISOString()
+    });
+    console.log(`🏃 Run ${run.runId}: chapter ${chapterNumber} ${outcome}`);
+
+    if (outcome === 'failed') {
+      if (run.status === 'running') {
+        run.status = 'failed';
+        run.error = `Chapter ${chapterNumber}: ${chapter.error}`;
+      }
+      return await this.saveRun(run);
+    }
+
+    // Run yang di-pause atau dibatalkan hanya mencatat hasil
+    if (run.status !== 'running' && run.status !== 'waiting_review') {
+      return await this.saveRun(run);
+    }
+    return await this.advance(run);
+  }
+
+  /**
+   * Listener antrean: hanya job yang tercatat sebagai job chapter di run aktif novel tersebut
+   */
+  async handleJobFinished(job, returnValue, failure = null) {
+    const { novelId, chapterNumber } = job.data;
+    const runId = await this.redis.get(this.activeRunKey(novelId));
+    if (!runId) return;
+
+    await this.withRunLock(runId, async () => {
+      const run = await this.redis.get(this.runKey(runId));
+      const chapter = run?.chapters?.[chapterNumber];
+      if (!chapter || chapter.jobId !== String(job.id) || chapter.status !== 'queued') return;
+
+      await this.applyChapterResult(run, chapterNumber, returnValue, failure);
+    });
+  }
+
+  /**
+   * Dipanggil review queue; run aktif novel ikut maju jika chapter tersebut bagian dari run
+   */
+  async handleReviewAction(novelId, chapterNumber, action, details = {}) {
+    if (!this.redis.isConnected) return;
+
+    try {
+      const runId = await this.redis.get(this.activeRunKey(novelId));
+      if (!runId) return;
+
+      await this.withRunLock(runId, async () => {
+        const run = await this.redis.get(this.runKey(runId));
+        const chapter = run?.chapters?.[chapterNumber];
+        if (!chapter || chapter.status !== 'intervention_required') return;
+
+        if (action === 'approved') {
+          chapter.status = 'approved';
+          chapter.reviewedAt = new Date().toISOString();
+          console.log(`🏃 Run ${runId}: chapter ${chapterNumber} approved in review`);
+          await this.advance(run);
+        } else if (action === 'rejected') {
+          chapter.status = 'rejected';
+          chapter.error = details.reason || 'Rejected in review';
+          if (run.status === 'running' || run.status === 'waiting_review') {
+            run.status = 'paused';
+            run.pausedReason = `Chapter ${chapterNumber} rejected in review; resume to generate it again`;
+          }
+          await this.saveRun(run);
+        } else if (action === 'regenerating') {
+          Object.assign(chapter, {
+            status: 'queued',
+            jobId: String(details.jobId),
+            attempts: chapter.attempts + 1,
+            queuedAt: new Date().toISOString()
+          });
+          if (run.status === 'waiting_review') run.status = 'running';
+          await this.saveRun(run);
+        }
+      });
+    } catch (error) {
+      console.warn(`Generation run update after review failed for ${novelId} chapter ${chapterNumber}:`, error.message);
+    }
+  }
+
+  async finishRun(run, status) {
+    run.status = status;
+    run.finishedAt = new Date().toISOString();
+    await this.saveRun(run);
+
+    if (await this.redis.get(this.activeRunKey(run.novelId)) === run.runId) {
+      await this.redis.del(this.activeRunKey(run.novelId));
+    }
+
+    console.log(`🏁 Generation run ${run.runId} ${status}`);
+    return run;
+  }
+
+  /**
+   * Pause: job yang sedang berjalan diselesaikan, chapter berikutnya tidak di-enqueue
+   */
+  async pauseRun(runId) {
+    return await this.withRunLock(runId, async () => {
+      const run = await this.loadRun(runId);
+      if (run.status !== 'running' && run.status !== 'waiting_review') {
+        throw httpError(`Generation run ${runId} is ${run.status} and cannot be paused`, 409);
+      }
+
+      run.status = 'paused';
+      run.pausedReason = 'Paused by user';
+      await this.saveRun(run);
+      console.log(`⏸️ Generation run ${runId} paused`);
+      return await this.getRun(runId);
+    });
+  }
+
+  /**
+   * Resume run yang di-pause atau gagal, mulai dari chapter pertama yang belum approved
+   */
+  async resumeRun(runId) {
+    return await this.withRunLock(runId, async () => {
+      const run = await this.loadRun(runId);
+      if (run.status !== 'paused' && run.status !== 'failed') {
+        throw httpError(`Generation run ${runId} is ${run.status} and cannot be resumed`, 409);
+      }
+      await memorySystem.assertNovelNotDeleted(run.novelId);
+
+      run.status = 'running';
+      run.pausedReason = null;
+      run.error = null;
+      console.log(`▶️ Generation run ${runId} resumed`);
+      await this.advance(run);
+      return await this.getRun(runId);
+    });
+  }
+
+  /**
+   * Cancel: job yang masih menunggu di antrean dihapus; hasil job yang sedang berjalan diabaikan
+   */
+  async cancelRun(runId) {
+    return await this.withRunLock(runId, async () => {
+      const run = await this.loadRun(runId);
+      if (!ACTIVE_STATUSES.includes(run.status)) {
+        throw httpError(`Generation run ${runId} is already ${run.status}`, 409);
+      }
+
+      for (const chapter of Object.values(run.chapters)) {
+        if (chapter.status !== 'queued' || !chapter.jobId) continue;
+
+        const job = await this.redis.getJob('chapter-generation', chapter.jobId);
+        if (job && ['waiting', 'delayed'].includes(await job.getState())) {
+          await job.remove();
+          chapter.status = 'cancelled';
+        }
+      }
+
+      await this.finishRun(run, 'cancelled');
+      return await this.getRun(runId);
+    });
+  }
+
+  /**
+   * Progress run: status per chapter + tahap pipeline job chapter yang sedang berjalan
+   */
+  async getRun(runId) {
+    const run = await this.loadRun(runId);
+    const chapters = Object.values(run.chapters).sort((a, b) => a.chapterNumber - b.chapterNumber);
+    const approved = chapters.filter(chapter => chapter.status === 'approved');
+    const currentChapter = this.nextChapter(run);
+
+    let currentJob = null;
+    const current = currentChapter !== null ? run.chapters[currentChapter] : null;
+    if (current?.status === 'queued' && current.jobId) {
+      currentJob = await novelOrchestrator.getGenerationJobStatus(current.jobId).catch(() => null);
+    }
+
+    return {
+      ...run,
+      chapters,
+      progress: {
+        totalChapters: chapters.length,
+        approvedChapters: approved.length,
+        percent: Math.round((approved.length / chapters.length) * 100),
+        currentChapter,
+        lastCompletedChapter: approved.length > 0 ? approved[approved.length - 1].chapterNumber : null,
+        currentJob: currentJob
+          ? { jobId: currentJob.jobId, state: currentJob.state, step: currentJob.step, iteration: currentJob.iteration }
+          : null
+      }
+    };
+  }
+
+  async listRuns(novelId) {
+    this.assertConnected();
+
+    const runIds = await this.redis.lrange(`novel:${novelId}:generation-runs`, 0, -1);
+    const runs = await Promise.all(runIds.map(runId => this.redis.get(this.runKey(runId))));
+
+    return runs.filter(Boolean).map(run => {
+      const approved = Object.values(run.chapters).filter(chapter => chapter.status === 'approved').length;
+      return {
+        runId: run.runId,
+        novelId: run.novelId,
+        status: run.status,
+        fromChapter: run.fromChapter,
+        toChapter: run.toChapter,
+        approvedChapters: approved,
+        totalChapters: run.toChapter - run.fromChapter + 1,
+        currentChapter: this.nextChapter(run),
+        createdAt: run.createdAt,
+        updatedAt: run.updatedAt
+      };
+    });
+  }
+}
+
+// Singleton instance
+export const generationRuns = new GenerationRunService();
+
+export default GenerationRunService;
@@ -1,8 +1,16 @@
 import { neo4jService } from './neo4jService.js';
 import { pineconeService } from './pineconeService.js';
 import { redisService } from './redisService.js';
+import { storyDigest } from './storyDigest.js';
+import { entityExtraction } from './entityExtraction.js';
+import { timelineService } from './timelineService.js';
+import { worldStateService } from './worldStateService.js';
+import { relationshipService } from './relationshipService.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// Jumlah event terakhir (urut waktu cerita) yang ikut context generasi
+const TIMELINE_CONTEXT_EVENTS = 15;
+
 /**
  * Memory System Service
  * Orchestrates all database and storage services for the novel generation system
@@ -77,19 +85,7 @@ export class MemorySystem {
       console.log(`Processing chapter generation for novel ${novelId}, chapter ${chapterData.number}`);
       
       try {
-        // Store chapter in Neo4j
-        await this.neo4j.createOrUpdateChapter(novelId, chapterData);
-        
-        // Store embeddings in Pinecone
-        if (chapterData.content) {
-          await this.pinecone.storeChapterContent(novelId, chapterData.number, chapterData);
-        }
-        
-        // Cache in Redis
-        await this.redis.cacheChapter(novelId, chapterData.number, chapterData);
-        
-        console.log(`✅ Chapter ${chapterData.number} processed for novel ${novelId}`);
-        return { success: true, chapterNumber: chapterData.number };
+        return await this.storeChapter(novelId, chapterData);
       } catch (error) {
         console.error(`❌ Chapter processing failed:`, error);
         throw error;
@@ -125,25 +121,48 @@ export class MemorySystem {
       }
     });
 
-    // World state update processor
+    // Story digest processor (concurrency 1: arc & storySoFar dibangun berurutan)
+    await this.redis.processQueue('summary-processing', 'summarize-chapter', async (job) => {
+      const { novelId, chapterNumber, model, force } = job.data;
+      console.log(`Processing story digest for novel ${novelId}, chapter ${chapterNumber}`);
+
+      try {
+        return await storyDigest.processChapter(novelId, chapterNumber, { model, force });
+      } catch (error) {
+        console.error(`❌ Story digest failed:`, error);
+        throw error;
+      }
+    }, 1);
+
+    // Entity extraction processor (concurrency 1: entitas baru dari chapter berbeda tidak dibuat dobel)
+    await this.redis.processQueue('extraction-processing', 'extract-entities', async (job) => {
+      const { novelId, chapterNumber, model } = job.data;
+      console.log(`Processing entity extraction for novel ${novelId}, chapter ${chapterNumber}`);
+
+      try {
+        return await entityExtraction.processChapter(novelId, chapterNumber, { model });
+      } catch (error) {
+        console.error(`❌ Entity extraction failed:`, error);
+        throw error;
+      }
+    }, 1);
+
+    // World state update processor (satu per satu agar urutan log sama dengan urutan update)
     await this.redis.processQueue('world-state-processing', 'update-world-state', async (job) => {
-      const { novelId, updates } = job.data;
+      const { novelId, updates, chapterNumber, source } = job.data;
       console.log(`Processing world state update for novel ${novelId}`);
       
       try {
-        // Update in Neo4j
-        await this.neo4j.updateWorldState(novelId, updates);
-        
-        // Update cache in Redis
-        await this.redis.updateWorldState(novelId, updates);
+        // Log perubahan di Neo4j, snapshot terbaru di-cache di Redis
+        const result = await worldStateService.recordChange(novelId, updates, { chapterNumber, source });
         
         console.log(`✅ World state updated for novel ${novelId}`);
-        return { success: true, novelId };
+        return { success: true, novelId, chapterNumber: result.chapterNumber };
       } catch (error) {
         console.error(`❌ World state update failed:`, error);
         throw error;
       }
-    });
+    }, 1);
 
     console.log('✅ Queue processors initialized');
   }
@@ -159,8 +178,8 @@ export class MemorySystem {
       // Store in Neo4j
       const neo4jResult = await this.neo4j.createOrUpdateNovel(novel);
       
-      // Initialize world state in Redis
-      await this.redis.cacheWorldState(novelId, {
+      // Keadaan awal world state (chapter 0)
+      await worldStateService.recordChange(novelId, {
         title: novel.title,
         status: 'active',
         createdAt: new Date().toISOString(),
@@ -169,7 +188,7 @@ export class MemorySystem {
         characters: [],
         locations: [],
         plotPoints: []
-      });
+      }, { chapterNumber: 0, source: 'novel' });
 
       console.log(`✅ Novel created: ${novelId}`);
       return { success: true, novelId, data: neo4jResult };
@@ -179,6 +198,20 @@ export class MemorySystem {
     }
   }
 
+  /**
+   * Tolak operasi pada novel yang ada di trash (soft delete); tanpa Neo4j tidak bisa dicek
+   */
+  async assertNovelNotDeleted(novelId) {
+    if (!this.neo4j.isConnected) return;
+
+    const novel = await this.neo4j.getNovel(novelId);
+    if (novel?.deletedAt) {
+      const error = new Error(`Novel ${novelId} is deleted; restore it first`);
+      error.statusCode = 404;
+      throw error;
+    }
+  }
+
   async getNovel(novelId) {
     try {
       // Try cache first
@@ -303,20 +336,30 @@ export class MemorySystem {
   /**
    * Chapter Management Operations
    */
-  async addChapter(novelId, chapterData) {
+  /**
+   * @param {Object} options - sync: simpan chapter sebelum return (tanpa antrean), dipakai saat chapter
+   *   berikutnya langsung dibangun dari chapter ini (pipeline generasi, approve review)
+   */
+  async addChapter(novelId, chapterData, { sync = false } = {}) {
     try {
-      // Queue chapter processing (async)
-      await this.redis.queueChapterGeneration(novelId, chapterData);
+      if (sync) {
+        await this.storeChapter(novelId, chapterData);
+      } else {
+        // Queue chapter processing (async)
+        await this.redis.queueChapterGeneration(novelId, chapterData);
+      }
       
-      // Update world state
+      // Update world state; hanya nilai milik chapter ini (totalChapters diturunkan saat state dibaca)
       const worldStateUpdates = {
         lastChapter: chapterData.number,
-        totalChapters: Math.max(chapterData.number, (await this.redis.getWorldState(novelId))?.totalChapters || 0),
         lastUpdated: new Date().toISOString()
       };
       
-      await this.redis.queueWorldStateUpdate(novelId, worldStateUpdates);
+      await this.redis.queueWorldStateUpdate(novelId, worldStateUpdates, { chapterNumber: chapterData.number, source: 'chapter' });
       
+      if (sync) {
+        return { success: true, chapterNumber: chapterData.number, status: 'stored' };
+      }
       console.log(`✅ Chapter ${chapterData.number} queued for processing in novel ${novelId}`);
       return { success: true, chapterNumber: chapterData.number, status: 'processing' };
     } catch (error) {
@@ -325,6 +368,33 @@ export class MemorySystem {
     }
   }
 
+  /**
+   * Simpan chapter ke Neo4j, Pinecone dan cache Redis, lalu antrekan ringkasan dan ekstraksi
+   */
+  async storeChapter(novelId, chapterData) {
+    // Store chapter in Neo4j
+    await this.neo4j.createOrUpdateChapter(novelId, chapterData);
+    
+    // Store embeddings in Pinecone (menggantikan vector versi sebelumnya)
+    if (chapterData.content) {
+      await this.pinecone.replaceChapterContent(novelId, chapterData.number, chapterData);
+    }
+    
+    // Cache in Redis
+    await this.redis.cacheChapter(novelId, chapterData.number, chapterData);
+
+    // Ringkasan, key events, digest arc dan ekstraksi entitas dibuat di antrean terpisah
+    if (chapterData.content) {
+      // Provider yang menulis chapter; chapter tanpa provider (tulisan manusia) memakai model default service
+      const model = chapterData.provider || null;
+      await this.redis.queueChapterSummary(novelId, chapterData.number, { model });
+      await this.redis.queueEntityExtraction(novelId, chapterData.number, { model });
+    }
+    
+    console.log(`✅ Chapter ${chapterData.number} processed for novel ${novelId}`);
+    return { success: true, chapterNumber: chapterData.number };
+  }
+
   async getChapter(novelId, chapterNumber) {
     try {
       // Try cache first
@@ -353,6 +423,16 @@ export class MemorySystem {
     }
   }
 
+  async getChapterScenes(novelId, chapterNumber) {
+    try {
+      const scenes = await this.neo4j.getChapterScenes(novelId, chapterNumber);
+      return { success: true, data: scenes, count: scenes.length };
+    } catch (error) {
+      console.error(`❌ Chapter scene retrieval failed:`, error);
+      throw error;
+    }
+  }
+
   async getChapterSequence(novelId, limit = 10) {
     try {
       const chapters = await this.neo4j.getChapterSequence(novelId, limit);
@@ -406,14 +486,34 @@ export class MemorySystem {
       // Get novel context from Neo4j
       const novelContext = await this.neo4j.getNovelContext(novelId, chapterNumber);
       
-      // Get world state from Redis
-      const worldState = await this.redis.getWorldState(novelId);
+      // Snapshot world state sebelum chapter ini: regenerasi tidak melihat perubahan sesudahnya
+      // maupun perubahan yang dicatat dari draft chapter ini yang sedang diganti
+      const worldState = this.neo4j.isConnected
+        ? await worldStateService.getWorldState(novelId, chapterNumber - 1)
+        : await this.redis.getWorldState(novelId);
       
       // Get previous chapter from cache/database
       const previousChapter = chapterNumber > 1 
         ? await this.getChapter(novelId, chapterNumber - 1)
         : null;
 
+      // Ringkasan bertingkat: storySoFar arc terakhir + ringkasan chapter sesudahnya
+      const storySoFar = chapterNumber > 1 && this.neo4j.isConnected
+        ? await storyDigest.getStorySoFar(novelId, chapterNumber)
+        : null;
+
+      // Event yang sudah diceritakan sebelum chapter ini (tanpa spoiler), urut waktu cerita
+      const timeline = chapterNumber > 1 && this.neo4j.isConnected
+        ? (await timelineService.getTimeline(novelId, { asOfChapter: chapterNumber - 1 })).events
+            .map((event, order) => ({ ...event, order }))
+            .slice(-TIMELINE_CONTEXT_EVENTS)
+        : [];
+
+      // Relasi karakter yang berlaku di chapter ini; contextAssembler memilih yang antar karakter di scene
+      const relationships = this.neo4j.isConnected
+        ? await relationshipService.list(novelId, { atChapter: chapterNumber })
+        : [];
+
       // Semantic search for relevant content
       const searchQuery = `${focusElements} chapter ${chapterNumber}`;
       const semanticResults = await this.pinecone.semanticSearch(searchQuery, novelId, {
@@ -421,13 +521,16 @@ export class MemorySystem {
         excludeChapter: chapterNumber
       });
 
-      // Build comprehensive context
+      // Build comprehensive context (Neo4j nodes are unwrapped to their properties)
       const context = {
-        novel: novelContext?.novel || {},
-        characters: novelContext?.characters || [],
-        locations: novelContext?.locations || [],
+        novel: novelContext?.novel?.properties || {},
+        characters: (novelContext?.characters || []).map(c => c.properties || c),
+        locations: (novelContext?.locations || []).map(l => l.properties || l),
         worldState: worldState || {},
         previousChapter: previousChapter?.data || null,
+        storySoFar,
+        timeline,
+        relationships,
         similarContent: semanticResults || [],
         focusElements,
         chapterNumber,
@@ -445,9 +548,12 @@ export class MemorySystem {
   /**
    * World State Management
    */
-  async updateWorldState(novelId, updates) {
+  /**
+   * @param {number} chapterNumber - chapter mulai berlakunya update (default: chapter berikutnya)
+   */
+  async updateWorldState(novelId, updates, chapterNumber = null) {
     try {
-      await this.redis.queueWorldStateUpdate(novelId, updates);
+      await this.redis.queueWorldStateUpdate(novelId, updates, { chapterNumber, source: 'manual' });
       return { success: true, status: 'queued' };
     } catch (error) {
       console.error(`❌ World state update failed:`, error);
@@ -455,10 +561,10 @@ export class MemorySystem {
     }
   }
 
-  async getWorldState(novelId) {
+  async getWorldState(novelId, asOfChapter = null) {
     try {
-      const worldState = await this.redis.getWorldState(novelId);
-      return { success: true, data: worldState };
+      const worldState = await worldStateService.getWorldState(novelId, asOfChapter);
+      return { success: true, data: worldState, asOfChapter };
     } catch (error) {
       console.error(`❌ World state retrieval failed:`, error);
       throw error;
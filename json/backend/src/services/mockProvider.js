@@ -0,0 +1,165 @@
+/**
+ * Mock AI Provider - deterministic output for offline development and tests
+ * Same input (and seed) always produces the same text, evaluation, and vectors.
+ */
+
+const DEFAULT_SEED = parseInt(process.env.AI_MOCK_SEED) || 42;
+const MAX_MOCK_WORDS = 600;
+
+const SUBJECTS = ['Aria', 'Sang penjaga', 'Pemuda itu', 'Penyihir tua', 'Kapten Raka', 'Gadis dari utara', 'Bayangan itu'];
+const VERBS = ['menatap', 'menyentuh', 'meninggalkan', 'mencari', 'mengingat', 'menembus', 'melindungi', 'membisikkan'];
+const OBJECTS = ['gerbang kuno', 'kristal biru', 'hutan berkabut', 'surat terakhir', 'pedang patah', 'menara sunyi', 'sungai cahaya'];
+const CLAUSES = ['saat fajar menyingsing', 'tanpa berkata apa-apa', 'dengan tangan gemetar', 'di bawah langit merah', 'seolah waktu berhenti', 'ketika angin berubah arah'];
+
+/**
+ * FNV-1a string hash, used as PRNG seed
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * mulberry32 PRNG - returns a function producing floats in [0, 1)
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(rng, list) {
+  return list[Math.floor(rng() * list.length)];
+}
+
+function rngFor(input, seed) {
+  return createRng(hashString(`${seed ?? DEFAULT_SEED}:${input}`));
+}
+
+/**
+ * Deterministic prose, sized from maxTokens (capped so local runs stay fast)
+ */
+export function mockGenerate(prompt, options = {}) {
+  const rng = rngFor(prompt, options.seed);
+  const targetWords = Math.min(Math.floor((options.maxTokens || 4000) * 0.75), MAX_MOCK_WORDS);
+
+  const paragraphs = [];
+  let wordCount = 0;
+
+  while (wordCount < targetWords) {
+    const sentences = [];
+    const sentenceCount = 3 + Math.floor(rng() * 3);
+
+    for (let i = 0; i < sentenceCount && wordCount < targetWords; i++) {
+      const sentence = `${pick(rng, SUBJECTS)} ${pick(rng, VERBS)} ${pick(rng, OBJECTS)} ${pick(rng, CLAUSES)}.`;
+      sentences.push(sentence);
+      wordCount += sentence.split(' ').length;
+    }
+
+    paragraphs.push(sentences.join(' '));
+  }
+
+  const content = paragraphs.join('\n\n');
+
+  return {
+    content,
+    usage: {
+      prompt_tokens: Math.ceil(prompt.length / 4),
+      completion_tokens: Math.ceil(content.length / 4),
+      total_tokens: Math.ceil(prompt.length / 4) + Math.ceil(content.length / 4)
+    },
+    model: 'mock-1',
+    // AI_MOCK_FINISH_REASON=length simulates truncated output (continuation handling)
+    finishReason: process.env.AI_MOCK_FINISH_REASON || 'stop'
+  };
+}
+
+/**
+ * Deterministic evaluation as a JSON string, in the format requested by the "text-evaluation" prompt template.
+ * AI_MOCK_EVALUATION_SCORE pins every score (0-100) to exercise retry / intervention paths.
+ */
+export function mockEvaluate(text, criteria, options = {}) {
+  const rng = rngFor(text, options.seed);
+  const fixedScore = parseFloat(process.env.AI_MOCK_EVALUATION_SCORE);
+
+  const scores = {};
+  const rationales = {};
+  for (const criterion of criteria) {
+    scores[criterion] = Number.isNaN(fixedScore) ? 70 + Math.round(rng() * 20) : fixedScore;
+    rationales[criterion] = `Mock evaluation: ${criterion} scored ${scores[criterion]}`;
+  }
+
+  const values = Object.values(scores);
+  const overallScore = Math.round(values.reduce((sum, s) => sum + s, 0) / (values.length || 1));
+
+  return JSON.stringify({
+    overallScore,
+    scores,
+    rationales,
+    feedback: {
+      strengths: ['Mock evaluation: pacing is consistent'],
+      improvements: ['Mock evaluation: deepen character motivation'],
+      summary: `Mock evaluation with overall score ${overallScore}`
+    },
+    criticalIssues: [],
+    wordCount: text.split(/\s+/).filter(Boolean).length,
+    readabilityLevel: 'intermediate'
+  }, null, 2);
+}
+
+/**
+ * Deterministic sample value for a JSON Schema (type, properties, items, enum, minimum, maximum),
+ * so structured-output requests (options.responseSchema) also work offline
+ */
+export function mockStructured(schema, input, options = {}) {
+  return sampleSchema(schema || {}, rngFor(input, options.seed));
+}
+
+function sampleSchema(schema, rng) {
+  if (schema.enum) return pick(rng, schema.enum);
+
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, child]) => [key, sampleSchema(child, rng)])
+      );
+    case 'array': {
+      const length = Math.max(schema.minItems || 0, 2);
+      return Array.from({ length }, () => sampleSchema(schema.items || {}, rng));
+    }
+    case 'integer':
+    case 'number': {
+      const min = schema.minimum ?? 0;
+      const max = schema.maximum ?? min + 10;
+      const value = min + rng() * (max - min);
+      return schema.type === 'integer' ? Math.round(value) : Math.round(value * 10) / 10;
+    }
+    case 'boolean':
+      return rng() >= 0.5;
+    default:
+      return `${pick(rng, SUBJECTS)} ${pick(rng, VERBS)} ${pick(rng, OBJECTS)}`;
+  }
+}
+
+/**
+ * Deterministic unit-length vectors of a fixed dimension
+ */
+export function mockEmbed(texts, dimensions = parseInt(process.env.EMBEDDING_DIM) || 1024) {
+  const embeddings = texts.map(text => {
+    const rng = rngFor(text);
+    const vector = Array.from({ length: dimensions }, () => rng() * 2 - 1);
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+  });
+
+  return { embeddings, model: 'mock-embedding', dimensions };
+}
@@ -1,4 +1,10 @@
+import crypto from 'crypto';
 import neo4j from 'neo4j-driver';
+import { diffText, compactHunks } from './textDiff.js';
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(String(content || '')).digest('hex');
+}
 
 /**
  * Neo4j Graph Database Service
@@ -9,6 +15,7 @@ export class Neo4jService {
     this.driver = null;
     this.session = null;
     this.isConnected = false;
+    this.chapterLocks = new Map();
   }
 
   /**
@@ -76,10 +83,25 @@ export class Neo4jService {
         'CREATE CONSTRAINT character_id IF NOT EXISTS FOR (c:Character) REQUIRE c.id IS UNIQUE',
         'CREATE CONSTRAINT location_id IF NOT EXISTS FOR (l:Location) REQUIRE l.id IS UNIQUE',
         'CREATE CONSTRAINT chapter_composite IF NOT EXISTS FOR (ch:Chapter) REQUIRE (ch.novelId, ch.number) IS UNIQUE',
+        'CREATE CONSTRAINT outline_id IF NOT EXISTS FOR (o:Outline) REQUIRE o.id IS UNIQUE',
+        'CREATE CONSTRAINT beat_id IF NOT EXISTS FOR (b:Beat) REQUIRE b.id IS UNIQUE',
+        'CREATE CONSTRAINT scene_id IF NOT EXISTS FOR (s:Scene) REQUIRE s.id IS UNIQUE',
+        'CREATE CONSTRAINT draft_id IF NOT EXISTS FOR (d:Draft) REQUIRE d.id IS UNIQUE',
+        'CREATE CONSTRAINT revision_id IF NOT EXISTS FOR (r:Revision) REQUIRE r.id IS UNIQUE',
+        'CREATE CONSTRAINT arc_id IF NOT EXISTS FOR (a:Arc) REQUIRE a.id IS UNIQUE',
+        'CREATE CONSTRAINT item_id IF NOT EXISTS FOR (i:Item) REQUIRE i.id IS UNIQUE',
+        'CREATE CONSTRAINT extraction_id IF NOT EXISTS FOR (x:Extraction) REQUIRE x.id IS UNIQUE',
+        'CREATE CONSTRAINT event_id IF NOT EXISTS FOR (e:Event) REQUIRE e.id IS UNIQUE',
+        'CREATE CONSTRAINT world_state_change_id IF NOT EXISTS FOR (w:WorldStateChange) REQUIRE w.id IS UNIQUE',
         'CREATE INDEX novel_title IF NOT EXISTS FOR (n:Novel) ON (n.title)',
         'CREATE INDEX character_name IF NOT EXISTS FOR (c:Character) ON (c.name)',
         'CREATE INDEX location_name IF NOT EXISTS FOR (l:Location) ON (l.name)',
-        'CREATE INDEX chapter_number IF NOT EXISTS FOR (ch:Chapter) ON (ch.number)'
+        'CREATE INDEX chapter_number IF NOT EXISTS FOR (ch:Chapter) ON (ch.number)',
+        'CREATE INDEX beat_chapter IF NOT EXISTS FOR (b:Beat) ON (b.novelId, b.chapterNumber)',
+        'CREATE INDEX draft_chapter IF NOT EXISTS FOR (d:Draft) ON (d.novelId, d.chapterNumber)',
+        'CREATE INDEX revision_chapter IF NOT EXISTS FOR (r:Revision) ON (r.novelId, r.chapterNumber)',
+        'CREATE INDEX event_chapter IF NOT EXISTS FOR (e:Event) ON (e.novelId, e.chapterNumber)',
+        'CREATE INDEX world_state_change_chapter IF NOT EXISTS FOR (w:WorldStateChange) ON (w.novelId, w.chapterNumber)'
       ];
 
       for (const constraint of constraints) {
@@ -129,6 +151,8 @@ export class Neo4jService {
           n.genre = $genre,
           n.author = $author,
           n.status = $status,
+          n.generationEngine = $generationEngine,
+          n.extractionMode = coalesce($extractionMode, n.extractionMode),
           n.createdAt = CASE WHEN n.createdAt IS NULL THEN datetime() ELSE n.createdAt END,
           n.updatedAt = datetime()
       RETURN n
@@ -140,7 +164,9 @@ export class Neo4jService {
       description: novelData.description || '',
       genre: novelData.genre || 'Fantasy',
       author: novelData.author || 'Unknown',
-      status: novelData.status || 'active'
+      status: novelData.status || 'active',
+      generationEngine: novelData.generationEngine || null,
+      extractionMode: novelData.extractionMode || null
     });
 
     return result?.records?.[0]?.get('n')?.properties;
@@ -220,17 +246,26 @@ export class Neo4jService {
    * Create or update chapter
    */
   async createOrUpdateChapter(novelId, chapterData) {
+    // Teks dari sebelum versioning disimpan dulu sebagai versi pertama agar tidak hilang tertimpa
+    await this.snapshotUnversionedChapter(novelId, chapterData.number);
+
     const cypher = `
       MATCH (n:Novel {id: $novelId})
       MERGE (ch:Chapter {novelId: $novelId, number: $number})
       SET ch.title = $title,
           ch.content = $content,
-          ch.summary = $summary,
+          ch.summary = coalesce($summary, ch.summary, ''),
+          ch.summarySource = CASE WHEN $summary IS NULL THEN ch.summarySource ELSE 'manual' END,
+          ch.summaryHash = CASE WHEN $summary IS NULL THEN ch.summaryHash ELSE $contentHash END,
           ch.wordCount = $wordCount,
           ch.status = $status,
           ch.focusElements = $focusElements,
           ch.mood = $mood,
           ch.stylePreference = $stylePreference,
+          ch.promptTemplate = coalesce($promptTemplate, ch.promptTemplate),
+          ch.promptVersion = coalesce($promptVersion, ch.promptVersion),
+          ch.promptScope = coalesce($promptScope, ch.promptScope),
+          ch.promptPartials = coalesce($promptPartials, ch.promptPartials),
           ch.createdAt = CASE WHEN ch.createdAt IS NULL THEN datetime() ELSE ch.createdAt END,
           ch.updatedAt = datetime()
       MERGE (n)-[:HAS_CHAPTER]->(ch)
@@ -242,17 +277,487 @@ export class Neo4jService {
       number: chapterData.number,
       title: chapterData.title || `Chapter ${chapterData.number}`,
       content: chapterData.content || '',
-      summary: chapterData.summary || '',
+      // Ringkasan hanya ditimpa jika dikirim; selain itu dibuat storyDigest setelah chapter tersimpan
+      summary: chapterData.summary || null,
+      contentHash: hashContent(chapterData.content || ''),
       wordCount: chapterData.content?.length || 0,
       status: chapterData.status || 'draft',
       focusElements: chapterData.focusElements || '',
       mood: chapterData.mood || 'neutral',
-      stylePreference: chapterData.stylePreference || 'default'
+      stylePreference: chapterData.stylePreference || 'default',
+      // Versi prompt template yang menghasilkan chapter ini (null = pertahankan nilai lama)
+      promptTemplate: chapterData.promptTemplate?.name ?? null,
+      promptVersion: chapterData.promptTemplate?.version ?? null,
+      promptScope: chapterData.promptTemplate?.scope ?? null,
+      promptPartials: chapterData.promptTemplate?.partials?.map(partial => `${partial.name}@${partial.version}`) ?? null
     });
 
+    // Beat outline yang sudah direncanakan untuk chapter ini
+    await this.query(`
+      MATCH (ch:Chapter {novelId: $novelId, number: $number})
+      MATCH (b:Beat {novelId: $novelId, chapterNumber: $number})
+      MERGE (b)-[:BEAT_OF]->(ch)
+    `, { novelId, number: chapterData.number });
+
+    if (chapterData.scenes?.length > 0) {
+      await this.saveChapterScenes(novelId, chapterData.number, chapterData.scenes);
+    }
+
+    if (chapterData.content) {
+      await this.saveChapterVersion(novelId, chapterData);
+    }
+
     return result?.records?.[0]?.get('ch')?.properties;
   }
 
+  /**
+   * Versi chapter: teks yang disimpan ke Chapter menjadi Draft canonical.
+   * Teks yang sama dengan draft lama (contentHash, mis. draft yang dipromosikan) tidak membuat versi baru.
+   */
+  async saveChapterVersion(novelId, chapterData) {
+    const existing = await this.query(`
+      MATCH (d:Draft {novelId: $novelId, chapterNumber: $chapterNumber, contentHash: $contentHash})
+      RETURN d.id AS id
+      ORDER BY d.version DESC
+      LIMIT 1
+    `, { novelId, chapterNumber: chapterData.number, contentHash: hashContent(chapterData.content) });
+
+    let draftId = existing?.records?.[0]?.get('id');
+    if (!draftId) {
+      const draft = await this.saveDraft(novelId, chapterData.number, {
+        source: chapterData.draftSource || 'manual',
+        content: chapterData.content,
+        model: chapterData.model,
+        provider: chapterData.provider,
+        stylePreference: chapterData.stylePreference,
+        mood: chapterData.mood,
+        totalScore: chapterData.qualityScore
+      });
+      draftId = draft?.id;
+    }
+
+    if (draftId) {
+      await this.setCanonicalDraft(novelId, chapterData.number, draftId);
+      await this.appendRevision(novelId, chapterData.number, draftId, chapterData.content, {
+        source: chapterData.draftSource,
+        ...chapterData.revision
+      });
+    }
+  }
+
+  /**
+   * Log revisi append-only: satu Revision setiap teks canonical berubah,
+   * (Chapter)-[:HAS_REVISION]->(Revision)-[:REVISION_OF]->(Draft), dengan diff per kata terhadap revisi sebelumnya
+   * @param {Object} revision - { source, authorType: model | human | unknown, author, requestId, restoredFrom }
+   */
+  async appendRevision(novelId, chapterNumber, draftId, content, revision = {}) {
+    return await this.withChapterLock(novelId, chapterNumber,
+      () => this.writeRevision(novelId, chapterNumber, draftId, content, revision));
+  }
+
+  /**
+   * Nomor versi draft dan revisi per chapter dialokasikan berurutan (antrean chapter, variants, promote,
+   * approve review, restore) agar tidak bentrok di constraint id. Tidak reentrant: fn tidak boleh memanggil lock lagi
+   */
+  async withChapterLock(novelId, chapterNumber, fn) {
+    const key = `${novelId}:${chapterNumber}`;
+    const previous = this.chapterLocks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    this.chapterLocks.set(key, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.chapterLocks.get(key) === current) this.chapterLocks.delete(key);
+    }
+  }
+
+  async writeRevision(novelId, chapterNumber, draftId, content, revision) {
+    const last = await this.getLatestRevision(novelId, chapterNumber);
+    if (last?.draftId === draftId) return null;
+
+    const diff = last ? diffText(last.content, content, { unit: 'word' }) : null;
+    const cypher = `
+      MATCH (d:Draft {id: $draftId})
+      OPTIONAL MATCH (ch:Chapter {novelId: $novelId, number: $chapterNumber})
+      // Write lock pada chapter sebelum membaca nomor terakhir: proses lain di Neo4j yang sama menunggu commit
+      SET d._lock = true, ch._lock = true
+      WITH d, ch
+      OPTIONAL MATCH (old:Revision {novelId: $novelId, chapterNumber: $chapterNumber})
+      WITH d, ch, coalesce(max(old.number), 0) + 1 AS number
+      REMOVE d._lock, ch._lock
+      CREATE (r:Revision)-[:REVISION_OF]->(d)
+      SET r = $revision,
+          r.number = number,
+          r.id = $novelId + ':ch' + toString(toInteger($chapterNumber)) + ':r' + toString(number),
+          r.draftVersion = d.version,
+          r.createdAt = datetime()
+      WITH r, ch
+      FOREACH (_ IN CASE WHEN ch IS NULL THEN [] ELSE [1] END | MERGE (ch)-[:HAS_REVISION]->(r))
+      RETURN r
+    `;
+
+    const result = await this.query(cypher, {
+      novelId,
+      chapterNumber,
+      draftId,
+      revision: {
+        novelId,
+        chapterNumber,
+        draftId,
+        source: revision.source || 'manual',
+        authorType: revision.authorType || 'human',
+        author: revision.author || null,
+        requestId: revision.requestId || null,
+        restoredFrom: revision.restoredFrom ?? null,
+        previousNumber: last ? last.number : null,
+        wordCount: String(content || '').split(/\s+/).filter(Boolean).length,
+        wordsAdded: diff?.stats.wordsAdded ?? null,
+        wordsRemoved: diff?.stats.wordsRemoved ?? null,
+        diff: diff ? JSON.stringify(compactHunks(diff.hunks)) : null
+      }
+    });
+
+    return result?.records?.[0]?.get('r')?.properties;
+  }
+
+  /**
+   * Revisi terakhir beserta teksnya (null jika chapter belum punya revisi)
+   */
+  async getLatestRevision(novelId, chapterNumber) {
+    const cypher = `
+      MATCH (r:Revision {novelId: $novelId, chapterNumber: $chapterNumber})
+      WITH r ORDER BY r.number DESC LIMIT 1
+      OPTIONAL MATCH (r)-[:REVISION_OF]->(d:Draft)
+      RETURN r, d.content AS content
+    `;
+
+    const result = await this.query(cypher, { novelId, chapterNumber });
+    const record = result?.records?.[0];
+    if (!record) return null;
+
+    const { number, ...revision } = record.get('r').properties;
+    return { ...revision, number: Number(number), content: record.get('content') };
+  }
+
+  /**
+   * Semua revisi chapter, terbaru dulu (tanpa teks)
+   */
+  async getChapterRevisions(novelId, chapterNumber) {
+    const cypher = `
+      MATCH (r:Revision {novelId: $novelId, chapterNumber: $chapterNumber})
+      RETURN r
+      ORDER BY r.number DESC
+    `;
+
+    const result = await this.query(cypher, { novelId, chapterNumber });
+    return result?.records?.map(record => record.get('r').properties) || [];
+  }
+
+  /**
+   * Satu revisi beserta teks dari Draft-nya
+   */
+  async getRevision(novelId, chapterNumber, number) {
+    const cypher = `
+      MATCH (r:Revision {novelId: $novelId, chapterNumber: $chapterNumber})
+      WHERE r.number = $number
+      OPTIONAL MATCH (r)-[:REVISION_OF]->(d:Draft)
+      RETURN r, d.content AS content
+    `;
+
+    const result = await this.query(cypher, { novelId, chapterNumber, number: neo4j.int(number) });
+    const record = result?.records?.[0];
+    if (!record) return null;
+
+    return { ...record.get('r').properties, content: record.get('content') };
+  }
+
+  async snapshotUnversionedChapter(novelId, chapterNumber) {
+    const result = await this.query(`
+      MATCH (:Novel {id: $novelId})-[:HAS_CHAPTER]->(ch:Chapter {number: $chapterNumber})
+      WHERE ch.content <> ''
+      OPTIONAL MATCH (d:Draft {novelId: $novelId, chapterNumber: $chapterNumber})
+      WITH ch, count(d) AS drafts
+      WHERE drafts = 0
+      RETURN ch
+    `, { novelId, chapterNumber });
+
+    const chapter = result?.records?.[0]?.get('ch')?.properties;
+    if (!chapter) return;
+
+    const draft = await this.saveDraft(novelId, chapterNumber, {
+      source: 'legacy',
+      content: chapter.content,
+      stylePreference: chapter.stylePreference,
+      mood: chapter.mood
+    });
+    await this.setCanonicalDraft(novelId, chapterNumber, draft.id);
+    await this.appendRevision(novelId, chapterNumber, draft.id, chapter.content, { source: 'legacy', authorType: 'unknown' });
+  }
+
+  /**
+   * Simpan Draft baru dengan versi berikutnya: (Novel)-[:HAS_DRAFT]->(Draft)-[:DRAFT_OF]->(Chapter).
+   * Draft boleh dibuat sebelum chapter ada; relasi DRAFT_OF dibuat saat chapter disimpan.
+   * evaluation disimpan sebagai JSON string.
+   */
+  async saveDraft(novelId, chapterNumber, draft) {
+    return await this.withChapterLock(novelId, chapterNumber,
+      () => this.writeDraft(novelId, chapterNumber, draft));
+  }
+
+  async writeDraft(novelId, chapterNumber, draft) {
+    const cypher = `
+      MATCH (n:Novel {id: $novelId})
+      // Write lock pada novel sebelum membaca versi terakhir: proses lain di Neo4j yang sama menunggu commit
+      SET n._lock = true
+      WITH n
+      OPTIONAL MATCH (old:Draft {novelId: $novelId, chapterNumber: $chapterNumber})
+      WITH n, coalesce(max(old.version), 0) + 1 AS version
+      REMOVE n._lock
+      CREATE (n)-[:HAS_DRAFT]->(d:Draft)
+      SET d = $draft,
+          d.version = version,
+          d.id = $novelId + ':ch' + toString(toInteger($chapterNumber)) + ':v' + toString(version),
+          d.canonical = false,
+          d.createdAt = datetime()
+      WITH d
+      OPTIONAL MATCH (ch:Chapter {novelId: $novelId, number: $chapterNumber})
+      FOREACH (_ IN CASE WHEN ch IS NULL THEN [] ELSE [1] END | MERGE (d)-[:DRAFT_OF]->(ch))
+      RETURN d
+    `;
+
+    const result = await this.query(cypher, {
+      novelId,
+      chapterNumber,
+      draft: {
+        novelId,
+        chapterNumber,
+        source: draft.source,
+        label: draft.label || null,
+        variantSetId: draft.variantSetId || null,
+        content: draft.content,
+        contentHash: hashContent(draft.content),
+        wordCount: String(draft.content || '').split(/\s+/).filter(Boolean).length,
+        model: draft.model || null,
+        provider: draft.provider || null,
+        temperature: draft.temperature ?? null,
+        stylePreference: draft.stylePreference || null,
+        mood: draft.mood || null,
+        totalScore: draft.totalScore ?? null,
+        passed: draft.passed ?? null,
+        evaluation: draft.evaluation ? JSON.stringify(draft.evaluation) : null
+      }
+    });
+
+    return result?.records?.[0]?.get('d')?.properties;
+  }
+
+  /**
+   * Tandai satu draft sebagai canonical (draft lain di chapter yang sama menjadi non-canonical)
+   */
+  async setCanonicalDraft(novelId, chapterNumber, draftId) {
+    const cypher = `
+      MATCH (d:Draft {novelId: $novelId, chapterNumber: $chapterNumber})
+      OPTIONAL MATCH (ch:Chapter {novelId: $novelId, number: $chapterNumber})
+      SET d.promotedAt = CASE WHEN d.id = $draftId AND NOT d.canonical THEN datetime() ELSE d.promotedAt END,
+          d.canonical = (d.id = $draftId)
+      FOREACH (_ IN CASE WHEN ch IS NULL THEN [] ELSE [1] END | MERGE (d)-[:DRAFT_OF]->(ch))
+      RETURN count(d) AS drafts
+    `;
+
+    await this.query(cypher, { novelId, chapterNumber, draftId });
+  }
+
+  /**
+   * Semua draft/versi chapter, terbaru dulu
+   */
+  async getChapterDrafts(novelId, chapterNumber) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_DRAFT]->(d:Draft {chapterNumber: $chapterNumber})
+      RETURN d
+      ORDER BY d.version DESC
+    `;
+
+    const result = await this.query(cypher, { novelId, chapterNumber });
+    return result?.records?.map(record => record.get('d').properties) || [];
+  }
+
+  async getDraft(novelId, chapterNumber, version) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_DRAFT]->(d:Draft {chapterNumber: $chapterNumber})
+      WHERE d.version = $version
+      RETURN d
+    `;
+
+    const result = await this.query(cypher, { novelId, chapterNumber, version: neo4j.int(version) });
+    return result?.records?.[0]?.get('d')?.properties || null;
+  }
+
+  /**
+   * Simpan scene chapter (menggantikan scene lama): (Chapter)-[:HAS_SCENE]->(Scene)-[:FEATURES]->(Character).
+   * Karakter dicocokkan dengan nama (pov + participants, tanpa beda huruf besar/kecil) dan ikut ditautkan ke chapter.
+   */
+  async saveChapterScenes(novelId, chapterNumber, scenes) {
+    const cypher = `
+      MATCH (ch:Chapter {novelId: $novelId, number: $chapterNumber})
+      OPTIONAL MATCH (ch)-[:HAS_SCENE]->(old:Scene)
+      DETACH DELETE old
+      WITH DISTINCT ch
+      UNWIND $scenes AS scene
+      CREATE (ch)-[:HAS_SCENE]->(s:Scene)
+      SET s = scene
+      WITH ch, s
+      OPTIONAL MATCH (:Novel {id: $novelId})-[:HAS_CHARACTER]->(c:Character)
+      WHERE toLower(c.name) IN [name IN s.participants | toLower(name)]
+      FOREACH (_ IN CASE WHEN c IS NULL THEN [] ELSE [1] END |
+        MERGE (s)-[:FEATURES]->(c)
+        MERGE (ch)-[:FEATURES]->(c)
+      )
+      RETURN count(DISTINCT s) AS scenes
+    `;
+
+    const result = await this.query(cypher, {
+      novelId,
+      chapterNumber,
+      scenes: scenes.map(scene => ({
+        id: `${novelId}:ch${chapterNumber}:s${scene.order}`,
+        novelId,
+        chapterNumber,
+        order: scene.order,
+        pov: scene.pov || null,
+        location: scene.location || null,
+        participants: scene.participants || [],
+        goal: scene.goal || '',
+        summary: scene.summary || null,
+        content: scene.content ?? null,
+        wordCount: scene.wordCount || 0
+      }))
+    });
+
+    return result?.records?.[0]?.get('scenes')?.toNumber() || 0;
+  }
+
+  /**
+   * Scene chapter berurutan, beserta karakter yang ditautkan (FEATURES)
+   */
+  async getChapterScenes(novelId, chapterNumber) {
+    const cypher = `
+      MATCH (ch:Chapter {novelId: $novelId, number: $chapterNumber})-[:HAS_SCENE]->(s:Scene)
+      OPTIONAL MATCH (s)-[:FEATURES]->(c:Character)
+      WITH s, collect(c {.id, .name}) AS characters
+      RETURN s, characters
+      ORDER BY s.order
+    `;
+
+    const result = await this.query(cypher, { novelId, chapterNumber });
+    return (result?.records || []).map(record => ({
+      ...record.get('s').properties,
+      characters: record.get('characters')
+    }));
+  }
+
+  /**
+   * Simpan outline novel (menggantikan outline & beat lama)
+   * acts/chapterPlans disimpan sebagai JSON string, beat sebagai node Beat → Chapter
+   */
+  async saveOutline(novelId, outline) {
+    const cypher = `
+      MATCH (n:Novel {id: $novelId})
+      MERGE (n)-[:HAS_OUTLINE]->(o:Outline {novelId: $novelId})
+      SET o.id = $outlineId,
+          o.premise = $premise,
+          o.acts = $acts,
+          o.chapterPlans = $chapterPlans,
+          o.source = $source,
+          o.model = $model,
+          o.provider = $provider,
+          o.createdAt = CASE WHEN o.createdAt IS NULL THEN datetime() ELSE o.createdAt END,
+          o.updatedAt = datetime()
+      WITH o
+      OPTIONAL MATCH (o)-[:HAS_BEAT]->(old:Beat)
+      DETACH DELETE old
+      WITH DISTINCT o
+      UNWIND $beats AS beat
+      CREATE (o)-[:HAS_BEAT]->(b:Beat)
+      SET b = beat
+      WITH b
+      OPTIONAL MATCH (ch:Chapter {novelId: $novelId, number: b.chapterNumber})
+      FOREACH (_ IN CASE WHEN ch IS NULL THEN [] ELSE [1] END | MERGE (b)-[:BEAT_OF]->(ch))
+    `;
+
+    await this.query(cypher, {
+      novelId,
+      outlineId: `${novelId}:outline`,
+      premise: outline.premise || '',
+      acts: JSON.stringify(outline.acts || []),
+      chapterPlans: JSON.stringify((outline.chapters || []).map(({ beats, ...chapter }) => chapter)),
+      source: outline.source || 'manual',
+      model: outline.model || null,
+      provider: outline.provider || null,
+      beats: (outline.chapters || []).flatMap(chapter => (chapter.beats || []).map(beat => ({
+        id: `${novelId}:ch${chapter.number}:b${beat.order}`,
+        novelId,
+        chapterNumber: chapter.number,
+        act: chapter.act,
+        order: beat.order,
+        description: beat.description,
+        characters: beat.characters || [],
+        locations: beat.locations || []
+      })))
+    });
+
+    return await this.getOutline(novelId);
+  }
+
+  /**
+   * Outline novel beserta semua beat (null jika belum ada)
+   */
+  async getOutline(novelId) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_OUTLINE]->(o:Outline)
+      OPTIONAL MATCH (o)-[:HAS_BEAT]->(b:Beat)
+      WITH o, b ORDER BY b.chapterNumber, b.order
+      RETURN o, collect(b) AS beats
+    `;
+
+    const result = await this.query(cypher, { novelId });
+    const record = result?.records?.[0];
+    if (!record) return null;
+
+    return {
+      outline: record.get('o').properties,
+      beats: record.get('beats').map(beat => beat.properties)
+    };
+  }
+
+  /**
+   * Beat untuk satu chapter, urut sesuai order
+   */
+  async getChapterBeats(novelId, chapterNumber) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_OUTLINE]->(:Outline)-[:HAS_BEAT]->(b:Beat {chapterNumber: $chapterNumber})
+      RETURN b
+      ORDER BY b.order ASC
+    `;
+
+    const result = await this.query(cypher, { novelId, chapterNumber });
+    return result?.records?.map(record => record.get('b').properties) || [];
+  }
+
+  async deleteOutline(novelId) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_OUTLINE]->(o:Outline)
+      OPTIONAL MATCH (o)-[:HAS_BEAT]->(b:Beat)
+      WITH o, collect(b) AS beats
+      FOREACH (beat IN beats | DETACH DELETE beat)
+      DETACH DELETE o
+      RETURN count(*) AS deleted
+    `;
+
+    const result = await this.query(cypher, { novelId });
+    return (result?.records?.[0]?.get('deleted')?.toNumber?.() ?? 0) > 0;
+  }
+
   /**
    * Create relationship between entities
    */
@@ -275,6 +780,102 @@ export class Neo4jService {
     return result?.records?.[0]?.get('r')?.properties;
   }
 
+  /**
+   * Relasi karakter bertipe dengan rentang chapter:
+   * (Character)-[:RELATED_TO {id, type, strength, sentiment, sinceChapter, untilChapter, previousId}]->(Character)
+   * Satu edge per periode; perubahan relasi = periode lama ditutup (untilChapter) dan edge baru dibuat
+   */
+  async createCharacterRelationship(novelId, relationship) {
+    const cypher = `
+      MATCH (n:Novel {id: $novelId})-[:HAS_CHARACTER]->(a:Character {id: $fromId})
+      MATCH (n)-[:HAS_CHARACTER]->(b:Character {id: $toId})
+      CREATE (a)-[r:RELATED_TO {
+        id: $id,
+        novelId: $novelId,
+        type: $type,
+        strength: $strength,
+        sentiment: $sentiment,
+        description: $description,
+        sinceChapter: $sinceChapter,
+        untilChapter: $untilChapter,
+        previousId: $previousId,
+        createdAt: datetime(),
+        updatedAt: datetime()
+      }]->(b)
+      RETURN r
+    `;
+
+    const result = await this.query(cypher, {
+      novelId,
+      id: relationship.id,
+      fromId: relationship.fromId,
+      toId: relationship.toId,
+      type: relationship.type,
+      strength: relationship.strength ?? null,
+      sentiment: relationship.sentiment ?? null,
+      description: relationship.description || '',
+      sinceChapter: relationship.sinceChapter,
+      untilChapter: relationship.untilChapter ?? null,
+      previousId: relationship.previousId || null
+    });
+    return result?.records?.[0]?.get('r')?.properties;
+  }
+
+  async updateCharacterRelationship(novelId, relationshipId, properties) {
+    const cypher = `
+      MATCH (:Character)-[r:RELATED_TO {id: $relationshipId, novelId: $novelId}]->(:Character)
+      SET r += $properties,
+          r.updatedAt = datetime()
+      RETURN r
+    `;
+
+    const result = await this.query(cypher, { novelId, relationshipId, properties });
+    return result?.records?.[0]?.get('r')?.properties;
+  }
+
+  async deleteCharacterRelationship(novelId, relationshipId) {
+    const cypher = `
+      MATCH (:Character)-[r:RELATED_TO {id: $relationshipId, novelId: $novelId}]->(:Character)
+      DELETE r
+      RETURN count(r) AS deleted
+    `;
+
+    const result = await this.query(cypher, { novelId, relationshipId });
+    return Number(result?.records?.[0]?.get('deleted') || 0);
+  }
+
+  /**
+   * @param {Object} filter - relationshipId, characterId (salah satu ujung), atChapter (berlaku di chapter ini), type
+   */
+  async getCharacterRelationships(novelId, { relationshipId = null, characterId = null, atChapter = null, type = null } = {}) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_CHARACTER]->(a:Character)-[r:RELATED_TO]->(b:Character)
+      WHERE ($relationshipId IS NULL OR r.id = $relationshipId)
+        AND ($characterId IS NULL OR a.id = $characterId OR b.id = $characterId)
+        AND ($type IS NULL OR r.type = $type)
+        AND ($atChapter IS NULL OR (coalesce(r.sinceChapter, 1) <= $atChapter AND (r.untilChapter IS NULL OR r.untilChapter >= $atChapter)))
+      RETURN r, a {.id, .name} AS from, b {.id, .name} AS to
+      ORDER BY coalesce(r.sinceChapter, 1), r.createdAt
+    `;
+
+    const result = await this.query(cypher, { novelId, relationshipId, characterId, atChapter, type });
+    return (result?.records || []).map(record => {
+      const relationship = record.get('r').properties;
+      return {
+        ...relationship,
+        id: relationship.id || null,
+        from: record.get('from'),
+        to: record.get('to'),
+        strength: relationship.strength == null ? null : Number(relationship.strength),
+        sentiment: relationship.sentiment == null ? null : Number(relationship.sentiment),
+        sinceChapter: relationship.sinceChapter == null ? 1 : Number(relationship.sinceChapter),
+        untilChapter: relationship.untilChapter == null ? null : Number(relationship.untilChapter),
+        createdAt: relationship.createdAt?.toString() || null,
+        updatedAt: relationship.updatedAt?.toString() || null
+      };
+    });
+  }
+
   /**
    * Get novel context with all related entities
    */
@@ -318,23 +919,55 @@ export class Neo4jService {
   }
 
   /**
-   * Update world state
+   * Log world state append-only: (Novel)-[:HAS_WORLD_STATE_CHANGE]->(WorldStateChange),
+   * satu node per update yang berlaku mulai chapterNumber; `changes` disimpan sebagai JSON (null = key dihapus)
    */
-  async updateWorldState(novelId, worldStateData) {
+  async appendWorldStateChange(novelId, change) {
     const cypher = `
       MATCH (n:Novel {id: $novelId})
-      MERGE (n)-[:HAS_WORLD_STATE]->(ws:WorldState)
-      SET ws += $worldState,
-          ws.updatedAt = datetime()
-      RETURN ws
+      CREATE (n)-[:HAS_WORLD_STATE_CHANGE]->(w:WorldStateChange {
+        id: $id,
+        novelId: $novelId,
+        chapterNumber: $chapterNumber,
+        source: $source,
+        changes: $changes,
+        createdAt: datetime()
+      })
+      RETURN w
     `;
 
     const result = await this.query(cypher, {
       novelId,
-      worldState: worldStateData
+      id: change.id,
+      chapterNumber: change.chapterNumber,
+      source: change.source,
+      changes: JSON.stringify(change.changes)
     });
+    return result?.records?.[0]?.get('w')?.properties;
+  }
+
+  /**
+   * Perubahan world state urut chapter lalu waktu dicatat
+   * @param {Object} filter - asOfChapter (berlaku sampai chapter ini)
+   */
+  async getWorldStateChanges(novelId, { asOfChapter = null } = {}) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_WORLD_STATE_CHANGE]->(w:WorldStateChange)
+      WHERE $asOfChapter IS NULL OR w.chapterNumber <= $asOfChapter
+      RETURN w
+      ORDER BY w.chapterNumber, w.createdAt, w.id
+    `;
 
-    return result?.records?.[0]?.get('ws')?.properties;
+    const result = await this.query(cypher, { novelId, asOfChapter });
+    return (result?.records || []).map(record => {
+      const change = record.get('w').properties;
+      return {
+        ...change,
+        chapterNumber: Number(change.chapterNumber),
+        changes: JSON.parse(change.changes || '{}'),
+        createdAt: change.createdAt?.toString() || null
+      };
+    });
   }
 
   /**
@@ -374,6 +1007,681 @@ export class Neo4jService {
     return result?.records?.map(record => record.get('ch').properties) || [];
   }
 
+  async getNovel(novelId) {
+    const result = await this.query('MATCH (n:Novel {id: $novelId}) RETURN n', { novelId });
+    return result?.records?.[0]?.get('n')?.properties || null;
+  }
+
+  /**
+   * Halaman daftar novel (terbaru dulu); novel yang di-soft-delete hanya ikut jika includeDeleted
+   * @returns {Object} { items, total }
+   */
+  async listNovels({ skip = 0, limit = 20, status = null, includeDeleted = false } = {}) {
+    const cypher = `
+      MATCH (n:Novel)
+      WHERE ($includeDeleted OR n.deletedAt IS NULL)
+        AND ($status IS NULL OR n.status = $status)
+      WITH n ORDER BY n.createdAt DESC
+      WITH collect(n) AS novels
+      RETURN size(novels) AS total, [n IN novels[$skip..($skip + $limit)] | properties(n)] AS items
+    `;
+
+    const result = await this.query(cypher, { skip: neo4j.int(skip), limit: neo4j.int(limit), status, includeDeleted });
+    const record = result?.records?.[0];
+    return { items: record?.get('items') || [], total: Number(record?.get('total') || 0) };
+  }
+
+  /**
+   * Halaman karakter (urut nama), lokasi (urut nama) atau chapter (urut nomor) milik novel
+   * @returns {Object} { items, total }
+   */
+  async listNovelEntities(novelId, label, { skip = 0, limit = 20 } = {}) {
+    const { relationship, orderBy } = {
+      Character: { relationship: 'HAS_CHARACTER', orderBy: 'e.name' },
+      Location: { relationship: 'HAS_LOCATION', orderBy: 'e.name' },
+      Chapter: { relationship: 'HAS_CHAPTER', orderBy: 'e.number' }
+    }[label];
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:${relationship}]->(e:${label})
+      WITH e ORDER BY ${orderBy} ASC
+      WITH collect(e) AS entities
+      RETURN size(entities) AS total, [e IN entities[$skip..($skip + $limit)] | properties(e)] AS items
+    `;
+
+    const result = await this.query(cypher, { novelId, skip: neo4j.int(skip), limit: neo4j.int(limit) });
+    const record = result?.records?.[0];
+    return { items: record?.get('items') || [], total: Number(record?.get('total') || 0) };
+  }
+
+  /**
+   * Soft delete (deleted = true) atau restore novel
+   */
+  async setNovelDeleted(novelId, deleted) {
+    const cypher = `
+      MATCH (n:Novel {id: $novelId})
+      SET n.deletedAt = CASE WHEN $deleted THEN datetime() ELSE null END,
+          n.updatedAt = datetime()
+      RETURN n
+    `;
+
+    const result = await this.query(cypher, { novelId, deleted });
+    return result?.records?.[0]?.get('n')?.properties || null;
+  }
+
+  /**
+   * Hapus permanen novel beserta semua node miliknya: node yang ditunjuk langsung oleh Novel
+   * (karakter, lokasi, chapter, draft, outline, arc, item, ekstraksi, event, world state),
+   * scene chapter, beat outline dan revisi
+   * @returns {number|null} jumlah node yang dihapus selain Novel, null jika novel tidak ada
+   */
+  async deleteNovel(novelId) {
+    const cypher = `
+      MATCH (n:Novel {id: $novelId})
+      OPTIONAL MATCH (n)-->(owned)
+      WITH n, collect(DISTINCT owned) AS owned
+      OPTIONAL MATCH (:Chapter {novelId: $novelId})-[:HAS_SCENE]->(s:Scene)
+      WITH n, owned, collect(s) AS scenes
+      OPTIONAL MATCH (:Outline {novelId: $novelId})-[:HAS_BEAT]->(b:Beat)
+      WITH n, owned, scenes, collect(b) AS beats
+      OPTIONAL MATCH (r:Revision {novelId: $novelId})
+      WITH n, owned + scenes + beats + collect(r) AS nodes
+      FOREACH (node IN nodes | DETACH DELETE node)
+      DETACH DELETE n
+      RETURN size(nodes) AS deleted
+    `;
+
+    const result = await this.query(cypher, { novelId });
+    const record = result?.records?.[0];
+    return record ? Number(record.get('deleted')) : null;
+  }
+
+  /**
+   * Ubah field chapter tanpa mengganti teks (judul, ringkasan, status, dll.)
+   */
+  async updateChapterFields(novelId, chapterNumber, fields) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_CHAPTER]->(ch:Chapter {number: $chapterNumber})
+      SET ch += $fields,
+          ch.summarySource = CASE WHEN $fields.summary IS NULL THEN ch.summarySource ELSE 'manual' END,
+          ch.summaryHash = CASE WHEN $fields.summary IS NULL THEN ch.summaryHash ELSE $contentHash END,
+          ch.updatedAt = datetime()
+      RETURN ch
+    `;
+
+    const chapter = await this.getChapterDigestState(novelId, chapterNumber);
+    const result = await this.query(cypher, {
+      novelId,
+      chapterNumber,
+      fields,
+      contentHash: hashContent(chapter?.content || '')
+    });
+    return result?.records?.[0]?.get('ch')?.properties || null;
+  }
+
+  /**
+   * Hapus chapter beserta scene, draft, revisi dan hasil ekstraksinya.
+   * Event, relasi dan perubahan world state tetap ada (fakta cerita, bukan teks chapter)
+   * @returns {number|null} jumlah node turunan yang dihapus, null jika chapter tidak ada
+   */
+  async deleteChapter(novelId, chapterNumber) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_CHAPTER]->(ch:Chapter {number: $chapterNumber})
+      OPTIONAL MATCH (ch)-[:HAS_SCENE]->(s:Scene)
+      WITH ch, collect(s) AS scenes
+      OPTIONAL MATCH (d:Draft {novelId: $novelId, chapterNumber: $chapterNumber})
+      WITH ch, scenes, collect(d) AS drafts
+      OPTIONAL MATCH (r:Revision {novelId: $novelId, chapterNumber: $chapterNumber})
+      WITH ch, scenes, drafts, collect(r) AS revisions
+      OPTIONAL MATCH (x:Extraction)-[:FROM_CHAPTER]->(ch)
+      WITH ch, scenes + drafts + revisions + collect(x) AS nodes
+      FOREACH (node IN nodes | DETACH DELETE node)
+      DETACH DELETE ch
+      RETURN size(nodes) AS deleted
+    `;
+
+    const result = await this.query(cypher, { novelId, chapterNumber });
+    const record = result?.records?.[0];
+    return record ? Number(record.get('deleted')) : null;
+  }
+
+  /**
+   * Hapus karakter atau lokasi beserta semua relasinya
+   * @returns {boolean} false jika entitas tidak ada di novel
+   */
+  async deleteNovelEntity(novelId, label, entityId) {
+    const relationship = { Character: 'HAS_CHARACTER', Location: 'HAS_LOCATION' }[label];
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:${relationship}]->(e:${label} {id: $entityId})
+      DETACH DELETE e
+      RETURN count(*) AS deleted
+    `;
+
+    const result = await this.query(cypher, { novelId, entityId });
+    return Number(result?.records?.[0]?.get('deleted') || 0) > 0;
+  }
+
+  /**
+   * Teks, ringkasan dan key events chapter; contentHash dipakai storyDigest untuk melewati teks yang sudah diringkas
+   */
+  async getChapterDigestState(novelId, chapterNumber) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_CHAPTER]->(ch:Chapter {number: $chapterNumber})
+      RETURN ch {.number, .title, .content, .summary, .keyEvents, .summaryHash, .summarySource} AS chapter
+    `;
+
+    const result = await this.query(cypher, { novelId, chapterNumber });
+    const chapter = result?.records?.[0]?.get('chapter');
+    if (!chapter) return null;
+
+    return { ...chapter, contentHash: hashContent(chapter.content || '') };
+  }
+
+  /**
+   * Nomor chapter yang sudah berisi teks, urut naik
+   */
+  async getWrittenChapterNumbers(novelId) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_CHAPTER]->(ch:Chapter)
+      WHERE coalesce(ch.content, '') <> ''
+      RETURN ch.number AS number
+      ORDER BY number ASC
+    `;
+
+    const result = await this.query(cypher, { novelId });
+    return (result?.records || []).map(record => Number(record.get('number')));
+  }
+
+  async saveChapterSummary(novelId, chapterNumber, { summary, keyEvents, summaryHash, summarySource, model }) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_CHAPTER]->(ch:Chapter {number: $chapterNumber})
+      SET ch.summary = $summary,
+          ch.keyEvents = $keyEvents,
+          ch.summaryHash = $summaryHash,
+          ch.summarySource = $summarySource,
+          ch.summaryModel = $model,
+          ch.summarizedAt = datetime()
+      RETURN ch
+    `;
+
+    const result = await this.query(cypher, {
+      novelId, chapterNumber, summary, keyEvents, summaryHash, summarySource, model: model || null
+    });
+    return result?.records?.[0]?.get('ch')?.properties;
+  }
+
+  /**
+   * Ringkasan chapter dalam rentang (inklusif) yang sudah punya summary, urut nomor chapter
+   */
+  async getChapterSummaries(novelId, fromChapter, toChapter) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_CHAPTER]->(ch:Chapter)
+      WHERE ch.number >= $fromChapter AND ch.number <= $toChapter AND coalesce(ch.summary, '') <> ''
+      RETURN ch {.number, .title, .summary, .keyEvents, .summarySource} AS chapter
+      ORDER BY ch.number ASC
+    `;
+
+    const result = await this.query(cypher, { novelId, fromChapter, toChapter });
+    return (result?.records || []).map(record => {
+      const chapter = record.get('chapter');
+      return { ...chapter, number: Number(chapter.number), keyEvents: chapter.keyEvents || [] };
+    });
+  }
+
+  /**
+   * Simpan ringkasan arc: (Novel)-[:HAS_ARC]->(Arc)-[:COVERS]->(Chapter)
+   * storySoFar = digest seluruh cerita sampai akhir arc ini
+   */
+  async saveArc(novelId, arc) {
+    const cypher = `
+      MATCH (n:Novel {id: $novelId})
+      MERGE (n)-[:HAS_ARC]->(a:Arc {id: $id})
+      SET a.novelId = $novelId,
+          a.number = $number,
+          a.fromChapter = $fromChapter,
+          a.toChapter = $toChapter,
+          a.summary = $summary,
+          a.keyEvents = $keyEvents,
+          a.storySoFar = $storySoFar,
+          a.model = $model,
+          a.createdAt = CASE WHEN a.createdAt IS NULL THEN datetime() ELSE a.createdAt END,
+          a.updatedAt = datetime()
+      WITH a
+      MATCH (ch:Chapter {novelId: $novelId})
+      WHERE ch.number >= $fromChapter AND ch.number <= $toChapter
+      MERGE (a)-[:COVERS]->(ch)
+      RETURN DISTINCT a
+    `;
+
+    const result = await this.query(cypher, {
+      novelId,
+      id: `${novelId}:arc${arc.number}`,
+      number: arc.number,
+      fromChapter: arc.fromChapter,
+      toChapter: arc.toChapter,
+      summary: arc.summary,
+      keyEvents: arc.keyEvents || [],
+      storySoFar: arc.storySoFar,
+      model: arc.model || null
+    });
+    return result?.records?.[0]?.get('a')?.properties;
+  }
+
+  async getArcs(novelId) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_ARC]->(a:Arc)
+      RETURN a
+      ORDER BY a.number ASC
+    `;
+
+    const result = await this.query(cypher, { novelId });
+    return (result?.records || []).map(record => {
+      const arc = record.get('a').properties;
+      return {
+        ...arc,
+        number: Number(arc.number),
+        fromChapter: Number(arc.fromChapter),
+        toChapter: Number(arc.toChapter),
+        keyEvents: arc.keyEvents || [],
+        createdAt: arc.createdAt?.toString() || null,
+        updatedAt: arc.updatedAt?.toString() || null
+      };
+    });
+  }
+
+  /**
+   * Semua karakter, lokasi dan item novel (id, nama, status, lokasi terakhir) untuk ekstraksi entitas dan cek kontinuitas
+   */
+  async getEntityIndex(novelId) {
+    const cypher = `
+      MATCH (n:Novel {id: $novelId})
+      CALL {
+        WITH n
+        OPTIONAL MATCH (n)-[:HAS_CHARACTER]->(c:Character)
+        OPTIONAL MATCH (c)-[:LOCATED_IN]->(at:Location)
+        RETURN collect(DISTINCT c {.id, .name, .description, .traits, .powers, .status, .statusNote, .statusChapter, locationId: at.id, location: at.name}) AS characters
+      }
+      CALL {
+        WITH n
+        OPTIONAL MATCH (n)-[:HAS_LOCATION]->(l:Location)
+        RETURN collect(DISTINCT l {.id, .name, .description, .type}) AS locations
+      }
+      CALL {
+        WITH n
+        OPTIONAL MATCH (n)-[:HAS_ITEM]->(i:Item)
+        OPTIONAL MATCH (owner:Character)-[:OWNS]->(i)
+        RETURN collect(DISTINCT i {.id, .name, .description, ownerId: owner.id}) AS items
+      }
+      RETURN characters, locations, items
+    `;
+
+    const result = await this.query(cypher, { novelId });
+    const record = result?.records?.[0];
+    if (!record) return null;
+
+    return {
+      characters: record.get('characters')
+        .filter(entity => entity.id)
+        .map(entity => ({ ...entity, statusChapter: entity.statusChapter == null ? null : Number(entity.statusChapter) })),
+      locations: record.get('locations').filter(entity => entity.id),
+      items: record.get('items').filter(entity => entity.id)
+    };
+  }
+
+  /**
+   * Upsert karakter hasil ekstraksi tanpa menimpa data yang sudah ada:
+   * description hanya diisi jika kosong, traits digabung
+   */
+  async mergeExtractedCharacter(novelId, character, chapterNumber) {
+    const cypher = `
+      MATCH (n:Novel {id: $novelId})
+      MERGE (c:Character {id: $id})
+      ON CREATE SET c.name = $name,
+          c.description = '',
+          c.traits = [],
+          c.firstChapter = $chapterNumber,
+          c.source = 'extraction',
+          c.createdAt = datetime()
+      SET c.description = CASE WHEN coalesce(c.description, '') = '' THEN $description ELSE c.description END,
+          c.traits = coalesce(c.traits, []) + [trait IN $traits WHERE NOT trait IN coalesce(c.traits, [])],
+          c.lastSeenChapter = $chapterNumber,
+          c.updatedAt = datetime()
+      MERGE (n)-[:HAS_CHARACTER]->(c)
+      RETURN c
+    `;
+
+    const result = await this.query(cypher, {
+      novelId,
+      chapterNumber,
+      id: character.id,
+      name: character.name,
+      description: character.description || '',
+      traits: character.traits || []
+    });
+    return result?.records?.[0]?.get('c')?.properties;
+  }
+
+  async mergeExtractedLocation(novelId, location, chapterNumber) {
+    const cypher = `
+      MATCH (n:Novel {id: $novelId})
+      MERGE (l:Location {id: $id})
+      ON CREATE SET l.name = $name,
+          l.description = '',
+          l.geography = '',
+          l.culture = '',
+          l.type = $type,
+          l.firstChapter = $chapterNumber,
+          l.source = 'extraction',
+          l.createdAt = datetime()
+      SET l.description = CASE WHEN coalesce(l.description, '') = '' THEN $description ELSE l.description END,
+          l.updatedAt = datetime()
+      MERGE (n)-[:HAS_LOCATION]->(l)
+      RETURN l
+    `;
+
+    const result = await this.query(cypher, {
+      novelId,
+      chapterNumber,
+      id: location.id,
+      name: location.name,
+      description: location.description || '',
+      type: location.type || 'landmark'
+    });
+    return result?.records?.[0]?.get('l')?.properties;
+  }
+
+  /**
+   * Item (benda penting): (Novel)-[:HAS_ITEM]->(Item), pemilik lewat (Character)-[:OWNS]->(Item)
+   * @param {string|null} item.ownerId - pemilik baru (pemilik lama dilepas); undefined = pemilik tidak berubah
+   */
+  async mergeItem(novelId, item, chapterNumber) {
+    const cypher = `
+      MATCH (n:Novel {id: $novelId})
+      MERGE (i:Item {id: $id})
+      ON CREATE SET i.name = $name,
+          i.description = '',
+          i.firstChapter = $chapterNumber,
+          i.createdAt = datetime()
+      SET i.novelId = $novelId,
+          i.description = CASE WHEN coalesce(i.description, '') = '' THEN $description ELSE i.description END,
+          i.updatedAt = datetime()
+      MERGE (n)-[:HAS_ITEM]->(i)
+      WITH i
+      CALL {
+        WITH i
+        WITH i WHERE $changeOwner
+        OPTIONAL MATCH (:Character)-[old:OWNS]->(i)
+        DELETE old
+      }
+      CALL {
+        WITH i
+        WITH i WHERE $changeOwner AND $ownerId IS NOT NULL
+        MATCH (owner:Character {id: $ownerId})
+        MERGE (owner)-[r:OWNS]->(i)
+        SET r.sinceChapter = $chapterNumber
+      }
+      RETURN i
+    `;
+
+    const result = await this.query(cypher, {
+      novelId,
+      chapterNumber,
+      id: item.id,
+      name: item.name,
+      description: item.description || '',
+      changeOwner: item.ownerId !== undefined,
+      ownerId: item.ownerId || null
+    });
+    return result?.records?.[0]?.get('i')?.properties;
+  }
+
+  /**
+   * Perubahan state karakter dari sebuah chapter (luka, mati, pindah lokasi)
+   * @param {Object} state - status (mis. injured, dead), note, locationId (LOCATED_IN lama diganti)
+   */
+  async applyCharacterState(novelId, characterId, state, chapterNumber) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_CHARACTER]->(c:Character {id: $characterId})
+      SET c.status = coalesce($status, c.status),
+          c.statusNote = CASE WHEN $status IS NULL THEN c.statusNote ELSE $note END,
+          c.statusChapter = CASE WHEN $status IS NULL THEN c.statusChapter ELSE $chapterNumber END,
+          c.updatedAt = datetime()
+      WITH c
+      CALL {
+        WITH c
+        WITH c WHERE $locationId IS NOT NULL
+        MATCH (l:Location {id: $locationId})
+        OPTIONAL MATCH (c)-[old:LOCATED_IN]->(:Location)
+        DELETE old
+        MERGE (c)-[r:LOCATED_IN]->(l)
+        SET r.sinceChapter = $chapterNumber,
+            c.currentLocation = l.name
+      }
+      RETURN c
+    `;
+
+    const result = await this.query(cypher, {
+      novelId,
+      characterId,
+      chapterNumber,
+      status: state.status || null,
+      note: state.note || null,
+      locationId: state.locationId || null
+    });
+    return result?.records?.[0]?.get('c')?.properties;
+  }
+
+  /**
+   * (Chapter)-[:FEATURES]->(Character|Location|Item) untuk entitas yang muncul di chapter
+   */
+  async linkChapterEntities(novelId, chapterNumber, entityIds) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_CHAPTER]->(ch:Chapter {number: $chapterNumber})
+      UNWIND $entityIds AS entityId
+      MATCH (e {id: entityId})
+      WHERE e:Character OR e:Location OR e:Item
+      MERGE (ch)-[:FEATURES]->(e)
+      RETURN count(e) AS linked
+    `;
+
+    const result = await this.query(cypher, { novelId, chapterNumber, entityIds });
+    return Number(result?.records?.[0]?.get('linked') || 0);
+  }
+
+  /**
+   * Usulan ekstraksi entitas: (Novel)-[:HAS_EXTRACTION]->(Extraction)-[:FROM_CHAPTER]->(Chapter)
+   * operations disimpan sebagai JSON string
+   */
+  async saveExtraction(novelId, extraction) {
+    const cypher = `
+      MATCH (n:Novel {id: $novelId})
+      MERGE (n)-[:HAS_EXTRACTION]->(x:Extraction {id: $id})
+      SET x.novelId = $novelId,
+          x.chapterNumber = $chapterNumber,
+          x.contentHash = $contentHash,
+          x.mode = $mode,
+          x.status = $status,
+          x.model = $model,
+          x.operations = $operations,
+          x.unresolved = $unresolved,
+          x.createdAt = CASE WHEN x.createdAt IS NULL THEN datetime() ELSE x.createdAt END,
+          x.updatedAt = datetime()
+      WITH x
+      OPTIONAL MATCH (ch:Chapter {novelId: $novelId, number: $chapterNumber})
+      FOREACH (_ IN CASE WHEN ch IS NULL THEN [] ELSE [1] END | MERGE (x)-[:FROM_CHAPTER]->(ch))
+      RETURN x
+    `;
+
+    const result = await this.query(cypher, {
+      novelId,
+      id: extraction.id,
+      chapterNumber: extraction.chapterNumber,
+      contentHash: extraction.contentHash,
+      mode: extraction.mode,
+      status: extraction.status,
+      model: extraction.model || null,
+      operations: JSON.stringify(extraction.operations || []),
+      unresolved: JSON.stringify(extraction.unresolved || [])
+    });
+    return result?.records?.[0]?.get('x')?.properties;
+  }
+
+  /**
+   * @param {Object} filter - status, chapterNumber
+   */
+  async getExtractions(novelId, { status = null, chapterNumber = null } = {}) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_EXTRACTION]->(x:Extraction)
+      WHERE ($status IS NULL OR x.status = $status)
+        AND ($chapterNumber IS NULL OR x.chapterNumber = $chapterNumber)
+      RETURN x
+      ORDER BY x.createdAt DESC
+    `;
+
+    const result = await this.query(cypher, { novelId, status, chapterNumber });
+    return result?.records?.map(record => record.get('x').properties) || [];
+  }
+
+  async getExtraction(novelId, extractionId) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_EXTRACTION]->(x:Extraction {id: $extractionId})
+      RETURN x
+    `;
+
+    const result = await this.query(cypher, { novelId, extractionId });
+    return result?.records?.[0]?.get('x')?.properties || null;
+  }
+
+  /**
+   * Id yang ada di novel untuk label Character, Location atau Event
+   */
+  async getExistingIds(novelId, label, ids) {
+    const relationship = { Character: 'HAS_CHARACTER', Location: 'HAS_LOCATION', Event: 'HAS_EVENT' }[label];
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:${relationship}]->(e:${label})
+      WHERE e.id IN $ids
+      RETURN collect(e.id) AS ids
+    `;
+
+    const result = await this.query(cypher, { novelId, ids });
+    return result?.records?.[0]?.get('ids') || [];
+  }
+
+  /**
+   * Event cerita: (Novel)-[:HAS_EVENT]->(Event)-[:OCCURS_IN]->(Chapter),
+   * (Character)-[:PARTICIPATED_IN {role}]->(Event), (Event)-[:TOOK_PLACE_AT]->(Location)
+   * chapterNumber = chapter tempat event diceritakan; storyTime/storyOrder = waktu di dalam cerita
+   */
+  async saveEvent(novelId, event) {
+    const cypher = `
+      MATCH (n:Novel {id: $novelId})
+      MERGE (n)-[:HAS_EVENT]->(e:Event {id: $id})
+      SET e.novelId = $novelId,
+          e.title = $title,
+          e.description = $description,
+          e.type = $type,
+          e.chapterNumber = $chapterNumber,
+          e.storyTime = $storyTime,
+          e.storyOrder = $storyOrder,
+          e.createdAt = CASE WHEN e.createdAt IS NULL THEN datetime() ELSE e.createdAt END,
+          e.updatedAt = datetime()
+      WITH e
+      CALL {
+        WITH e
+        MATCH (ch:Chapter {novelId: $novelId, number: $chapterNumber})
+        MERGE (e)-[:OCCURS_IN]->(ch)
+      }
+      CALL {
+        WITH e
+        UNWIND $participants AS participant
+        MATCH (c:Character {id: participant.characterId})
+        MERGE (c)-[p:PARTICIPATED_IN]->(e)
+        SET p.role = participant.role
+      }
+      CALL {
+        WITH e
+        WITH e WHERE $locationId IS NOT NULL
+        MATCH (l:Location {id: $locationId})
+        MERGE (e)-[:TOOK_PLACE_AT]->(l)
+      }
+      RETURN e
+    `;
+
+    const result = await this.query(cypher, {
+      novelId,
+      id: event.id,
+      title: event.title,
+      description: event.description || '',
+      type: event.type || null,
+      chapterNumber: event.chapterNumber,
+      storyTime: event.storyTime || null,
+      storyOrder: event.storyOrder ?? null,
+      participants: (event.participants || []).map(participant => ({
+        characterId: participant.characterId,
+        role: participant.role || null
+      })),
+      locationId: event.locationId || null
+    });
+    return result?.records?.[0]?.get('e')?.properties;
+  }
+
+  /**
+   * (from)-[:BEFORE|CAUSES]->(to) antar event; ditolak jika membentuk siklus urutan waktu
+   * @returns {Object} { created, cycle }
+   */
+  async linkEvents(novelId, fromId, relationshipType, toId) {
+    const cypher = `
+      MATCH (n:Novel {id: $novelId})-[:HAS_EVENT]->(from:Event {id: $fromId})
+      MATCH (n)-[:HAS_EVENT]->(to:Event {id: $toId})
+      WITH from, to, EXISTS { MATCH (to)-[:BEFORE|CAUSES*]->(from) } AS cycle
+      CALL {
+        WITH from, to, cycle
+        WITH from, to WHERE NOT cycle
+        MERGE (from)-[r:${relationshipType}]->(to)
+        SET r.updatedAt = datetime()
+      }
+      RETURN cycle
+    `;
+
+    const result = await this.query(cypher, { novelId, fromId, toId });
+    const record = result?.records?.[0];
+    return { created: Boolean(record) && !record.get('cycle'), cycle: Boolean(record?.get('cycle')) };
+  }
+
+  /**
+   * Event beserta partisipan, lokasi dan relasi BEFORE/CAUSES keluar
+   * @param {Object} filter - eventId, asOfChapter (diceritakan sampai chapter ini), characterId, locationId
+   */
+  async getEvents(novelId, { eventId = null, asOfChapter = null, characterId = null, locationId = null } = {}) {
+    const cypher = `
+      MATCH (:Novel {id: $novelId})-[:HAS_EVENT]->(e:Event)
+      WHERE ($eventId IS NULL OR e.id = $eventId)
+        AND ($asOfChapter IS NULL OR e.chapterNumber <= $asOfChapter)
+        AND ($characterId IS NULL OR EXISTS { MATCH (:Character {id: $characterId})-[:PARTICIPATED_IN]->(e) })
+        AND ($locationId IS NULL OR EXISTS { MATCH (e)-[:TOOK_PLACE_AT]->(:Location {id: $locationId}) })
+      OPTIONAL MATCH (c:Character)-[p:PARTICIPATED_IN]->(e)
+      WITH e, collect(DISTINCT {id: c.id, name: c.name, role: p.role}) AS participants
+      OPTIONAL MATCH (e)-[:TOOK_PLACE_AT]->(l:Location)
+      WITH e, participants, l
+      OPTIONAL MATCH (e)-[r:BEFORE|CAUSES]->(next:Event)
+      RETURN e, participants, l {.id, .name} AS location, collect(DISTINCT {type: type(r), eventId: next.id}) AS links
+    `;
+
+    const result = await this.query(cypher, { novelId, eventId, asOfChapter, characterId, locationId });
+    return (result?.records || []).map(record => {
+      const event = record.get('e').properties;
+      return {
+        ...event,
+        chapterNumber: Number(event.chapterNumber),
+        storyOrder: event.storyOrder == null ? null : Number(event.storyOrder),
+        participants: record.get('participants').filter(participant => participant.id),
+        location: record.get('location'),
+        links: record.get('links').filter(link => link.eventId),
+        createdAt: event.createdAt?.toString() || null,
+        updatedAt: event.updatedAt?.toString() || null
+      };
+    });
+  }
+
   /**
    * Close connection
    */
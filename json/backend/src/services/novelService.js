@@ -0,0 +1,298 @@
+import { neo4jService } from './neo4jService.js';
+import { pineconeService } from './pineconeService.js';
+import { redisService } from './redisService.js';
+import { promptTemplateService } from './promptTemplateService.js';
+import { generationRuns } from './generationRuns.js';
+import { memorySystem } from './memorySystem.js';
+
+const NOVEL_FIELDS = ['title', 'description', 'genre', 'author', 'status', 'generationEngine', 'extractionMode'];
+const CHARACTER_FIELDS = ['name', 'description', 'traits', 'motivations', 'powers', 'fears', 'hiddenDesires', 'origin', 'affiliations', 'trivia'];
+const LOCATION_FIELDS = ['name', 'description', 'geography', 'culture', 'type'];
+// Ringkasan sengaja tidak ikut: ringkasan otomatis tidak boleh berubah menjadi ringkasan manual saat teks diganti
+const CHAPTER_FIELDS = ['title', 'status', 'focusElements', 'mood', 'stylePreference'];
+
+const ENTITY_TYPES = {
+  Character: { fields: CHARACTER_FIELDS, vectorType: 'character' },
+  Location: { fields: LOCATION_FIELDS, vectorType: 'location' }
+};
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function pick(source, fields) {
+  return Object.fromEntries(fields.filter(field => source[field] !== undefined && source[field] !== null)
+    .map(field => [field, source[field]]));
+}
+
+// DateTime Neo4j → string ISO
+function serialize(properties) {
+  const plain = { ...properties };
+  for (const key of ['createdAt', 'updatedAt', 'deletedAt']) {
+    if (plain[key]) plain[key] = plain[key].toString();
+  }
+  return plain;
+}
+
+/**
+ * Novel Service - CRUD novel, karakter, lokasi dan chapter
+ *
+ * Hapus karakter/lokasi/chapter/novel berlaku di ketiga store: node Neo4j (DETACH DELETE),
+ * vector Pinecone di namespace novel-{novelId} dan key Redis novel:{novelId}:*.
+ * Novel dihapus secara soft delete (deletedAt) dan bisa di-restore; permanent = hapus berantai.
+ */
+export class NovelService {
+  constructor() {
+    this.neo4j = neo4jService;
+    this.pinecone = pineconeService;
+    this.redis = redisService;
+  }
+
+  assertConnected() {
+    if (!this.neo4j.isConnected) {
+      throw httpError('Novel management unavailable: Neo4j is not connected', 503);
+    }
+  }
+
+  /**
+   * @returns {Object} { items, pagination: { page, limit, total, totalPages } }
+   */
+  paginate({ items, total }, { page, limit }) {
+    return {
+      items: items.map(serialize),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Novel yang ada dan belum dihapus (includeDeleted: termasuk yang di-soft-delete)
+   */
+  async requireNovel(novelId, { includeDeleted = false } = {}) {
+    this.assertConnected();
+
+    const novel = await this.neo4j.getNovel(novelId);
+    if (!novel) {
+      throw httpError(`Novel ${novelId} not found`, 404);
+    }
+    if (novel.deletedAt && !includeDeleted) {
+      throw httpError(`Novel ${novelId} is deleted; restore it first`, 404);
+    }
+    return novel;
+  }
+
+  async assertNoActiveRun(novelId) {
+    const activeRunId = await generationRuns.getActiveRunId(novelId);
+    if (activeRunId) {
+      throw httpError(`Novel ${novelId} has an unfinished generation run (${activeRunId}); cancel it first`, 409);
+    }
+  }
+
+  /**
+   * @param {Object} query - page, limit, status, includeDeleted
+   */
+  async listNovels({ page = 1, limit = 20, status = null, includeDeleted = false } = {}) {
+    this.assertConnected();
+
+    const result = await this.neo4j.listNovels({ skip: (page - 1) * limit, limit, status, includeDeleted });
+    return this.paginate(result, { page, limit });
+  }
+
+  /**
+   * Konteks novel; novel yang di-soft-delete dianggap tidak ada.
+   * Tanpa Neo4j tetap dilayani memorySystem (world state dari cache)
+   */
+  async getNovel(novelId) {
+    if (this.neo4j.isConnected) {
+      await this.requireNovel(novelId);
+    }
+    return await memorySystem.getNovel(novelId);
+  }
+
+  /**
+   * PUT mengganti semua field (yang tidak dikirim kembali ke default); partial (PATCH) menggabungkan dengan data lama
+   */
+  async updateNovel(novelId, data, { partial = false } = {}) {
+    const current = await this.requireNovel(novelId);
+    const novel = { ...(partial ? pick(current, NOVEL_FIELDS) : {}), ...data, id: novelId };
+
+    const updated = await this.neo4j.createOrUpdateNovel(novel);
+    console.log(`✏️ Novel ${novelId} updated`);
+    return serialize(updated);
+  }
+
+  /**
+   * Soft delete: novel disembunyikan dari daftar dan GET, data tetap ada sampai restore atau hapus permanen
+   */
+  async deleteNovel(novelId, { permanent = false } = {}) {
+    const novel = await this.requireNovel(novelId, { includeDeleted: true });
+    await this.assertNoActiveRun(novelId);
+
+    if (permanent) {
+      return await this.purgeNovel(novelId);
+    }
+    if (novel.deletedAt) {
+      throw httpError(`Novel ${novelId} is already deleted`, 409);
+    }
+
+    const deleted = await this.neo4j.setNovelDeleted(novelId, true);
+    console.log(`🗑️ Novel ${novelId} moved to trash`);
+    return { id: novelId, permanent: false, deletedAt: deleted.deletedAt.toString() };
+  }
+
+  async restoreNovel(novelId) {
+    const novel = await this.requireNovel(novelId, { includeDeleted: true });
+    if (!novel.deletedAt) {
+      throw httpError(`Novel ${novelId} is not deleted`, 409);
+    }
+
+    const restored = await this.neo4j.setNovelDeleted(novelId, false);
+    console.log(`♻️ Novel ${novelId} restored`);
+    return serialize(restored);
+  }
+
+  /**
+   * Hapus permanen: graf, namespace Pinecone, key Redis, override prompt template dan riwayat generation run.
+   * Ledger usage (usage:novel:*) tetap disimpan untuk akuntansi biaya
+   */
+  async purgeNovel(novelId) {
+    const graphNodes = await this.neo4j.deleteNovel(novelId);
+    const vectors = await this.pinecone.deleteNovelNamespace(novelId);
+    const runs = await generationRuns.deleteRuns(novelId);
+    const cacheKeys = await this.redis.deleteNovelKeys(novelId);
+    const promptTemplates = await promptTemplateService.deleteNovelTemplates(novelId);
+
+    console.log(`🗑️ Novel ${novelId} permanently deleted (${graphNodes} graph nodes, ${cacheKeys} cache keys)`);
+    return {
+      id: novelId,
+      permanent: true,
+      deleted: { graphNodes, vectorNamespace: vectors, cacheKeys, generationRuns: runs, promptTemplates }
+    };
+  }
+
+  /**
+   * Halaman karakter, lokasi atau chapter
+   * @param {string} label - Character, Location atau Chapter
+   */
+  async listEntities(novelId, label, { page = 1, limit = 20 } = {}) {
+    await this.requireNovel(novelId);
+
+    const result = await this.neo4j.listNovelEntities(novelId, label, { skip: (page - 1) * limit, limit });
+    return this.paginate(result, { page, limit });
+  }
+
+  async requireEntity(novelId, label, entityId) {
+    const result = label === 'Character'
+      ? await memorySystem.getCharacter(novelId, entityId)
+      : await memorySystem.getLocation(novelId, entityId);
+    if (!result.success) {
+      throw httpError(`${label} ${entityId} not found for novel ${novelId}`, 404);
+    }
+    return result.data;
+  }
+
+  /**
+   * Ganti (PUT) atau ubah sebagian (PATCH) karakter/lokasi; embedding dan cache diperbarui lewat antrean
+   */
+  async updateEntity(novelId, label, entityId, data, { partial = false } = {}) {
+    await this.requireNovel(novelId);
+    const current = await this.requireEntity(novelId, label, entityId);
+    const entity = { ...(partial ? pick(current, ENTITY_TYPES[label].fields) : {}), ...data, id: entityId };
+
+    // Cache lama dibuang sekarang; antrean embedding mengisi ulang setelah vector diperbarui
+    if (label === 'Character') {
+      await this.redis.deleteCachedCharacter(novelId, entityId);
+      return (await memorySystem.addCharacter(novelId, entity)).data;
+    }
+    await this.redis.deleteCachedLocation(novelId, entityId);
+    return (await memorySystem.addLocation(novelId, entity)).data;
+  }
+
+  /**
+   * Hapus karakter/lokasi beserta relasinya (termasuk relasi antar karakter), vector dan cache
+   */
+  async deleteEntity(novelId, label, entityId) {
+    await this.requireNovel(novelId);
+
+    const deleted = await this.neo4j.deleteNovelEntity(novelId, label, entityId);
+    if (!deleted) {
+      throw httpError(`${label} ${entityId} not found for novel ${novelId}`, 404);
+    }
+
+    await this.pinecone.deleteEntityInfo(novelId, ENTITY_TYPES[label].vectorType, entityId);
+    if (label === 'Character') {
+      await this.redis.deleteCachedCharacter(novelId, entityId);
+    } else {
+      await this.redis.deleteCachedLocation(novelId, entityId);
+    }
+
+    console.log(`🗑️ ${label} ${entityId} deleted from novel ${novelId}`);
+    return { id: entityId, deleted: true };
+  }
+
+  async requireChapter(novelId, chapterNumber) {
+    const result = await memorySystem.getChapter(novelId, chapterNumber);
+    if (!result.success) {
+      throw httpError(`Chapter ${chapterNumber} not found for novel ${novelId}`, 404);
+    }
+    return result.data;
+  }
+
+  /**
+   * Ganti chapter (PUT) atau ubah sebagian (PATCH). Perubahan teks diproses ulang lewat antrean chapter
+   * (revisi, embedding, ringkasan, ekstraksi); perubahan lain langsung disimpan tanpa embedding ulang teks
+   * @param {Object} revision - { authorType, author, requestId } untuk log revisi
+   */
+  async updateChapter(novelId, chapterNumber, data, { partial = false, revision = {} } = {}) {
+    await this.requireNovel(novelId);
+    const current = await this.requireChapter(novelId, chapterNumber);
+
+    if (!partial || data.content !== undefined) {
+      return await memorySystem.addChapter(novelId, {
+        ...(partial ? pick(current, CHAPTER_FIELDS) : {}),
+        content: current.content,
+        ...data,
+        number: chapterNumber,
+        revision
+      });
+    }
+
+    const updated = await this.neo4j.updateChapterFields(novelId, chapterNumber, data);
+    await this.redis.deleteCachedChapter(novelId, chapterNumber);
+    if (data.summary !== undefined) {
+      await this.pinecone.storeChapterSummary(novelId, chapterNumber, {
+        title: updated.title,
+        summary: updated.summary,
+        keyEvents: updated.keyEvents || []
+      });
+    }
+
+    console.log(`✏️ Chapter ${chapterNumber} of ${novelId} updated (${Object.keys(data).join(', ')})`);
+    return { success: true, chapterNumber, status: 'updated', data: serialize(updated) };
+  }
+
+  /**
+   * Hapus chapter beserta scene, draft, revisi, ekstraksi, vector dan cache-nya.
+   * Event, relasi dan world state tetap ada; digest arc yang mencakup chapter ini perlu di-rebuild
+   */
+  async deleteChapter(novelId, chapterNumber) {
+    await this.requireNovel(novelId);
+
+    const graphNodes = await this.neo4j.deleteChapter(novelId, chapterNumber);
+    if (graphNodes === null) {
+      throw httpError(`Chapter ${chapterNumber} not found for novel ${novelId}`, 404);
+    }
+
+    await this.pinecone.deleteChapterContent(novelId, chapterNumber);
+    const cacheKeys = await this.redis.deleteChapterKeys(novelId, chapterNumber);
+
+    console.log(`🗑️ Chapter ${chapterNumber} deleted from novel ${novelId}`);
+    return { chapterNumber, deleted: true, removed: { graphNodes: graphNodes + 1, cacheKeys } };
+  }
+}
+
+// Singleton instance
+export const novelService = new NovelService();
+
+export default NovelService;
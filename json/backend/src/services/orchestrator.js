@@ -1,6 +1,34 @@
 import crypto from 'crypto';
 import fetch from 'node-fetch';
 import { dbService } from './database.js';
+import { memorySystem } from './memorySystem.js';
+import { aiModelService } from './aiModelService.js';
+import { usageLedger } from './usageLedger.js';
+import { promptTemplateService } from './promptTemplateService.js';
+import { getRubric, criterionLabel } from './evaluationRubrics.js';
+import { outlineService } from './outlineService.js';
+import { contextAssembler } from './contextAssembler.js';
+import { countTokens } from './tokenCounter.js';
+import { sceneWriter, MAX_SCENES } from './sceneWriter.js';
+import { continuityChecker } from './continuityChecker.js';
+
+export const GENERATION_ENGINES = ['native', 'n8n'];
+
+const STYLE_GUIDE = {
+  'character-driven': 'Fokus pada pengembangan karakter, dialog mendalam, dan motivasi internal',
+  'action-packed': 'Aksi cepat, konflik fisik, pacing tinggi dengan deskripsi dinamis',
+  'world-building': 'Detail dunia, sistem magic, budaya, dan latar belakang yang kaya',
+  'dialogue-heavy': 'Percakapan natural, karakterisasi melalui dialog, minimal narasi',
+  'descriptive': 'Deskripsi visual yang kaya, atmosfer mendalam, detail sensorik'
+};
+
+const MOOD_GUIDE = {
+  'mysterious': 'Atmosfer penuh teka-teki, foreshadowing, ketegangan yang membangun',
+  'dark': 'Tone gelap, konflik moral, konsekuensi berat, atmosfer suram',
+  'adventurous': 'Semangat eksplorasi, penemuan baru, optimisme dalam tantangan',
+  'romantic': 'Hubungan emosional, chemistry karakter, momen intimate',
+  'epic': 'Skala besar, heroisme, takdir, konflik good vs evil'
+};
 
 /**
  * Layanan API Inti & Orkestrasi (Otak Operasi Real-time)
@@ -18,13 +46,38 @@ export class NovelOrchestrator {
     this.n8nWebhookUrl = process.env.N8N_WEBHOOK_URL;
     this.n8nGenerationUrl = process.env.N8N_GENERATION_URL;
     this.n8nUploadUrl = process.env.N8N_UPLOAD_URL;
+
+    // Native pipeline configuration
+    this.defaultEngine = GENERATION_ENGINES.includes(process.env.GENERATION_ENGINE)
+      ? process.env.GENERATION_ENGINE
+      : 'n8n';
+    this.generationModel = process.env.AI_DEFAULT_GENERATION_MODEL || 'openai';
+    this.evaluationModel = process.env.AI_DEFAULT_EVALUATION_MODEL || 'openai';
+    this.generationOptions = {
+      maxTokens: parseInt(process.env.AI_MAX_TOKENS_GENERATION) || 4000,
+      temperature: parseFloat(process.env.AI_TEMPERATURE_GENERATION) || 0.8
+    };
+    // Rubrik QA (bobot + pass threshold) dan judge evaluasi, lihat evaluationRubrics.js
+    this.evaluationRubric = process.env.GENERATION_EVALUATION_RUBRIC || 'chapter-qa';
+    this.evaluationJudges = (process.env.AI_EVALUATION_JUDGES || '')
+      .split(',')
+      .map(judge => judge.trim())
+      .filter(Boolean);
+    this.maxIterations = parseInt(process.env.GENERATION_MAX_ITERATIONS) || 2;
+    // Cek kontinuitas terhadap knowledge graph ikut menentukan skor evaluasi
+    this.continuityCheck = process.env.GENERATION_CONTINUITY_CHECK !== 'false';
+    // Saat batas iterasi tercapai, draft terbaik diterima jika skornya minimal nilai ini (101 = selalu human intervention)
+    const acceptBestDraftMinScore = parseFloat(process.env.GENERATION_ACCEPT_BEST_DRAFT_MIN_SCORE);
+    this.acceptBestDraftMinScore = Number.isFinite(acceptBestDraftMinScore) ? acceptBestDraftMinScore : 60;
+    this.maxStoredDrafts = parseInt(process.env.GENERATION_MAX_STORED_DRAFTS) || 20;
   }
 
   /**
    * Validasi & Keamanan: Memvalidasi semua permintaan yang masuk
    */
   validateNovelGenerationRequest(body) {
-    const requiredFields = ['novelId', 'chapterNumber', 'focusElements', 'stylePreference', 'mood'];
+    // focusElements boleh kosong jika chapter sudah punya beat di outline (lihat applyChapterPlan)
+    const requiredFields = ['novelId', 'chapterNumber', 'stylePreference', 'mood'];
     const missingFields = requiredFields.filter(field => !body[field]);
 
     if (missingFields.length > 0) {
@@ -34,11 +87,18 @@ export class NovelOrchestrator {
     // Sanitize inputs
     const novelId = String(body.novelId).trim();
     const chapterNumber = parseInt(body.chapterNumber);
-    const focusElements = String(body.focusElements).trim();
+    const focusElements = String(body.focusElements || '').trim();
     const stylePreference = String(body.stylePreference).trim();
     const mood = String(body.mood).trim();
     const requestId = String(body.requestId || '').trim();
     const callbackUrl = String(body.callbackUrl || '').trim();
+    const engine = body.engine ? String(body.engine).trim().toLowerCase() : null;
+    const model = body.model ? String(body.model).trim() : null;
+    // Catatan editor dari review queue ("regenerate with notes")
+    const reviewNotes = body.reviewNotes ? String(body.reviewNotes).trim() : null;
+    // Mode scene: rencana scene eksplisit, atau jumlah scene yang direncanakan model
+    const scenes = Array.isArray(body.scenes) && body.scenes.length > 0 ? sceneWriter.normalizeScenes(body.scenes) : null;
+    const sceneCount = scenes ? scenes.length : (body.sceneCount ? parseInt(body.sceneCount) : null);
 
     // Validation
     if (isNaN(chapterNumber) || chapterNumber < 1) {
@@ -53,6 +113,18 @@ export class NovelOrchestrator {
       throw new Error('callbackUrl is required from backend');
     }
 
+    if (engine && !GENERATION_ENGINES.includes(engine)) {
+      throw new Error(`engine must be one of: ${GENERATION_ENGINES.join(', ')}`);
+    }
+
+    if (sceneCount !== null && (isNaN(sceneCount) || sceneCount < 2 || sceneCount > MAX_SCENES)) {
+      throw new Error(`sceneCount must be an integer between 2 and ${MAX_SCENES}`);
+    }
+
+    if (scenes?.some(scene => !scene.goal)) {
+      throw new Error('Every scene needs a goal');
+    }
+
     return {
       novelId,
       chapterNumber,
@@ -61,6 +133,11 @@ export class NovelOrchestrator {
       mood,
       requestId,
       callbackUrl,
+      engine,
+      model,
+      reviewNotes,
+      scenes,
+      sceneCount,
       timestamp: new Date().toISOString()
     };
   }
@@ -91,25 +168,103 @@ export class NovelOrchestrator {
   }
 
   /**
-   * Orkestrator Alur Kerja: Delegasi ke N8N workflow yang sudah ada
+   * Antrian Generasi: POST /novel-generation hanya enqueue job Bull,
+   * worker di bawah ini yang menjalankan orkestrasi
    */
-  async orchestrateNovelGeneration(validatedInput) {
+  async initializeGenerationQueue() {
+    const concurrency = parseInt(process.env.GENERATION_QUEUE_CONCURRENCY) || 2;
+
+    await memorySystem.redis.processQueue('chapter-generation', 'orchestrate-chapter', async (job) => {
+      console.log(`Processing generation job ${job.id} for novel ${job.data.novelId}, chapter ${job.data.chapterNumber}`);
+
+      return await this.orchestrateNovelGeneration({ ...job.data, jobId: String(job.id) }, {
+        onProgress: (progress) => job.progress({
+          ...progress,
+          updatedAt: new Date().toISOString()
+        })
+      });
+    }, concurrency);
+  }
+
+  async enqueueNovelGeneration(validatedInput) {
+    if (!memorySystem.redis.isConnected) {
+      const error = new Error('Generation queue unavailable: Redis is not connected');
+      error.statusCode = 503;
+      throw error;
+    }
+
+    // Novel di trash: tolak sebelum masuk antrean (404)
+    await memorySystem.assertNovelNotDeleted(validatedInput.novelId);
+
+    // Budget habis: tolak sebelum masuk antrean (402)
+    await usageLedger.assertWithinBudget({ novelId: validatedInput.novelId });
+
+    // Tanpa focusElements: tolak sekarang jika chapter juga tidak punya beat (400)
+    if (!validatedInput.focusElements) {
+      await this.applyChapterPlan(validatedInput);
+    }
+
+    const job = await memorySystem.redis.queueNovelGeneration(validatedInput);
+    console.log(`📥 Queued generation job ${job.id} for ${validatedInput.novelId}, Chapter ${validatedInput.chapterNumber}`);
+    return job;
+  }
+
+  async getGenerationJobStatus(jobId) {
+    const job = await memorySystem.redis.getJob('chapter-generation', jobId);
+    if (!job) return null;
+
+    const state = await job.getState();
+    const progress = job.progress();
+
+    return {
+      jobId: String(job.id),
+      state,
+      step: progress?.step || (state === 'waiting' || state === 'delayed' ? 'queued' : null),
+      iteration: progress?.iteration || 0,
+      attemptsMade: job.attemptsMade,
+      maxAttempts: job.opts.attempts,
+      novelId: job.data.novelId,
+      chapterNumber: job.data.chapterNumber,
+      requestId: job.data.requestId || null,
+      result: state === 'completed' ? job.returnvalue : null,
+      error: state === 'failed' ? job.failedReason : null,
+      createdAt: new Date(job.timestamp).toISOString(),
+      processedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+      finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null
+    };
+  }
+
+  /**
+   * Orkestrator Alur Kerja: Menjalankan pipeline native atau delegasi ke N8N
+   * @param {Object} validatedInput - Output validateNovelGenerationRequest
+   * @param {Object} hooks - Optional callbacks
+   * @param {Function} hooks.onProgress - Dipanggil dengan { step, iteration } di setiap tahap pipeline
+   * @param {Function} hooks.onToken - Dipanggil dengan { delta, iteration } saat generasi di-stream (engine native)
+   * @param {AbortSignal} hooks.signal - Membatalkan request ke provider AI
+   */
+  async orchestrateNovelGeneration(validatedInput, hooks = {}) {
     const startTime = Date.now();
-    console.log(`🚀 Starting novel generation orchestration for ${validatedInput.novelId}, Chapter ${validatedInput.chapterNumber}`);
+    const onProgress = hooks.onProgress || (() => {});
+    const engine = await this.resolveGenerationEngine(validatedInput);
+    console.log(`🚀 Starting novel generation orchestration for ${validatedInput.novelId}, Chapter ${validatedInput.chapterNumber} (engine: ${engine})`);
 
     try {
-      // Call N8N workflow directly - it handles all the orchestration steps
-      // The N8N workflow (Naa.json) already implements:
-      // 1. Input validation and sanitization
-      // 2. Context fetching (Neo4j, GraphQL, Redis)
-      // 3. Embedding generation and Pinecone query
-      // 4. Context aggregation and prompt building
-      // 5. Novel generation with AI model
-      // 6. Quality evaluation
-      // 7. Retry logic with iteration count
-      // 8. Result saving and callback handling
-      
-      const result = await this.callN8nWorkflow('novel-generation', validatedInput);
+      let result;
+      // Job yang sudah di antrean saat novel dipindah ke trash ikut gagal di sini
+      await memorySystem.assertNovelNotDeleted(validatedInput.novelId);
+      const plannedInput = await this.applyChapterPlan(validatedInput);
+
+      if (engine === 'native') {
+        result = await this.runNativePipeline(plannedInput, { ...hooks, onProgress });
+      } else {
+        // The N8N workflow (Naa.json) implements the same steps as runNativePipeline:
+        // context fetching, prompt building, generation, QA evaluation,
+        // retry logic with iteration count, result saving and callback handling
+        await onProgress({ step: 'n8n-workflow', iteration: 0 });
+        result = await this.callN8nWorkflow('novel-generation', plannedInput);
+      }
+
+      await onProgress({ step: result.status || 'completed', iteration: result.iterations || result.iterationCount || 0 });
 
       const processingTime = Date.now() - startTime;
       console.log(`✅ Novel generation completed in ${processingTime}ms`);
@@ -119,9 +274,10 @@ export class NovelOrchestrator {
         data: result,
         metadata: {
           processingTime,
-          retryCount: result.iterationCount || 0,
+          retryCount: engine === 'native' ? result.iterations - 1 : (result.iterationCount || 0),
           steps: 8,
-          n8nProcessed: true,
+          engine,
+          n8nProcessed: engine === 'n8n',
           timestamp: new Date().toISOString()
         }
       };
@@ -135,6 +291,7 @@ export class NovelOrchestrator {
           success: false,
           error: error.message,
           requestId: validatedInput.requestId,
+          jobId: validatedInput.jobId || null,
           timestamp: new Date().toISOString()
         });
       }
@@ -144,22 +301,449 @@ export class NovelOrchestrator {
   }
 
   /**
-   * Helper methods for database operations (used by callback handlers)
+   * Beat outline chapter (jika ada) menjadi focus otomatis; focusElements dari request
+   * tetap dipakai sebagai fokus tambahan
+   * @throws {Error} statusCode 400 jika tidak ada focusElements maupun beat
    */
+  async applyChapterPlan(validatedInput) {
+    const chapterPlan = await outlineService.getChapterPlan(validatedInput.novelId, validatedInput.chapterNumber);
+
+    if (!chapterPlan) {
+      if (!validatedInput.focusElements) {
+        const error = new Error('focusElements is required when the chapter has no outline beats');
+        error.statusCode = 400;
+        throw error;
+      }
+      return validatedInput;
+    }
+
+    const planFocus = outlineService.formatChapterFocus(chapterPlan);
+    console.log(`🗺️ Using ${chapterPlan.beats.length} outline beats as focus for chapter ${validatedInput.chapterNumber}`);
+
+    return {
+      ...validatedInput,
+      focusElements: validatedInput.focusElements
+        ? `${planFocus}\nFokus tambahan: ${validatedInput.focusElements}`
+        : planFocus,
+      requestedFocusElements: validatedInput.focusElements,
+      chapterPlan
+    };
+  }
 
   /**
-   * Utility methods for prompt building and context management
+   * Menentukan engine generasi: per-request, lalu setting novel, lalu GENERATION_ENGINE
    */
-  buildGenerationPrompt(input, context) {
-    // This is a simplified version - the actual prompt building is done in N8N
-    return {
-      novelId: input.novelId,
-      chapterNumber: input.chapterNumber,
+  async resolveGenerationEngine(validatedInput) {
+    if (validatedInput.engine) return validatedInput.engine;
+
+    try {
+      const result = await memorySystem.neo4j.query(
+        'MATCH (n:Novel {id: $novelId}) RETURN n.generationEngine AS engine',
+        { novelId: validatedInput.novelId }
+      );
+      const novelEngine = result?.records?.[0]?.get('engine');
+      if (GENERATION_ENGINES.includes(novelEngine)) return novelEngine;
+    } catch (error) {
+      console.warn('Novel engine lookup failed, using default:', error.message);
+    }
+
+    return this.defaultEngine;
+  }
+
+  /**
+   * Pipeline native: context → prompt → generation → QA evaluation → switch
+   * Cabang switch sama dengan node "Evaluation Switch" di Naa.json:
+   * approved, revisi (iterationCount < maxIterations), lalu draft terbaik atau human intervention.
+   * Iterasi berikutnya merevisi draft sebelumnya dengan instruksi edit dari evaluasi,
+   * bukan generate ulang dari prompt yang sama.
+   */
+  async runNativePipeline(input, hooks = {}) {
+    const { novelId, chapterNumber, focusElements } = input;
+    const model = input.model || this.generationModel;
+    // A mock generation request stays fully offline, evaluation included
+    const evaluationModel = model === 'mock' ? 'mock' : this.evaluationModel;
+    const onProgress = hooks.onProgress || (() => {});
+    const usageTags = { novelId, chapterNumber, requestId: input.requestId };
+
+    await onProgress({ step: 'context', iteration: 0 });
+    const { data: context } = await memorySystem.buildGenerationContext(novelId, chapterNumber, focusElements);
+
+    const initialPrompt = await this.buildGenerationPrompt(input, context);
+    const { usedTokens, budget, counts } = initialPrompt.contextAssembly;
+    console.log(`🧩 Context for chapter ${chapterNumber}: ${usedTokens}/${budget} tokens (${counts.full} full, ${counts.condensed} condensed, ${counts.dropped} dropped)`);
+    const drafts = [];
+
+    while (true) {
+      const iteration = drafts.length + 1;
+      const previous = drafts[drafts.length - 1] || null;
+      const revision = previous
+        ? await this.buildRevisionPrompt(input, context, previous)
+        : null;
+      const rendered = revision ? revision.rendered : initialPrompt;
+
+      console.log(`✍️ ${previous ? 'Revising' : 'Generating'} chapter ${chapterNumber} for ${novelId} (iteration ${iteration}, model: ${model})`);
+      await onProgress({ step: previous ? 'revising' : 'generating', iteration });
+      const sceneMode = !previous && Boolean(input.sceneCount);
+
+      // Revisi: prompt awal + draft sebelumnya sebagai giliran assistant, lalu instruksi edit
+      const generationParams = {
+        prompt: rendered.text,
+        messages: previous
+          ? [
+              { role: 'user', content: initialPrompt.text },
+              { role: 'assistant', content: previous.content }
+            ]
+          : [],
+        model,
+        options: this.generationOptions,
+        usageTags
+      };
+      const generation = sceneMode
+        ? await sceneWriter.writeChapter(input, this.buildPromptVariables(input, context), initialPrompt, {
+            model,
+            generationOptions: this.generationOptions,
+            usageTags,
+            iteration,
+            onProgress,
+            onToken: hooks.onToken,
+            signal: hooks.signal
+          })
+        : hooks.onToken
+        ? await aiModelService.streamText({
+            ...generationParams,
+            signal: hooks.signal,
+            onToken: (delta) => hooks.onToken({ delta, iteration })
+          })
+        : await aiModelService.generateText(generationParams);
+
+      await onProgress({ step: 'evaluating', iteration });
+      const evaluationResult = await this.evaluateChapter(generation.content, evaluationModel, usageTags);
+      const draft = {
+        iteration,
+        type: previous ? 'revision' : 'generation',
+        revisedFrom: previous?.iteration ?? null,
+        instructions: revision?.instructions || [],
+        content: generation.content,
+        // Rencana scene (tanpa isi); revisi mewarisi rencana draft sebelumnya
+        scenes: generation.scenes || previous?.scenes || null,
+        continuations: generation.continuations || 0,
+        model: generation.model,
+        provider: generation.provider,
+        usage: generation.usage,
+        promptTemplate: { ...rendered.template, partials: rendered.partials },
+        evaluationResult,
+        createdAt: new Date().toISOString()
+      };
+      drafts.push(draft);
+      await this.saveDraft(input, draft);
+
+      if (evaluationResult.passed) {
+        await onProgress({ step: 'saving', iteration });
+        return await this.handleApprovedChapter(input, draft, drafts);
+      }
+
+      if (drafts.length > this.maxIterations) {
+        return await this.handleIterationCap(input, drafts, onProgress);
+      }
+
+      console.log(`🔁 Chapter ${chapterNumber} scored ${evaluationResult.totalScore}/100, revising`);
+      await onProgress({ step: 'retrying', iteration, lastScore: evaluationResult.totalScore });
+    }
+  }
+
+  /**
+   * Batas iterasi tercapai: draft dengan skor tertinggi menang jika skornya
+   * >= GENERATION_ACCEPT_BEST_DRAFT_MIN_SCORE, selain itu human intervention
+   */
+  async handleIterationCap(input, drafts, onProgress = () => {}) {
+    const best = drafts.reduce((top, draft) =>
+      draft.evaluationResult.totalScore > top.evaluationResult.totalScore ? draft : top
+    );
+
+    if (best.evaluationResult.totalScore >= this.acceptBestDraftMinScore) {
+      console.log(`🏆 Iteration cap reached for chapter ${input.chapterNumber}, accepting best draft (iteration ${best.iteration}, score ${best.evaluationResult.totalScore})`);
+      await onProgress({ step: 'saving', iteration: drafts.length, selectedIteration: best.iteration });
+      return await this.handleApprovedChapter(input, best, drafts);
+    }
+
+    return await this.handleHumanIntervention(input, best, drafts);
+  }
+
+  /**
+   * Instruksi edit yang tepat sasaran dari hasil evaluasi: masalah kritis dulu,
+   * lalu kriteria di bawah pass threshold (dengan rationale judge), lalu feedback.improvements
+   */
+  buildRevisionInstructions(evaluationResult) {
+    const { criticalIssues = [], feedback = {}, scores = {}, rationales = {}, rubric } = evaluationResult;
+    const threshold = rubric?.passThreshold ?? 0;
+
+    const weakCriteria = Object.entries(scores)
+      .filter(([, score]) => score < threshold)
+      .sort(([, a], [, b]) => a - b)
+      .map(([criterion, score]) => {
+        const rationale = rationales[criterion] ? `: ${rationales[criterion].replace(/\s+/g, ' ').trim()}` : '';
+        return `Tingkatkan ${criterionLabel(criterion)} (skor ${score}/100)${rationale}`;
+      });
+
+    const instructions = [
+      ...criticalIssues.map(issue => `Perbaiki masalah kritis: ${issue}`),
+      ...weakCriteria,
+      ...(feedback.improvements || [])
+    ];
+
+    const unique = [...new Set(instructions.map(instruction => instruction.trim()).filter(Boolean))];
+    return unique.length > 0
+      ? unique
+      : ['Tingkatkan kualitas keseluruhan chapter sambil mempertahankan alur dan karakter yang sudah ada'];
+  }
+
+  /**
+   * Prompt revisi dari template "chapter-revision"
+   * @returns {Promise<Object>} { rendered, instructions }
+   */
+  async buildRevisionPrompt(input, context, previousDraft) {
+    const instructions = this.buildRevisionInstructions(previousDraft.evaluationResult);
+    if (input.reviewNotes) {
+      instructions.unshift(`Ikuti catatan editor: ${input.reviewNotes}`);
+    }
+    if (previousDraft.scenes) {
+      instructions.push(`Pertahankan pembagian ${previousDraft.scenes.length} scene beserta pemisah "* * *" di antara scene`);
+    }
+    const rendered = await promptTemplateService.render(
+      'chapter-revision',
+      {
+        ...this.buildPromptVariables(input, context, previousDraft.evaluationResult),
+        instructions,
+        previousDraft: {
+          iteration: previousDraft.iteration,
+          wordCount: previousDraft.content.split(/\s+/).filter(Boolean).length
+        }
+      },
+      { novelId: input.novelId }
+    );
+
+    return { rendered, instructions };
+  }
+
+  /**
+   * Simpan setiap draft beserta skornya (list Redis, terbaru di depan)
+   */
+  async saveDraft(input, draft) {
+    if (!memorySystem.redis.isConnected) return;
+
+    await memorySystem.redis.pushCapped(
+      `novel:${input.novelId}:chapter:${input.chapterNumber}:drafts`,
+      {
+        ...draft,
+        requestId: input.requestId,
+        jobId: input.jobId || null,
+        wordCount: draft.content.split(/\s+/).filter(Boolean).length
+      },
+      this.maxStoredDrafts
+    );
+  }
+
+  /**
+   * Draft tersimpan untuk satu chapter (terbaru di depan)
+   */
+  async getChapterDrafts(novelId, chapterNumber, limit = this.maxStoredDrafts) {
+    if (!memorySystem.redis.isConnected) return [];
+    return await memorySystem.redis.lrange(`novel:${novelId}:chapter:${chapterNumber}:drafts`, 0, limit - 1);
+  }
+
+  /**
+   * Ringkasan scene (tanpa isi) untuk hasil job dan callback
+   */
+  summarizeScenes(draft) {
+    if (!draft.scenes) return null;
+    return sceneWriter.assembleScenes(draft.content, draft.scenes)
+      .map(({ content, ...scene }) => ({ ...scene, separated: content !== null }));
+  }
+
+  /**
+   * Ringkasan draft (tanpa isi) untuk hasil job dan callback
+   */
+  summarizeDrafts(drafts) {
+    return drafts.map(draft => ({
+      iteration: draft.iteration,
+      type: draft.type,
+      revisedFrom: draft.revisedFrom,
+      totalScore: draft.evaluationResult.totalScore,
+      passed: draft.evaluationResult.passed,
+      scores: draft.evaluationResult.scores,
+      wordCount: draft.content.split(/\s+/).filter(Boolean).length,
+      instructions: draft.instructions,
+      createdAt: draft.createdAt
+    }));
+  }
+
+  /**
+   * QA evaluation dengan rubrik GENERATION_EVALUATION_RUBRIC (default chapter-qa: characterConsistency,
+   * worldBuilding, plotDevelopment, writingQuality, skor 0-100); multi-judge jika AI_EVALUATION_JUDGES diisi.
+   * Untuk chapter novel (usageTags.novelId + chapterNumber) hasilnya digabung dengan cek kontinuitas.
+   */
+  async evaluateChapter(content, model = this.evaluationModel, usageTags = {}) {
+    const { evaluation, metadata } = await aiModelService.evaluateText({
+      text: content,
+      rubric: this.evaluationRubric,
+      model,
+      // A mock evaluation stays offline, so configured judges are skipped
+      judges: model === 'mock' ? [] : this.evaluationJudges,
+      usageTags
+    });
+
+    const result = {
+      rubric: evaluation.rubric,
+      scores: evaluation.scores,
+      rationales: evaluation.rationales,
+      totalScore: evaluation.totalScore,
+      passed: evaluation.passed,
+      feedback: {
+        strengths: evaluation.feedback.strengths,
+        improvements: evaluation.feedback.improvements
+      },
+      criticalIssues: evaluation.criticalIssues,
+      judges: metadata.judges,
+      disagreement: evaluation.disagreement || null
+    };
+
+    const { novelId, chapterNumber } = usageTags;
+    if (!this.continuityCheck || !novelId || !chapterNumber || !memorySystem.neo4j.isConnected) {
+      return result;
+    }
+
+    // Cek kontinuitas yang gagal tidak menggagalkan evaluasi
+    try {
+      const report = await continuityChecker.check(novelId, chapterNumber, { content, model, usageTags });
+      return continuityChecker.applyToEvaluation(result, report);
+    } catch (error) {
+      console.warn(`⚠️ Continuity check failed for ${novelId} chapter ${chapterNumber}:`, error.message);
+      return { ...result, continuity: { error: error.message } };
+    }
+  }
+
+  /**
+   * Cabang "Chapter Approved": simpan chapter, kirim callback sukses
+   */
+  async handleApprovedChapter(input, draft, drafts = [draft]) {
+    const { novelId, chapterNumber } = input;
+    const { evaluationResult } = draft;
+    const iterations = drafts.length;
+
+    // Disimpan sebelum job selesai: generation run meng-enqueue chapter berikutnya saat job ini completed
+    await memorySystem.addChapter(novelId, {
+      number: chapterNumber,
+      title: input.chapterPlan?.title || `Chapter ${chapterNumber}`,
+      content: draft.content,
+      status: 'draft',
       focusElements: input.focusElements,
-      stylePreference: input.stylePreference,
       mood: input.mood,
-      context: context
+      stylePreference: input.stylePreference,
+      qualityScore: evaluationResult.totalScore,
+      iterations,
+      promptTemplate: draft.promptTemplate,
+      scenes: sceneWriter.assembleScenes(draft.content, draft.scenes),
+      model: draft.model,
+      provider: draft.provider,
+      draftSource: 'generation',
+      revision: { authorType: 'model', author: `${draft.provider}/${draft.model}`, requestId: input.requestId }
+    }, { sync: true });
+
+    const data = {
+      status: 'completed',
+      novelId,
+      chapterNumber,
+      requestId: input.requestId,
+      jobId: input.jobId || null,
+      title: input.chapterPlan?.title || `Chapter ${chapterNumber}`,
+      content: draft.content,
+      wordCount: draft.content.split(/\s+/).filter(Boolean).length,
+      qualityScore: evaluationResult.totalScore,
+      iterations,
+      selectedIteration: draft.iteration,
+      scenes: this.summarizeScenes(draft),
+      // true jika batas iterasi tercapai dan draft terbaik diterima di bawah pass threshold
+      acceptedBelowThreshold: !evaluationResult.passed,
+      evaluation: evaluationResult,
+      drafts: this.summarizeDrafts(drafts),
+      model: draft.model,
+      provider: draft.provider,
+      usage: draft.usage,
+      promptTemplate: draft.promptTemplate,
+      completionTime: new Date().toISOString(),
+      metadata: {
+        style: input.stylePreference,
+        mood: input.mood,
+        focusElements: input.focusElements
+      }
     };
+
+    await this.sendCallback(input.callbackUrl, {
+      success: true,
+      status: 'completed',
+      data,
+      message: evaluationResult.passed
+        ? 'Chapter generated successfully'
+        : `Chapter generated - best draft accepted with quality score ${evaluationResult.totalScore} after ${iterations} iterations`
+    });
+
+    return data;
+  }
+
+  /**
+   * Cabang "Human Intervention": simpan draft terbaik di Redis, kirim callback intervensi
+   */
+  async handleHumanIntervention(input, draft, drafts = [draft]) {
+    const { novelId, chapterNumber } = input;
+    const { evaluationResult } = draft;
+    const iterations = drafts.length;
+
+    const data = {
+      status: 'intervention_required',
+      novelId,
+      chapterNumber,
+      requestId: input.requestId,
+      jobId: input.jobId || null,
+      qualityScore: evaluationResult.totalScore,
+      iterations,
+      selectedIteration: draft.iteration,
+      lastAttempt: draft.content,
+      model: draft.model,
+      provider: draft.provider,
+      scenes: draft.scenes,
+      evaluation: evaluationResult,
+      drafts: this.summarizeDrafts(drafts),
+      promptTemplate: draft.promptTemplate
+    };
+
+    // Same key as the n8n "Store Intervention Data" node; request + review dipakai oleh review queue
+    await memorySystem.redis.set(`novel:${novelId}:chapter:${chapterNumber}:intervention`, {
+      ...data,
+      request: {
+        // Focus dari request, tanpa beat outline (beat di-resolve ulang saat regenerate)
+        focusElements: input.requestedFocusElements ?? input.focusElements,
+        stylePreference: input.stylePreference,
+        mood: input.mood,
+        callbackUrl: input.callbackUrl,
+        engine: 'native',
+        model: input.model || null,
+        scenes: input.scenes,
+        sceneCount: input.sceneCount
+      },
+      review: { status: 'pending', history: [] },
+      createdAt: new Date().toISOString()
+    });
+
+    console.warn(`🚨 Human intervention required for ${novelId} chapter ${chapterNumber} (best score ${evaluationResult.totalScore} after ${iterations} iterations)`);
+
+    await this.sendCallback(input.callbackUrl, {
+      success: false,
+      status: 'intervention_required',
+      data,
+      message: `Human intervention required - quality score ${evaluationResult.totalScore} after ${iterations} iterations`
+    });
+
+    return data;
   }
 
   /**
@@ -349,30 +933,113 @@ export class NovelOrchestrator {
     return await response.json();
   }
 
-  buildGenerationPrompt(input, context) {
-    // Build comprehensive prompt for novel generation
-    let prompt = `Generate Chapter ${input.chapterNumber} for "${context.novel.title || 'Untitled Novel'}"\n\n`;
-    
-    prompt += `Focus Elements: ${input.focusElements}\n`;
-    prompt += `Style Preference: ${input.stylePreference}\n`;
-    prompt += `Mood: ${input.mood}\n\n`;
+  /**
+   * Variabel untuk template "chapter-generation" / "chapter-revision" (dan partial "chapter-feedback")
+   */
+  buildPromptVariables(input, context, previousEvaluation = null, assembly = this.assembleContext(input, context)) {
+    const { chapterNumber, focusElements, stylePreference, mood } = input;
+    const assembled = assembly.variables;
 
-    if (context.characters.length > 0) {
-      prompt += `Characters:\n${context.characters.map(c => `- ${c.name}: ${c.traits}`).join('\n')}\n\n`;
-    }
+    return {
+      novelId: input.novelId,
+      chapterNumber,
+      focusElements,
+      stylePreference,
+      mood,
+      novel: {
+        title: context.novel?.title || 'Untitled Novel',
+        genre: context.novel?.genre || 'fantasy'
+      },
+      // Context dipilih contextAssembler sesuai budget token model
+      characters: assembled.characters,
+      powerSystem: assembled.powerSystem || 'Undefined magic system',
+      locations: assembled.locations,
+      contextSnippets: assembled.contextSnippets,
+      previousChapter: assembled.previousChapter,
+      storySoFar: assembled.storySoFar,
+      recentChapters: assembled.recentChapters,
+      timeline: assembled.timeline,
+      relationships: assembled.relationships,
+      styleGuide: STYLE_GUIDE[stylePreference] || stylePreference,
+      moodGuide: MOOD_GUIDE[mood] || mood,
+      reviewNotes: input.reviewNotes || null,
+      chapterPlan: input.chapterPlan || null,
+      previousEvaluation: previousEvaluation
+        ? {
+            rubric: previousEvaluation.rubric,
+            totalScore: previousEvaluation.totalScore,
+            improvements: previousEvaluation.feedback.improvements,
+            criticalIssues: previousEvaluation.criticalIssues,
+            scores: Object.entries(previousEvaluation.scores).map(([criterion, score]) => ({
+              criterion,
+              label: criterionLabel(criterion),
+              score
+            }))
+          }
+        : null,
+      passThreshold: previousEvaluation?.rubric.passThreshold ?? getRubric(this.evaluationRubric).passThreshold
+    };
+  }
 
-    if (context.previousChapter) {
-      prompt += `Previous Chapter Summary: ${context.previousChapter.summary || 'N/A'}\n\n`;
-    }
+  /**
+   * Context prompt dalam budget token model generasi (lihat contextAssembler.js)
+   * @returns {Object} { variables, report }
+   */
+  assembleContext(input, context) {
+    return contextAssembler.assemble(context, {
+      model: input.model || this.generationModel,
+      reservedTokens: this.generationOptions.maxTokens,
+      chapterNumber: input.chapterNumber,
+      focusElements: input.focusElements,
+      chapterPlan: input.chapterPlan
+    });
+  }
 
-    if (context.relevantContent.length > 0) {
-      prompt += `Relevant Context:\n${context.relevantContent.map(c => c.content).join('\n')}\n\n`;
-    }
+  /**
+   * Prompt generasi dari template "chapter-generation" (override per novel jika ada)
+   * @returns {Promise<Object>} { text, template, partials, missingVariables, contextAssembly }
+   */
+  async buildGenerationPrompt(input, context) {
+    const assembly = this.assembleContext(input, context);
+    const rendered = await promptTemplateService.render(
+      'chapter-generation',
+      this.buildPromptVariables(input, context, null, assembly),
+      { novelId: input.novelId }
+    );
+
+    return { ...rendered, contextAssembly: assembly.report };
+  }
+
+  /**
+   * Debug: prompt generasi persis seperti pipeline native (beat outline, context, assembler) tanpa memanggil model
+   */
+  async previewGenerationPrompt(novelId, chapterNumber, options = {}) {
+    const input = await this.applyChapterPlan({
+      novelId,
+      chapterNumber,
+      focusElements: options.focusElements || '',
+      stylePreference: options.stylePreference || 'descriptive',
+      mood: options.mood || 'neutral',
+      model: options.model || null
+    });
 
-    prompt += `Please generate the chapter content following the specified focus, style, and mood.`;
+    const { data: context } = await memorySystem.buildGenerationContext(novelId, chapterNumber, input.focusElements);
+    const rendered = await this.buildGenerationPrompt(input, context);
 
-    return prompt;
+    return {
+      novelId,
+      chapterNumber,
+      model: input.model || this.generationModel,
+      prompt: rendered.text,
+      promptTokens: countTokens(rendered.text),
+      template: rendered.template,
+      missingVariables: rendered.missingVariables,
+      contextAssembly: rendered.contextAssembly
+    };
   }
 }
 
+// Singleton instance
+export const novelOrchestrator = new NovelOrchestrator();
+
 export default NovelOrchestrator;
\ No newline at end of file
@@ -0,0 +1,347 @@
+import { neo4jService } from './neo4jService.js';
+import { aiModelService } from './aiModelService.js';
+import { promptTemplateService } from './promptTemplateService.js';
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function stringList(value) {
+  return [].concat(value || []).map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Outline Service - rencana multi-babak dan beat per chapter
+ *
+ * Neo4j: (Novel)-[:HAS_OUTLINE]->(Outline)-[:HAS_BEAT]->(Beat)-[:BEAT_OF]->(Chapter)
+ * Outline: { premise, acts (JSON), chapterPlans (JSON), source, model }
+ * Beat: { novelId, chapterNumber, act, order, description, characters, locations }
+ */
+export class OutlineService {
+  constructor() {
+    this.neo4j = neo4jService;
+    this.generationModel = process.env.AI_DEFAULT_GENERATION_MODEL || 'openai';
+  }
+
+  assertConnected() {
+    if (!this.neo4j.isConnected) {
+      throw httpError('Outline storage unavailable: Neo4j is not connected', 503);
+    }
+  }
+
+  /**
+   * JSON Schema output model: acts → chapters → beats (nomor chapter diberikan berurutan setelahnya)
+   */
+  buildOutlineSchema() {
+    const names = { type: 'array', items: { type: 'string' } };
+
+    return {
+      type: 'object',
+      required: ['acts'],
+      properties: {
+        acts: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['title', 'summary', 'chapters'],
+            properties: {
+              title: { type: 'string' },
+              summary: { type: 'string' },
+              chapters: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                  type: 'object',
+                  required: ['title', 'summary', 'beats'],
+                  properties: {
+                    title: { type: 'string' },
+                    summary: { type: 'string' },
+                    beats: {
+                      type: 'array',
+                      minItems: 1,
+                      items: {
+                        type: 'object',
+                        required: ['description'],
+                        properties: {
+                          description: { type: 'string' },
+                          characters: names,
+                          locations: names
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Normalisasi outline (hasil model atau editan manual):
+   * act diberi nomor 1..n, beat diberi order 1..n, chapterRange act dihitung dari chapter-nya
+   */
+  normalizeOutline({ premise = '', acts = [], chapters = null }, { startChapter = 1 } = {}) {
+    let nextChapter = startChapter;
+
+    // Format model: chapter bersarang di dalam act
+    const flatChapters = chapters || acts.flatMap((act, actIndex) =>
+      (act.chapters || []).map(chapter => ({ ...chapter, act: actIndex + 1, number: nextChapter++ }))
+    );
+
+    const normalizedChapters = flatChapters
+      .map(chapter => ({
+        number: Number(chapter.number),
+        act: Number(chapter.act) || 1,
+        title: String(chapter.title || `Chapter ${chapter.number}`).trim(),
+        summary: String(chapter.summary || '').trim(),
+        beats: (chapter.beats || []).map((beat, index) => ({
+          order: index + 1,
+          description: String(beat.description || '').trim(),
+          characters: stringList(beat.characters),
+          locations: stringList(beat.locations)
+        })).filter(beat => beat.description)
+      }))
+      .sort((a, b) => a.number - b.number);
+
+    const numbers = normalizedChapters.map(chapter => chapter.number);
+    if (numbers.some(number => !Number.isInteger(number) || number < 1) || new Set(numbers).size !== numbers.length) {
+      throw httpError('Outline chapters need unique positive chapter numbers', 400);
+    }
+
+    const normalizedActs = acts.map((act, index) => {
+      const actChapters = normalizedChapters.filter(chapter => chapter.act === index + 1);
+      return {
+        number: index + 1,
+        title: String(act.title || `Act ${index + 1}`).trim(),
+        summary: String(act.summary || '').trim(),
+        chapterRange: actChapters.length > 0
+          ? { from: actChapters[0].number, to: actChapters[actChapters.length - 1].number }
+          : null
+      };
+    });
+
+    const unknownAct = normalizedChapters.find(chapter => chapter.act > Math.max(normalizedActs.length, 1));
+    if (unknownAct) {
+      throw httpError(`Chapter ${unknownAct.number} references act ${unknownAct.act}, but the outline has ${normalizedActs.length} act(s)`, 400);
+    }
+
+    return {
+      premise: String(premise || '').trim(),
+      acts: normalizedActs,
+      chapters: normalizedChapters
+    };
+  }
+
+  async getNovelContext(novelId) {
+    const context = await this.neo4j.getNovelContext(novelId);
+    if (!context?.novel) {
+      throw httpError(`Novel ${novelId} not found`, 404);
+    }
+
+    return {
+      novel: context.novel.properties || context.novel,
+      characters: (context.characters || []).map(c => c.properties || c),
+      locations: (context.locations || []).map(l => l.properties || l)
+    };
+  }
+
+  /**
+   * Generate outline dari premis + karakter/lokasi tersimpan, lalu simpan (menggantikan outline lama)
+   */
+  async generateOutline(novelId, options = {}) {
+    this.assertConnected();
+    const { chapterCount = 12, actCount = 3, startChapter = 1, notes = null } = options;
+    const model = options.model || this.generationModel;
+
+    const { novel, characters, locations } = await this.getNovelContext(novelId);
+    const premise = options.premise || novel.description;
+    if (!premise) {
+      throw httpError('premise is required when the novel has no description', 400);
+    }
+
+    const rendered = await promptTemplateService.render('novel-outline', {
+      novel: { title: novel.title || 'Untitled Novel', genre: novel.genre || 'fantasy' },
+      premise,
+      chapterCount,
+      actCount,
+      startChapter,
+      notes,
+      characters: characters.slice(0, 15).map(c => ({
+        name: c.name,
+        details: [c.description, ...[].concat(c.traits || [])].filter(Boolean).join(', ') || 'No details'
+      })),
+      locations: locations.slice(0, 10).map(l => ({
+        name: l.name,
+        description: l.description || l.geography || 'No details'
+      }))
+    }, { novelId });
+
+    console.log(`🗺️ Generating outline for ${novelId} (${actCount} acts, ${chapterCount} chapters, model: ${model})`);
+
+    const generation = await aiModelService.generateText({
+      prompt: rendered.text,
+      model,
+      options: { responseSchema: this.buildOutlineSchema(), maxTokens: 6000, temperature: 0.7 },
+      usageTags: { novelId, operation: 'outline' }
+    });
+
+    const outline = this.normalizeOutline({ premise, acts: generation.data.acts }, { startChapter });
+    if (outline.chapters.length !== chapterCount) {
+      console.warn(`⚠️ Outline for ${novelId} has ${outline.chapters.length} chapters (requested ${chapterCount})`);
+    }
+
+    return await this.saveOutline(novelId, {
+      ...outline,
+      source: 'generated',
+      model: generation.model,
+      provider: generation.provider
+    });
+  }
+
+  async saveOutline(novelId, outline) {
+    this.assertConnected();
+    await this.getNovelContext(novelId);
+
+    const saved = await this.neo4j.saveOutline(novelId, outline);
+    console.log(`🗺️ Outline saved for ${novelId}: ${outline.acts.length} acts, ${outline.chapters.length} chapters`);
+    return this.assemble(saved);
+  }
+
+  /**
+   * Gabungkan node Outline + Beat menjadi { premise, acts, chapters[].beats }
+   */
+  assemble({ outline, beats }) {
+    const chapterPlans = JSON.parse(outline.chapterPlans || '[]');
+
+    return {
+      novelId: outline.novelId,
+      premise: outline.premise,
+      acts: JSON.parse(outline.acts || '[]'),
+      chapters: chapterPlans.map(chapter => ({
+        ...chapter,
+        beats: beats
+          .filter(beat => Number(beat.chapterNumber) === chapter.number)
+          .map(beat => ({
+            order: Number(beat.order),
+            description: beat.description,
+            characters: beat.characters || [],
+            locations: beat.locations || []
+          }))
+      })),
+      source: outline.source,
+      model: outline.model || null,
+      provider: outline.provider || null,
+      createdAt: outline.createdAt?.toString() || null,
+      updatedAt: outline.updatedAt?.toString() || null
+    };
+  }
+
+  /**
+   * @throws {Error} statusCode 404 jika novel belum punya outline
+   */
+  async getOutline(novelId) {
+    this.assertConnected();
+
+    const stored = await this.neo4j.getOutline(novelId);
+    if (!stored) {
+      throw httpError(`Novel ${novelId} has no outline`, 404);
+    }
+    return this.assemble(stored);
+  }
+
+  /**
+   * Ganti seluruh outline dengan versi editan
+   */
+  async replaceOutline(novelId, { premise, acts, chapters }) {
+    const outline = this.normalizeOutline({ premise, acts, chapters });
+    return await this.saveOutline(novelId, { ...outline, source: 'manual' });
+  }
+
+  /**
+   * Edit rencana satu chapter (judul, ringkasan, act, beat); chapter baru ditambahkan ke outline
+   */
+  async updateChapterPlan(novelId, chapterNumber, changes) {
+    const current = await this.getOutline(novelId);
+    const existing = current.chapters.find(chapter => chapter.number === chapterNumber);
+    const chapter = {
+      number: chapterNumber,
+      act: existing?.act || current.acts.length || 1,
+      title: existing?.title,
+      summary: existing?.summary,
+      beats: existing?.beats || [],
+      ...changes
+    };
+
+    const outline = this.normalizeOutline({
+      premise: current.premise,
+      acts: current.acts,
+      chapters: [...current.chapters.filter(plan => plan.number !== chapterNumber), chapter]
+    });
+
+    return await this.saveOutline(novelId, {
+      ...outline,
+      source: current.source === 'generated' ? 'edited' : current.source,
+      model: current.model,
+      provider: current.provider
+    });
+  }
+
+  async deleteOutline(novelId) {
+    this.assertConnected();
+
+    const deleted = await this.neo4j.deleteOutline(novelId);
+    if (!deleted) {
+      throw httpError(`Novel ${novelId} has no outline`, 404);
+    }
+    console.log(`🗑️ Outline deleted for ${novelId}`);
+    return { novelId, deleted };
+  }
+
+  /**
+   * Rencana chapter untuk orchestrator; null jika tidak ada beat (atau Neo4j tidak tersedia)
+   */
+  async getChapterPlan(novelId, chapterNumber) {
+    if (!this.neo4j.isConnected) return null;
+
+    try {
+      const stored = await this.neo4j.getOutline(novelId);
+      if (!stored) return null;
+
+      const plan = this.assemble(stored).chapters.find(chapter => chapter.number === chapterNumber);
+      return plan?.beats.length > 0 ? plan : null;
+    } catch (error) {
+      console.warn(`Outline lookup failed for ${novelId} chapter ${chapterNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Focus chapter dari beat (dipakai sebagai focusElements, juga untuk engine n8n)
+   */
+  formatChapterFocus(plan) {
+    const beats = plan.beats.map(beat => {
+      const cast = [
+        beat.characters.length > 0 ? `karakter: ${beat.characters.join(', ')}` : null,
+        beat.locations.length > 0 ? `lokasi: ${beat.locations.join(', ')}` : null
+      ].filter(Boolean).join('; ');
+      return `${beat.order}. ${beat.description}${cast ? ` (${cast})` : ''}`;
+    });
+
+    return [
+      `${plan.title}${plan.summary ? `: ${plan.summary}` : ''}`,
+      'Beat (ikuti urutan ini):',
+      ...beats
+    ].join('\n');
+  }
+}
+
+// Singleton instance
+export const outlineService = new OutlineService();
+
+export default OutlineService;
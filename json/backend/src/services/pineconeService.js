@@ -1,5 +1,6 @@
 import { Pinecone } from '@pinecone-database/pinecone';
 import fetch from 'node-fetch';
+import { aiModelService } from './aiModelService.js';
 
 /**
  * Pinecone Vector Database Service
@@ -51,6 +52,12 @@ export class PineconeService {
    * Generate embedding for text
    */
   async generateEmbedding(text, model = null) {
+    // Offline development: deterministic vectors from the mock AI provider
+    if (process.env.AI_MOCK_PROVIDER === 'true' || (model || this.embeddingModel) === 'mock') {
+      const result = await aiModelService.generateEmbeddings({ text, model: 'mock' });
+      return result.embeddings[0];
+    }
+
     if (!this.embeddingService) {
       console.warn('⚠️ Embedding service not configured');
       return null;
@@ -252,6 +259,53 @@ export class PineconeService {
     return await this.upsertVectors(vectors, namespace);
   }
 
+  /**
+   * Ringkasan + key events chapter hasil storyDigest (menimpa vector summary chapter)
+   */
+  async storeChapterSummary(novelId, chapterNumber, { title, summary, keyEvents = [] }) {
+    const content = [summary, ...keyEvents.map(event => `- ${event}`)].join('\n');
+    const embedding = await this.generateEmbedding(content);
+    if (!embedding) return false;
+
+    return await this.upsertVectors([{
+      id: `chapter-${chapterNumber}-summary`,
+      values: embedding,
+      metadata: {
+        novelId,
+        chapterNumber,
+        contentType: 'summary',
+        content,
+        title: title || `Chapter ${chapterNumber}`,
+        keyEvents,
+        createdAt: new Date().toISOString()
+      }
+    }], `novel-${novelId}`);
+  }
+
+  /**
+   * Ringkasan arc (beberapa chapter); chapterNumber = chapter terakhir arc
+   */
+  async storeArcSummary(novelId, arc) {
+    const content = [arc.summary, ...(arc.keyEvents || []).map(event => `- ${event}`)].join('\n');
+    const embedding = await this.generateEmbedding(content);
+    if (!embedding) return false;
+
+    return await this.upsertVectors([{
+      id: `arc-${arc.number}-summary`,
+      values: embedding,
+      metadata: {
+        novelId,
+        chapterNumber: arc.toChapter,
+        contentType: 'arc-summary',
+        content,
+        arcNumber: arc.number,
+        fromChapter: arc.fromChapter,
+        toChapter: arc.toChapter,
+        createdAt: new Date().toISOString()
+      }
+    }], `novel-${novelId}`);
+  }
+
   /**
    * Store character information with embeddings
    */
@@ -364,7 +418,54 @@ export class PineconeService {
   }
 
   /**
-   * Delete vectors by filter
+   * Ganti vector chapter: vector versi sebelumnya dihapus dulu agar chunk lama tidak tertinggal
+   * (teks baru bisa punya lebih sedikit chunk)
+   */
+  async replaceChapterContent(novelId, chapterNumber, chapterData) {
+    await this.deleteChapterContent(novelId, chapterNumber);
+
+    return await this.storeChapterContent(novelId, chapterNumber, chapterData);
+  }
+
+  /**
+   * Hapus chunk dan ringkasan chapter
+   */
+  async deleteChapterContent(novelId, chapterNumber) {
+    return await this.deleteVectors({
+      chapterNumber: { $eq: chapterNumber },
+      contentType: { $in: ['chapter', 'summary'] }
+    }, `novel-${novelId}`);
+  }
+
+  /**
+   * Hapus vector karakter atau lokasi (id vector: character-{id} / location-{id})
+   */
+  async deleteEntityInfo(novelId, entityType, entityId) {
+    return await this.deleteVectors([`${entityType}-${entityId}`], `novel-${novelId}`);
+  }
+
+  /**
+   * Hapus seluruh namespace novel-{novelId}
+   */
+  async deleteNovelNamespace(novelId) {
+    if (!this.index) {
+      await this.connect();
+      if (!this.index) return false;
+    }
+
+    const namespace = `novel-${novelId}`;
+    try {
+      await this.index.namespace(namespace).deleteAll();
+      console.log(`✅ Deleted namespace: ${namespace}`);
+      return true;
+    } catch (error) {
+      console.error('Pinecone namespace delete error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete vectors by filter (atau daftar id vector)
    */
   async deleteVectors(filter, namespace = 'default') {
     if (!this.index) {
@@ -0,0 +1,613 @@
+import { redisService } from './redisService.js';
+import { parseTemplate, findPartials, renderTemplate } from './templateRenderer.js';
+
+/**
+ * Template bawaan (versi 0). Dipakai selama belum ada versi tersimpan di Redis,
+ * dan sebagai fallback ketika Redis tidak tersedia.
+ * Port dari node "Build Generation Prompt" / "Build Evaluation Prompt" di Naa.json.
+ */
+export const BUILTIN_TEMPLATES = {
+  'chapter-generation': {
+    description: 'Prompt generasi chapter (pipeline native)',
+    content: `Tulis chapter {{chapterNumber}} novel {{novel.genre}} "{{novel.title}}" dalam Bahasa Indonesia dengan detail berikut:
+
+**FOKUS UTAMA:** {{focusElements}}
+
+**KARAKTER UTAMA:**
+{{#if characters}}
+{{#each characters}}
+**{{name}}**: {{details}}
+{{/each}}
+{{else}}
+Karakter akan dikembangkan dalam chapter ini
+{{/if}}
+{{#if relationships}}
+
+**HUBUNGAN ANTAR KARAKTER (saat ini):**
+{{#each relationships}}
+- {{from}} → {{to}}: {{type}}{{#if tone}} ({{tone}}){{/if}}{{#if description}} - {{description}}{{/if}}
+{{/each}}
+{{/if}}
+
+**DUNIA & SETTING:**
+- **Power System:** {{powerSystem}}
+- **Lokasi:**
+{{#if locations}}
+{{#each locations}}
+- {{name}}: {{description}}
+{{/each}}
+{{else}}
+- Lokasi akan dieksplorasi dalam chapter ini
+{{/if}}
+
+**KONTEKS RELEVAN:**
+{{#if contextSnippets}}
+{{#each contextSnippets}}
+- {{this}}...
+{{/each}}
+{{else}}
+Tidak ada konteks tambahan
+{{/if}}
+{{#if storySoFar}}
+
+**KISAH SEJAUH INI (chapter 1-{{storySoFar.throughChapter}}):**
+{{storySoFar.digest}}
+{{/if}}
+{{#if recentChapters}}
+
+**RINGKASAN CHAPTER SEBELUMNYA:**
+{{#each recentChapters}}
+- Chapter {{number}}: {{summary}}
+{{/each}}
+{{/if}}
+{{#if timeline}}
+
+**TIMELINE (urutan waktu cerita):**
+{{#each timeline}}
+- {{#if storyTime}}[{{storyTime}}] {{/if}}{{title}}{{#if flashback}} (kilas balik){{/if}}{{#if description}}: {{description}}{{/if}}
+{{/each}}
+{{/if}}
+{{#if previousChapter}}
+
+**Chapter {{previousChapter.number}} Summary:**
+{{previousChapter.summary}}...
+{{#if previousChapter.tail}}
+
+**AKHIR CHAPTER {{previousChapter.number}} (lanjutkan dari sini):**
+{{previousChapter.tail}}
+{{/if}}
+{{/if}}
+
+**GAYA PENULISAN:** {{styleGuide}}
+**MOOD TARGET:** {{moodGuide}}
+{{#if reviewNotes}}
+
+**CATATAN EDITOR (wajib diikuti):**
+{{reviewNotes}}
+{{/if}}
+
+**PERSYARATAN TEKNIS:**
+- Panjang: 2000-3000 kata
+- Format: Prosa naratif dengan dialog natural
+- Konsistensi: Sesuai dengan dunia dan karakter yang sudah ada
+- Pacing: Seimbang antara aksi, dialog, dan deskripsi
+- Ending: Hook yang menarik untuk chapter selanjutnya
+
+**STRUKTUR CHAPTER:**
+1. **Opening**: Situasi awal yang menarik
+2. **Development**: Pengembangan konflik/karakter sesuai fokus
+3. **Climax**: Puncak ketegangan chapter
+4. **Resolution**: Penyelesaian dengan transisi ke chapter berikutnya
+
+Mulai menulis chapter sekarang dengan gaya yang engaging dan sesuai dengan mood yang diminta:`
+  },
+  'chapter-revision': {
+    description: 'Prompt revisi draft sebelumnya berdasarkan feedback evaluasi (iterasi 2 dst.)',
+    content: `Revisi draft chapter {{chapterNumber}} di atas. Jangan menulis ulang dari awal: pertahankan bagian yang sudah berhasil,
+dan terapkan instruksi edit berikut secara tepat sasaran.
+
+**INSTRUKSI EDIT:**
+{{#each instructions}}
+{{@number}}. {{this}}
+{{/each}}
+
+{{> chapter-feedback}}
+
+**GAYA PENULISAN:** {{styleGuide}}
+**MOOD TARGET:** {{moodGuide}}
+
+Tulis ulang chapter lengkap hasil revisi (2000-3000 kata) dalam Bahasa Indonesia, tanpa komentar atau daftar perubahan:`
+  },
+  'chapter-feedback': {
+    description: 'Partial: skor evaluasi draft sebelumnya dan target revisi',
+    content: `**SKOR DRAFT SEBELUMNYA (rubrik {{previousEvaluation.rubric.name}}):**
+{{#each previousEvaluation.scores}}
+- {{label}}: {{score}}/100
+{{/each}}
+- TOTAL: {{previousEvaluation.totalScore}}/100
+
+TARGET: Mencapai skor minimal {{passThreshold}}/100 dengan perbaikan fokus pada aspek yang lemah.`
+  },
+  'novel-outline': {
+    description: 'Prompt outline multi-babak dan beat per chapter (outlineService.generateOutline)',
+    content: `Susun outline novel {{novel.genre}} "{{novel.title}}" dalam Bahasa Indonesia.
+
+**PREMIS:**
+{{premise}}
+
+**KARAKTER:**
+{{#if characters}}
+{{#each characters}}
+- **{{name}}**: {{details}}
+{{/each}}
+{{else}}
+Belum ada karakter tersimpan; perkenalkan karakter seperlunya.
+{{/if}}
+
+**LOKASI:**
+{{#if locations}}
+{{#each locations}}
+- {{name}}: {{description}}
+{{/each}}
+{{else}}
+Belum ada lokasi tersimpan.
+{{/if}}
+{{#if notes}}
+
+**CATATAN PENULIS:**
+{{notes}}
+{{/if}}
+
+**STRUKTUR:**
+- {{actCount}} babak (act), total tepat {{chapterCount}} chapter, dimulai dari chapter {{startChapter}}
+- Setiap act: judul, ringkasan, dan daftar chapter berurutan
+- Setiap chapter: judul, ringkasan 1-2 kalimat, dan 3-6 beat berurutan
+- Setiap beat: satu kejadian konkret, beserta nama karakter dan lokasi yang terlibat (pakai nama dari daftar di atas jika relevan)
+- Konflik meningkat menuju klimaks di act terakhir; setiap chapter diakhiri hook`
+  },
+  'scene-plan': {
+    description: 'Prompt rencana scene chapter (sceneWriter.planScenes, setelah prompt chapter-generation)',
+    content: `Sebelum menulis, rencanakan chapter {{chapterNumber}} di atas sebagai tepat {{sceneCount}} scene berurutan.
+Untuk setiap scene tentukan:
+- pov: karakter sudut pandang scene
+- location: lokasi scene
+- participants: karakter yang terlibat
+- goal: tujuan dramatis scene (apa yang berubah di akhir scene)
+- summary: ringkasan 1-2 kalimat
+
+Pakai nama karakter dan lokasi yang sudah ada jika relevan. Bersama-sama, scene harus menuntaskan seluruh fokus chapter{{#if chapterPlan}} dan mengikuti urutan beat{{/if}}.`
+  },
+  'chapter-scene': {
+    description: 'Prompt generasi satu scene; scene sebelumnya dikirim sebagai giliran assistant',
+    content: `Tulis scene {{scene.order}} dari {{sceneCount}} untuk chapter {{chapterNumber}}{{#if previousScenes}}, lanjutkan langsung dari scene sebelumnya{{/if}}.
+
+**SCENE {{scene.order}}:**
+{{#if scene.pov}}
+- POV: {{scene.pov}}
+{{/if}}
+{{#if scene.location}}
+- Lokasi: {{scene.location}}
+{{/if}}
+{{#if scene.participants}}
+- Karakter: {{scene.cast}}
+{{/if}}
+- Tujuan: {{scene.goal}}
+{{#if scene.summary}}
+- Ringkasan: {{scene.summary}}
+{{/if}}
+
+{{#if nextScene}}
+Scene berikutnya ({{nextScene.goal}}) ditulis terpisah: akhiri scene ini tanpa mendahuluinya.
+{{else}}
+Ini scene terakhir: tutup chapter dengan hook untuk chapter selanjutnya.
+{{/if}}
+
+**GAYA PENULISAN:** {{styleGuide}}
+**MOOD TARGET:** {{moodGuide}}
+
+Panjang sekitar {{sceneWords}} kata. Tulis hanya prosa scene ini dalam Bahasa Indonesia, tanpa judul, nomor scene atau komentar:`
+  },
+  'chapter-summary': {
+    description: 'Prompt ringkasan + key events satu chapter (storyDigest.summarizeChapter)',
+    content: `Ringkas chapter {{chapterNumber}}{{#if title}} "{{title}}"{{/if}} dari novel "{{novel.title}}" untuk memori cerita.
+
+- summary: ringkasan sekitar {{summaryWords}} kata dalam Bahasa Indonesia. Sebutkan siapa, apa, di mana, dan akibatnya; tanpa penilaian gaya.
+- keyEvents: 3-8 kejadian penting berurutan, satu kalimat per kejadian. Utamakan yang masih berpengaruh ke chapter berikutnya:
+  perubahan status karakter, rahasia yang terungkap, janji atau ancaman yang belum tuntas, benda atau kekuatan baru.
+
+Teks chapter:
+"""
+{{content}}
+"""`
+  },
+  'arc-summary': {
+    description: 'Prompt ringkasan arc dari ringkasan chapter-chapternya (storyDigest.summarizeArc)',
+    content: `Ringkas arc {{arc.number}} (chapter {{arc.fromChapter}}-{{arc.toChapter}}) novel "{{novel.title}}" dari ringkasan chapter berikut.
+
+{{#each chapters}}
+**Chapter {{number}}{{#if title}}: {{title}}{{/if}}**
+{{summary}}
+{{#if events}}
+Kejadian: {{events}}
+{{/if}}
+
+{{/each}}
+- summary: ringkasan arc sekitar {{summaryWords}} kata dalam Bahasa Indonesia, sebagai satu alur cerita (bukan daftar per chapter).
+- keyEvents: 5-10 kejadian terpenting arc ini yang masih berpengaruh ke arc berikutnya, berurutan, satu kalimat per kejadian.`
+  },
+  'story-so-far': {
+    description: 'Prompt digest bergulir "kisah sejauh ini": digest arc sebelumnya + ringkasan arc baru (storyDigest.rollStorySoFar)',
+    content: `Perbarui ringkasan "kisah sejauh ini" novel "{{novel.title}}" dengan arc {{arc.number}} (chapter {{arc.fromChapter}}-{{arc.toChapter}}).
+
+**KISAH SEJAUH INI (chapter 1-{{previous.toChapter}}):**
+{{previous.storySoFar}}
+
+**ARC {{arc.number}}:**
+{{arc.summary}}
+{{#if arc.keyEvents}}
+Kejadian penting:
+{{#each arc.keyEvents}}
+- {{this}}
+{{/each}}
+{{/if}}
+
+Tulis storySoFar: ringkasan seluruh cerita dari chapter 1 sampai {{arc.toChapter}} dalam Bahasa Indonesia, maksimal {{maxWords}} kata.
+Padatkan bagian lama, tetapi pertahankan kejadian yang masih berpengaruh (kematian, rahasia terungkap, janji, musuh, benda penting).`
+  },
+  'entity-extraction': {
+    description: 'Prompt ekstraksi karakter, lokasi, item, relasi dan perubahan state dari teks chapter (entityExtraction.extract)',
+    content: `Ekstrak fakta cerita dari chapter {{chapterNumber}}{{#if title}} "{{title}}"{{/if}} novel "{{novel.title}}" untuk graph memori cerita.
+
+{{#if knownCharacters}}
+Karakter yang sudah dikenal: {{knownCharacters}}
+{{/if}}
+{{#if knownLocations}}
+Lokasi yang sudah dikenal: {{knownLocations}}
+{{/if}}
+{{#if knownItems}}
+Item yang sudah dikenal: {{knownItems}}
+{{/if}}
+
+Gunakan nama persis seperti daftar di atas untuk entitas yang sudah dikenal.
+- characters: semua karakter yang muncul atau disebut; description dan traits hanya dari teks ini.
+- locations: tempat yang muncul atau disebut; type salah satu city, country, region, landmark, building.
+- items: benda penting (senjata, artefak, dokumen); owner = nama karakter pemiliknya di akhir chapter, jika jelas.
+- relationships: hubungan antar karakter yang terlihat atau berubah di chapter ini (from, to, type: ally, rival, enemy, family, friend, romance, mentor (from adalah mentor dari to) atau other).
+- stateChanges: perubahan state karakter (injured, dead, recovered, moved); untuk moved isi location tujuan.
+Jangan menebak: tulis hanya yang dinyatakan jelas oleh teks.
+
+Teks chapter:
+"""
+{{content}}
+"""`
+  },
+  'continuity-check': {
+    description: 'Prompt cek kontinuitas chapter terhadap fakta graph, world state, timeline dan chapter sebelumnya (continuityChecker.check)',
+    content: `Periksa apakah chapter {{chapterNumber}} bertentangan dengan fakta cerita yang sudah ditetapkan di bawah ini.
+
+**FAKTA YANG SUDAH DITETAPKAN:**
+{{#each sources}}
+[{{id}}] {{label}}: {{text}}
+{{/each}}
+
+Contoh kontradiksi: karakter yang sudah mati berbicara atau bertindak (kecuali kilas balik, mimpi atau kenangan yang jelas),
+ciri fisik yang berbeda (warna mata, luka, usia), karakter berada di dua tempat sekaligus atau berpindah tanpa penjelasan,
+kejadian yang bertentangan dengan timeline, aturan dunia atau sistem kekuatan yang dilanggar.
+
+Untuk setiap kontradiksi:
+- quote: kutipan persis (satu kalimat) dari teks chapter yang bermasalah
+- explanation: apa yang bertentangan, dalam Bahasa Indonesia
+- sources: id fakta yang dilanggar (mis. S2)
+- type: character, state, location, timeline, world atau other
+- severity: critical (merusak logika cerita), major (jelas salah tetapi bisa diperbaiki lokal), minor (detail kecil)
+Jangan melaporkan hal yang tidak bertentangan dengan fakta di atas. Jika tidak ada kontradiksi, kembalikan issues kosong.
+
+Teks chapter:
+"""
+{{content}}
+"""`
+  },
+  'text-evaluation': {
+    description: 'Prompt evaluasi kualitas teks berdasarkan rubrik (aiModelService.evaluateText)',
+    content: `Please evaluate the following text using the "{{rubric.name}}" rubric.
+
+Score every criterion from 0 to 100:
+{{#each criteria}}
+- {{id}}: {{description}}
+{{/each}}
+
+For every criterion give a one or two sentence rationale that cites the text. Also give an overall
+score from 0 to 100, list concrete strengths and improvements, summarize your assessment,
+and list any critical issues (plot holes, contradictions, broken prose).
+
+Text to evaluate:
+"""
+{{text}}
+"""`
+  }
+};
+
+const INDEX_KEY = 'prompt:templates';
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Prompt Template Service - registry template prompt bernama dan berversi (Redis)
+ *
+ * Keys:
+ *   prompt:templates                               index { "{scope}:{name}": meta }
+ *   prompt:template:global:{name}                  v{n} → versi global, latestVersion, seq
+ *   prompt:template:novel:{novelId}:{name}         override per novel (format sama)
+ *
+ * Resolusi: override novel → versi global terbaru → template bawaan.
+ * Partial ({{> name}}) di-resolve dengan aturan yang sama.
+ */
+export class PromptTemplateService {
+  constructor() {
+    this.redis = redisService;
+  }
+
+  scopeKey(novelId) {
+    return novelId ? `novel:${novelId}` : 'global';
+  }
+
+  versionsKey(name, novelId) {
+    return `prompt:template:${this.scopeKey(novelId)}:${name}`;
+  }
+
+  assertConnected() {
+    if (!this.redis.isConnected) {
+      throw httpError('Prompt template registry unavailable: Redis is not connected', 503);
+    }
+  }
+
+  builtinRecord(name) {
+    return {
+      name,
+      version: 0,
+      scope: 'builtin',
+      novelId: null,
+      description: BUILTIN_TEMPLATES[name].description,
+      content: BUILTIN_TEMPLATES[name].content,
+      partials: findPartials(BUILTIN_TEMPLATES[name].content),
+      author: null,
+      createdAt: null
+    };
+  }
+
+  async getLatestVersion(name, novelId = null) {
+    if (!this.redis.isConnected) return 0;
+    return Number(await this.redis.hget(this.versionsKey(name, novelId), 'latestVersion')) || 0;
+  }
+
+  /**
+   * Daftar template: bawaan + versi global, plus override milik novelId (jika diberikan)
+   */
+  async listTemplates({ novelId = null } = {}) {
+    const index = this.redis.isConnected ? await this.redis.hgetall(INDEX_KEY) : {};
+    const templates = Object.values(index)
+      .filter(meta => !meta.novelId || meta.novelId === novelId);
+
+    for (const name of Object.keys(BUILTIN_TEMPLATES)) {
+      if (!templates.some(meta => meta.name === name && meta.scope === 'global')) {
+        templates.push({
+          name,
+          scope: 'builtin',
+          novelId: null,
+          latestVersion: 0,
+          description: BUILTIN_TEMPLATES[name].description,
+          updatedAt: null
+        });
+      }
+    }
+
+    return templates.sort((a, b) => a.name.localeCompare(b.name) || a.scope.localeCompare(b.scope));
+  }
+
+  /**
+   * Semua versi tersimpan untuk satu scope (lama → baru)
+   */
+  async getVersions(name, { novelId = null } = {}) {
+    if (!this.redis.isConnected) return [];
+
+    const hash = await this.redis.hgetall(this.versionsKey(name, novelId));
+    return Object.entries(hash)
+      .filter(([field]) => field.startsWith('v'))
+      .map(([, record]) => record)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Resolve template efektif
+   * @param {string} name - Nama template
+   * @param {Object} options - { novelId, version }
+   * @throws {Error} statusCode 404 jika template/versi tidak ada
+   */
+  async getTemplate(name, { novelId = null, version = null } = {}) {
+    for (const scope of novelId ? [novelId, null] : [null]) {
+      const latestVersion = await this.getLatestVersion(name, scope);
+      if (!latestVersion) continue;
+
+      const record = await this.redis.hget(this.versionsKey(name, scope), `v${version || latestVersion}`);
+      if (!record) {
+        throw httpError(`Prompt template "${name}" version ${version} not found`, 404);
+      }
+      return record;
+    }
+
+    if (BUILTIN_TEMPLATES[name] && !version) {
+      return this.builtinRecord(name);
+    }
+
+    throw httpError(`Prompt template "${name}"${version ? ` version ${version}` : ''} not found`, 404);
+  }
+
+  /**
+   * Simpan versi baru (global, atau override jika novelId diberikan)
+   */
+  async saveTemplate(name, { content, description = '', author = null, novelId = null }) {
+    this.assertConnected();
+    // Tolak template dengan sintaks rusak sebelum disimpan
+    parseTemplate(content);
+
+    const key = this.versionsKey(name, novelId);
+    const version = await this.redis.hincrby(key, 'seq', 1);
+    if (!version) {
+      throw httpError('Failed to allocate prompt template version', 503);
+    }
+
+    const record = {
+      name,
+      version,
+      scope: novelId ? 'novel' : 'global',
+      novelId,
+      description,
+      content,
+      partials: findPartials(content),
+      author,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.redis.hset(key, `v${version}`, record);
+    await this.redis.hset(key, 'latestVersion', version);
+    await this.updateIndex(name, novelId, version, description);
+
+    console.log(`📝 Prompt template ${name} v${version} saved (${this.scopeKey(novelId)})`);
+    return record;
+  }
+
+  async updateIndex(name, novelId, latestVersion, description) {
+    await this.redis.hset(INDEX_KEY, `${this.scopeKey(novelId)}:${name}`, {
+      name,
+      scope: novelId ? 'novel' : 'global',
+      novelId,
+      latestVersion,
+      description,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Hapus satu versi, atau seluruh template pada scope tersebut jika version kosong.
+   * Template bawaan tidak bisa dihapus; menghapus semua versi global mengembalikannya.
+   */
+  async deleteTemplate(name, { novelId = null, version = null } = {}) {
+    this.assertConnected();
+
+    const key = this.versionsKey(name, novelId);
+    const versions = await this.getVersions(name, { novelId });
+    if (versions.length === 0) {
+      throw httpError(`Prompt template "${name}" has no stored versions${novelId ? ` for novel ${novelId}` : ''}`, 404);
+    }
+
+    const remaining = versions.filter(record => version && record.version !== version);
+    if (version && remaining.length === versions.length) {
+      throw httpError(`Prompt template "${name}" version ${version} not found`, 404);
+    }
+
+    if (remaining.length === 0) {
+      await this.redis.del(key);
+      await this.redis.hdel(INDEX_KEY, `${this.scopeKey(novelId)}:${name}`);
+      return { name, novelId, deletedVersions: versions.map(record => record.version), latestVersion: null };
+    }
+
+    await this.redis.hdel(key, `v${version}`);
+    const latest = remaining[remaining.length - 1];
+    await this.redis.hset(key, 'latestVersion', latest.version);
+    await this.updateIndex(name, novelId, latest.version, latest.description);
+
+    return { name, novelId, deletedVersions: [version], latestVersion: latest.version };
+  }
+
+  /**
+   * Hapus semua override template milik novel (dipakai saat novel dihapus permanen)
+   * @returns {string[]} nama template yang dihapus
+   */
+  async deleteNovelTemplates(novelId) {
+    if (!this.redis.isConnected) return [];
+
+    const index = await this.redis.hgetall(INDEX_KEY);
+    const names = Object.values(index)
+      .filter(meta => meta.novelId === novelId)
+      .map(meta => meta.name);
+
+    for (const name of names) {
+      await this.redis.del(this.versionsKey(name, novelId));
+      await this.redis.hdel(INDEX_KEY, `${this.scopeKey(novelId)}:${name}`);
+    }
+    return names;
+  }
+
+  /**
+   * Ringkasan template untuk dicatat pada chapter / metadata
+   */
+  describe(record) {
+    return {
+      name: record.name,
+      version: record.version,
+      scope: record.scope
+    };
+  }
+
+  /**
+   * Resolve semua partial (rekursif) untuk content
+   */
+  async loadPartials(content, novelId) {
+    const partials = {};
+    const used = [];
+    const pending = findPartials(content);
+
+    while (pending.length > 0) {
+      const name = pending.shift();
+      if (name in partials) continue;
+
+      const record = await this.getTemplate(name, { novelId });
+      partials[name] = record.content;
+      used.push(this.describe(record));
+      pending.push(...findPartials(record.content));
+    }
+
+    return { partials, used };
+  }
+
+  /**
+   * Render template tersimpan
+   * @returns {Promise<Object>} { text, template, partials, missingVariables }
+   */
+  async render(name, variables = {}, { novelId = null, version = null } = {}) {
+    const record = await this.getTemplate(name, { novelId, version });
+    const { partials, used } = await this.loadPartials(record.content, novelId);
+    const { text, missingVariables } = renderTemplate(record.content, variables, partials);
+
+    return {
+      text,
+      template: this.describe(record),
+      partials: used,
+      missingVariables
+    };
+  }
+
+  /**
+   * Render content yang belum disimpan (preview saat mengedit template)
+   */
+  async preview(content, variables = {}, { novelId = null } = {}) {
+    const { partials, used } = await this.loadPartials(content, novelId);
+    const { text, missingVariables } = renderTemplate(content, variables, partials);
+
+    return {
+      text,
+      template: null,
+      partials: used,
+      missingVariables
+    };
+  }
+}
+
+// Singleton instance
+export const promptTemplateService = new PromptTemplateService();
+
+export default PromptTemplateService;
@@ -146,6 +146,40 @@ export class RedisService {
     }
   }
 
+  /**
+   * SET NX: true jika key belum ada dan berhasil diklaim
+   */
+  async setIfAbsent(key, value) {
+    try {
+      if (!this.client) await this.connect();
+      if (!this.client) return false;
+
+      return await this.client.set(key, JSON.stringify(value), 'NX') === 'OK';
+    } catch (error) {
+      console.error(`Redis SET NX error for key ${key}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Hapus key hanya jika nilainya masih value (atomik)
+   */
+  async deleteIfEquals(key, value) {
+    try {
+      if (!this.client) await this.connect();
+      if (!this.client) return false;
+
+      const deleted = await this.client.eval(
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+        1, key, JSON.stringify(value)
+      );
+      return deleted === 1;
+    } catch (error) {
+      console.error(`Redis DEL IF EQUALS error for key ${key}:`, error);
+      return false;
+    }
+  }
+
   async del(key) {
     try {
       if (!this.client) await this.connect();
@@ -172,6 +206,29 @@ export class RedisService {
     }
   }
 
+  /**
+   * SCAN semua key yang cocok dengan pattern (tanpa memblokir Redis seperti KEYS)
+   */
+  async scanKeys(pattern, count = 100) {
+    try {
+      if (!this.client) await this.connect();
+      if (!this.client) return [];
+
+      const keys = new Set();
+      let cursor = '0';
+      do {
+        const [nextCursor, batch] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', count);
+        batch.forEach(key => keys.add(key));
+        cursor = nextCursor;
+      } while (cursor !== '0');
+
+      return [...keys];
+    } catch (error) {
+      console.error(`Redis SCAN error for pattern ${pattern}:`, error);
+      return [];
+    }
+  }
+
   /**
    * Hash operations for complex data structures
    */
@@ -206,6 +263,31 @@ export class RedisService {
     }
   }
 
+  async hdel(key, field) {
+    try {
+      if (!this.client) await this.connect();
+      if (!this.client) return false;
+
+      await this.client.hdel(key, field);
+      return true;
+    } catch (error) {
+      console.error(`Redis HDEL error for key ${key}, field ${field}:`, error);
+      return false;
+    }
+  }
+
+  async hincrby(key, field, amount = 1) {
+    try {
+      if (!this.client) await this.connect();
+      if (!this.client) return null;
+
+      return await this.client.hincrby(key, field, amount);
+    } catch (error) {
+      console.error(`Redis HINCRBY error for key ${key}, field ${field}:`, error);
+      return null;
+    }
+  }
+
   async hgetall(key) {
     try {
       if (!this.client) await this.connect();
@@ -229,6 +311,68 @@ export class RedisService {
     }
   }
 
+  /**
+   * Counter operations (integer and float increments on hash fields)
+   */
+  async hincrbyMany(key, increments, ttl = null) {
+    try {
+      if (!this.client) await this.connect();
+      if (!this.client) return false;
+
+      const pipeline = this.client.pipeline();
+
+      for (const [field, amount] of Object.entries(increments)) {
+        if (Number.isInteger(amount)) {
+          pipeline.hincrby(key, field, amount);
+        } else {
+          pipeline.hincrbyfloat(key, field, amount);
+        }
+      }
+
+      if (ttl) {
+        pipeline.expire(key, ttl);
+      }
+
+      await pipeline.exec();
+      return true;
+    } catch (error) {
+      console.error(`Redis HINCRBY error for key ${key}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * List operations (newest first, capped length)
+   */
+  async pushCapped(key, value, maxLength = 1000) {
+    try {
+      if (!this.client) await this.connect();
+      if (!this.client) return false;
+
+      await this.client.pipeline()
+        .lpush(key, JSON.stringify(value))
+        .ltrim(key, 0, maxLength - 1)
+        .exec();
+      return true;
+    } catch (error) {
+      console.error(`Redis LPUSH error for key ${key}:`, error);
+      return false;
+    }
+  }
+
+  async lrange(key, start = 0, stop = -1) {
+    try {
+      if (!this.client) await this.connect();
+      if (!this.client) return [];
+
+      const values = await this.client.lrange(key, start, stop);
+      return values.map(value => JSON.parse(value));
+    } catch (error) {
+      console.error(`Redis LRANGE error for key ${key}:`, error);
+      return [];
+    }
+  }
+
   /**
    * Novel-specific cache operations
    */
@@ -242,6 +386,20 @@ export class RedisService {
     return await this.get(key);
   }
 
+  async deleteCachedChapter(novelId, chapterNumber) {
+    return await this.del(`novel:${novelId}:chapter:${chapterNumber}`);
+  }
+
+  /**
+   * Hapus cache chapter beserta key turunannya (drafts, intervention)
+   */
+  async deleteChapterKeys(novelId, chapterNumber) {
+    const key = `novel:${novelId}:chapter:${chapterNumber}`;
+    const keys = [key, ...await this.scanKeys(`${key}:*`)];
+    await Promise.all(keys.map(k => this.del(k)));
+    return keys.length;
+  }
+
   async cacheWorldState(novelId, worldState) {
     const key = `novel:${novelId}:worldstate`;
     return await this.set(key, worldState, this.ttl.worldState);
@@ -282,6 +440,23 @@ export class RedisService {
     return await this.get(key);
   }
 
+  async deleteCachedCharacter(novelId, characterId) {
+    return await this.del(`novel:${novelId}:character:${characterId}`);
+  }
+
+  async deleteCachedLocation(novelId, locationId) {
+    return await this.del(`novel:${novelId}:location:${locationId}`);
+  }
+
+  /**
+   * Hapus semua key novel:{novelId}:* (cache, world state, drafts, riwayat generation run)
+   */
+  async deleteNovelKeys(novelId) {
+    const keys = await this.scanKeys(`novel:${novelId}:*`);
+    await Promise.all(keys.map(key => this.del(key)));
+    return keys.length;
+  }
+
   /**
    * Session and temporary data management
    */
@@ -358,6 +533,11 @@ export class RedisService {
     return await queue.add(jobType, data, options);
   }
 
+  async getJob(queueName, jobId) {
+    const queue = await this.createQueue(queueName);
+    return await queue.getJob(jobId);
+  }
+
   async processQueue(queueName, jobType, processor, concurrency = null) {
     const queue = await this.createQueue(queueName);
     const processConcurrency = concurrency || parseInt(process.env.QUEUE_CONCURRENCY) || 5;
@@ -380,6 +560,35 @@ export class RedisService {
     });
   }
 
+  async queueNovelGeneration(input) {
+    // The pipeline retries internally, so a failed job is not re-run by default.
+    // Finished jobs are kept for a day so GET /novel-generation/:jobId can report them.
+    return await this.addJob('chapter-generation', 'orchestrate-chapter', input, {
+      attempts: parseInt(process.env.GENERATION_JOB_ATTEMPTS) || 1,
+      removeOnComplete: { age: this.ttl.worldState },
+      removeOnFail: { age: this.ttl.worldState }
+    });
+  }
+
+  async queueChapterSummary(novelId, chapterNumber, options = {}) {
+    return await this.addJob('summary-processing', 'summarize-chapter', {
+      novelId,
+      chapterNumber,
+      model: options.model || null,
+      force: Boolean(options.force),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  async queueEntityExtraction(novelId, chapterNumber, options = {}) {
+    return await this.addJob('extraction-processing', 'extract-entities', {
+      novelId,
+      chapterNumber,
+      model: options.model || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   async queueEmbeddingUpdate(novelId, contentType, contentId, data) {
     return await this.addJob('embedding-processing', 'update-embeddings', {
       novelId,
@@ -390,10 +599,12 @@ export class RedisService {
     });
   }
 
-  async queueWorldStateUpdate(novelId, updates) {
+  async queueWorldStateUpdate(novelId, updates, { chapterNumber = null, source = 'manual' } = {}) {
     return await this.addJob('world-state-processing', 'update-world-state', {
       novelId,
       updates,
+      chapterNumber,
+      source,
       timestamp: new Date().toISOString()
     });
   }
@@ -0,0 +1,238 @@
+import { v4 as uuidv4 } from 'uuid';
+import { neo4jService } from './neo4jService.js';
+
+export const RELATIONSHIP_TYPES = ['ally', 'rival', 'enemy', 'family', 'friend', 'romance', 'mentor', 'other'];
+
+// Tipe berarah: from adalah mentor dari to; tipe lain berlaku dua arah
+const DIRECTED_TYPES = ['mentor'];
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Relationship Service - relasi antar karakter yang berubah sepanjang cerita
+ *
+ * Setiap relasi punya tipe, strength (0-1), sentiment (-1 sampai 1) dan rentang chapter
+ * (sinceChapter sampai untilChapter, null = masih berlaku). Perubahan relasi mulai chapter tertentu
+ * menutup periode lama dan membuat periode baru (previousId menunjuk ke periode sebelumnya).
+ */
+export class RelationshipService {
+  constructor() {
+    this.neo4j = neo4jService;
+  }
+
+  assertConnected() {
+    if (!this.neo4j.isConnected) {
+      throw httpError('Relationships unavailable: Neo4j is not connected', 503);
+    }
+  }
+
+  format(relationship) {
+    return {
+      id: relationship.id,
+      from: relationship.from,
+      to: relationship.to,
+      type: relationship.type,
+      strength: relationship.strength,
+      sentiment: relationship.sentiment,
+      description: relationship.description || '',
+      sinceChapter: relationship.sinceChapter,
+      untilChapter: relationship.untilChapter,
+      previousId: relationship.previousId || null,
+      createdAt: relationship.createdAt,
+      updatedAt: relationship.updatedAt
+    };
+  }
+
+  assertRange({ sinceChapter, untilChapter }) {
+    if (untilChapter !== null && untilChapter !== undefined && untilChapter < sinceChapter) {
+      throw httpError('untilChapter must not be before sinceChapter', 400);
+    }
+  }
+
+  /**
+   * Relasi bertipe sama antara pasangan yang sama tidak boleh punya rentang chapter yang tumpang tindih
+   */
+  async assertNoOverlap(novelId, relationship, excludeIds = []) {
+    const directed = DIRECTED_TYPES.includes(relationship.type);
+    const samePair = other => (other.from.id === relationship.fromId && other.to.id === relationship.toId)
+      || (!directed && other.from.id === relationship.toId && other.to.id === relationship.fromId);
+    const until = value => (value === null || value === undefined ? Infinity : value);
+
+    const existing = await this.neo4j.getCharacterRelationships(novelId, { characterId: relationship.fromId, type: relationship.type });
+    const conflict = existing.find(other => !excludeIds.includes(other.id)
+      && samePair(other)
+      && other.sinceChapter <= until(relationship.untilChapter)
+      && relationship.sinceChapter <= until(other.untilChapter));
+
+    if (conflict) {
+      throw httpError(`A ${relationship.type} relationship between these characters already holds in chapters ${conflict.sinceChapter}-${conflict.untilChapter ?? 'now'} (${conflict.id})`, 409);
+    }
+  }
+
+  /**
+   * @param {Object} filter - atChapter, type, characterId
+   */
+  async list(novelId, filter = {}) {
+    this.assertConnected();
+
+    const relationships = await this.neo4j.getCharacterRelationships(novelId, {
+      atChapter: filter.atChapter ?? null,
+      type: filter.type || null,
+      characterId: filter.characterId || null
+    });
+    return relationships.map(relationship => this.format(relationship));
+  }
+
+  async get(novelId, relationshipId) {
+    this.assertConnected();
+
+    const [relationship] = await this.neo4j.getCharacterRelationships(novelId, { relationshipId });
+    if (!relationship) {
+      throw httpError(`Relationship ${relationshipId} not found for novel ${novelId}`, 404);
+    }
+    return this.format(relationship);
+  }
+
+  /**
+   * @param {Object} data - fromId, toId, type, strength, sentiment, description, sinceChapter, untilChapter
+   */
+  async create(novelId, data) {
+    this.assertConnected();
+
+    if (data.fromId === data.toId) {
+      throw httpError('A character cannot have a relationship with itself', 400);
+    }
+    const existing = await this.neo4j.getExistingIds(novelId, 'Character', [data.fromId, data.toId]);
+    const missing = [data.fromId, data.toId].filter(id => !existing.includes(id));
+    if (missing.length > 0) {
+      throw httpError(`Unknown character id(s) for novel ${novelId}: ${missing.join(', ')}`, 400);
+    }
+
+    const relationship = { ...data, id: uuidv4(), sinceChapter: data.sinceChapter ?? 1, untilChapter: data.untilChapter ?? null };
+    this.assertRange(relationship);
+    await this.assertNoOverlap(novelId, relationship);
+
+    await this.neo4j.createCharacterRelationship(novelId, relationship);
+    console.log(`🤝 Relationship ${relationship.type} added to ${novelId} (from chapter ${relationship.sinceChapter})`);
+    return this.get(novelId, relationship.id);
+  }
+
+  /**
+   * Ubah relasi. Dengan fromChapter setelah sinceChapter, periode lama ditutup di fromChapter - 1
+   * dan perubahan menjadi periode baru; tanpa fromChapter relasi diubah di tempat.
+   * @param {Object} changes - type, strength, sentiment, description, sinceChapter, untilChapter, fromChapter
+   */
+  async update(novelId, relationshipId, changes) {
+    const current = await this.get(novelId, relationshipId);
+    const { fromChapter, ...values } = changes;
+
+    if (fromChapter !== undefined && fromChapter > current.sinceChapter) {
+      if (current.untilChapter !== null && fromChapter > current.untilChapter) {
+        throw httpError(`fromChapter ${fromChapter} is after the relationship ends (chapter ${current.untilChapter})`, 400);
+      }
+
+      const next = {
+        id: uuidv4(),
+        fromId: current.from.id,
+        toId: current.to.id,
+        type: current.type,
+        strength: current.strength,
+        sentiment: current.sentiment,
+        description: current.description,
+        untilChapter: current.untilChapter,
+        ...values,
+        sinceChapter: fromChapter,
+        previousId: current.id
+      };
+      this.assertRange(next);
+      await this.assertNoOverlap(novelId, next, [current.id]);
+
+      await this.neo4j.updateCharacterRelationship(novelId, current.id, { untilChapter: fromChapter - 1 });
+      await this.neo4j.createCharacterRelationship(novelId, next);
+      console.log(`🤝 Relationship ${current.id} changed from chapter ${fromChapter} (${next.type})`);
+      return this.get(novelId, next.id);
+    }
+
+    const merged = { ...current, ...values, fromId: current.from.id, toId: current.to.id };
+    this.assertRange(merged);
+    if (['type', 'sinceChapter', 'untilChapter'].some(key => key in values)) {
+      await this.assertNoOverlap(novelId, merged, [current.id]);
+    }
+
+    await this.neo4j.updateCharacterRelationship(novelId, current.id, values);
+    return this.get(novelId, current.id);
+  }
+
+  async remove(novelId, relationshipId) {
+    this.assertConnected();
+
+    const deleted = await this.neo4j.deleteCharacterRelationship(novelId, relationshipId);
+    if (deleted === 0) {
+      throw httpError(`Relationship ${relationshipId} not found for novel ${novelId}`, 404);
+    }
+    return { id: relationshipId, deleted: true };
+  }
+
+  /**
+   * Jaringan relasi satu karakter; tanpa atChapter semua periode dikembalikan
+   */
+  async getNetwork(novelId, characterId, atChapter = null) {
+    this.assertConnected();
+
+    const existing = await this.neo4j.getExistingIds(novelId, 'Character', [characterId]);
+    if (existing.length === 0) {
+      throw httpError(`Character ${characterId} not found for novel ${novelId}`, 404);
+    }
+
+    const relationships = await this.neo4j.getCharacterRelationships(novelId, { characterId, atChapter });
+    return {
+      characterId,
+      atChapter,
+      relationships: relationships.map(relationship => {
+        const outgoing = relationship.from.id === characterId;
+        return {
+          ...this.format(relationship),
+          direction: outgoing ? 'outgoing' : 'incoming',
+          with: outgoing ? relationship.to : relationship.from
+        };
+      })
+    };
+  }
+
+  /**
+   * Relasi dari entity extraction: dilewati jika relasi bertipe sama sudah berlaku di chapter tersebut.
+   * Relasi baru berlaku sampai sebelum periode bertipe sama berikutnya (jika chapter lama diekstrak ulang)
+   */
+  async observe(novelId, { fromId, toId, type, description }, chapterNumber) {
+    const directed = DIRECTED_TYPES.includes(type);
+    const periods = (await this.neo4j.getCharacterRelationships(novelId, { characterId: fromId, type }))
+      .filter(other => (other.from.id === fromId && other.to.id === toId)
+        || (!directed && other.from.id === toId && other.to.id === fromId));
+
+    const existing = periods.find(other => other.sinceChapter <= chapterNumber
+      && (other.untilChapter === null || other.untilChapter >= chapterNumber));
+    if (existing) return this.format(existing);
+
+    const later = periods.filter(other => other.sinceChapter > chapterNumber).map(other => other.sinceChapter);
+    const relationship = {
+      id: uuidv4(),
+      fromId,
+      toId,
+      type,
+      description,
+      sinceChapter: chapterNumber,
+      untilChapter: later.length > 0 ? Math.min(...later) - 1 : null
+    };
+    await this.neo4j.createCharacterRelationship(novelId, relationship);
+    return relationship;
+  }
+}
+
+// Singleton instance
+export const relationshipService = new RelationshipService();
+
+export default RelationshipService;
@@ -0,0 +1,297 @@
+import { memorySystem } from './memorySystem.js';
+import { novelOrchestrator } from './orchestrator.js';
+import { generationRuns } from './generationRuns.js';
+import { sceneWriter } from './sceneWriter.js';
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'regenerating'];
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function countWords(text) {
+  return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Review Queue - tindak lanjut human intervention (approve, edit, reject, regenerate)
+ *
+ * Membaca key yang ditulis node "Store Intervention Data" (n8n) maupun
+ * orchestrator.handleHumanIntervention (native):
+ *   novel:{novelId}:chapter:{n}:intervention
+ * Status review disimpan di field `review` pada blob yang sama.
+ */
+export class ReviewQueueService {
+  constructor() {
+    this.redis = memorySystem.redis;
+  }
+
+  interventionKey(novelId, chapterNumber) {
+    return `novel:${novelId}:chapter:${chapterNumber}:intervention`;
+  }
+
+  assertConnected() {
+    if (!this.redis.isConnected) {
+      throw httpError('Review queue unavailable: Redis is not connected', 503);
+    }
+  }
+
+  /**
+   * Node n8n menyimpan seluruh errorResponse ({ status, data, message }); samakan dengan format native
+   */
+  normalize(stored) {
+    const record = stored?.data?.novelId ? { ...stored.data, message: stored.message } : stored;
+
+    return {
+      ...record,
+      chapterNumber: Number(record.chapterNumber),
+      request: record.request || { engine: 'n8n' },
+      review: {
+        status: 'pending',
+        history: [],
+        ...record.review
+      },
+      createdAt: record.createdAt || null
+    };
+  }
+
+  summarize(record) {
+    return {
+      novelId: record.novelId,
+      chapterNumber: record.chapterNumber,
+      requestId: record.requestId || null,
+      status: record.review.status,
+      qualityScore: record.qualityScore,
+      iterations: record.iterations,
+      criticalIssues: record.evaluation?.criticalIssues?.length || 0,
+      edited: Boolean(record.review.editedContent),
+      engine: record.request.engine || null,
+      createdAt: record.createdAt,
+      updatedAt: record.review.updatedAt || record.createdAt
+    };
+  }
+
+  /**
+   * Daftar intervensi untuk satu novel
+   * @param {string} status - pending | approved | rejected | regenerating | all
+   */
+  async listReviews(novelId, { status = 'pending' } = {}) {
+    this.assertConnected();
+
+    const keys = await this.redis.scanKeys(this.interventionKey(novelId, '*'));
+    const records = await Promise.all(keys.map(key => this.redis.get(key)));
+
+    return records
+      .filter(Boolean)
+      .map(record => this.normalize(record))
+      .filter(record => status === 'all' || record.review.status === status)
+      .map(record => this.summarize(record))
+      .sort((a, b) => a.chapterNumber - b.chapterNumber);
+  }
+
+  /**
+   * Detail intervensi: draft (versi editan jika ada), skor, critical issues dan riwayat draft
+   * @throws {Error} statusCode 404 jika tidak ada intervensi untuk chapter tersebut
+   */
+  async getReview(novelId, chapterNumber) {
+    this.assertConnected();
+
+    const stored = await this.redis.get(this.interventionKey(novelId, chapterNumber));
+    if (!stored) {
+      throw httpError(`No intervention found for ${novelId} chapter ${chapterNumber}`, 404);
+    }
+
+    const record = this.normalize(stored);
+    const content = record.review.editedContent || record.lastAttempt || '';
+
+    return {
+      ...record,
+      content,
+      wordCount: countWords(content)
+    };
+  }
+
+  async getPendingReview(novelId, chapterNumber) {
+    const record = await this.getReview(novelId, chapterNumber);
+    if (record.review.status !== 'pending') {
+      throw httpError(`Intervention for ${novelId} chapter ${chapterNumber} is already ${record.review.status}`, 409);
+    }
+    return record;
+  }
+
+  async saveReview(record, review, entry) {
+    const { content, wordCount, ...stored } = record;
+    const updatedAt = new Date().toISOString();
+    const updated = {
+      ...stored,
+      review: {
+        ...record.review,
+        ...review,
+        updatedAt,
+        history: [...record.review.history, { ...entry, at: updatedAt }]
+      }
+    };
+
+    await this.redis.set(this.interventionKey(record.novelId, record.chapterNumber), updated);
+    return updated;
+  }
+
+  /**
+   * Simpan versi editan tanpa memutuskan (status tetap pending)
+   */
+  async saveEdit(novelId, chapterNumber, { content, reviewer = null, notes = null }) {
+    const record = await this.getPendingReview(novelId, chapterNumber);
+
+    const updated = await this.saveReview(
+      record,
+      { editedContent: content, editedBy: reviewer },
+      { action: 'edited', reviewer, notes, wordCount: countWords(content) }
+    );
+
+    console.log(`✏️ Intervention draft edited for ${novelId} chapter ${chapterNumber}`);
+    return { ...updated, content, wordCount: countWords(content) };
+  }
+
+  /**
+   * Approve: content dari body, lalu versi editan, lalu draft terakhir → memorySystem.addChapter
+   */
+  async approve(novelId, chapterNumber, { content = null, reviewer = null, notes = null } = {}) {
+    const record = await this.getPendingReview(novelId, chapterNumber);
+    const finalContent = content || record.content;
+    const edited = finalContent !== record.lastAttempt;
+
+    if (!finalContent) {
+      throw httpError('Intervention has no draft content; provide content to approve', 400);
+    }
+
+    // Disimpan langsung: run yang menunggu review lanjut ke chapter berikutnya setelah ini
+    await memorySystem.addChapter(novelId, {
+      number: record.chapterNumber,
+      title: `Chapter ${record.chapterNumber}`,
+      content: finalContent,
+      status: 'approved',
+      focusElements: record.request.focusElements,
+      mood: record.request.mood,
+      stylePreference: record.request.stylePreference,
+      qualityScore: record.qualityScore,
+      iterations: record.iterations,
+      promptTemplate: record.promptTemplate,
+      model: record.model,
+      provider: record.provider,
+      // Scene dipisah ulang dari teks final (editan yang menghapus pemisah "* * *" → content scene null)
+      scenes: sceneWriter.assembleScenes(finalContent, record.scenes),
+      draftSource: 'review',
+      // Teks yang tidak diedit tetap tulisan model
+      revision: edited
+        ? { authorType: 'human', author: reviewer, requestId: record.requestId }
+        : { authorType: 'model', author: record.request.model, requestId: record.requestId }
+    }, { sync: true });
+
+    const updated = await this.saveReview(
+      record,
+      { status: 'approved', reviewer, edited, ...(content ? { editedContent: content } : {}) },
+      { action: 'approved', reviewer, notes, edited }
+    );
+
+    console.log(`✅ Intervention approved for ${novelId} chapter ${chapterNumber}${edited ? ' (edited)' : ''}`);
+    await generationRuns.handleReviewAction(novelId, record.chapterNumber, 'approved');
+
+    await novelOrchestrator.sendCallback(record.request.callbackUrl, {
+      success: true,
+      status: 'completed',
+      data: {
+        status: 'completed',
+        novelId,
+        chapterNumber: record.chapterNumber,
+        requestId: record.requestId,
+        jobId: record.jobId || null,
+        title: `Chapter ${record.chapterNumber}`,
+        content: finalContent,
+        wordCount: countWords(finalContent),
+        qualityScore: record.qualityScore,
+        iterations: record.iterations,
+        evaluation: record.evaluation,
+        review: { status: 'approved', reviewer, notes, edited },
+        completionTime: updated.review.updatedAt
+      },
+      message: `Chapter approved after human review${edited ? ' (edited)' : ''}`
+    });
+
+    return { ...updated, content: finalContent, wordCount: countWords(finalContent) };
+  }
+
+  async reject(novelId, chapterNumber, { reason, reviewer = null }) {
+    const record = await this.getPendingReview(novelId, chapterNumber);
+
+    const updated = await this.saveReview(
+      record,
+      { status: 'rejected', reviewer, reason },
+      { action: 'rejected', reviewer, notes: reason }
+    );
+
+    console.log(`🗑️ Intervention rejected for ${novelId} chapter ${chapterNumber}`);
+    await generationRuns.handleReviewAction(novelId, record.chapterNumber, 'rejected', { reason });
+
+    await novelOrchestrator.sendCallback(record.request.callbackUrl, {
+      success: false,
+      status: 'rejected',
+      data: {
+        status: 'rejected',
+        novelId,
+        chapterNumber: record.chapterNumber,
+        requestId: record.requestId,
+        jobId: record.jobId || null,
+        review: { status: 'rejected', reviewer, reason }
+      },
+      message: `Chapter rejected after human review: ${reason}`
+    });
+
+    return { ...updated, content: record.content, wordCount: record.wordCount };
+  }
+
+  /**
+   * Generate ulang chapter dengan catatan reviewer (job baru di antrean generasi).
+   * Intervensi dari n8n tidak menyimpan request awal, jadi field yang hilang harus dikirim di body.
+   */
+  async regenerate(novelId, chapterNumber, { notes, reviewer = null, ...overrides }) {
+    const record = await this.getPendingReview(novelId, chapterNumber);
+
+    let validatedInput;
+    try {
+      validatedInput = novelOrchestrator.validateNovelGenerationRequest({
+        novelId,
+        chapterNumber: record.chapterNumber,
+        focusElements: overrides.focusElements || record.request.focusElements,
+        stylePreference: overrides.stylePreference || record.request.stylePreference,
+        mood: overrides.mood || record.request.mood,
+        callbackUrl: overrides.callbackUrl || record.request.callbackUrl,
+        engine: overrides.engine || (record.request.engine === 'native' ? 'native' : null),
+        model: overrides.model || record.request.model,
+        scenes: record.request.scenes,
+        sceneCount: record.request.sceneCount,
+        requestId: record.requestId,
+        reviewNotes: notes
+      });
+    } catch (error) {
+      throw httpError(error.message, 400);
+    }
+    const job = await novelOrchestrator.enqueueNovelGeneration(validatedInput);
+
+    const updated = await this.saveReview(
+      record,
+      { status: 'regenerating', reviewer, regenerationJobId: String(job.id) },
+      { action: 'regenerate', reviewer, notes, jobId: String(job.id) }
+    );
+
+    console.log(`🔁 Regeneration queued for ${novelId} chapter ${chapterNumber} (job ${job.id})`);
+    await generationRuns.handleReviewAction(novelId, record.chapterNumber, 'regenerating', { jobId: job.id });
+    return { review: this.summarize(this.normalize(updated)), jobId: String(job.id) };
+  }
+}
+
+// Singleton instance
+export const reviewQueue = new ReviewQueueService();
+
+export default ReviewQueueService;
@@ -0,0 +1,197 @@
+import { aiModelService } from './aiModelService.js';
+import { promptTemplateService } from './promptTemplateService.js';
+
+export const MAX_SCENES = 12;
+// Pemisah scene di dalam teks chapter; dipertahankan saat revisi agar scene bisa dipisah lagi
+export const SCENE_SEPARATOR = '\n\n* * *\n\n';
+const SCENE_SEPARATOR_PATTERN = /\n[ \t]*\*[ \t]*\*[ \t]*\*[ \t]*\n/;
+
+function stringList(value) {
+  return [].concat(value || []).map(item => String(item).trim()).filter(Boolean);
+}
+
+function countWords(text) {
+  return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Scene Writer - generasi chapter per scene (POV, lokasi, partisipan, tujuan)
+ *
+ * Alur: rencana scene (dari request atau model) → tiap scene digenerate dengan scene
+ * sebelumnya sebagai giliran assistant → disambung dengan SCENE_SEPARATOR menjadi satu chapter.
+ * Output yang terpotong dilanjutkan oleh aiModelService (AI_MAX_CONTINUATIONS).
+ */
+export class SceneWriterService {
+  constructor() {
+    // Target panjang chapter (kata), dibagi rata ke semua scene
+    this.chapterWords = parseInt(process.env.GENERATION_CHAPTER_WORDS) || 2500;
+  }
+
+  /**
+   * Normalisasi rencana scene: order 1..n, participants array, pov ikut sebagai partisipan
+   */
+  normalizeScenes(scenes = []) {
+    return scenes.slice(0, MAX_SCENES).map((scene, index) => {
+      const pov = String(scene.pov || '').trim() || null;
+      const participants = stringList(scene.participants);
+
+      return {
+        order: index + 1,
+        pov,
+        location: String(scene.location || '').trim() || null,
+        participants: pov && !participants.includes(pov) ? [pov, ...participants] : participants,
+        goal: String(scene.goal || '').trim(),
+        summary: String(scene.summary || '').trim() || null
+      };
+    });
+  }
+
+  buildScenePlanSchema(sceneCount) {
+    return {
+      type: 'object',
+      required: ['scenes'],
+      properties: {
+        scenes: {
+          type: 'array',
+          minItems: sceneCount,
+          maxItems: sceneCount,
+          items: {
+            type: 'object',
+            required: ['pov', 'location', 'participants', 'goal'],
+            properties: {
+              pov: { type: 'string' },
+              location: { type: 'string' },
+              participants: { type: 'array', items: { type: 'string' } },
+              goal: { type: 'string' },
+              summary: { type: 'string' }
+            }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Rencana scene oleh model (template "scene-plan" setelah prompt chapter)
+   */
+  async planScenes(input, variables, chapterPrompt, { model, usageTags }) {
+    const rendered = await promptTemplateService.render('scene-plan', {
+      ...variables,
+      sceneCount: input.sceneCount
+    }, { novelId: input.novelId });
+
+    const plan = await aiModelService.generateText({
+      prompt: `${chapterPrompt.text}\n\n${rendered.text}`,
+      model,
+      options: { responseSchema: this.buildScenePlanSchema(input.sceneCount), maxTokens: 1500, temperature: 0.7 },
+      usageTags: { ...usageTags, operation: 'scene-plan' }
+    });
+
+    return this.normalizeScenes(plan.data.scenes);
+  }
+
+  /**
+   * Tulis chapter per scene
+   * @param {Object} input - Input generasi (scenes dari request atau sceneCount)
+   * @param {Object} variables - Variabel prompt chapter (orchestrator.buildPromptVariables)
+   * @param {Object} chapterPrompt - Prompt chapter yang sudah dirender
+   * @param {Object} options - model, generationOptions, usageTags, onProgress, onToken, signal, iteration
+   * @returns {Promise<Object>} { content, scenes, model, provider, usage, continuations }
+   */
+  async writeChapter(input, variables, chapterPrompt, options) {
+    const { model, generationOptions, usageTags, iteration, onProgress = () => {} } = options;
+
+    let scenes = this.normalizeScenes(input.scenes || []);
+    if (scenes.length === 0) {
+      await onProgress({ step: 'planning-scenes', iteration });
+      scenes = await this.planScenes(input, variables, chapterPrompt, { model, usageTags });
+    }
+
+    const sceneWords = Math.round(this.chapterWords / scenes.length);
+    const written = [];
+    const usage = [];
+    let last = null;
+
+    for (const scene of scenes) {
+      console.log(`🎬 Writing scene ${scene.order}/${scenes.length} of chapter ${input.chapterNumber} for ${input.novelId}`);
+      await onProgress({ step: 'generating-scene', iteration, scene: scene.order, sceneCount: scenes.length });
+
+      const rendered = await promptTemplateService.render('chapter-scene', {
+        ...variables,
+        scene: { ...scene, cast: scene.participants.join(', ') },
+        sceneCount: scenes.length,
+        sceneWords,
+        previousScenes: written.length > 0,
+        nextScene: scenes[scene.order] || null
+      }, { novelId: input.novelId });
+
+      // Scene pertama: prompt chapter + instruksi scene; berikutnya: scene sebelumnya sebagai giliran assistant
+      const previousText = this.stitchScenes(written);
+      const generationParams = {
+        prompt: written.length > 0 ? rendered.text : `${chapterPrompt.text}\n\n${rendered.text}`,
+        messages: written.length > 0
+          ? [
+              { role: 'user', content: chapterPrompt.text },
+              { role: 'assistant', content: previousText }
+            ]
+          : [],
+        model,
+        options: {
+          ...generationOptions,
+          maxTokens: Math.min(generationOptions.maxTokens, Math.ceil(sceneWords * 2.5))
+        },
+        usageTags: { ...usageTags, operation: 'scene', scene: scene.order }
+      };
+
+      if (options.onToken && written.length > 0) {
+        options.onToken({ delta: SCENE_SEPARATOR, iteration, scene: scene.order });
+      }
+
+      last = options.onToken
+        ? await aiModelService.streamText({
+            ...generationParams,
+            signal: options.signal,
+            onToken: (delta) => options.onToken({ delta, iteration, scene: scene.order })
+          })
+        : await aiModelService.generateText(generationParams);
+
+      written.push({ ...scene, content: last.content.trim() });
+      usage.push({ scene: scene.order, usage: last.usage, continuations: last.continuations || 0 });
+    }
+
+    return {
+      content: this.stitchScenes(written),
+      scenes,
+      model: last.model,
+      provider: last.provider,
+      usage: { scenes: usage },
+      continuations: usage.reduce((total, entry) => total + entry.continuations, 0)
+    };
+  }
+
+  stitchScenes(scenes) {
+    return scenes.map(scene => scene.content).join(SCENE_SEPARATOR);
+  }
+
+  /**
+   * Pasangkan rencana scene dengan teks chapter (hasil generasi, revisi atau editan reviewer).
+   * Jika jumlah bagian tidak sama dengan jumlah scene, content scene dikosongkan (null).
+   */
+  assembleScenes(content, scenes = []) {
+    if (!scenes?.length) return [];
+
+    const parts = String(content || '').split(SCENE_SEPARATOR_PATTERN).map(part => part.trim());
+    const aligned = parts.length === scenes.length;
+
+    return scenes.map((scene, index) => ({
+      ...scene,
+      content: aligned ? parts[index] : null,
+      wordCount: aligned ? countWords(parts[index]) : 0
+    }));
+  }
+}
+
+// Singleton instance
+export const sceneWriter = new SceneWriterService();
+
+export default SceneWriterService;
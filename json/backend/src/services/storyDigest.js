@@ -0,0 +1,264 @@
+import { neo4jService } from './neo4jService.js';
+import { pineconeService } from './pineconeService.js';
+import { redisService } from './redisService.js';
+import { aiModelService } from './aiModelService.js';
+import { promptTemplateService } from './promptTemplateService.js';
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function stringList(value) {
+  return [].concat(value || []).map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Story Digest - memori cerita bertingkat, dibangun di antrean "summary-processing" setelah chapter tersimpan
+ *
+ * 1. Chapter: summary + keyEvents (Chapter.summary/keyEvents, vector "chapter-N-summary")
+ * 2. Arc: setiap STORY_ARC_CHAPTERS chapter diringkas menjadi Arc (vector "arc-N-summary")
+ * 3. Story so far: Arc.storySoFar = digest(storySoFar arc sebelumnya + ringkasan arc ini),
+ *    sehingga chapter 80 tetap membawa kejadian chapter 3 lewat digest arc 7
+ */
+export class StoryDigestService {
+  constructor() {
+    this.neo4j = neo4jService;
+    this.pinecone = pineconeService;
+    this.redis = redisService;
+    this.arcSize = parseInt(process.env.STORY_ARC_CHAPTERS) || 10;
+    this.maxWords = parseInt(process.env.STORY_DIGEST_MAX_WORDS) || 600;
+    this.model = process.env.STORY_DIGEST_MODEL || process.env.AI_DEFAULT_GENERATION_MODEL || 'openai';
+  }
+
+  assertConnected() {
+    if (!this.neo4j.isConnected) {
+      throw httpError('Story digest unavailable: Neo4j is not connected', 503);
+    }
+  }
+
+  arcRange(arcNumber) {
+    return {
+      number: arcNumber,
+      fromChapter: (arcNumber - 1) * this.arcSize + 1,
+      toChapter: arcNumber * this.arcSize
+    };
+  }
+
+  arcOf(chapterNumber) {
+    return Math.ceil(chapterNumber / this.arcSize);
+  }
+
+  buildSummarySchema() {
+    return {
+      type: 'object',
+      required: ['summary', 'keyEvents'],
+      properties: {
+        summary: { type: 'string' },
+        keyEvents: { type: 'array', minItems: 1, items: { type: 'string' } }
+      }
+    };
+  }
+
+  async getNovel(novelId) {
+    const context = await this.neo4j.getNovelContext(novelId);
+    return context?.novel?.properties || {};
+  }
+
+  async generate(templateName, variables, { novelId, model, schema, maxTokens, operation }) {
+    const rendered = await promptTemplateService.render(templateName, variables, { novelId });
+
+    const generation = await aiModelService.generateText({
+      prompt: rendered.text,
+      model,
+      options: { responseSchema: schema, maxTokens, temperature: 0.3 },
+      usageTags: { novelId, operation }
+    });
+
+    return { ...generation.data, model: generation.model };
+  }
+
+  async summarizeChapter(novelId, chapter, { novel, model }) {
+    const result = await this.generate('chapter-summary', {
+      novel: { title: novel.title || 'Untitled Novel' },
+      chapterNumber: chapter.number,
+      title: chapter.title,
+      content: chapter.content,
+      summaryWords: 150
+    }, { novelId, model, schema: this.buildSummarySchema(), maxTokens: 1000, operation: 'chapter-summary' });
+
+    return { summary: String(result.summary || '').trim(), keyEvents: stringList(result.keyEvents), model: result.model };
+  }
+
+  async summarizeArc(novelId, range, chapters, { novel, model }) {
+    const result = await this.generate('arc-summary', {
+      novel: { title: novel.title || 'Untitled Novel' },
+      arc: range,
+      chapters: chapters.map(chapter => ({
+        number: chapter.number,
+        title: chapter.title,
+        summary: chapter.summary,
+        events: chapter.keyEvents.join('; ')
+      })),
+      summaryWords: 300
+    }, { novelId, model, schema: this.buildSummarySchema(), maxTokens: 1500, operation: 'arc-summary' });
+
+    return { summary: String(result.summary || '').trim(), keyEvents: stringList(result.keyEvents), model: result.model };
+  }
+
+  /**
+   * Digest bergulir; arc pertama memakai ringkasan arc itu sendiri
+   */
+  async rollStorySoFar(novelId, arc, previous, { novel, model }) {
+    if (!previous?.storySoFar) return arc.summary;
+
+    const result = await this.generate('story-so-far', {
+      novel: { title: novel.title || 'Untitled Novel' },
+      arc,
+      previous,
+      maxWords: this.maxWords
+    }, {
+      novelId,
+      model,
+      schema: { type: 'object', required: ['storySoFar'], properties: { storySoFar: { type: 'string' } } },
+      maxTokens: Math.ceil(this.maxWords * 2.5),
+      operation: 'story-so-far'
+    });
+
+    return String(result.storySoFar || '').trim() || arc.summary;
+  }
+
+  /**
+   * Job "summarize-chapter": ringkas chapter (dilewati jika teks sudah diringkas), lalu perbarui arc-nya
+   * Ringkasan manual (dikirim bersama chapter) dipertahankan selama teksnya belum berubah; key events tetap dibuat.
+   * @param {Object} options - model, force (ringkas ulang walau teks tidak berubah)
+   */
+  async processChapter(novelId, chapterNumber, options = {}) {
+    if (!this.neo4j.isConnected) {
+      console.warn(`⚠️ Story digest skipped for ${novelId} chapter ${chapterNumber}: Neo4j is not connected`);
+      return { success: false, skipped: 'neo4j-unavailable' };
+    }
+
+    const chapter = await this.neo4j.getChapterDigestState(novelId, chapterNumber);
+    if (!chapter?.content) {
+      return { success: true, chapterNumber, skipped: 'no-content' };
+    }
+
+    const current = chapter.summaryHash === chapter.contentHash;
+    if (current && chapter.keyEvents && !options.force) {
+      // Vector summary ikut terhapus saat vector chapter diganti; simpan lagi tanpa meringkas ulang
+      await this.pinecone.storeChapterSummary(novelId, chapterNumber, chapter);
+      return { success: true, chapterNumber, skipped: 'unchanged' };
+    }
+
+    const model = options.model || this.model;
+    const novel = await this.getNovel(novelId);
+    const generated = await this.summarizeChapter(novelId, { ...chapter, number: chapterNumber }, { novel, model });
+    const keepManual = current && chapter.summarySource === 'manual';
+    const summary = {
+      title: chapter.title,
+      summary: keepManual ? chapter.summary : generated.summary,
+      keyEvents: generated.keyEvents,
+      summaryHash: chapter.contentHash,
+      summarySource: keepManual ? 'manual' : 'generated',
+      model: generated.model
+    };
+
+    await this.neo4j.saveChapterSummary(novelId, chapterNumber, summary);
+    await this.pinecone.storeChapterSummary(novelId, chapterNumber, summary);
+
+    const cached = await this.redis.getCachedChapter(novelId, chapterNumber);
+    if (cached) {
+      await this.redis.cacheChapter(novelId, chapterNumber, { ...cached, summary: summary.summary, keyEvents: summary.keyEvents });
+    }
+    console.log(`📝 Chapter ${chapterNumber} summarized for ${novelId} (${summary.keyEvents.length} key events)`);
+
+    const arcs = await this.updateArcs(novelId, this.arcOf(chapterNumber), { novel, model });
+    return { success: true, chapterNumber, keyEvents: summary.keyEvents.length, arcsUpdated: arcs };
+  }
+
+  /**
+   * Ringkas arc jika semua chapter-nya sudah punya ringkasan, lalu gulirkan ulang storySoFar arc-arc sesudahnya
+   * @returns {number[]} nomor arc yang diperbarui
+   */
+  async updateArcs(novelId, arcNumber, { novel, model }) {
+    const range = this.arcRange(arcNumber);
+    const chapters = await this.neo4j.getChapterSummaries(novelId, range.fromChapter, range.toChapter);
+    if (chapters.length < this.arcSize) return [];
+
+    const arcs = await this.neo4j.getArcs(novelId);
+    const previousOf = number => arcs.find(arc => arc.number === number - 1 && arc.toChapter === this.arcRange(number - 1).toChapter);
+
+    const arcSummary = await this.summarizeArc(novelId, range, chapters, { novel, model });
+    let arc = { ...range, ...arcSummary };
+    arc.storySoFar = await this.rollStorySoFar(novelId, arc, previousOf(arc.number), { novel, model });
+    await this.saveArc(novelId, arc);
+
+    const updated = [arc.number];
+    for (const later of arcs.filter(candidate => candidate.number > arcNumber)) {
+      const previous = updated.includes(later.number - 1) ? arc : previousOf(later.number);
+      arc = { ...later, storySoFar: await this.rollStorySoFar(novelId, later, previous, { novel, model }) };
+      await this.saveArc(novelId, arc);
+      updated.push(arc.number);
+    }
+
+    return updated;
+  }
+
+  async saveArc(novelId, arc) {
+    await this.neo4j.saveArc(novelId, arc);
+    await this.pinecone.storeArcSummary(novelId, arc);
+    console.log(`📚 Arc ${arc.number} (chapters ${arc.fromChapter}-${arc.toChapter}) digested for ${novelId}`);
+  }
+
+  /**
+   * Memori cerita sebelum sebuah chapter: storySoFar dari arc terakhir yang selesai sebelum chapter itu,
+   * ditambah ringkasan chapter sesudah arc tersebut (maksimal dua arc terakhir)
+   * @param {number|null} beforeChapter - null = seluruh cerita
+   */
+  async getStorySoFar(novelId, beforeChapter = null) {
+    this.assertConnected();
+    const limit = beforeChapter ?? Number.MAX_SAFE_INTEGER;
+    const arcs = (await this.neo4j.getArcs(novelId)).filter(arc => arc.toChapter < limit);
+    const latest = arcs[arcs.length - 1] || null;
+
+    const afterArc = latest ? latest.toChapter + 1 : 1;
+    const fromChapter = beforeChapter ? Math.max(afterArc, beforeChapter - this.arcSize * 2) : afterArc;
+    const chapters = await this.neo4j.getChapterSummaries(novelId, fromChapter, limit - 1);
+
+    return {
+      throughChapter: latest?.toChapter || 0,
+      digest: latest?.storySoFar || null,
+      arcs: arcs.map(({ number, fromChapter: from, toChapter, summary, keyEvents, updatedAt }) => ({
+        number, fromChapter: from, toChapter, summary, keyEvents, updatedAt
+      })),
+      chapters: chapters.map(({ number, title, summary, keyEvents }) => ({ number, title, summary, keyEvents })),
+      arcSize: this.arcSize
+    };
+  }
+
+  /**
+   * Antrekan ulang ringkasan semua chapter (mis. untuk chapter lama atau setelah STORY_ARC_CHAPTERS diubah)
+   */
+  async rebuild(novelId, options = {}) {
+    this.assertConnected();
+
+    const numbers = await this.neo4j.getWrittenChapterNumbers(novelId);
+    if (numbers.length === 0) {
+      throw httpError(`Novel ${novelId} has no written chapters`, 404);
+    }
+
+    for (const chapterNumber of numbers) {
+      await this.redis.queueChapterSummary(novelId, chapterNumber, { model: options.model, force: options.force });
+    }
+
+    console.log(`📝 Queued story digest rebuild for ${novelId}: ${numbers.length} chapters`);
+    return { novelId, queued: numbers.length, chapters: numbers, status: 'queued' };
+  }
+}
+
+// Singleton instance
+export const storyDigest = new StoryDigestService();
+
+export default StoryDigestService;
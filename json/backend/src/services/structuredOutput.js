@@ -0,0 +1,88 @@
+import Joi from 'joi';
+
+/**
+ * Structured Output - JSON response schema untuk AI Model Service
+ * responseSchema bisa berupa Joi schema atau JSON Schema sederhana
+ * (type, properties, required, items, enum, minimum, maximum, minItems, maxItems, nullable)
+ */
+
+/**
+ * Konversi subset JSON Schema ke Joi
+ */
+export function jsonSchemaToJoi(schema = {}) {
+  let joi;
+
+  switch (schema.type) {
+    case 'object': {
+      const keys = {};
+      const required = schema.required || [];
+      for (const [key, child] of Object.entries(schema.properties || {})) {
+        keys[key] = required.includes(key) ? jsonSchemaToJoi(child).required() : jsonSchemaToJoi(child);
+      }
+      joi = Joi.object(keys).unknown(schema.additionalProperties !== false);
+      break;
+    }
+    case 'array':
+      joi = Joi.array().items(schema.items ? jsonSchemaToJoi(schema.items) : Joi.any());
+      if (schema.minItems !== undefined) joi = joi.min(schema.minItems);
+      if (schema.maxItems !== undefined) joi = joi.max(schema.maxItems);
+      break;
+    case 'string':
+      joi = Joi.string().allow('');
+      break;
+    case 'integer':
+    case 'number':
+      joi = schema.type === 'integer' ? Joi.number().integer() : Joi.number();
+      if (schema.minimum !== undefined) joi = joi.min(schema.minimum);
+      if (schema.maximum !== undefined) joi = joi.max(schema.maximum);
+      break;
+    case 'boolean':
+      joi = Joi.boolean();
+      break;
+    default:
+      joi = Joi.any();
+  }
+
+  if (schema.enum) joi = joi.valid(...schema.enum);
+  if (schema.nullable) joi = joi.allow(null);
+
+  return joi;
+}
+
+export function toJoiSchema(responseSchema) {
+  return Joi.isSchema(responseSchema) ? responseSchema : jsonSchemaToJoi(responseSchema);
+}
+
+/**
+ * Instruksi JSON yang ditambahkan ke system prompt
+ */
+export function buildSchemaInstruction(responseSchema) {
+  const description = Joi.isSchema(responseSchema) ? responseSchema.describe() : responseSchema;
+
+  return `Respond only with a single valid JSON value (no markdown fences, no commentary) that matches this schema:\n${JSON.stringify(description, null, 2)}`;
+}
+
+/**
+ * Parse dan validasi output model
+ * @returns {{ value: any, error: string|null }}
+ */
+export function parseStructuredOutput(text, responseSchema) {
+  // Some models still wrap JSON in ``` fences despite the instruction
+  const trimmed = String(text || '').trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch (error) {
+    return { value: null, error: `Invalid JSON: ${error.message}` };
+  }
+
+  const { error, value } = toJoiSchema(responseSchema).validate(parsed, { abortEarly: false });
+  if (error) {
+    return { value: null, error: error.details.map(detail => detail.message).join('; ') };
+  }
+
+  return { value, error: null };
+}
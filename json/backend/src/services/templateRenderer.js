@@ -0,0 +1,190 @@
+/**
+ * Template Renderer - sintaks mustache sederhana untuk prompt template
+ *
+ *   {{variable}} / {{novel.title}}        nilai variabel (objek/array → JSON)
+ *   {{#if path}} ... {{else}} ... {{/if}}  kondisi (array kosong dianggap false)
+ *   {{#each path}} ... {{/each}}           loop; {{this}}, {{this.name}}, {{@index}}, {{@number}}
+ *   {{> partial-name}}                     sisipkan partial dengan konteks yang sama
+ */
+
+const TAG_PATTERN = /\{\{\s*([#/>]?)\s*([^}]*?)\s*\}\}/g;
+const MAX_PARTIAL_DEPTH = 10;
+
+function syntaxError(message) {
+  const error = new Error(`Template syntax error: ${message}`);
+  error.statusCode = 400;
+  error.code = 'TEMPLATE_SYNTAX_ERROR';
+  return error;
+}
+
+/**
+ * Parse template menjadi tree node
+ */
+export function parseTemplate(content) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let cursor = 0;
+  let match;
+
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.elseChildren : node.children;
+  };
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(content)) !== null) {
+    const [tag, sigil, body] = match;
+    let start = match.index;
+    let end = match.index + tag.length;
+
+    // Block tag sendirian di satu baris: buang seluruh barisnya
+    if (sigil === '#' || sigil === '/' || body === 'else') {
+      const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+      const lineEnd = content.indexOf('\n', end);
+      const after = content.slice(end, lineEnd === -1 ? content.length : lineEnd);
+      if (lineStart >= cursor && /^[ \t]*$/.test(content.slice(lineStart, start)) && /^[ \t\r]*$/.test(after)) {
+        start = lineStart;
+        end = lineEnd === -1 ? content.length : lineEnd + 1;
+      }
+    }
+
+    if (start > cursor) {
+      current().push({ type: 'text', value: content.slice(cursor, start) });
+    }
+    cursor = end;
+    TAG_PATTERN.lastIndex = end;
+
+    if (sigil === '#') {
+      const [block, path] = body.split(/\s+/, 2);
+      if (!['if', 'each'].includes(block) || !path) {
+        throw syntaxError(`unknown block "{{#${body}}}"`);
+      }
+      const node = { type: block, path, children: [], elseChildren: [], inElse: false };
+      current().push(node);
+      stack.push(node);
+    } else if (sigil === '/') {
+      const node = stack.pop();
+      if (node.type !== body) {
+        throw syntaxError(`unexpected "{{/${body}}}"`);
+      }
+      delete node.inElse;
+    } else if (sigil === '>') {
+      if (!body) throw syntaxError('partial name is required');
+      current().push({ type: 'partial', name: body });
+    } else if (body === 'else') {
+      const node = stack[stack.length - 1];
+      if (node.type !== 'if' || node.inElse) {
+        throw syntaxError('"{{else}}" outside of an if block');
+      }
+      node.inElse = true;
+    } else {
+      current().push({ type: 'variable', path: body });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw syntaxError(`unclosed "{{#${stack[stack.length - 1].type}}}"`);
+  }
+
+  if (cursor < content.length) {
+    root.children.push({ type: 'text', value: content.slice(cursor) });
+  }
+
+  return root;
+}
+
+/**
+ * Nama partial yang dipakai langsung oleh template (tidak rekursif)
+ */
+export function findPartials(content) {
+  const names = new Set();
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'partial') names.add(node.name);
+      if (node.children) walk(node.children);
+      if (node.elseChildren) walk(node.elseChildren);
+    }
+  };
+
+  walk(parseTemplate(content).children);
+  return [...names];
+}
+
+function lookup(path, scopes) {
+  const [head, ...rest] = path.split('.');
+  let value;
+
+  if (head === 'this' || head.startsWith('@')) {
+    value = scopes[scopes.length - 1][head];
+  } else {
+    const scope = [...scopes].reverse().find(candidate =>
+      candidate.this !== null && typeof candidate.this === 'object' && head in candidate.this
+    );
+    value = scope?.this[head];
+  }
+
+  for (const key of rest) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+
+  return value;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function stringify(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Render template
+ * @param {string} content - Isi template
+ * @param {Object} variables - Variabel root
+ * @param {Object} partials - { name: content }
+ * @returns {{ text: string, missingVariables: string[] }}
+ */
+export function renderTemplate(content, variables = {}, partials = {}) {
+  const missing = new Set();
+
+  const renderNodes = (nodes, scopes, depth) => nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'variable': {
+        const value = lookup(node.path, scopes);
+        if (value === undefined) missing.add(node.path);
+        return stringify(value);
+      }
+      case 'if':
+        return renderNodes(isTruthy(lookup(node.path, scopes)) ? node.children : node.elseChildren, scopes, depth);
+      case 'each': {
+        const items = lookup(node.path, scopes);
+        if (items === undefined) missing.add(node.path);
+        return (Array.isArray(items) ? items : [])
+          .map((item, index) => renderNodes(node.children, [
+            ...scopes,
+            { this: item, '@index': index, '@number': index + 1 }
+          ], depth))
+          .join('');
+      }
+      case 'partial': {
+        if (!(node.name in partials)) {
+          throw syntaxError(`partial "${node.name}" not found`);
+        }
+        if (depth >= MAX_PARTIAL_DEPTH) {
+          throw syntaxError(`partials nested deeper than ${MAX_PARTIAL_DEPTH} levels (recursive "${node.name}"?)`);
+        }
+        return renderNodes(parseTemplate(partials[node.name]).children, scopes, depth + 1);
+      }
+      default:
+        return '';
+    }
+  }).join('');
+
+  const text = renderNodes(parseTemplate(content).children, [{ this: variables }], 0);
+  return { text, missingVariables: [...missing] };
+}
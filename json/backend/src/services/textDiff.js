@@ -0,0 +1,118 @@
+/**
+ * Text Diff - diff LCS per kalimat atau per kata untuk membandingkan versi dan draft chapter
+ * Hunk berurutan: equal, removed (hanya di teks awal), added (hanya di teks pembanding)
+ */
+
+export const DIFF_UNITS = ['sentence', 'word'];
+
+export function splitSentences(text) {
+  return String(text || '')
+    .split(/\n\s*\n/)
+    .flatMap(paragraph => paragraph.split(/(?<=[.!?…]["'”’)]?)\s+/))
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+function tokenize(text, unit) {
+  return unit === 'word'
+    ? String(text || '').split(/\s+/).filter(Boolean)
+    : splitSentences(text);
+}
+
+function countWords(tokens) {
+  return tokens.reduce((total, token) => total + token.split(' ').length, 0);
+}
+
+/**
+ * LCS untuk bagian tengah yang berbeda (prefix/suffix yang sama dilewati)
+ */
+function diffTokens(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const width = midB.length + 1;
+
+  // lcs[i][j] = panjang LCS midA[i..] dan midB[j..]
+  const lcs = new Uint32Array((midA.length + 1) * width);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map(token => ['equal', token]);
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      ops.push(['equal', midA[i]]);
+      i++;
+      j++;
+    } else if (i < midA.length && (j === midB.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      ops.push(['removed', midA[i++]]);
+    } else {
+      ops.push(['added', midB[j++]]);
+    }
+  }
+
+  return ops.concat(a.slice(endA).map(token => ['equal', token]));
+}
+
+/**
+ * @param {string} before - Teks awal (mis. versi canonical)
+ * @param {string} after - Teks pembanding
+ * @param {Object} options - unit: 'sentence' (default) atau 'word'
+ * @returns {Object} { similarity (0-1, berbasis kata), stats, hunks: [{ type, text }] }
+ */
+export function diffText(before, after, { unit = 'sentence' } = {}) {
+  const a = tokenize(before, unit);
+  const b = tokenize(after, unit);
+
+  const hunks = [];
+  for (const [type, token] of diffTokens(a, b)) {
+    const last = hunks[hunks.length - 1];
+    if (last?.type === type) {
+      last.tokens.push(token);
+    } else {
+      hunks.push({ type, tokens: [token] });
+    }
+  }
+
+  const wordsOf = type => countWords(hunks.filter(hunk => hunk.type === type).flatMap(hunk => hunk.tokens));
+  const stats = {
+    unit,
+    tokensBefore: a.length,
+    tokensAfter: b.length,
+    wordsUnchanged: wordsOf('equal'),
+    wordsAdded: wordsOf('added'),
+    wordsRemoved: wordsOf('removed')
+  };
+  const totalWords = countWords(a) + countWords(b);
+
+  return {
+    similarity: totalWords > 0 ? Math.round((2 * stats.wordsUnchanged / totalWords) * 100) / 100 : 1,
+    stats,
+    hunks: hunks.map(hunk => ({ type: hunk.type, text: hunk.tokens.join(' ') }))
+  };
+}
+
+/**
+ * Hunk untuk disimpan: teks equal diganti jumlah katanya
+ */
+export function compactHunks(hunks) {
+  return hunks.map(hunk => hunk.type === 'equal'
+    ? { type: 'equal', words: hunk.text.split(' ').length }
+    : hunk
+  );
+}
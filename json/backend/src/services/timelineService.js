@@ -0,0 +1,216 @@
+import { v4 as uuidv4 } from 'uuid';
+import { neo4jService } from './neo4jService.js';
+
+export const EVENT_LINK_TYPES = ['BEFORE', 'CAUSES'];
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Urutan prioritas saat beberapa event sama-sama boleh muncul berikutnya:
+ * storyOrder jika keduanya punya, lalu chapter tempat diceritakan, lalu waktu dibuat
+ */
+function compareEvents(a, b) {
+  if (a.storyOrder !== null && b.storyOrder !== null && a.storyOrder !== b.storyOrder) {
+    return a.storyOrder - b.storyOrder;
+  }
+  if (a.chapterNumber !== b.chapterNumber) return a.chapterNumber - b.chapterNumber;
+  return String(a.createdAt).localeCompare(String(b.createdAt));
+}
+
+/**
+ * Timeline Service - event cerita dan urutan waktunya di Neo4j
+ *
+ * (Novel)-[:HAS_EVENT]->(Event)-[:OCCURS_IN]->(Chapter)
+ * (Character)-[:PARTICIPATED_IN {role}]->(Event)-[:TOOK_PLACE_AT]->(Location)
+ * (Event)-[:BEFORE]->(Event), (Event)-[:CAUSES]->(Event) - keduanya berarti event asal terjadi lebih dulu
+ *
+ * Query "as of chapter N" hanya melihat event yang sudah diceritakan sampai chapter N (bebas spoiler),
+ * diurutkan menurut waktu cerita; event kilas balik (diceritakan setelah event yang terjadi sesudahnya)
+ * ditandai `flashback`.
+ */
+export class TimelineService {
+  constructor() {
+    this.neo4j = neo4jService;
+  }
+
+  assertConnected() {
+    if (!this.neo4j.isConnected) {
+      throw httpError('Timeline unavailable: Neo4j is not connected', 503);
+    }
+  }
+
+  async assertExists(novelId, label, ids) {
+    const wanted = [...new Set(ids.filter(Boolean))];
+    if (wanted.length === 0) return;
+
+    const existing = await this.neo4j.getExistingIds(novelId, label, wanted);
+    const missing = wanted.filter(id => !existing.includes(id));
+    if (missing.length > 0) {
+      throw httpError(`Unknown ${label.toLowerCase()} id(s) for novel ${novelId}: ${missing.join(', ')}`, 400);
+    }
+  }
+
+  /**
+   * Urutkan event menurut waktu cerita: topological sort atas BEFORE/CAUSES, seri diputus compareEvents.
+   * Relasi ke event di luar daftar (mis. belum diceritakan) diabaikan.
+   */
+  order(events) {
+    const byId = new Map(events.map(event => [event.id, event]));
+    const incoming = new Map(events.map(event => [event.id, 0]));
+    for (const event of events) {
+      for (const link of event.links) {
+        if (byId.has(link.eventId)) incoming.set(link.eventId, incoming.get(link.eventId) + 1);
+      }
+    }
+
+    const ordered = [];
+    let ready = events.filter(event => incoming.get(event.id) === 0);
+    while (ready.length > 0) {
+      ready.sort(compareEvents);
+      const next = ready.shift();
+      ordered.push(next);
+
+      for (const link of next.links) {
+        if (!byId.has(link.eventId)) continue;
+        incoming.set(link.eventId, incoming.get(link.eventId) - 1);
+        if (incoming.get(link.eventId) === 0) ready.push(byId.get(link.eventId));
+      }
+    }
+
+    // Siklus tidak bisa dibuat lewat API; sisa event (data lama) tetap ditampilkan
+    const rest = events.filter(event => !ordered.includes(event)).sort(compareEvents);
+    return [...ordered, ...rest];
+  }
+
+  format(event, visibleIds, flashback) {
+    const linked = type => event.links
+      .filter(link => link.type === type && visibleIds.has(link.eventId))
+      .map(link => link.eventId);
+
+    return {
+      id: event.id,
+      title: event.title,
+      description: event.description,
+      type: event.type || null,
+      chapterNumber: event.chapterNumber,
+      storyTime: event.storyTime || null,
+      storyOrder: event.storyOrder,
+      participants: event.participants,
+      location: event.location || null,
+      before: linked('BEFORE'),
+      causes: linked('CAUSES'),
+      flashback,
+      createdAt: event.createdAt
+    };
+  }
+
+  /**
+   * Event dalam urutan waktu cerita
+   * @param {Object} filter - asOfChapter, characterId, locationId
+   */
+  async getTimeline(novelId, filter = {}) {
+    this.assertConnected();
+
+    for (const [label, id] of [['Character', filter.characterId], ['Location', filter.locationId]]) {
+      if (id && (await this.neo4j.getExistingIds(novelId, label, [id])).length === 0) {
+        throw httpError(`${label} ${id} not found for novel ${novelId}`, 404);
+      }
+    }
+
+    const events = this.order(await this.neo4j.getEvents(novelId, {
+      asOfChapter: filter.asOfChapter ?? null,
+      characterId: filter.characterId || null,
+      locationId: filter.locationId || null
+    }));
+    const visibleIds = new Set(events.map(event => event.id));
+
+    // Kilas balik: ada event sesudahnya (waktu cerita) yang sudah diceritakan di chapter lebih awal
+    let earliestLater = Infinity;
+    const flashbacks = new Array(events.length);
+    for (let i = events.length - 1; i >= 0; i--) {
+      flashbacks[i] = earliestLater < events[i].chapterNumber;
+      earliestLater = Math.min(earliestLater, events[i].chapterNumber);
+    }
+
+    return {
+      asOfChapter: filter.asOfChapter ?? null,
+      total: events.length,
+      events: events.map((event, index) => this.format(event, visibleIds, flashbacks[index]))
+    };
+  }
+
+  async getEvent(novelId, eventId) {
+    this.assertConnected();
+
+    const [event] = await this.neo4j.getEvents(novelId, { eventId });
+    if (!event) {
+      throw httpError(`Event ${eventId} not found for novel ${novelId}`, 404);
+    }
+    return this.format(event, new Set(event.links.map(link => link.eventId)), false);
+  }
+
+  /**
+   * @param {Object} data - title, description, type, chapterNumber, storyTime, storyOrder,
+   *   participants [{ characterId, role }], locationId, before/after/causes/causedBy (id event lain)
+   * @returns {Object} event; rejectedLinks jika ada relasi yang akan membentuk siklus
+   */
+  async createEvent(novelId, data) {
+    this.assertConnected();
+
+    const related = [...(data.before || []), ...(data.after || []), ...(data.causes || []), ...(data.causedBy || [])];
+    await this.assertExists(novelId, 'Character', (data.participants || []).map(participant => participant.characterId));
+    await this.assertExists(novelId, 'Location', [data.locationId]);
+    await this.assertExists(novelId, 'Event', related);
+
+    const event = { ...data, id: uuidv4() };
+    const saved = await this.neo4j.saveEvent(novelId, event);
+    if (!saved) {
+      throw httpError(`Novel ${novelId} not found`, 404);
+    }
+
+    const links = [
+      ...(data.before || []).map(id => [event.id, 'BEFORE', id]),
+      ...(data.after || []).map(id => [id, 'BEFORE', event.id]),
+      ...(data.causes || []).map(id => [event.id, 'CAUSES', id]),
+      ...(data.causedBy || []).map(id => [id, 'CAUSES', event.id])
+    ];
+    // Relasi yang bertentangan dengan urutan yang sudah ada tidak dibuat, event tetap tersimpan
+    const rejectedLinks = [];
+    for (const [fromId, type, toId] of links) {
+      const { cycle } = await this.neo4j.linkEvents(novelId, fromId, type, toId);
+      if (cycle) rejectedLinks.push({ from: fromId, type, to: toId, reason: 'cycle' });
+    }
+
+    console.log(`🕰️ Event "${event.title}" added to ${novelId} (chapter ${event.chapterNumber})`);
+    const created = await this.getEvent(novelId, event.id);
+    return rejectedLinks.length > 0 ? { ...created, rejectedLinks } : created;
+  }
+
+  /**
+   * @param {string} type - BEFORE (fromId terjadi sebelum toId) atau CAUSES
+   */
+  async linkEvents(novelId, fromId, type, toId) {
+    this.assertConnected();
+
+    if (fromId === toId) {
+      throw httpError('An event cannot be linked to itself', 400);
+    }
+    await this.assertExists(novelId, 'Event', [fromId, toId]);
+
+    const { cycle } = await this.neo4j.linkEvents(novelId, fromId, type, toId);
+    if (cycle) {
+      throw httpError(`Linking ${fromId} ${type} ${toId} would contradict the existing event order`, 409);
+    }
+
+    return this.getEvent(novelId, fromId);
+  }
+}
+
+// Singleton instance
+export const timelineService = new TimelineService();
+
+export default TimelineService;
@@ -0,0 +1,33 @@
+/**
+ * Token Counter - hitung token dengan tiktoken (cl100k_base)
+ * Jika tiktoken tidak bisa dimuat (mis. wasm tidak tersedia), pakai estimasi length / 4
+ */
+
+let encoder = null;
+
+try {
+  const tiktoken = await import('tiktoken');
+  const getEncoding = tiktoken.get_encoding || tiktoken.default?.get_encoding;
+  encoder = getEncoding('cl100k_base');
+} catch (error) {
+  console.warn('⚠️ tiktoken unavailable, token counts are estimated (length / 4):', error.message);
+}
+
+export function countTokens(text) {
+  if (!text) return 0;
+  const value = String(text);
+
+  if (encoder) {
+    try {
+      return encoder.encode(value).length;
+    } catch {
+      // fall through to the estimate for text the encoder rejects
+    }
+  }
+
+  return Math.ceil(value.length / 4);
+}
+
+export function isExactTokenCount() {
+  return encoder !== null;
+}
@@ -0,0 +1,390 @@
+import { redisService } from './redisService.js';
+import { countTokens } from './tokenCounter.js';
+
+/**
+ * Harga per 1 juta token (USD). Model dicocokkan exact dulu, lalu prefix terpanjang,
+ * sehingga "claude-3-sonnet-20240229" memakai harga "claude-3-sonnet".
+ * Override/tambah lewat AI_PRICE_TABLE='{"model": {"prompt": 1, "completion": 2}}'
+ */
+export const DEFAULT_PRICE_TABLE = {
+  'gpt-4': { prompt: 30, completion: 60 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'gemini-1.5-pro': { prompt: 1.25, completion: 5 },
+  'gemini-1.5-flash': { prompt: 0.075, completion: 0.3 },
+  'gemini-pro-1.5': { prompt: 1.25, completion: 5 },
+  'claude-3-opus': { prompt: 15, completion: 75 },
+  'claude-3-sonnet': { prompt: 3, completion: 15 },
+  'claude-3-5-sonnet': { prompt: 3, completion: 15 },
+  'claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+  'deepseek-chat': { prompt: 0.27, completion: 1.1 },
+  'mock-1': { prompt: 0, completion: 0 }
+};
+
+const METRICS = ['requests', 'promptTokens', 'completionTokens', 'totalTokens', 'costUsd'];
+
+/**
+ * Usage Ledger - pencatatan token dan biaya per novel, bab dan provider (Redis)
+ *
+ * Keys:
+ *   usage:month:{YYYY-MM}                  totals + provider:{p}:{metric} + model:{m}:{metric}
+ *   usage:novel:{id}:month:{YYYY-MM}       totals + provider:{p}:{metric}
+ *   usage:novel:{id}:total                 totals + chapter:{n}:{metric}
+ *   usage:entries, usage:novel:{id}:entries  recent ledger entries
+ *   usage:novel:{id}:budget                monthly budget override (USD)
+ */
+export class UsageLedger {
+  constructor() {
+    this.redis = redisService;
+    this.priceTable = { ...DEFAULT_PRICE_TABLE, ...this.parsePriceOverrides() };
+    this.monthlyBudgetUsd = this.parseBudget(process.env.AI_MONTHLY_BUDGET_USD);
+    this.novelMonthlyBudgetUsd = this.parseBudget(process.env.AI_NOVEL_MONTHLY_BUDGET_USD);
+    this.maxEntries = parseInt(process.env.AI_USAGE_MAX_ENTRIES) || 500;
+  }
+
+  parsePriceOverrides() {
+    if (!process.env.AI_PRICE_TABLE) return {};
+
+    try {
+      return JSON.parse(process.env.AI_PRICE_TABLE);
+    } catch (error) {
+      console.warn('⚠️ Invalid AI_PRICE_TABLE, using default prices:', error.message);
+      return {};
+    }
+  }
+
+  parseBudget(value) {
+    const budget = parseFloat(value);
+    return Number.isFinite(budget) && budget > 0 ? budget : null;
+  }
+
+  currentMonth() {
+    return new Date().toISOString().slice(0, 7);
+  }
+
+  /**
+   * Cari harga model: exact, tanpa prefix vendor OpenRouter, lalu prefix terpanjang
+   */
+  getPrice(model) {
+    if (!model) return null;
+
+    const candidates = [model, model.split('/').pop()];
+    for (const candidate of candidates) {
+      if (this.priceTable[candidate]) return this.priceTable[candidate];
+    }
+
+    const name = candidates[1];
+    const prefix = Object.keys(this.priceTable)
+      .filter(key => name.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? this.priceTable[prefix] : null;
+  }
+
+  calculateCost(model, promptTokens, completionTokens) {
+    const price = this.getPrice(model);
+    if (!price) {
+      return { costUsd: 0, priced: false };
+    }
+
+    const costUsd = (promptTokens * price.prompt + completionTokens * price.completion) / 1000000;
+    return { costUsd: Math.round(costUsd * 1000000) / 1000000, priced: true };
+  }
+
+  /**
+   * Samakan format usage OpenAI / Gemini / Anthropic; hitung dengan tiktoken jika provider tidak mengirim usage
+   */
+  normalizeUsage(usage = {}, { prompt = '', content = '' } = {}) {
+    const promptTokens = usage?.prompt_tokens ?? usage?.promptTokenCount ?? usage?.input_tokens;
+    const completionTokens = usage?.completion_tokens ?? usage?.candidatesTokenCount ?? usage?.output_tokens;
+
+    if (Number.isFinite(promptTokens) && Number.isFinite(completionTokens)) {
+      return {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        source: 'provider'
+      };
+    }
+
+    const counted = {
+      promptTokens: Number.isFinite(promptTokens) ? promptTokens : countTokens(prompt),
+      completionTokens: Number.isFinite(completionTokens) ? completionTokens : countTokens(content)
+    };
+
+    return {
+      ...counted,
+      totalTokens: counted.promptTokens + counted.completionTokens,
+      source: 'tiktoken'
+    };
+  }
+
+  /**
+   * Catat satu panggilan model ke ledger
+   * @param {Object} params
+   * @param {string} params.provider - Provider yang benar-benar menjawab
+   * @param {string} params.model - Nama model dari response provider
+   * @param {Object} params.usage - Usage mentah dari provider
+   * @param {string} params.prompt - Prompt (untuk hitung token jika usage kosong)
+   * @param {string} params.content - Output (untuk hitung token jika usage kosong)
+   * @param {Object} params.tags - { novelId, chapterNumber, requestId, operation }
+   * @returns {Promise<Object>} Ledger entry
+   */
+  async record({ provider, model, usage, prompt, content, tags = {} }) {
+    const tokens = this.normalizeUsage(usage, { prompt, content });
+    const { costUsd, priced } = this.calculateCost(model, tokens.promptTokens, tokens.completionTokens);
+    const month = this.currentMonth();
+
+    const entry = {
+      provider,
+      model: model || null,
+      operation: tags.operation || 'generation',
+      novelId: tags.novelId || null,
+      chapterNumber: tags.chapterNumber ?? null,
+      requestId: tags.requestId || null,
+      ...tokens,
+      costUsd,
+      priced,
+      timestamp: new Date().toISOString()
+    };
+
+    if (!this.redis.isConnected) {
+      return entry;
+    }
+
+    try {
+      const totals = this.toIncrements(entry);
+      const writes = [
+        this.redis.hincrbyMany(`usage:month:${month}`, {
+          ...totals,
+          ...this.toIncrements(entry, `provider:${provider}:`),
+          ...this.toIncrements(entry, `model:${entry.model || 'unknown'}:`)
+        }),
+        this.redis.pushCapped('usage:entries', entry, this.maxEntries)
+      ];
+
+      if (entry.novelId) {
+        const novelTotals = { ...totals };
+        if (entry.chapterNumber !== null) {
+          Object.assign(novelTotals, this.toIncrements(entry, `chapter:${entry.chapterNumber}:`));
+        }
+
+        writes.push(
+          this.redis.hincrbyMany(`usage:novel:${entry.novelId}:month:${month}`, {
+            ...totals,
+            ...this.toIncrements(entry, `provider:${provider}:`)
+          }),
+          this.redis.hincrbyMany(`usage:novel:${entry.novelId}:total`, novelTotals),
+          this.redis.pushCapped(`usage:novel:${entry.novelId}:entries`, entry, this.maxEntries)
+        );
+      }
+
+      await Promise.all(writes);
+    } catch (error) {
+      // Ledger failures must never fail the generation itself
+      console.error('Usage ledger write error:', error.message);
+    }
+
+    return entry;
+  }
+
+  toIncrements(entry, prefix = '') {
+    return {
+      [`${prefix}requests`]: 1,
+      [`${prefix}promptTokens`]: entry.promptTokens,
+      [`${prefix}completionTokens`]: entry.completionTokens,
+      [`${prefix}totalTokens`]: entry.totalTokens,
+      [`${prefix}costUsd`]: entry.costUsd
+    };
+  }
+
+  /**
+   * Pisahkan hash ledger menjadi totals dan breakdown per grup (provider, model, chapter)
+   */
+  parseAggregate(hash) {
+    const totals = this.emptyTotals();
+    const groups = {};
+
+    for (const [field, value] of Object.entries(hash)) {
+      const separator = field.lastIndexOf(':');
+      const metric = field.slice(separator + 1);
+      if (!METRICS.includes(metric)) continue;
+
+      if (separator === -1) {
+        totals[metric] = Number(value) || 0;
+        continue;
+      }
+
+      const scope = field.slice(0, separator);
+      const groupSeparator = scope.indexOf(':');
+      const group = scope.slice(0, groupSeparator);
+      const name = scope.slice(groupSeparator + 1);
+
+      groups[group] = groups[group] || {};
+      groups[group][name] = groups[group][name] || this.emptyTotals();
+      groups[group][name][metric] = Number(value) || 0;
+    }
+
+    totals.costUsd = this.roundCost(totals.costUsd);
+    for (const group of Object.values(groups)) {
+      for (const item of Object.values(group)) {
+        item.costUsd = this.roundCost(item.costUsd);
+      }
+    }
+
+    return { totals, groups };
+  }
+
+  emptyTotals() {
+    return Object.fromEntries(METRICS.map(metric => [metric, 0]));
+  }
+
+  roundCost(value) {
+    return Math.round((Number(value) || 0) * 1000000) / 1000000;
+  }
+
+  /**
+   * Agregat global per bulan
+   */
+  async getUsage({ month = this.currentMonth(), limit = 20 } = {}) {
+    const [hash, recent] = await Promise.all([
+      this.readHash(`usage:month:${month}`),
+      this.readEntries('usage:entries', limit)
+    ]);
+    const { totals, groups } = this.parseAggregate(hash);
+
+    return {
+      month,
+      totals,
+      byProvider: groups.provider || {},
+      byModel: groups.model || {},
+      budget: this.describeBudget(this.monthlyBudgetUsd, month === this.currentMonth() ? totals.costUsd : null),
+      recent
+    };
+  }
+
+  /**
+   * Agregat per novel: bulan berjalan, seluruh waktu dan per bab
+   */
+  async getNovelUsage(novelId, { month = this.currentMonth(), limit = 20 } = {}) {
+    const [monthHash, totalHash, recent, budgetUsd] = await Promise.all([
+      this.readHash(`usage:novel:${novelId}:month:${month}`),
+      this.readHash(`usage:novel:${novelId}:total`),
+      this.readEntries(`usage:novel:${novelId}:entries`, limit),
+      this.getNovelBudget(novelId)
+    ]);
+    const monthly = this.parseAggregate(monthHash);
+    const allTime = this.parseAggregate(totalHash);
+
+    return {
+      novelId,
+      month,
+      monthly: monthly.totals,
+      byProvider: monthly.groups.provider || {},
+      allTime: allTime.totals,
+      byChapter: allTime.groups.chapter || {},
+      budget: this.describeBudget(budgetUsd, month === this.currentMonth() ? monthly.totals.costUsd : null),
+      recent
+    };
+  }
+
+  // Tanpa Redis ledger kosong (jangan menunggu reconnect di setiap request)
+  async readHash(key) {
+    return this.redis.isConnected ? await this.redis.hgetall(key) : {};
+  }
+
+  async readEntries(key, limit) {
+    return this.redis.isConnected ? await this.redis.lrange(key, 0, limit - 1) : [];
+  }
+
+  async getNovelBudget(novelId) {
+    const override = this.redis.isConnected ? await this.redis.get(`usage:novel:${novelId}:budget`) : null;
+    return this.parseBudget(override) ?? this.novelMonthlyBudgetUsd;
+  }
+
+  /**
+   * Set budget bulanan per novel (null = kembali ke AI_NOVEL_MONTHLY_BUDGET_USD)
+   */
+  async setNovelBudget(novelId, monthlyBudgetUsd) {
+    if (!this.redis.isConnected) {
+      const error = new Error('Usage ledger unavailable: Redis is not connected');
+      error.statusCode = 503;
+      throw error;
+    }
+
+    const key = `usage:novel:${novelId}:budget`;
+
+    if (monthlyBudgetUsd === null) {
+      await this.redis.del(key);
+    } else {
+      await this.redis.set(key, monthlyBudgetUsd);
+    }
+
+    return await this.getNovelBudget(novelId);
+  }
+
+  describeBudget(limitUsd, spentUsd) {
+    if (limitUsd === null) {
+      return { limitUsd: null, enabled: false };
+    }
+
+    const budget = { limitUsd, enabled: true };
+    if (spentUsd !== null) {
+      budget.spentUsd = spentUsd;
+      budget.remainingUsd = this.roundCost(Math.max(limitUsd - spentUsd, 0));
+      budget.exceeded = spentUsd >= limitUsd;
+    }
+    return budget;
+  }
+
+  /**
+   * Tolak generasi jika budget bulanan global atau novel sudah habis
+   * @throws {Error} statusCode 402, code BUDGET_EXCEEDED
+   */
+  async assertWithinBudget(tags = {}) {
+    if (!this.redis.isConnected) return;
+
+    const month = this.currentMonth();
+    const checks = [];
+
+    if (this.monthlyBudgetUsd !== null) {
+      checks.push({
+        scope: 'global',
+        limitUsd: this.monthlyBudgetUsd,
+        key: `usage:month:${month}`
+      });
+    }
+
+    if (tags.novelId) {
+      const novelBudget = await this.getNovelBudget(tags.novelId);
+      if (novelBudget !== null) {
+        checks.push({
+          scope: `novel ${tags.novelId}`,
+          limitUsd: novelBudget,
+          key: `usage:novel:${tags.novelId}:month:${month}`
+        });
+      }
+    }
+
+    for (const check of checks) {
+      const spentUsd = this.roundCost(await this.redis.hget(check.key, 'costUsd'));
+
+      if (spentUsd >= check.limitUsd) {
+        const error = new Error(
+          `Monthly AI budget exceeded for ${check.scope}: $${spentUsd} of $${check.limitUsd} used in ${month}`
+        );
+        error.statusCode = 402;
+        error.code = 'BUDGET_EXCEEDED';
+        error.budget = { scope: check.scope, month, limitUsd: check.limitUsd, spentUsd };
+        throw error;
+      }
+    }
+  }
+}
+
+// Singleton instance
+export const usageLedger = new UsageLedger();
+
+export default UsageLedger;
@@ -0,0 +1,179 @@
+import { v4 as uuidv4 } from 'uuid';
+import { neo4jService } from './neo4jService.js';
+import { redisService } from './redisService.js';
+
+// Key metadata yang selalu berubah, tidak ikut dibandingkan saat diff
+const META_KEYS = ['updatedAt', 'lastUpdated'];
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * World State Service - world state sebagai log perubahan per chapter
+ *
+ * Setiap update menjadi WorldStateChange yang berlaku mulai chapter tertentu (chapter 0 = keadaan awal novel).
+ * Snapshot "as of chapter N" = semua perubahan dengan chapterNumber <= N diterapkan berurutan.
+ * Redis hanya menyimpan snapshot terbaru sebagai cache.
+ */
+export class WorldStateService {
+  constructor() {
+    this.neo4j = neo4jService;
+    this.redis = redisService;
+  }
+
+  assertConnected() {
+    if (!this.neo4j.isConnected) {
+      throw httpError('World state history unavailable: Neo4j is not connected', 503);
+    }
+  }
+
+  /**
+   * Terapkan perubahan berurutan; nilai null menghapus key.
+   * totalChapters diturunkan dari lastChapter tertinggi, bukan dari delta per chapter
+   */
+  replay(changes) {
+    const state = {};
+    let highestChapter = 0;
+    for (const change of changes) {
+      for (const [key, value] of Object.entries(change.changes)) {
+        // Delta chapter lama bisa berisi total dari chapter sesudahnya
+        if (key === 'totalChapters' && change.chapterNumber > 0) continue;
+
+        if (value === null) {
+          delete state[key];
+        } else {
+          state[key] = value;
+        }
+      }
+      highestChapter = Math.max(highestChapter, Number(change.changes.lastChapter) || 0);
+      state.updatedAt = change.createdAt;
+    }
+    if (highestChapter > 0) {
+      state.totalChapters = Math.max(Number(state.totalChapters) || 0, highestChapter);
+    }
+    return state;
+  }
+
+  /**
+   * Catat update world state
+   * @param {Object} options - chapterNumber (default: chapter berikutnya setelah lastChapter), source
+   * @returns {Object} { chapterNumber, state } dengan state = snapshot terbaru
+   */
+  async recordChange(novelId, updates, { chapterNumber = null, source = 'manual' } = {}) {
+    // Tanpa Neo4j riwayat tidak bisa disimpan: perilaku lama, merge langsung ke cache
+    if (!this.neo4j.isConnected) {
+      const totalChapters = Math.max(Number((await this.redis.getWorldState(novelId))?.totalChapters) || 0,
+        Number(updates.lastChapter) || 0);
+      await this.redis.updateWorldState(novelId, totalChapters > 0 ? { ...updates, totalChapters } : updates);
+      return { chapterNumber, state: await this.redis.getWorldState(novelId) };
+    }
+
+    let changes = await this.neo4j.getWorldStateChanges(novelId);
+
+    // Novel lama tanpa log: world state di cache dijadikan keadaan awal (chapter 0)
+    if (changes.length === 0) {
+      const cached = await this.redis.getWorldState(novelId);
+      if (cached && Object.keys(cached).length > 0) {
+        const baseline = { id: uuidv4(), chapterNumber: 0, source: 'cache', changes: cached };
+        if (await this.neo4j.appendWorldStateChange(novelId, baseline)) {
+          changes = [{ ...baseline, createdAt: new Date().toISOString() }];
+        }
+      }
+    }
+
+    const lastChapter = Number(this.replay(changes).lastChapter) || 0;
+    const change = {
+      id: uuidv4(),
+      chapterNumber: chapterNumber ?? lastChapter + 1,
+      source,
+      changes: updates
+    };
+    const saved = await this.neo4j.appendWorldStateChange(novelId, change);
+    if (!saved) {
+      throw httpError(`Novel ${novelId} not found`, 404);
+    }
+
+    const state = this.replay(await this.neo4j.getWorldStateChanges(novelId));
+    await this.redis.cacheWorldState(novelId, state);
+
+    console.log(`🌍 World state of ${novelId} updated from chapter ${change.chapterNumber} (${source})`);
+    return { chapterNumber: change.chapterNumber, state };
+  }
+
+  /**
+   * World state terbaru, atau snapshot sampai asOfChapter
+   */
+  async getWorldState(novelId, asOfChapter = null) {
+    if (asOfChapter === null) {
+      const cached = await this.redis.getWorldState(novelId);
+      if (cached || !this.neo4j.isConnected) return cached;
+
+      // Cache kedaluwarsa: bangun ulang dari log
+      const changes = await this.neo4j.getWorldStateChanges(novelId);
+      if (changes.length === 0) return null;
+
+      const state = this.replay(changes);
+      await this.redis.cacheWorldState(novelId, state);
+      return state;
+    }
+
+    this.assertConnected();
+    const changes = await this.neo4j.getWorldStateChanges(novelId);
+
+    // Novel lama yang belum punya log hanya punya keadaan terbaru
+    if (changes.length === 0) {
+      return await this.redis.getWorldState(novelId);
+    }
+    return this.replay(changes.filter(change => change.chapterNumber <= asOfChapter));
+  }
+
+  /**
+   * Perbedaan world state antara dua chapter
+   * @returns {Object} { fromChapter, toChapter, added, removed, changed, changes }
+   */
+  async diff(novelId, fromChapter, toChapter) {
+    this.assertConnected();
+
+    if (fromChapter > toChapter) {
+      throw httpError('fromChapter must not be greater than toChapter', 400);
+    }
+
+    const changes = await this.neo4j.getWorldStateChanges(novelId, { asOfChapter: toChapter });
+    const before = this.replay(changes.filter(change => change.chapterNumber <= fromChapter));
+    const after = this.replay(changes);
+
+    const added = {};
+    const removed = {};
+    const changed = {};
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (META_KEYS.includes(key)) continue;
+
+      if (!(key in before)) {
+        added[key] = after[key];
+      } else if (!(key in after)) {
+        removed[key] = before[key];
+      } else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changed[key] = { from: before[key], to: after[key] };
+      }
+    }
+
+    return {
+      fromChapter,
+      toChapter,
+      added,
+      removed,
+      changed,
+      changes: changes
+        .filter(change => change.chapterNumber > fromChapter)
+        .map(({ id, chapterNumber, source, changes: values, createdAt }) => ({ id, chapterNumber, source, changes: values, createdAt }))
+    };
+  }
+}
+
+// Singleton instance
+export const worldStateService = new WorldStateService();
+
+export default WorldStateService;
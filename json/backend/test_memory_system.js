@@ -278,6 +278,30 @@ async function testContextBuilding(novelId) {
   }
 }
 
+async function testContextAssembly(novelId) {
+  console.log('\n🧩 Testing Context Assembly...');
+  
+  try {
+    const result = await makeRequest(`/novels/${novelId}/context/2/debug`, {
+      method: 'POST',
+      body: JSON.stringify({
+        focusElements: "character development, plot advancement",
+        model: 'mock'
+      })
+    });
+    
+    const assembly = result.data.contextAssembly;
+    console.log('✅ Prompt assembled:', result.data.promptTokens, 'tokens');
+    console.log('   - Context:', assembly.usedTokens, '/', assembly.budget, 'tokens');
+    console.log('   - Full / condensed / dropped:', assembly.counts.full, '/', assembly.counts.condensed, '/', assembly.counts.dropped);
+    
+    return assembly.usedTokens <= assembly.budget && result.data.prompt.length > 0;
+  } catch (error) {
+    console.error('❌ Context assembly failed:', error.message);
+    return false;
+  }
+}
+
 async function testWorldStateManagement(novelId) {
   console.log('\n🌍 Testing World State Management...');
   
@@ -305,6 +329,311 @@ async function testWorldStateManagement(novelId) {
   }
 }
 
+async function testWorldStateHistory(novelId) {
+  console.log('\n🗓️ Testing World State History...');
+  
+  try {
+    await makeRequest(`/novels/${novelId}/worldstate?chapterNumber=5`, {
+      method: 'PATCH',
+      body: JSON.stringify({ plotStatus: "siege", timeOfDay: "night" })
+    });
+    await delay(2000);
+    
+    const before = await makeRequest(`/novels/${novelId}/worldstate?asOfChapter=4`);
+    const after = await makeRequest(`/novels/${novelId}/worldstate?asOfChapter=5`);
+    console.log('✅ Plot status as of chapter 4:', before.data?.plotStatus, '/ chapter 5:', after.data?.plotStatus);
+    
+    const diff = await makeRequest(`/novels/${novelId}/worldstate/diff?from=4&to=5`);
+    console.log('✅ World state diff 4 → 5:', Object.keys(diff.data.changed).length, 'changed,', Object.keys(diff.data.added).length, 'added');
+    
+    return after.data?.plotStatus === 'siege' && before.data?.plotStatus !== 'siege';
+  } catch (error) {
+    console.error('❌ World state history failed:', error.message);
+    return false;
+  }
+}
+
+async function testUsageTracking(novelId) {
+  console.log('\n💰 Testing Usage Tracking...');
+  
+  try {
+    const usage = await makeRequest(`/novels/${novelId}/usage`);
+    console.log('✅ Novel usage retrieved:', usage.data.allTime.totalTokens, 'tokens, $' + usage.data.allTime.costUsd);
+    
+    const budget = await makeRequest(`/novels/${novelId}/usage/budget`, {
+      method: 'PUT',
+      body: JSON.stringify({ monthlyBudgetUsd: 5 })
+    });
+    console.log('✅ Monthly budget set:', budget.data.monthlyBudgetUsd);
+    
+    return budget.data.monthlyBudgetUsd === 5;
+  } catch (error) {
+    console.error('❌ Usage tracking failed:', error.message);
+    return false;
+  }
+}
+
+async function testOutlineManagement(novelId) {
+  console.log('\n🗺️ Testing Outline Management...');
+  
+  try {
+    const generated = await makeRequest(`/novels/${novelId}/outline/generate`, {
+      method: 'POST',
+      body: JSON.stringify({ chapterCount: 4, actCount: 2, model: 'mock' })
+    });
+    console.log('✅ Outline generated:', generated.data.acts.length, 'acts,', generated.data.chapters.length, 'chapters');
+    
+    const chapter = await makeRequest(`/novels/${novelId}/outline/chapters/2`, {
+      method: 'PUT',
+      body: JSON.stringify({
+        title: 'The Gate',
+        beats: [
+          { description: 'Hero opens the ancient gate', characters: [testCharacter.name], locations: [testLocation.name] },
+          { description: 'The guardian awakens' }
+        ]
+      })
+    });
+    const plan = chapter.data.chapters.find(c => c.number === 2);
+    console.log('✅ Chapter plan edited:', plan.title, '-', plan.beats.length, 'beats, source', chapter.data.source);
+    
+    const outline = await makeRequest(`/novels/${novelId}/outline`);
+    console.log('✅ Outline retrieved:', outline.data.premise.substring(0, 50) + '...');
+    
+    return plan.beats.length === 2 && outline.data.chapters.length === 4;
+  } catch (error) {
+    console.error('❌ Outline management failed:', error.message);
+    return false;
+  }
+}
+
+async function testChapterDrafts(novelId) {
+  console.log('\n🔀 Testing Chapter Drafts & Versions...');
+  
+  try {
+    const generated = await makeRequest(`/novels/${novelId}/chapters/${testChapter.number}/drafts/variants`, {
+      method: 'POST',
+      body: JSON.stringify({
+        stylePreference: 'descriptive',
+        mood: 'adventurous',
+        focusElements: 'the hero meets a rival',
+        model: 'mock',
+        count: 2
+      })
+    });
+    const versions = generated.data.drafts.map(draft => draft.version);
+    console.log('✅ Variants generated:', versions.join(', '), '- scores', generated.data.drafts.map(draft => draft.totalScore).join(', '));
+    
+    const comparison = await makeRequest(`/novels/${novelId}/chapters/${testChapter.number}/drafts/compare?versions=${versions.join(',')}`);
+    console.log('✅ Drafts compared: similarity', comparison.data.diffs[0].similarity, '- best version', comparison.data.bestVersion);
+    
+    await makeRequest(`/novels/${novelId}/chapters/${testChapter.number}/drafts/${versions[0]}/promote`, { method: 'POST' });
+    const list = await makeRequest(`/novels/${novelId}/chapters/${testChapter.number}/drafts`);
+    console.log('✅ Version promoted:', list.data.canonicalVersion, 'of', list.count, 'versions');
+    
+    return list.data.canonicalVersion === versions[0] && comparison.data.diffs.length === 1;
+  } catch (error) {
+    console.error('❌ Chapter drafts failed:', error.message);
+    return false;
+  }
+}
+
+async function testChapterRevisions(novelId) {
+  console.log('\n⏪ Testing Chapter Revision History...');
+  
+  try {
+    // Promosi di test sebelumnya diproses lewat antrean chapter
+    await delay(2000);
+    
+    const revisions = await makeRequest(`/novels/${novelId}/chapters/${testChapter.number}/revisions`);
+    const latest = revisions.data[0];
+    console.log('✅ Revisions listed:', revisions.count, '- latest by', latest.authorType, latest.author || '');
+    
+    const diff = await makeRequest(`/novels/${novelId}/chapters/${testChapter.number}/revisions/diff?from=1&to=${latest.number}`);
+    console.log('✅ Revision diff:', diff.data.stats.wordsAdded, 'words added,', diff.data.stats.wordsRemoved, 'removed');
+    
+    const restored = await makeRequest(`/novels/${novelId}/chapters/${testChapter.number}/revisions/1/restore`, {
+      method: 'POST',
+      body: JSON.stringify({ author: 'memory-test' })
+    });
+    console.log('✅ Revision restore queued:', restored.data.restoredFrom);
+    
+    return revisions.count >= 2 && restored.data.restoredFrom === 1;
+  } catch (error) {
+    console.error('❌ Chapter revisions failed:', error.message);
+    return false;
+  }
+}
+
+async function testStoryDigest(novelId) {
+  console.log('\n📚 Testing Story Digest...');
+  
+  try {
+    // Ringkasan dibuat di antrean summary-processing setelah chapter tersimpan
+    await delay(3000);
+    
+    const digest = await makeRequest(`/novels/${novelId}/story-digest?chapter=${testChapter.number + 1}`);
+    const chapter = digest.data.chapters.find(item => item.number === testChapter.number);
+    console.log('✅ Story digest retrieved:', digest.data.arcs.length, 'arcs, through chapter', digest.data.throughChapter);
+    console.log('✅ Chapter summary:', chapter?.keyEvents?.length || 0, 'key events');
+    
+    const rebuild = await makeRequest(`/novels/${novelId}/story-digest/rebuild`, {
+      method: 'POST',
+      body: JSON.stringify({ force: true })
+    });
+    console.log('✅ Digest rebuild queued:', rebuild.data.queued, 'chapters');
+    
+    return Boolean(chapter?.summary) && rebuild.data.queued >= 1;
+  } catch (error) {
+    console.error('❌ Story digest failed:', error.message);
+    return false;
+  }
+}
+
+async function testEntityExtraction(novelId) {
+  console.log('\n🔎 Testing Entity Extraction...');
+  
+  try {
+    const extraction = await makeRequest(`/novels/${novelId}/chapters/${testChapter.number}/extract`, {
+      method: 'POST',
+      body: JSON.stringify({ mode: 'review', model: 'mock', force: true })
+    });
+    console.log('✅ Extraction proposed:', extraction.data.operations.length, 'operations,', extraction.data.unresolved.length, 'unresolved');
+    
+    const pending = await makeRequest(`/novels/${novelId}/extractions?status=pending`);
+    console.log('✅ Pending extractions:', pending.data.length);
+    
+    const [first, ...rest] = extraction.data.operations.map(op => op.id);
+    const applied = await makeRequest(`/novels/${novelId}/extractions/${extraction.data.id}/apply`, {
+      method: 'POST',
+      body: JSON.stringify({ accept: first ? [first] : [], reject: rest })
+    });
+    console.log('✅ Extraction applied:', applied.data.status);
+    
+    return extraction.data.status === 'pending' && applied.data.operations.every(op => op.status !== 'pending');
+  } catch (error) {
+    console.error('❌ Entity extraction failed:', error.message);
+    return false;
+  }
+}
+
+async function testContinuityCheck(novelId) {
+  console.log('\n🧭 Testing Continuity Check...');
+  
+  try {
+    const report = await makeRequest(`/novels/${novelId}/chapters/${testChapter.number}/continuity`, {
+      method: 'POST',
+      body: JSON.stringify({ model: 'mock' })
+    });
+    console.log('✅ Continuity checked:', report.data.issues.length, 'issues, score', report.data.score, 'from', report.data.sources.length, 'sources');
+    
+    return report.data.issues.every(issue => issue.citations.length > 0);
+  } catch (error) {
+    console.error('❌ Continuity check failed:', error.message);
+    return false;
+  }
+}
+
+async function testStoryTimeline(novelId) {
+  console.log('\n🕰️ Testing Story Timeline...');
+  
+  try {
+    const siege = await makeRequest(`/novels/${novelId}/events`, {
+      method: 'POST',
+      body: JSON.stringify({ title: 'Pengepungan benteng', chapterNumber: 1, storyOrder: 2 })
+    });
+    // Diceritakan belakangan tetapi terjadi lebih dulu: kilas balik
+    const betrayal = await makeRequest(`/novels/${novelId}/events`, {
+      method: 'POST',
+      body: JSON.stringify({ title: 'Pengkhianatan lama', chapterNumber: 2, storyOrder: 1, causes: [siege.data.id] })
+    });
+    
+    const timeline = await makeRequest(`/novels/${novelId}/timeline`);
+    const asOfFirst = await makeRequest(`/novels/${novelId}/timeline?asOfChapter=1`);
+    console.log('✅ Timeline:', timeline.data.events.map(event => `${event.title}${event.flashback ? ' (flashback)' : ''}`).join(' → '));
+    console.log('✅ As of chapter 1:', asOfFirst.data.total, 'events');
+    
+    return timeline.data.events[0].id === betrayal.data.id
+      && timeline.data.events[0].flashback
+      && asOfFirst.data.events.every(event => event.chapterNumber <= 1);
+  } catch (error) {
+    console.error('❌ Story timeline failed:', error.message);
+    return false;
+  }
+}
+
+async function testCharacterRelationships(novelId) {
+  console.log('\n🤝 Testing Character Relationships...');
+  
+  try {
+    const [hero, rival] = await Promise.all(['Relationship Hero', 'Relationship Rival'].map(name => makeRequest(`/novels/${novelId}/characters`, {
+      method: 'POST',
+      body: JSON.stringify({ ...testCharacter, name })
+    })));
+    await delay(2000);
+    
+    const created = await makeRequest(`/novels/${novelId}/relationships`, {
+      method: 'POST',
+      body: JSON.stringify({ fromId: hero.characterId, toId: rival.characterId, type: 'rival', strength: 0.8, sentiment: -0.5 })
+    });
+    const evolved = await makeRequest(`/novels/${novelId}/relationships/${created.data.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ type: 'ally', sentiment: 0.6, fromChapter: 5 })
+    });
+    console.log('✅ Relationship changed from', created.data.type, 'to', evolved.data.type, 'at chapter', evolved.data.sinceChapter);
+    
+    const early = await makeRequest(`/novels/${novelId}/characters/${hero.characterId}/relationships?atChapter=2`);
+    const late = await makeRequest(`/novels/${novelId}/characters/${hero.characterId}/relationships?atChapter=6`);
+    console.log('✅ Network at chapter 2:', early.data.relationships.map(r => r.type), '/ chapter 6:', late.data.relationships.map(r => r.type));
+    
+    return early.data.relationships[0]?.type === 'rival' && late.data.relationships[0]?.type === 'ally';
+  } catch (error) {
+    console.error('❌ Character relationships failed:', error.message);
+    return false;
+  }
+}
+
+async function testNovelCrud() {
+  console.log('\n🗂️ Testing Novel CRUD & Deletion...');
+  
+  try {
+    // Novel terpisah agar novel utama tidak ikut terhapus
+    const { novelId } = await makeRequest('/novels', {
+      method: 'POST',
+      body: JSON.stringify({ ...testNovel, title: 'CRUD Test Novel' })
+    });
+    const updated = await makeRequest(`/novels/${novelId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status: 'paused' })
+    });
+    console.log('✅ Novel updated:', updated.data.title, '/', updated.data.status);
+    
+    const character = await makeRequest(`/novels/${novelId}/characters`, {
+      method: 'POST',
+      body: JSON.stringify(testCharacter)
+    });
+    await makeRequest(`/novels/${novelId}/characters/${character.characterId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ description: 'An updated test character' })
+    });
+    const characters = await makeRequest(`/novels/${novelId}/characters?page=1&limit=10`);
+    console.log('✅ Characters listed:', characters.pagination.total);
+    await makeRequest(`/novels/${novelId}/characters/${character.characterId}`, { method: 'DELETE' });
+    
+    await makeRequest(`/novels/${novelId}`, { method: 'DELETE' });
+    const hidden = await makeRequest('/novels?limit=100');
+    const restored = await makeRequest(`/novels/${novelId}/restore`, { method: 'POST' });
+    console.log('✅ Novel soft-deleted and restored:', !hidden.data.some(novel => novel.id === novelId), restored.data.deletedAt);
+    
+    const purged = await makeRequest(`/novels/${novelId}?permanent=true`, { method: 'DELETE' });
+    console.log('✅ Novel permanently deleted:', purged.data.deleted.graphNodes, 'graph nodes,', purged.data.deleted.cacheKeys, 'cache keys');
+    
+    return updated.data.status === 'paused' && characters.pagination.total === 1 && purged.data.permanent;
+  } catch (error) {
+    console.error('❌ Novel CRUD failed:', error.message);
+    return false;
+  }
+}
+
 async function testCleanup() {
   console.log('\n🧹 Testing System Cleanup...');
   
@@ -368,7 +697,19 @@ async function runTests() {
         { name: 'Chapter Management', fn: () => testChapterManagement(novelId) },
         { name: 'Search Functionality', fn: () => testSearchFunctionality(novelId) },
         { name: 'Context Building', fn: () => testContextBuilding(novelId) },
+        { name: 'Context Assembly', fn: () => testContextAssembly(novelId) },
         { name: 'World State Management', fn: () => testWorldStateManagement(novelId) },
+        { name: 'World State History', fn: () => testWorldStateHistory(novelId) },
+        { name: 'Usage Tracking', fn: () => testUsageTracking(novelId) },
+        { name: 'Outline Management', fn: () => testOutlineManagement(novelId) },
+        { name: 'Chapter Drafts', fn: () => testChapterDrafts(novelId) },
+        { name: 'Chapter Revisions', fn: () => testChapterRevisions(novelId) },
+        { name: 'Story Digest', fn: () => testStoryDigest(novelId) },
+        { name: 'Entity Extraction', fn: () => testEntityExtraction(novelId) },
+        { name: 'Continuity Check', fn: () => testContinuityCheck(novelId) },
+        { name: 'Story Timeline', fn: () => testStoryTimeline(novelId) },
+        { name: 'Character Relationships', fn: () => testCharacterRelationships(novelId) },
+        { name: 'Novel CRUD & Deletion', fn: testNovelCrud },
         { name: 'System Cleanup', fn: testCleanup }
       ];
       